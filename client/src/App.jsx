@@ -1,7 +1,7 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { AuthProvider } from './context/AuthContext';
-import PrivateRoute from './components/PrivateRoute';
+import { AuthProvider, useAuth } from './context/AuthContext';
+import PrivateRoute, { homePathFor, ALL_ROLES } from './components/PrivateRoute';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
@@ -9,8 +9,26 @@ import ProjectCreate from './pages/ProjectCreate';
 import ProjectDetail from './pages/ProjectDetail';
 import Templates from './pages/Templates';
 import TemplateCreate from './pages/TemplateCreate';
+import TemplateVersions from './pages/TemplateVersions';
+import Users from './pages/Users';
+import Invitations from './pages/Invitations';
+import AuditLog from './pages/AuditLog';
+import AcceptInvite from './pages/AcceptInvite';
+import SsoCallback from './pages/SsoCallback';
+import Sessions from './pages/Sessions';
+import ChangePassword from './pages/ChangePassword';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import ClientPortal from './pages/ClientPortal';
+import ClientProject from './pages/ClientProject';
 import './index.css';
 
+function HomeRedirect() {
+    const { user } = useAuth();
+    return <Navigate to={user ? homePathFor(user) : '/login'} replace />;
+}
+
 function App() {
     return (
         <AuthProvider>
@@ -19,6 +37,11 @@ function App() {
                     <Navbar />
                     <Routes>
                         <Route path="/login" element={<Login />} />
+                        <Route path="/forgot-password" element={<ForgotPassword />} />
+                        <Route path="/reset-password" element={<ResetPassword />} />
+                        <Route path="/verify-email" element={<VerifyEmail />} />
+                        <Route path="/accept-invite" element={<AcceptInvite />} />
+                        <Route path="/sso/callback" element={<SsoCallback />} />
 
                         <Route path="/dashboard" element={
                             <PrivateRoute>
@@ -45,7 +68,52 @@ function App() {
                                 <TemplateCreate />
                             </PrivateRoute>
                         } />
-                        <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                        <Route path="/templates/:id/edit" element={
+                            <PrivateRoute>
+                                <TemplateCreate />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/templates/:id/versions" element={
+                            <PrivateRoute>
+                                <TemplateVersions />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/users" element={
+                            <PrivateRoute roles={['admin']}>
+                                <Users />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/invitations" element={
+                            <PrivateRoute roles={['admin', 'pm']}>
+                                <Invitations />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/audit" element={
+                            <PrivateRoute roles={['admin']}>
+                                <AuditLog />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/account/sessions" element={
+                            <PrivateRoute roles={ALL_ROLES}>
+                                <Sessions />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/account/password" element={
+                            <PrivateRoute roles={ALL_ROLES}>
+                                <ChangePassword />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/portal" element={
+                            <PrivateRoute roles={['client']}>
+                                <ClientPortal />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/portal/projects/:id" element={
+                            <PrivateRoute roles={['client']}>
+                                <ClientProject />
+                            </PrivateRoute>
+                        } />
+                        <Route path="/" element={<HomeRedirect />} />
                     </Routes>
                 </div>
             </Router>
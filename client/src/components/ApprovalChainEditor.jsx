@@ -0,0 +1,118 @@
+import React from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import './ApprovalChainEditor.css';
+
+export const APPROVER_TYPE_LABELS = {
+    project_manager: 'Project manager',
+    user: 'Specific user',
+    client: 'Client'
+};
+
+const emptyStep = (index) => ({
+    name: `Step ${index + 1}`,
+    approvers: [{ type: 'project_manager' }]
+});
+
+// Steps run in order; every approver in a step must approve before the next one opens.
+// An empty chain is stored as null, meaning the project manager alone approves.
+const ApprovalChainEditor = ({ chain, users = [], onChange }) => {
+    const steps = chain || [];
+
+    const update = (nextSteps) => onChange(nextSteps.length > 0 ? nextSteps : null);
+
+    const updateStep = (stepIndex, changes) => {
+        update(steps.map((step, i) => (i === stepIndex ? { ...step, ...changes } : step)));
+    };
+
+    const updateApprover = (stepIndex, approverIndex, approver) => {
+        updateStep(stepIndex, {
+            approvers: steps[stepIndex].approvers.map((a, j) => (j === approverIndex ? approver : a))
+        });
+    };
+
+    const changeApproverType = (stepIndex, approverIndex, type) => {
+        const approver = { type };
+        if (type === 'user' && users.length > 0) approver.userId = users[0].id;
+        updateApprover(stepIndex, approverIndex, approver);
+    };
+
+    const addApprover = (stepIndex) => {
+        updateStep(stepIndex, { approvers: [...steps[stepIndex].approvers, { type: 'project_manager' }] });
+    };
+
+    const removeApprover = (stepIndex, approverIndex) => {
+        const approvers = steps[stepIndex].approvers.filter((_, j) => j !== approverIndex);
+        if (approvers.length === 0) {
+            update(steps.filter((_, i) => i !== stepIndex));
+        } else {
+            updateStep(stepIndex, { approvers });
+        }
+    };
+
+    return (
+        <div className="approval-chain-editor">
+            {steps.length === 0 && (
+                <p className="approval-chain-hint">No approval chain: the project manager approves.</p>
+            )}
+
+            {steps.map((step, stepIndex) => (
+                <div key={stepIndex} className="approval-step-editor">
+                    <div className="approval-step-row">
+                        <span className="approval-step-number">{stepIndex + 1}</span>
+                        <input
+                            type="text"
+                            className="input"
+                            value={step.name}
+                            onChange={(e) => updateStep(stepIndex, { name: e.target.value })}
+                            placeholder="Step name (e.g. QA review)"
+                            required
+                        />
+                        <button type="button" className="approval-icon-btn" title="Remove step" onClick={() => update(steps.filter((_, i) => i !== stepIndex))}>
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+
+                    {step.approvers.map((approver, approverIndex) => (
+                        <div key={approverIndex} className="approval-step-row approval-approver-row">
+                            <select
+                                className="input"
+                                value={approver.type}
+                                onChange={(e) => changeApproverType(stepIndex, approverIndex, e.target.value)}
+                            >
+                                {Object.entries(APPROVER_TYPE_LABELS).map(([type, label]) => (
+                                    <option key={type} value={type}>{label}</option>
+                                ))}
+                            </select>
+                            {approver.type === 'user' && (
+                                <select
+                                    className="input"
+                                    value={approver.userId || ''}
+                                    onChange={(e) => updateApprover(stepIndex, approverIndex, { ...approver, userId: Number(e.target.value) })}
+                                    required
+                                >
+                                    <option value="" disabled>Choose a user</option>
+                                    {users.map(user => (
+                                        <option key={user.id} value={user.id}>{user.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <button type="button" className="approval-icon-btn" title="Remove approver" onClick={() => removeApprover(stepIndex, approverIndex)}>
+                                <X size={16} />
+                            </button>
+                        </div>
+                    ))}
+
+                    <button type="button" className="approval-link-btn" onClick={() => addApprover(stepIndex)}>
+                        <Plus size={14} /> Parallel approver
+                    </button>
+                </div>
+            ))}
+
+            <button type="button" className="approval-link-btn" onClick={() => update([...steps, emptyStep(steps.length)])}>
+                <Plus size={14} /> Approval step
+            </button>
+        </div>
+    );
+};
+
+export default ApprovalChainEditor;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { deliverableService } from '../services/api';
+import { CheckCircle, XCircle, Circle, X } from 'lucide-react';
+import ApprovalChainEditor, { APPROVER_TYPE_LABELS } from './ApprovalChainEditor';
+import CommentThread from './CommentThread';
+import VersionHistory from './VersionHistory';
+import DeliverableFile from './DeliverableFile';
+import './ApprovalPanel.css';
+
+// Button labels for the status changes the server allows, by current and next status
+const transitionLabel = (from, to) => {
+    if (to === 'review') return 'Submit for review';
+    if (from === 'pending') return 'Start work';
+    if (from === 'review') return 'Withdraw from review';
+    if (from === 'approved') return 'Reopen';
+    return 'Rework';
+};
+
+// Progress of a deliverable through its approval chain, with the decision form for current approvers
+// and the deliverable's file, version history and comment threads
+const ApprovalPanel = ({ deliverableId, access, users = [], onClose, onChanged }) => {
+    const [deliverable, setDeliverable] = useState(null);
+    const [comment, setComment] = useState('');
+    const [editingChain, setEditingChain] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setEditingChain(null);
+        setComment('');
+        setError('');
+        fetchDeliverable();
+    }, [deliverableId]);
+
+    const fetchDeliverable = async () => {
+        try {
+            setDeliverable(await deliverableService.getById(deliverableId));
+        } catch (err) {
+            console.error('Failed to fetch deliverable:', err);
+            setError('Failed to load approvals.');
+        }
+    };
+
+    const run = async (action) => {
+        setSubmitting(true);
+        setError('');
+        try {
+            await action();
+            await fetchDeliverable();
+            onChanged();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Something went wrong.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDecision = (decision) => {
+        if (!comment.trim()) {
+            setError('Please add a comment with your decision.');
+            return;
+        }
+        run(async () => {
+            await deliverableService.decide(deliverableId, decision, comment);
+            setComment('');
+        });
+    };
+
+    const handleSaveChain = () => run(async () => {
+        await deliverableService.setApprovalChain(deliverableId, editingChain.chain);
+        setEditingChain(null);
+    });
+
+    const handleContentChanged = () => {
+        fetchDeliverable();
+        onChanged();
+    };
+
+    const approverLabel = (approver) => {
+        if (approver.label) return approver.label;
+        if (approver.type === 'user') {
+            return users.find(user => user.id === approver.userId)?.name || `User #${approver.userId}`;
+        }
+        return APPROVER_TYPE_LABELS[approver.type];
+    };
+
+    if (!deliverable) {
+        return (
+            <div className="approval-panel">
+                {error ? <div className="error-message">{error}</div> : 'Loading...'}
+            </div>
+        );
+    }
+
+    const { approval } = deliverable;
+
+    return (
+        <div className="approval-panel">
+            <div className="approval-panel-header">
+                <div>
+                    <h3>{deliverable.name}</h3>
+                    <span className="approval-panel-meta">
+                        Status: {deliverable.status.replace('_', ' ')}
+                        {approval.round > 0 && ` · review round ${approval.round}`}
+                    </span>
+                </div>
+                <button className="action-btn" title="Close" onClick={onClose}><X size={16} /></button>
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            {editingChain ? (
+                <>
+                    <ApprovalChainEditor
+                        chain={editingChain.chain}
+                        users={users}
+                        onChange={(chain) => setEditingChain({ chain })}
+                    />
+                    <div className="approval-actions">
+                        <button className="toolbar-btn" disabled={submitting} onClick={handleSaveChain}>Save chain</button>
+                        <button className="toolbar-btn" disabled={submitting} onClick={() => setEditingChain(null)}>Cancel</button>
+                    </div>
+                </>
+            ) : (
+                <ol className="approval-steps">
+                    {approval.steps.map((step, stepIndex) => (
+                        <li
+                            key={stepIndex}
+                            className={`approval-step ${step.status} ${stepIndex === approval.currentStepIndex ? 'current' : ''}`}
+                        >
+                            <strong>{step.name}</strong>
+                            {step.approvers.map((approver, approverIndex) => (
+                                <div key={approverIndex} className="approval-approver">
+                                    {approver.decision === 'approved' && <CheckCircle size={14} className="approved" />}
+                                    {approver.decision === 'rejected' && <XCircle size={14} className="rejected" />}
+                                    {!approver.decision && <Circle size={14} />}
+                                    <span>{approverLabel(approver)}</span>
+                                    {approver.decision && (
+                                        <span className="approval-decision">
+                                            {approver.decision} by {approver.decidedBy}
+                                            {' '}on {format(new Date(approver.decidedAt), 'MMM d, yyyy HH:mm')}
+                                            {approver.comment && `: "${approver.comment}"`}
+                                        </span>
+                                    )}
+                                </div>
+                            ))}
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {approval.canDecide && (
+                <div className="approval-decision-form">
+                    <textarea
+                        className="input"
+                        value={comment}
+                        onChange={(e) => setComment(e.target.value)}
+                        placeholder="Comment (required)"
+                        rows={2}
+                    />
+                    <div className="approval-actions">
+                        <button className="toolbar-btn" disabled={submitting} onClick={() => handleDecision('approved')}>
+                            <CheckCircle size={14} /> Approve
+                        </button>
+                        <button className="toolbar-btn" disabled={submitting} onClick={() => handleDecision('rejected')}>
+                            <XCircle size={14} /> Reject
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {!editingChain && (
+                <div className="approval-actions">
+                    {deliverable.transitions.map(status => (
+                        <button
+                            key={status}
+                            className="toolbar-btn"
+                            disabled={submitting}
+                            onClick={() => run(() => deliverableService.updateStatus(deliverableId, status))}
+                        >
+                            {transitionLabel(deliverable.status, status)}
+                        </button>
+                    ))}
+                    {access?.canManage && deliverable.status !== 'review' && (
+                        <button
+                            className="toolbar-btn"
+                            disabled={submitting}
+                            onClick={() => setEditingChain({ chain: deliverable.approval_chain })}
+                        >
+                            Edit approval chain
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {deliverable.status === 'approved' && deliverable.completed_at && (
+                <p className="approval-panel-meta">
+                    Approved on {format(new Date(deliverable.completed_at), 'MMM d, yyyy HH:mm')}
+                </p>
+            )}
+
+            <DeliverableFile deliverable={deliverable} access={access} onUploaded={handleContentChanged} />
+
+            <VersionHistory deliverable={deliverable} access={access} onRestored={handleContentChanged} />
+
+            <CommentThread deliverable={deliverable} access={access} users={users} />
+        </div>
+    );
+};
+
+export default ApprovalPanel;
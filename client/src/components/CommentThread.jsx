@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { deliverableService } from '../services/api';
+import { realtimeService } from '../services/realtime';
+import { useAuth } from '../context/AuthContext';
+import { CheckCircle, RotateCcw, Pencil, Trash2, AtSign } from 'lucide-react';
+import './CommentThread.css';
+
+// Mentions are stored as @[Name](userId)
+const MENTION_PATTERN = /@\[([^\]]+)\]\((\d+)\)/g;
+
+const CommentBody = ({ body }) => {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+        parts.push(body.slice(lastIndex, match.index));
+        parts.push(<span key={match.index} className="comment-mention">@{match[1]}</span>);
+        lastIndex = match.index + match[0].length;
+    }
+    parts.push(body.slice(lastIndex));
+
+    return <p className="comment-body">{parts}</p>;
+};
+
+// Text box with a picker that inserts a mention of a project member
+const CommentEditor = ({ users, initialBody = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+    const [body, setBody] = useState(initialBody);
+    const [submitting, setSubmitting] = useState(false);
+
+    const insertMention = (userId) => {
+        const user = users.find(u => u.id === parseInt(userId));
+        if (!user) return;
+        setBody(current => `${current}${current && !current.endsWith(' ') ? ' ' : ''}@[${user.name}](${user.id}) `);
+    };
+
+    const handleSubmit = async () => {
+        if (!body.trim()) return;
+        setSubmitting(true);
+        try {
+            await onSubmit(body);
+            setBody('');
+        } catch {
+            // The thread shows the error; keep the text so it can be sent again
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="comment-editor">
+            <textarea
+                className="input"
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                placeholder={placeholder}
+                rows={2}
+            />
+            <div className="comment-editor-actions">
+                {users.length > 0 && (
+                    <label className="comment-mention-picker" title="Mention someone">
+                        <AtSign size={14} />
+                        <select value="" onChange={(e) => insertMention(e.target.value)}>
+                            <option value="">Mention...</option>
+                            {users.map(user => (
+                                <option key={user.id} value={user.id}>{user.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                <button className="toolbar-btn" disabled={submitting || !body.trim()} onClick={handleSubmit}>
+                    {submitLabel}
+                </button>
+                {onCancel && (
+                    <button className="toolbar-btn" disabled={submitting} onClick={onCancel}>Cancel</button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Comment threads of a deliverable, optionally about one of its versions
+const CommentThread = ({ deliverable, access, users = [] }) => {
+    const { user: currentUser } = useAuth();
+    const [threads, setThreads] = useState([]);
+    const [versionId, setVersionId] = useState('');
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [showResolved, setShowResolved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setReplyingTo(null);
+        setEditingId(null);
+        setVersionId('');
+        fetchComments();
+
+        // Other people's comments arrive through the project's live updates
+        return realtimeService.subscribeToProject(deliverable.project_id, (event, data) => {
+            if (event === 'comment_updated' && data.deliverableId === deliverable.id) {
+                fetchComments();
+            }
+        });
+    }, [deliverable.id]);
+
+    const fetchComments = async () => {
+        try {
+            setThreads(await deliverableService.getComments(deliverable.id));
+        } catch (err) {
+            console.error('Failed to fetch comments:', err);
+            setError('Failed to load comments.');
+        }
+    };
+
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            await fetchComments();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Something went wrong.');
+            throw err;
+        }
+    };
+
+    const handleDelete = (comment) => {
+        const what = comment.parent_id ? 'this reply' : 'this thread and its replies';
+        if (!window.confirm(`Delete ${what}?`)) return;
+        run(() => deliverableService.deleteComment(deliverable.id, comment.id)).catch(() => {});
+    };
+
+    const renderComment = (comment) => (
+        <div className="comment">
+            <div className="comment-header">
+                <strong>{comment.author_name}</strong>
+                <span className="comment-meta">
+                    {format(new Date(comment.created_at), 'MMM d, yyyy HH:mm')}
+                    {comment.edited_at && ' (edited)'}
+                </span>
+                {comment.user_id === currentUser?.id && (
+                    <button className="action-btn" title="Edit" onClick={() => setEditingId(comment.id)}>
+                        <Pencil size={12} />
+                    </button>
+                )}
+                {(comment.user_id === currentUser?.id || access?.canManage) && (
+                    <button className="action-btn" title="Delete" onClick={() => handleDelete(comment)}>
+                        <Trash2 size={12} />
+                    </button>
+                )}
+            </div>
+            {editingId === comment.id ? (
+                <CommentEditor
+                    users={users}
+                    initialBody={comment.body}
+                    submitLabel="Save"
+                    onSubmit={(body) => run(async () => {
+                        await deliverableService.updateComment(deliverable.id, comment.id, body);
+                        setEditingId(null);
+                    })}
+                    onCancel={() => setEditingId(null)}
+                />
+            ) : (
+                <CommentBody body={comment.body} />
+            )}
+        </div>
+    );
+
+    const resolvedCount = threads.filter(thread => thread.resolved_at).length;
+    const visibleThreads = threads.filter(thread => showResolved || !thread.resolved_at);
+    const versions = deliverable.versions || [];
+
+    return (
+        <div className="comment-threads">
+            <div className="comment-threads-header">
+                <h4>Comments</h4>
+                {resolvedCount > 0 && (
+                    <button className="approval-link-btn" onClick={() => setShowResolved(!showResolved)}>
+                        {showResolved ? 'Hide' : 'Show'} {resolvedCount} resolved
+                    </button>
+                )}
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            {visibleThreads.length === 0 && <p className="comment-meta">No comments yet.</p>}
+
+            {visibleThreads.map(thread => (
+                <div key={thread.id} className={`comment-thread ${thread.resolved_at ? 'resolved' : ''}`}>
+                    {thread.version_number && (
+                        <span className="comment-version">On version {thread.version_number}</span>
+                    )}
+                    {renderComment(thread)}
+
+                    {thread.replies.map(reply => (
+                        <div key={reply.id} className="comment-reply">{renderComment(reply)}</div>
+                    ))}
+
+                    {thread.resolved_at ? (
+                        <div className="comment-thread-actions">
+                            <span className="comment-meta">
+                                Resolved by {thread.resolved_by_name} on {format(new Date(thread.resolved_at), 'MMM d, yyyy')}
+                            </span>
+                            <button
+                                className="approval-link-btn"
+                                onClick={() => run(() => deliverableService.unresolveComment(deliverable.id, thread.id)).catch(() => {})}
+                            >
+                                <RotateCcw size={12} /> Reopen
+                            </button>
+                        </div>
+                    ) : replyingTo === thread.id ? (
+                        <div className="comment-reply">
+                            <CommentEditor
+                                users={users}
+                                placeholder="Reply..."
+                                submitLabel="Reply"
+                                onSubmit={(body) => run(async () => {
+                                    await deliverableService.addComment(deliverable.id, { body, parentId: thread.id });
+                                    setReplyingTo(null);
+                                })}
+                                onCancel={() => setReplyingTo(null)}
+                            />
+                        </div>
+                    ) : (
+                        <div className="comment-thread-actions">
+                            <button className="approval-link-btn" onClick={() => setReplyingTo(thread.id)}>Reply</button>
+                            <button
+                                className="approval-link-btn"
+                                onClick={() => run(() => deliverableService.resolveComment(deliverable.id, thread.id)).catch(() => {})}
+                            >
+                                <CheckCircle size={12} /> Resolve
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <div className="comment-new">
+                {versions.length > 0 && (
+                    <select className="input" value={versionId} onChange={(e) => setVersionId(e.target.value)}>
+                        <option value="">About the deliverable</option>
+                        {versions.map(version => (
+                            <option key={version.id} value={version.id}>About version {version.version_number}</option>
+                        ))}
+                    </select>
+                )}
+                <CommentEditor
+                    users={users}
+                    placeholder="Add a comment... (use Mention to notify someone)"
+                    submitLabel="Comment"
+                    onSubmit={(body) => run(() => deliverableService.addComment(deliverable.id, {
+                        body,
+                        ...(versionId && { versionId: parseInt(versionId) })
+                    }))}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default CommentThread;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { deliverableService } from '../services/api';
+import { Paperclip, Download, Upload } from 'lucide-react';
+import './DeliverableFile.css';
+
+export const formatFileSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+};
+
+// The deliverable's current file, and uploading a new one as a new version
+const DeliverableFile = ({ deliverable, access, onUploaded }) => {
+    const [changeNotes, setChangeNotes] = useState('');
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    // Versions that restore a file reuse its key, so any version with the key describes it
+    const current = deliverable.file_path
+        ? deliverable.versions.find(version => version.file_path === deliverable.file_path)
+        : null;
+
+    const handleDownload = async () => {
+        setError('');
+        try {
+            await deliverableService.downloadFile(deliverable.id, current?.file_name || 'download');
+        } catch (err) {
+            setError('Failed to download file.');
+        }
+    };
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setUploading(true);
+        setError('');
+        try {
+            await deliverableService.uploadFile(deliverable.id, file, changeNotes.trim());
+            setChangeNotes('');
+            onUploaded();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to upload file.');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    // Files in review or approved are frozen until the deliverable is moved back to in_progress
+    const canUpload = access?.canContribute && !['review', 'approved'].includes(deliverable.status);
+
+    if (!current && !canUpload) return null;
+
+    return (
+        <div className="deliverable-file">
+            {current ? (
+                <div className="deliverable-file-current">
+                    <Paperclip size={14} />
+                    <span>{current.file_name}</span>
+                    <span className="deliverable-file-meta">{formatFileSize(current.file_size)}</span>
+                    <button className="action-btn" title="Download" onClick={handleDownload}>
+                        <Download size={14} />
+                    </button>
+                </div>
+            ) : (
+                <span className="deliverable-file-meta">No file uploaded.</span>
+            )}
+
+            {canUpload && (
+                <div className="deliverable-file-upload">
+                    <input
+                        className="input"
+                        value={changeNotes}
+                        onChange={(e) => setChangeNotes(e.target.value)}
+                        placeholder="Change notes (optional)"
+                    />
+                    <label className={`toolbar-btn ${uploading ? 'disabled' : ''}`}>
+                        <Upload size={14} /> {uploading ? 'Uploading...' : current ? 'Upload new version' : 'Upload file'}
+                        <input type="file" hidden disabled={uploading} onChange={handleUpload} />
+                    </label>
+                </div>
+            )}
+
+            {error && <div className="error-message">{error}</div>}
+        </div>
+    );
+};
+
+export default DeliverableFile;
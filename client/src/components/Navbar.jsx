@@ -1,13 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { LogOut, LayoutDashboard, FolderKanban, FileText, Settings } from 'lucide-react';
+import { authService } from '../services/api';
+import { LogOut, LayoutDashboard, FolderKanban, FileText, Settings, Users, MailPlus, ScrollText } from 'lucide-react';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
 
+    const [verificationSent, setVerificationSent] = useState(false);
+
+    const handleResendVerification = async () => {
+        try {
+            await authService.resendVerification();
+            setVerificationSent(true);
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to send verification email.');
+        }
+    };
+
     const handleLogout = () => {
         logout();
         navigate('/login');
@@ -15,31 +28,61 @@ const Navbar = () => {
 
     if (!user) return null;
 
+    const isClient = user.role === 'client';
+
     return (
         <nav className="navbar glass">
             <div className="navbar-container">
-                <Link to="/dashboard" className="navbar-brand">
+                <Link to={isClient ? '/portal' : '/dashboard'} className="navbar-brand">
                     <FolderKanban size={28} />
                     <span>PM Software</span>
                 </Link>
 
                 <div className="navbar-links">
-                    <Link to="/dashboard" className="nav-link">
-                        <LayoutDashboard size={20} />
-                        <span>Dashboard</span>
-                    </Link>
-                    <Link to="/projects" className="nav-link">
-                        <FolderKanban size={20} />
-                        <span>Projects</span>
-                    </Link>
-                    <Link to="/templates" className="nav-link">
-                        <FileText size={20} />
-                        <span>Templates</span>
-                    </Link>
+                    {isClient ? (
+                        <Link to="/portal" className="nav-link">
+                            <FolderKanban size={20} />
+                            <span>My Projects</span>
+                        </Link>
+                    ) : (
+                        <>
+                            <Link to="/dashboard" className="nav-link">
+                                <LayoutDashboard size={20} />
+                                <span>Dashboard</span>
+                            </Link>
+                            <Link to="/projects" className="nav-link">
+                                <FolderKanban size={20} />
+                                <span>Projects</span>
+                            </Link>
+                            <Link to="/templates" className="nav-link">
+                                <FileText size={20} />
+                                <span>Templates</span>
+                            </Link>
+                            {user.role === 'admin' && (
+                                <Link to="/users" className="nav-link">
+                                    <Users size={20} />
+                                    <span>Users</span>
+                                </Link>
+                            )}
+                            {(user.role === 'admin' || user.role === 'pm') && (
+                                <Link to="/invitations" className="nav-link">
+                                    <MailPlus size={20} />
+                                    <span>Invitations</span>
+                                </Link>
+                            )}
+                            {user.role === 'admin' && (
+                                <Link to="/audit" className="nav-link">
+                                    <ScrollText size={20} />
+                                    <span>Audit</span>
+                                </Link>
+                            )}
+                        </>
+                    )}
                 </div>
 
                 <div className="navbar-user">
-                    <div className="user-info">
+                    <NotificationBell />
+                    <Link to="/account/sessions" className="user-info" title="Your sessions">
                         <div className="user-avatar">
                             {user.firstName?.[0]}{user.lastName?.[0]}
                         </div>
@@ -47,12 +90,19 @@ const Navbar = () => {
                             <div className="user-name">{user.firstName} {user.lastName}</div>
                             <div className="user-role">{user.role}</div>
                         </div>
-                    </div>
+                    </Link>
                     <button onClick={handleLogout} className="btn btn-secondary">
                         <LogOut size={18} />
                     </button>
                 </div>
             </div>
+            {user.emailVerified === false && (
+                <div className="verify-email-banner">
+                    {verificationSent
+                        ? `We sent a confirmation link to ${user.email}.`
+                        : <>Please confirm your email address. <button onClick={handleResendVerification}>Resend the link</button></>}
+                </div>
+            )}
         </nav>
     );
 };
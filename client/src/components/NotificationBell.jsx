@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell, CheckCheck } from 'lucide-react';
+import { notificationService } from '../services/api';
+import { realtimeService } from '../services/realtime';
+import './NotificationBell.css';
+
+const PAGE_SIZE = 10;
+const POLL_INTERVAL_MS = 300000;
+
+const NotificationBell = () => {
+    const [open, setOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        fetchUnreadCount();
+        // Polling is a fallback for when the live connection is down
+        const interval = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        return realtimeService.onUserEvent((event, data) => {
+            if (event !== 'notification') return;
+            setUnreadCount(prev => prev + 1);
+            setNotifications(prev => (prev.some(n => n.id === data.id) ? prev : [data, ...prev]));
+        });
+    }, []);
+
+    useEffect(() => {
+        if (open) {
+            fetchNotifications(1);
+        }
+    }, [open, unreadOnly]);
+
+    // Close the panel when clicking outside of it
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const fetchUnreadCount = async () => {
+        try {
+            const count = await notificationService.getUnreadCount();
+            setUnreadCount(count);
+        } catch (error) {
+            console.error('Failed to fetch unread count:', error);
+        }
+    };
+
+    const fetchNotifications = async (pageToLoad) => {
+        setLoading(true);
+        try {
+            const data = await notificationService.getAll({ unread: unreadOnly, page: pageToLoad, limit: PAGE_SIZE });
+            setNotifications(prev => (pageToLoad === 1 ? data.notifications : [...prev, ...data.notifications]));
+            setUnreadCount(data.unreadCount);
+            setHasMore(data.hasMore);
+            setPage(pageToLoad);
+        } catch (error) {
+            console.error('Failed to fetch notifications:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleMarkAsRead = async (notification) => {
+        if (notification.is_read) return;
+        try {
+            await notificationService.markAsRead(notification.id);
+            setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, is_read: true } : n)));
+            setUnreadCount(prev => Math.max(0, prev - 1));
+        } catch (error) {
+            console.error('Failed to mark notification as read:', error);
+        }
+    };
+
+    const handleMarkAllAsRead = async () => {
+        try {
+            await notificationService.markAllAsRead();
+            setNotifications(prev => (unreadOnly ? [] : prev.map(n => ({ ...n, is_read: true }))));
+            setUnreadCount(0);
+        } catch (error) {
+            console.error('Failed to mark all notifications as read:', error);
+        }
+    };
+
+    const handleOpenNotification = (notification) => {
+        handleMarkAsRead(notification);
+        setOpen(false);
+    };
+
+    return (
+        <div className="notification-bell" ref={containerRef}>
+            <button
+                className="notification-bell-btn"
+                onClick={() => setOpen(prev => !prev)}
+                title="Notifications"
+            >
+                <Bell size={20} />
+                {unreadCount > 0 && (
+                    <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {open && (
+                <div className="notification-panel card">
+                    <div className="notification-panel-header">
+                        <h3>Notifications</h3>
+                        <div className="notification-panel-actions">
+                            <label className="notification-filter">
+                                <input
+                                    type="checkbox"
+                                    checked={unreadOnly}
+                                    onChange={(e) => setUnreadOnly(e.target.checked)}
+                                />
+                                Unread only
+                            </label>
+                            <button
+                                className="notification-mark-all"
+                                onClick={handleMarkAllAsRead}
+                                disabled={unreadCount === 0}
+                                title="Mark all as read"
+                            >
+                                <CheckCheck size={16} />
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="notification-list">
+                        {notifications.length === 0 && !loading && (
+                            <div className="notification-empty">You're all caught up</div>
+                        )}
+
+                        {notifications.map(notification => {
+                            const content = (
+                                <>
+                                    <div className="notification-title">{notification.title}</div>
+                                    {notification.message && (
+                                        <div className="notification-message">{notification.message}</div>
+                                    )}
+                                    <div className="notification-meta">
+                                        {notification.project_name && <span>{notification.project_name} · </span>}
+                                        {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                                    </div>
+                                </>
+                            );
+
+                            const className = `notification-item ${notification.is_read ? '' : 'unread'}`;
+
+                            return notification.related_project_id ? (
+                                <Link
+                                    key={notification.id}
+                                    to={`/projects/${notification.related_project_id}`}
+                                    className={className}
+                                    onClick={() => handleOpenNotification(notification)}
+                                >
+                                    {content}
+                                </Link>
+                            ) : (
+                                <div
+                                    key={notification.id}
+                                    className={className}
+                                    onClick={() => handleMarkAsRead(notification)}
+                                >
+                                    {content}
+                                </div>
+                            );
+                        })}
+
+                        {loading && <div className="notification-empty">Loading...</div>}
+
+                        {hasMore && !loading && (
+                            <button className="notification-load-more" onClick={() => fetchNotifications(page + 1)}>
+                                Load more
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
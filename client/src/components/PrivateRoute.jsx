@@ -2,8 +2,14 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const PrivateRoute = ({ children }) => {
-    const { isAuthenticated, loading } = useAuth();
+export const STAFF_ROLES = ['admin', 'pm', 'team_member'];
+export const ALL_ROLES = [...STAFF_ROLES, 'client'];
+
+// Clients only get the client portal; staff never see it
+export const homePathFor = (user) => (user?.role === 'client' ? '/portal' : '/dashboard');
+
+const PrivateRoute = ({ children, roles = STAFF_ROLES }) => {
+    const { user, isAuthenticated, loading } = useAuth();
 
     if (loading) {
         return (
@@ -13,7 +19,15 @@ const PrivateRoute = ({ children }) => {
         );
     }
 
-    return isAuthenticated ? children : <Navigate to="/login" />;
+    if (!isAuthenticated) {
+        return <Navigate to="/login" />;
+    }
+
+    if (!roles.includes(user.role)) {
+        return <Navigate to={homePathFor(user)} replace />;
+    }
+
+    return children;
 };
 
 export default PrivateRoute;
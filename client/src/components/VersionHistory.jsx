@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { deliverableService } from '../services/api';
+import { History, ChevronDown, ChevronRight, Undo2, Paperclip } from 'lucide-react';
+import { formatFileSize } from './DeliverableFile';
+import './VersionHistory.css';
+
+const LINE_MARKERS = { added: '+', removed: '-', equal: ' ' };
+
+// Line diffs read like a unified diff, one marked line per line of content
+const renderChange = (change, granularity) => {
+    if (granularity === 'word') return change.value;
+    return change.value.split('\n').map(line => `${LINE_MARKERS[change.type]} ${line}\n`).join('');
+};
+
+// Versions of a deliverable's content: who changed what, a diff between any two, and restore
+const VersionHistory = ({ deliverable, access, onRestored }) => {
+    const [open, setOpen] = useState(false);
+    const [versions, setVersions] = useState([]);
+    const [compare, setCompare] = useState({ from: '', to: '', granularity: 'line' });
+    const [diff, setDiff] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (open) fetchVersions();
+    }, [open, deliverable.id, deliverable.updated_at]);
+
+    useEffect(() => {
+        setOpen(false);
+        setDiff(null);
+        setError('');
+    }, [deliverable.id]);
+
+    useEffect(() => {
+        if (compare.from && compare.to && compare.from !== compare.to) {
+            fetchDiff();
+        } else {
+            setDiff(null);
+        }
+    }, [compare]);
+
+    const fetchVersions = async () => {
+        try {
+            const data = await deliverableService.getVersions(deliverable.id);
+            setVersions(data);
+            // Start by comparing the latest version with the one before it
+            if (data.length > 1) {
+                setCompare(current => ({ ...current, from: data[1].version_number, to: data[0].version_number }));
+            }
+        } catch (err) {
+            console.error('Failed to fetch versions:', err);
+            setError('Failed to load version history.');
+        }
+    };
+
+    const fetchDiff = async () => {
+        try {
+            setDiff(await deliverableService.diffVersions(deliverable.id, compare.from, compare.to, compare.granularity));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to compare versions.');
+        }
+    };
+
+    const handleDownload = async (version) => {
+        setError('');
+        try {
+            await deliverableService.downloadVersionFile(deliverable.id, version.version_number, version.file_name);
+        } catch (err) {
+            setError('Failed to download file.');
+        }
+    };
+
+    const handleRestore = async (version) => {
+        const changeNotes = window.prompt(
+            `Restore version ${version.version_number}? This saves its content (and file) as a new version.\n\nChange notes (optional):`,
+            `Restored version ${version.version_number}`
+        );
+        if (changeNotes === null) return;
+
+        setSubmitting(true);
+        setError('');
+        try {
+            await deliverableService.restoreVersion(deliverable.id, version.version_number, changeNotes);
+            onRestored();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to restore version.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Content in review or approved is frozen until the deliverable is moved back to in_progress
+    const canRestore = access?.canContribute && !['review', 'approved'].includes(deliverable.status);
+
+    const versionOptions = versions.map(version => (
+        <option key={version.id} value={version.version_number}>Version {version.version_number}</option>
+    ));
+
+    return (
+        <div className="version-history">
+            <button className="version-history-toggle" onClick={() => setOpen(!open)}>
+                {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                <History size={14} /> History
+            </button>
+
+            {open && (
+                <>
+                    {error && <div className="error-message">{error}</div>}
+
+                    {versions.length === 0 && <p className="version-meta">No versions saved yet.</p>}
+
+                    <ul className="version-list">
+                        {versions.map((version, index) => (
+                            <li key={version.id} className="version-item">
+                                <div className="version-item-header">
+                                    <strong>v{version.version_number}</strong>
+                                    <span>{version.creator_name || 'Unknown'}</span>
+                                    <span className="version-meta">
+                                        {format(new Date(version.created_at), 'MMM d, yyyy HH:mm')}
+                                    </span>
+                                    <span className="version-stat added">+{version.stats.added}</span>
+                                    <span className="version-stat removed">-{version.stats.removed}</span>
+                                    {index > 0 && canRestore && (
+                                        <button
+                                            className="action-btn"
+                                            title="Restore this version"
+                                            disabled={submitting}
+                                            onClick={() => handleRestore(version)}
+                                        >
+                                            <Undo2 size={12} />
+                                        </button>
+                                    )}
+                                </div>
+                                {version.change_notes && <p className="version-notes">{version.change_notes}</p>}
+                                {version.file_path && (
+                                    <button className="approval-link-btn" onClick={() => handleDownload(version)}>
+                                        <Paperclip size={12} /> {version.file_name} ({formatFileSize(version.file_size)})
+                                    </button>
+                                )}
+                                {version.restored_from && (
+                                    <span className="version-meta">Restored from v{version.restored_from}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+
+                    {versions.length > 1 && (
+                        <div className="version-compare">
+                            <div className="version-compare-controls">
+                                <select
+                                    className="input"
+                                    value={compare.from}
+                                    onChange={(e) => setCompare({ ...compare, from: parseInt(e.target.value) })}
+                                >
+                                    {versionOptions}
+                                </select>
+                                <span>to</span>
+                                <select
+                                    className="input"
+                                    value={compare.to}
+                                    onChange={(e) => setCompare({ ...compare, to: parseInt(e.target.value) })}
+                                >
+                                    {versionOptions}
+                                </select>
+                                <select
+                                    className="input"
+                                    value={compare.granularity}
+                                    onChange={(e) => setCompare({ ...compare, granularity: e.target.value })}
+                                >
+                                    <option value="line">By line</option>
+                                    <option value="word">By word</option>
+                                </select>
+                            </div>
+
+                            {diff && (
+                                <>
+                                    <span className="version-meta">
+                                        {diff.stats.added} {diff.granularity}s added, {diff.stats.removed} removed
+                                    </span>
+                                    <pre className={`version-diff ${diff.granularity}`}>
+                                        {diff.changes.map((change, index) => (
+                                            <span key={index} className={`diff-${change.type}`}>
+                                                {renderChange(change, diff.granularity)}
+                                            </span>
+                                        ))}
+                                    </pre>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VersionHistory;
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { authService } from '../services/api';
+import { realtimeService } from '../services/realtime';
 
 const AuthContext = createContext(null);
 
@@ -28,22 +29,45 @@ export const AuthProvider = ({ children }) => {
         return data;
     };
 
+    const loginWithSso = async (code) => {
+        const data = await authService.exchangeSsoCode(code);
+        setUser(data.user);
+        return data;
+    };
+
     const register = async (userData) => {
         const data = await authService.register(userData);
         setUser(data.user);
         return data;
     };
 
+    const acceptInvitation = async (invitationData) => {
+        const data = await authService.acceptInvitation(invitationData);
+        setUser(data.user);
+        return data;
+    };
+
     const logout = () => {
+        realtimeService.disconnect();
         authService.logout();
         setUser(null);
     };
 
+    // Reload the user from the server (e.g. after verifying their email)
+    const refreshUser = async () => {
+        const currentUser = await authService.getMe();
+        setUser(currentUser);
+        return currentUser;
+    };
+
     const value = {
         user,
         login,
+        loginWithSso,
         register,
+        acceptInvitation,
         logout,
+        refreshUser,
         isAuthenticated: !!user,
         loading,
     };
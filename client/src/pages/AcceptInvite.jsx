@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { homePathFor } from '../components/PrivateRoute';
+import './Auth.css';
+
+const ROLE_LABELS = {
+    admin: 'an administrator',
+    pm: 'a project manager',
+    team_member: 'a team member',
+    client: 'a client'
+};
+
+const AcceptInvite = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [invitation, setInvitation] = useState(null);
+    const [formData, setFormData] = useState({ firstName: '', lastName: '', password: '', confirmPassword: '' });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(!!token);
+    const [saving, setSaving] = useState(false);
+    const { acceptInvitation } = useAuth();
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        if (!token) return;
+
+        authService.getInvitation(token)
+            .then(setInvitation)
+            .catch(err => setError(err.response?.data?.error || 'Failed to load invitation.'))
+            .finally(() => setLoading(false));
+    }, [token]);
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const data = await acceptInvitation({
+                token,
+                firstName: formData.firstName,
+                lastName: formData.lastName,
+                password: formData.password
+            });
+            navigate(homePathFor(data.user));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create your account. Please try again.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Create Your Account</h1>
+                    {invitation && (
+                        <p>
+                            {invitation.invitedByName} invited you as {ROLE_LABELS[invitation.role]}
+                            {invitation.projectName && <> on <strong>{invitation.projectName}</strong></>}.
+                            {' '}This invitation expires on {format(new Date(invitation.expiresAt), 'MMM d, yyyy')}.
+                        </p>
+                    )}
+                </div>
+
+                {!token && <div className="error-message">This invitation link is incomplete. Please use the link from your email.</div>}
+                {error && <div className="error-message">{error}</div>}
+
+                {invitation && (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label className="label">Email</label>
+                            <input type="email" className="input" value={invitation.email} disabled />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="label">First Name</label>
+                            <input
+                                type="text"
+                                name="firstName"
+                                className="input"
+                                value={formData.firstName}
+                                onChange={handleChange}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="label">Last Name</label>
+                            <input
+                                type="text"
+                                name="lastName"
+                                className="input"
+                                value={formData.lastName}
+                                onChange={handleChange}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="label">Password</label>
+                            <input
+                                type="password"
+                                name="password"
+                                className="input"
+                                value={formData.password}
+                                onChange={handleChange}
+                                minLength={6}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="label">Confirm Password</label>
+                            <input
+                                type="password"
+                                name="confirmPassword"
+                                className="input"
+                                value={formData.confirmPassword}
+                                onChange={handleChange}
+                                minLength={6}
+                                required
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary full-width" disabled={saving}>
+                            {saving ? 'Creating account...' : 'Create Account'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        Already have an account?{' '}
+                        <Link to="/login" className="auth-link">Sign in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AcceptInvite;
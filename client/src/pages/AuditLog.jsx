@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { auditService } from '../services/api';
+import { ScrollText } from 'lucide-react';
+import './Users.css';
+
+const ACTIONS = [
+    'invitation.created',
+    'invitation.accepted',
+    'invitation.revoked',
+    'user.registered',
+    'user.provisioned',
+    'identity.linked',
+    'user.role_changed',
+    'user.deactivated',
+    'user.reactivated'
+];
+
+const AuditLog = () => {
+    const [entries, setEntries] = useState([]);
+    const [action, setAction] = useState('');
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [action, page]);
+
+    const fetchEntries = async () => {
+        try {
+            const params = { page };
+            if (action) params.action = action;
+
+            const data = await auditService.getEntries(params);
+            setEntries(data.entries);
+            setHasMore(data.hasMore);
+        } catch (error) {
+            console.error('Failed to fetch audit log:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleActionChange = (e) => {
+        setAction(e.target.value);
+        setPage(1);
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="users-container">
+            <div className="users-header">
+                <div>
+                    <h1>Audit Log</h1>
+                    <p className="subtitle">Invitations, sign-ups and account changes</p>
+                </div>
+            </div>
+
+            <div className="users-filters invite-filters card">
+                <select className="input" value={action} onChange={handleActionChange}>
+                    <option value="">All actions</option>
+                    {ACTIONS.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            {entries.length === 0 ? (
+                <div className="empty-state card">
+                    <ScrollText size={48} color="var(--gray-400)" />
+                    <h3>No audit entries found</h3>
+                </div>
+            ) : (
+                <div className="card users-table-card">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>When</th>
+                                <th>Who</th>
+                                <th>Action</th>
+                                <th>Details</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{format(new Date(entry.created_at), 'MMM d, yyyy HH:mm')}</td>
+                                    <td>
+                                        {entry.actor_name || 'System'}
+                                        {entry.ip_address && <div className="users-meta">{entry.ip_address}</div>}
+                                    </td>
+                                    <td>{entry.action}</td>
+                                    <td className="audit-details">
+                                        {entry.details ? JSON.stringify(entry.details) : ''}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {(page > 1 || hasMore) && (
+                <div className="audit-pagination">
+                    <button className="btn btn-secondary" disabled={page === 1} onClick={() => setPage(page - 1)}>
+                        Newer
+                    </button>
+                    <button className="btn btn-secondary" disabled={!hasMore} onClick={() => setPage(page + 1)}>
+                        Older
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
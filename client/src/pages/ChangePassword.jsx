@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+import './Auth.css';
+
+const ChangePassword = () => {
+    const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+
+        if (form.newPassword !== form.confirmPassword) {
+            setError('New passwords do not match.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const data = await authService.changePassword(form.currentPassword, form.newPassword);
+            setMessage(`${data.message}. Your other devices have been signed out.`);
+            setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to change password.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Change Password</h1>
+                    <p>Other devices will be signed out</p>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+                {message && <div className="success-message">{message}</div>}
+
+                <form onSubmit={handleSubmit} className="auth-form">
+                    <div className="form-group">
+                        <label className="label">Current Password</label>
+                        <input
+                            type="password"
+                            name="currentPassword"
+                            className="input"
+                            value={form.currentPassword}
+                            onChange={handleChange}
+                            required
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="label">New Password</label>
+                        <input
+                            type="password"
+                            name="newPassword"
+                            className="input"
+                            value={form.newPassword}
+                            onChange={handleChange}
+                            minLength={6}
+                            required
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="label">Confirm New Password</label>
+                        <input
+                            type="password"
+                            name="confirmPassword"
+                            className="input"
+                            value={form.confirmPassword}
+                            onChange={handleChange}
+                            minLength={6}
+                            required
+                        />
+                    </div>
+
+                    <button type="submit" className="btn btn-primary full-width" disabled={loading}>
+                        {loading ? 'Saving...' : 'Change Password'}
+                    </button>
+                </form>
+
+                <div className="auth-footer">
+                    <p>
+                        <Link to="/account/sessions" className="auth-link">Manage your sessions</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChangePassword;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { portalService } from '../services/api';
+import { FolderKanban, Clock } from 'lucide-react';
+import './ClientPortal.css';
+
+const ClientPortal = () => {
+    const { user } = useAuth();
+    const [projects, setProjects] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        fetchProjects();
+    }, []);
+
+    const fetchProjects = async () => {
+        try {
+            const data = await portalService.getProjects();
+            setProjects(data);
+        } catch (error) {
+            console.error('Failed to fetch projects:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="client-portal">
+            <div className="portal-header">
+                <h1>Welcome, {user?.firstName}!</h1>
+                <p className="subtitle">Follow your projects and review what we share with you</p>
+            </div>
+
+            {projects.length === 0 ? (
+                <div className="empty-state card">
+                    <FolderKanban size={48} color="var(--gray-400)" />
+                    <h3>No projects yet</h3>
+                    <p>Projects you are invited to will appear here</p>
+                </div>
+            ) : (
+                <div className="portal-projects">
+                    {projects.map((project) => (
+                        <Link key={project.id} to={`/portal/projects/${project.id}`} className="card portal-project-card">
+                            <div className="portal-project-title">
+                                <h3>{project.name}</h3>
+                                <span className="badge badge-info">{project.status.replace('_', ' ')}</span>
+                            </div>
+
+                            {project.description && <p className="portal-muted">{project.description}</p>}
+
+                            <div className="portal-muted">Project manager: {project.pm_name}</div>
+
+                            {project.start_date && (
+                                <div className="portal-muted portal-dates">
+                                    <Clock size={14} />
+                                    {new Date(project.start_date).toLocaleDateString()} - {new Date(project.end_date).toLocaleDateString()}
+                                </div>
+                            )}
+                        </Link>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ClientPortal;
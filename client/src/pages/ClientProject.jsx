@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { portalService } from '../services/api';
+import { ArrowLeft, CheckCircle, XCircle, FileText, Download } from 'lucide-react';
+import './ClientPortal.css';
+
+const ClientProject = () => {
+    const { id } = useParams();
+    const [project, setProject] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [selected, setSelected] = useState(null);
+    const [comment, setComment] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchProject();
+    }, [id]);
+
+    const fetchProject = async () => {
+        try {
+            const data = await portalService.getProject(id);
+            setProject(data);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load project');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openDeliverable = async (deliverableId) => {
+        try {
+            setSelected(await portalService.getDeliverable(deliverableId));
+            setComment('');
+        } catch (err) {
+            window.alert(err.response?.data?.error || 'Failed to load deliverable.');
+        }
+    };
+
+    const handleReview = async (decision) => {
+        if (!comment.trim()) {
+            window.alert(decision === 'rejected'
+                ? 'Please tell us what needs to change.'
+                : 'Please add a comment with your approval.');
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            await portalService.review(selected.id, decision, comment.trim());
+            await Promise.all([openDeliverable(selected.id), fetchProject()]);
+        } catch (err) {
+            window.alert(err.response?.data?.error || 'Failed to submit review.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDownload = async () => {
+        try {
+            await portalService.downloadFile(selected.id, selected.file.name);
+        } catch (err) {
+            window.alert('Failed to download file.');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+    if (error) return <div className="error-message">{error}</div>;
+
+    return (
+        <div className="client-portal">
+            <Link to="/portal" className="portal-back">
+                <ArrowLeft size={16} /> All projects
+            </Link>
+
+            <div className="portal-header">
+                <h1>{project.name}</h1>
+                {project.description && <p className="subtitle">{project.description}</p>}
+            </div>
+
+            <div className="portal-layout">
+                <div className="portal-phases">
+                    {project.phases.map(phase => (
+                        <div key={phase.id} className="card portal-phase">
+                            <div className="portal-phase-title">
+                                <h3>{phase.name}</h3>
+                                <span className="portal-muted">{phase.progress}%</span>
+                            </div>
+                            <div className="portal-progress">
+                                <div className="portal-progress-fill" style={{ width: `${phase.progress}%` }}></div>
+                            </div>
+
+                            {phase.deliverables.map(deliverable => (
+                                <button
+                                    key={deliverable.id}
+                                    className={`portal-deliverable ${selected?.id === deliverable.id ? 'active' : ''}`}
+                                    onClick={() => openDeliverable(deliverable.id)}
+                                >
+                                    <FileText size={14} />
+                                    <span>{deliverable.name}</span>
+                                    <span className={`portal-status ${deliverable.status}`}>{deliverable.status.replace('_', ' ')}</span>
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+
+                {selected && (
+                    <div className="card portal-review">
+                        <h2>{selected.name}</h2>
+                        <div className="portal-muted">{selected.phase_name}</div>
+                        {selected.description && <p>{selected.description}</p>}
+                        <pre className="portal-content">{selected.content || 'No content yet.'}</pre>
+                        {selected.file && (
+                            <button
+                                className="portal-file"
+                                onClick={handleDownload}
+                            >
+                                <Download size={14} /> {selected.file.name}
+                            </button>
+                        )}
+
+                        {selected.status === 'review' && !selected.approval.awaiting_client_approval && (
+                            <div className="portal-muted">
+                                In review{selected.approval.current_step && ` (${selected.approval.current_step})`}.
+                                We will ask for your approval when it is ready for you.
+                            </div>
+                        )}
+
+                        {selected.approval.awaiting_client_approval && (
+                            <div className="portal-review-form">
+                                <textarea
+                                    className="input"
+                                    rows={3}
+                                    placeholder="Comments (required)"
+                                    value={comment}
+                                    onChange={(e) => setComment(e.target.value)}
+                                />
+                                <div className="portal-review-actions">
+                                    <button className="btn btn-success" disabled={submitting} onClick={() => handleReview('approved')}>
+                                        <CheckCircle size={16} /> Approve
+                                    </button>
+                                    <button className="btn btn-danger" disabled={submitting} onClick={() => handleReview('rejected')}>
+                                        <XCircle size={16} /> Request changes
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {selected.reviews.length > 0 && (
+                            <div className="portal-review-history">
+                                <h4>Review history</h4>
+                                {selected.reviews.map(review => (
+                                    <div key={review.id} className="portal-review-entry">
+                                        <strong>{review.reviewer_name}</strong> {review.decision} on {new Date(review.created_at).toLocaleDateString()}
+                                        {review.comment && <div className="portal-muted">{review.comment}</div>}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ClientProject;
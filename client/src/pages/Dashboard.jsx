@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { projectService } from '../services/api';
+import { realtimeService } from '../services/realtime';
 import { LayoutDashboard, FolderKanban, Plus, Clock, CheckCircle } from 'lucide-react';
 import './Dashboard.css';
 
@@ -19,6 +20,22 @@ const Dashboard = () => {
         fetchProjects();
     }, []);
 
+    // Live updates for every listed project
+    const projectIds = projects.map(p => p.id).join(',');
+    useEffect(() => {
+        let refetchTimer = null;
+        const handleEvent = () => {
+            clearTimeout(refetchTimer);
+            refetchTimer = setTimeout(fetchProjects, 500);
+        };
+        const unsubscribers = projects.map(p => realtimeService.subscribeToProject(p.id, handleEvent));
+
+        return () => {
+            clearTimeout(refetchTimer);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        };
+    }, [projectIds]);
+
     const fetchProjects = async () => {
         try {
             const data = await projectService.getAll();
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+import './Auth.css';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await authService.forgotPassword(email);
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send reset link. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Forgot Password</h1>
+                    <p>We'll email you a link to choose a new password</p>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+                {message && <div className="success-message">{message}</div>}
+
+                {!message && (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label className="label">Email</label>
+                            <input
+                                type="email"
+                                className="input"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="you@example.com"
+                                required
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary full-width" disabled={loading}>
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        <Link to="/login" className="auth-link">Back to sign in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
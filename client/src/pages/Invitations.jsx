@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { invitationService, projectService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Mail, Send, XCircle } from 'lucide-react';
+import './Users.css';
+
+// Roles each inviter role may hand out (mirrors the server)
+const INVITABLE_ROLES = {
+    admin: ['admin', 'pm', 'team_member', 'client'],
+    pm: ['team_member', 'client']
+};
+
+const PROJECT_ROLES = ['viewer', 'contributor', 'manager'];
+
+const STATUS_BADGES = {
+    pending: 'badge-info',
+    accepted: 'badge-success',
+    revoked: 'badge-error',
+    expired: 'badge-warning'
+};
+
+const emptyInvite = { email: '', role: 'team_member', projectId: '', projectRole: 'contributor' };
+
+const Invitations = () => {
+    const { user } = useAuth();
+    const [invitations, setInvitations] = useState([]);
+    const [projects, setProjects] = useState([]);
+    const [status, setStatus] = useState('pending');
+    const [formData, setFormData] = useState(emptyInvite);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [sending, setSending] = useState(false);
+
+    useEffect(() => {
+        projectService.getAll()
+            .then(setProjects)
+            .catch(err => console.error('Failed to fetch projects:', err));
+    }, []);
+
+    useEffect(() => {
+        fetchInvitations();
+    }, [status]);
+
+    const fetchInvitations = async () => {
+        try {
+            setInvitations(await invitationService.getAll(status ? { status } : {}));
+        } catch (err) {
+            console.error('Failed to fetch invitations:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        setSending(true);
+
+        try {
+            const payload = { email: formData.email, role: formData.role };
+            if (formData.projectId) {
+                payload.projectId = parseInt(formData.projectId);
+                if (formData.role !== 'client') payload.projectRole = formData.projectRole;
+            }
+
+            await invitationService.create(payload);
+            setMessage(`Invitation sent to ${formData.email}.`);
+            setFormData(emptyInvite);
+            await fetchInvitations();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send invitation.');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const handleRevoke = async (invitation) => {
+        if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+
+        try {
+            await invitationService.revoke(invitation.id);
+            await fetchInvitations();
+        } catch (err) {
+            window.alert(err.response?.data?.error || 'Failed to revoke invitation.');
+        }
+    };
+
+    // Only admins invite people without a project
+    const projectRequired = formData.role === 'client' || user.role !== 'admin';
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="users-container">
+            <div className="users-header">
+                <div>
+                    <h1>Invitations</h1>
+                    <p className="subtitle">Accounts are created by invitation only</p>
+                </div>
+            </div>
+
+            <form className="card invite-form" onSubmit={handleSubmit}>
+                {error && <div className="error-message">{error}</div>}
+                {message && <div className="success-message">{message}</div>}
+
+                <div className="invite-fields">
+                    <input
+                        type="email"
+                        name="email"
+                        className="input"
+                        placeholder="name@example.com"
+                        value={formData.email}
+                        onChange={handleChange}
+                        required
+                    />
+                    <select name="role" className="input" value={formData.role} onChange={handleChange}>
+                        {INVITABLE_ROLES[user.role].map(role => (
+                            <option key={role} value={role}>{role.replace('_', ' ')}</option>
+                        ))}
+                    </select>
+                    <select
+                        name="projectId"
+                        className="input"
+                        value={formData.projectId}
+                        onChange={handleChange}
+                        required={projectRequired}
+                    >
+                        <option value="">{projectRequired ? 'Choose a project' : 'No project'}</option>
+                        {projects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+                    </select>
+                    {formData.projectId && formData.role !== 'client' && (
+                        <select name="projectRole" className="input" value={formData.projectRole} onChange={handleChange}>
+                            {PROJECT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                        </select>
+                    )}
+                    <button type="submit" className="btn btn-primary" disabled={sending}>
+                        <Send size={16} />
+                        {sending ? 'Sending...' : 'Send invitation'}
+                    </button>
+                </div>
+            </form>
+
+            <div className="users-filters invite-filters card">
+                <select className="input" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    <option value="pending">Pending</option>
+                    <option value="accepted">Accepted</option>
+                    <option value="expired">Expired</option>
+                    <option value="revoked">Revoked</option>
+                    <option value="">All</option>
+                </select>
+            </div>
+
+            {invitations.length === 0 ? (
+                <div className="empty-state card">
+                    <Mail size={48} color="var(--gray-400)" />
+                    <h3>No invitations found</h3>
+                </div>
+            ) : (
+                <div className="card users-table-card">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>Email</th>
+                                <th>Role</th>
+                                <th>Project</th>
+                                <th>Invited by</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {invitations.map(invitation => (
+                                <tr key={invitation.id}>
+                                    <td>{invitation.email}</td>
+                                    <td className="users-role">{invitation.role.replace('_', ' ')}</td>
+                                    <td>
+                                        {invitation.project_name
+                                            ? `${invitation.project_name} (${invitation.project_role})`
+                                            : '—'}
+                                    </td>
+                                    <td>
+                                        {invitation.invited_by_name}
+                                        <div className="users-meta">
+                                            {formatDistanceToNow(new Date(invitation.created_at), { addSuffix: true })}
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <span className={`badge ${STATUS_BADGES[invitation.status]}`}>{invitation.status}</span>
+                                        {invitation.status === 'pending' && (
+                                            <div className="users-meta">
+                                                expires {formatDistanceToNow(new Date(invitation.expires_at), { addSuffix: true })}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td className="users-actions">
+                                        {invitation.status === 'pending' && (
+                                            <button className="btn btn-secondary" onClick={() => handleRevoke(invitation)}>
+                                                <XCircle size={16} /> Revoke
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Invitations;
@@ -1,24 +1,34 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { homePathFor } from '../components/PrivateRoute';
+import { authService } from '../services/api';
 import './Auth.css';
 
 const Login = () => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
-    const [error, setError] = useState('');
+    const [searchParams] = useSearchParams();
+    const [error, setError] = useState(searchParams.get('ssoError') || '');
     const [loading, setLoading] = useState(false);
+    const [ssoProviders, setSsoProviders] = useState([]);
     const { login } = useAuth();
     const navigate = useNavigate();
 
+    useEffect(() => {
+        authService.getSsoProviders()
+            .then(setSsoProviders)
+            .catch(err => console.error('Failed to fetch SSO providers:', err));
+    }, []);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setLoading(true);
 
         try {
-            await login(email, password);
-            navigate('/dashboard');
+            const data = await login(email, password);
+            navigate(homePathFor(data.user));
         } catch (err) {
             setError(err.response?.data?.error || 'Login failed. Please try again.');
         } finally {
@@ -68,14 +78,26 @@ const Login = () => {
                     <button type="submit" className="btn btn-primary full-width" disabled={loading}>
                         {loading ? 'Signing in...' : 'Sign In'}
                     </button>
+
+                    <Link to="/forgot-password" className="auth-link forgot-password-link">
+                        Forgot your password?
+                    </Link>
                 </form>
 
+                {ssoProviders.length > 0 && (
+                    <div className="sso-providers">
+                        <div className="sso-divider"><span>or</span></div>
+                        {ssoProviders.map(provider => (
+                            <a key={provider.id} href={authService.getSsoLoginUrl(provider.id)} className="btn btn-secondary full-width">
+                                Sign in with {provider.name}
+                            </a>
+                        ))}
+                    </div>
+                )}
+
                 <div className="auth-footer">
                     <p>
-                        Don't have an account?{' '}
-                        <Link to="/register" className="auth-link">
-                            Sign up
-                        </Link>
+                        Don't have an account? Ask your project manager for an invitation.
                     </p>
                 </div>
             </div>
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { projectService, templateService } from '../services/api';
+import { projectService, templateService, userService } from '../services/api';
 import './ProjectCreate.css';
 
 const ProjectCreate = () => {
@@ -15,16 +15,36 @@ const ProjectCreate = () => {
         template_id: '',
         start_date: '',
         end_date: '',
-        pm_name: '', // In a real app, this might be auto-filled or a user select
+        pm_id: '',
+        member_ids: [],
         client_name: '',
-        client_email: ''
+        client_email: '',
+        working_days: 'weekdays',
+        holidays: ''
     });
     const [error, setError] = useState('');
+    const [staff, setStaff] = useState([]);
 
     useEffect(() => {
         fetchTemplates();
+        fetchStaff();
     }, []);
 
+    const fetchStaff = async () => {
+        try {
+            const data = await userService.getDirectory();
+            setStaff(data);
+            // Default to the current user when they can manage projects
+            if (data.some(u => u.id === user.id && ['admin', 'pm'].includes(u.role))) {
+                setFormData(prev => ({ ...prev, pm_id: user.id }));
+            }
+        } catch (err) {
+            console.error('Failed to fetch users:', err);
+        }
+    };
+
+    const managers = staff.filter(u => ['admin', 'pm'].includes(u.role));
+
     const fetchTemplates = async () => {
         try {
             const data = await templateService.getAll();
@@ -46,6 +66,15 @@ const ProjectCreate = () => {
         }));
     };
 
+    const toggleMember = (userId) => {
+        setFormData(prev => ({
+            ...prev,
+            member_ids: prev.member_ids.includes(userId)
+                ? prev.member_ids.filter(id => id !== userId)
+                : [...prev.member_ids, userId]
+        }));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -57,11 +86,23 @@ const ProjectCreate = () => {
                 name: formData.name,
                 description: formData.description,
                 templateId: Number(formData.template_id),
-                pmId: user.id,
+                pmId: Number(formData.pm_id),
                 startDate: formData.start_date,
-                endDate: formData.end_date
+                endDate: formData.end_date,
+                members: formData.member_ids
+                    .filter(id => id !== Number(formData.pm_id))
+                    .map(userId => ({ userId, role: 'contributor' }))
             };
 
+            // Phase dates are generated from the template durations using this calendar
+            const holidays = formData.holidays.split(',').map(h => h.trim()).filter(Boolean);
+            if (formData.working_days === 'weekdays' || holidays.length > 0) {
+                projectData.workCalendar = {
+                    workingDays: formData.working_days === 'weekdays' ? [1, 2, 3, 4, 5] : [0, 1, 2, 3, 4, 5, 6],
+                    holidays
+                };
+            }
+
             const newProject = await projectService.create(projectData);
             navigate(`/projects/${newProject.id}`);
         } catch (err) {
@@ -139,16 +180,38 @@ const ProjectCreate = () => {
                         </div>
 
                         <div className="form-group">
-                            <label htmlFor="pm_name" className="label">Project Manager</label>
-                            <input
-                                type="text"
-                                id="pm_name"
-                                name="pm_name"
+                            <label htmlFor="pm_id" className="label">Project Manager *</label>
+                            <select
+                                id="pm_id"
+                                name="pm_id"
                                 className="input"
-                                value={formData.pm_name}
+                                value={formData.pm_id}
                                 onChange={handleChange}
-                                placeholder="Name of PM"
-                            />
+                                required
+                            >
+                                <option value="">Select a project manager</option>
+                                {managers.map(manager => (
+                                    <option key={manager.id} value={manager.id}>
+                                        {manager.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="label">Team</label>
+                        <div className="member-picker">
+                            {staff.filter(u => u.id !== Number(formData.pm_id)).map(member => (
+                                <label key={member.id} className={`member-option ${formData.member_ids.includes(member.id) ? 'selected' : ''}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.member_ids.includes(member.id)}
+                                        onChange={() => toggleMember(member.id)}
+                                    />
+                                    {member.name}
+                                </label>
+                            ))}
                         </div>
                     </div>
 
@@ -179,6 +242,35 @@ const ProjectCreate = () => {
                         </div>
                     </div>
 
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="working_days" className="label">Working Days</label>
+                            <select
+                                id="working_days"
+                                name="working_days"
+                                className="input"
+                                value={formData.working_days}
+                                onChange={handleChange}
+                            >
+                                <option value="weekdays">Monday to Friday</option>
+                                <option value="all">Every day</option>
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="holidays" className="label">Holidays</label>
+                            <input
+                                type="text"
+                                id="holidays"
+                                name="holidays"
+                                className="input"
+                                value={formData.holidays}
+                                onChange={handleChange}
+                                placeholder="e.g. 2026-12-25, 2027-01-01"
+                            />
+                        </div>
+                    </div>
+
                     <div className="form-row">
                         <div className="form-group">
                             <label htmlFor="client_name" className="label">Client Name</label>
@@ -1,101 +1,86 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { projectService } from '../services/api';
-import { useAuth } from '../context/AuthContext';
-import { ChevronDown, ChevronRight, Calendar, CheckCircle, Clock, Pencil, MoreHorizontal, Plus, GripVertical } from 'lucide-react';
+import { projectService, deliverableService, userService } from '../services/api';
+import { realtimeService } from '../services/realtime';
+import { ChevronDown, ChevronRight, Calendar, CheckCircle, Clock, Pencil, MoreHorizontal, Plus, GripVertical, Play, Ban, RotateCcw, CalendarClock, Users, X, Contact, Send, Eye, EyeOff, ListChecks } from 'lucide-react';
+import ApprovalPanel from '../components/ApprovalPanel';
 import './ProjectDetail.css';
 
 const ProjectDetail = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { user } = useAuth();
     const [project, setProject] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [expandedPhases, setExpandedPhases] = useState({});
+    const [phaseUpdating, setPhaseUpdating] = useState(null);
+    const [templateUpgrade, setTemplateUpgrade] = useState(null);
+    const [upgrading, setUpgrading] = useState(false);
 
-    // For Gantt Calculation - Fixed 1 Year View
-    const currentYear = new Date().getFullYear();
-    const timelineStart = new Date(currentYear, 0, 1); // Jan 1st
-    const timelineEnd = new Date(currentYear, 11, 31); // Dec 31st
+    const [members, setMembers] = useState([]);
+    const [approvalDeliverableId, setApprovalDeliverableId] = useState(null);
+    const [directory, setDirectory] = useState([]);
+
+    // What the current user may do here comes from their project membership
+    const canManagePhases = !!project?.access?.canManage;
+
+    // Gantt timeline spans the project's dates, rounded out to whole months
+    const { timelineStart, timelineEnd, gridMonths } = getTimeline(project);
     const totalDuration = timelineEnd.getTime() - timelineStart.getTime();
+    const today = new Date();
+    const todayPercent = ((today.getTime() - timelineStart.getTime()) / totalDuration) * 100;
+    const showToday = todayPercent >= 0 && todayPercent <= 100;
 
-    // Grid Data (Fixed 12 Months)
-    const gridMonths = Array.from({ length: 12 }, (_, i) => {
-        const date = new Date(currentYear, i, 1);
-        return {
-            label: date.toLocaleDateString('default', { month: 'short' }),
-            key: i
-        };
-    });
+    const hasLoadedRef = useRef(false);
 
     useEffect(() => {
+        hasLoadedRef.current = false;
         fetchProjectDetails();
     }, [id]);
 
+    // Live updates: refetch (debounced) whenever the project changes elsewhere
+    useEffect(() => {
+        let refetchTimer = null;
+        const unsubscribe = realtimeService.subscribeToProject(id, () => {
+            clearTimeout(refetchTimer);
+            refetchTimer = setTimeout(fetchProjectDetails, 300);
+        });
+
+        return () => {
+            clearTimeout(refetchTimer);
+            unsubscribe();
+        };
+    }, [id]);
+
     const fetchProjectDetails = async () => {
         try {
-            let data = await projectService.getById(id);
-
-            // --- DUMMY DATA INJECTION ---
-            const hasRealData = data.phases && data.phases.length > 0 && data.phases[0].deliverables && data.phases[0].deliverables.length > 0;
-            if (!hasRealData || true) {
-                console.log("Injecting dummy data for Advanced Gantt");
-                const now = new Date();
-                const addDays = (days) => {
-                    const d = new Date(now);
-                    d.setDate(d.getDate() + days);
-                    return d.toISOString().split('T')[0];
-                };
-
-                const dummyPhases = [
-                    {
-                        id: 101,
-                        name: 'Phase 1: Planning & Research',
-                        status: 'completed',
-                        start_date: addDays(-30),
-                        end_date: addDays(-10),
-                        deliverables: [
-                            { id: 201, name: 'Project Charter', status: 'approved', start_date: addDays(-30), end_date: addDays(-25) },
-                            { id: 202, name: 'Market Analysis', status: 'approved', start_date: addDays(-25), end_date: addDays(-15) },
-                            { id: 203, name: 'Technical Feasibility', status: 'approved', start_date: addDays(-15), end_date: addDays(-10) }
-                        ]
-                    },
-                    {
-                        id: 102,
-                        name: 'Phase 2: UI/UX Design',
-                        status: 'in_progress',
-                        start_date: addDays(-5),
-                        end_date: addDays(25),
-                        deliverables: [
-                            { id: 204, name: 'Wireframes (Low-fi)', status: 'approved', start_date: addDays(-5), end_date: addDays(5) },
-                            { id: 205, name: 'Interactive Prototype', status: 'in_progress', start_date: addDays(5), end_date: addDays(15) },
-                            { id: 206, name: 'Design System', status: 'pending', start_date: addDays(10), end_date: addDays(25) }
-                        ]
-                    },
-                    {
-                        id: 103,
-                        name: 'Phase 3: Core Development',
-                        status: 'pending',
-                        start_date: addDays(26),
-                        end_date: addDays(60),
-                        deliverables: [
-                            { id: 207, name: 'Database Schema', status: 'pending', start_date: addDays(26), end_date: addDays(35) },
-                            { id: 208, name: 'API Endpoints', status: 'pending', start_date: addDays(30), end_date: addDays(50) },
-                            { id: 209, name: 'Frontend Integration', status: 'pending', start_date: addDays(45), end_date: addDays(60) }
-                        ]
-                    }
-                ];
-                data = { ...data, phases: dummyPhases };
+            const [data, schedule, projectMembers] = await Promise.all([
+                projectService.getById(id),
+                projectService.getSchedule(id),
+                projectService.getMembers(id)
+            ]);
+
+            // The schedule carries planned vs actual dates for the Gantt chart
+            setProject({ ...data, phases: schedule.phases });
+            setMembers(projectMembers);
+
+            if (data.access?.canManage) {
+                projectService.getTemplateUpgrade(id)
+                    .then(setTemplateUpgrade)
+                    .catch(err => console.error('Failed to check template version:', err));
+
+                // Staff who can be named as approvers
+                userService.getDirectory()
+                    .then(setDirectory)
+                    .catch(err => console.error('Failed to fetch users:', err));
             }
-            // -------------------------------------
-
-            setProject(data);
 
-            // Expand first for demo, but keep others collapsed
-            const initialExpanded = {};
-            if (data.phases.length > 0) initialExpanded[data.phases[1].id] = true;
-            setExpandedPhases(initialExpanded);
+            // Expand the active phase on first load, keep others collapsed
+            if (!hasLoadedRef.current) {
+                const activePhase = schedule.phases.find(p => p.status === 'in_progress') || schedule.phases[0];
+                setExpandedPhases(activePhase ? { [activePhase.id]: true } : {});
+                hasLoadedRef.current = true;
+            }
 
         } catch (err) {
             console.error('Failed to fetch project details:', err);
@@ -129,8 +114,8 @@ const ProjectDetail = () => {
             id: newId,
             name: 'New Phase',
             status: 'draft',
-            start_date: new Date().toISOString().split('T')[0],
-            end_date: new Date().toISOString().split('T')[0],
+            planned_start: new Date().toISOString().split('T')[0],
+            planned_end: new Date().toISOString().split('T')[0],
             deliverables: []
         };
         const updatedProject = { ...project, phases: [...(project.phases || []), newPhase] };
@@ -143,8 +128,8 @@ const ProjectDetail = () => {
             id: Date.now(),
             name: 'New Task',
             status: 'pending',
-            start_date: new Date().toISOString().split('T')[0],
-            end_date: new Date().toISOString().split('T')[0]
+            planned_start: new Date().toISOString().split('T')[0],
+            planned_end: new Date().toISOString().split('T')[0]
         };
 
         const updatedPhases = project.phases.map(p => {
@@ -157,6 +142,102 @@ const ProjectDetail = () => {
         setProject({ ...project, phases: updatedPhases });
     };
 
+    const handlePhaseAction = async (phase, action) => {
+        let reason;
+        if (action === 'block') {
+            reason = window.prompt(`Why is "${phase.name}" blocked?`);
+            if (!reason) return;
+        }
+
+        setPhaseUpdating(phase.id);
+        try {
+            await projectService.updatePhaseStatus(project.id, phase.id, action, reason);
+            await fetchProjectDetails();
+        } catch (err) {
+            console.error('Failed to update phase status:', err);
+            window.alert(err.response?.data?.error || 'Failed to update phase status.');
+        } finally {
+            setPhaseUpdating(null);
+        }
+    };
+
+    const handleReschedule = async (phase) => {
+        const current = phase.planned_start ? new Date(phase.planned_start).toISOString().slice(0, 10) : '';
+        const startDate = window.prompt(`New start date for "${phase.name}" (YYYY-MM-DD). Later phases move with it.`, current);
+        if (!startDate || startDate === current) return;
+
+        setPhaseUpdating(phase.id);
+        try {
+            const result = await projectService.reschedulePhase(project.id, phase.id, { startDate });
+            await fetchProjectDetails();
+            if (result.shiftedPhases.length > 1) {
+                window.alert(`${result.shiftedPhases.length - 1} downstream phase(s) were shifted.`);
+            }
+        } catch (err) {
+            console.error('Failed to reschedule phase:', err);
+            window.alert(err.response?.data?.error || 'Failed to reschedule phase.');
+        } finally {
+            setPhaseUpdating(null);
+        }
+    };
+
+    const handleTemplateUpgrade = async () => {
+        const { diff } = templateUpgrade;
+        const newPhases = diff.phases.added.length;
+        const newDeliverables = diff.phases.added.reduce((sum, p) => sum + p.deliverables.length, 0)
+            + diff.phases.changed.reduce((sum, p) => sum + p.deliverables.added.length, 0);
+
+        if (!window.confirm(`Upgrade to template version ${templateUpgrade.latestVersion}? This adds ${newPhases} phase(s) and ${newDeliverables} deliverable(s). Nothing is removed.`)) {
+            return;
+        }
+
+        setUpgrading(true);
+        try {
+            await projectService.upgradeTemplate(project.id);
+            setTemplateUpgrade(null);
+            await fetchProjectDetails();
+        } catch (err) {
+            console.error('Failed to upgrade template:', err);
+            window.alert(err.response?.data?.error || 'Failed to upgrade template.');
+        } finally {
+            setUpgrading(false);
+        }
+    };
+
+    const handleRemoveMember = async (member) => {
+        if (!window.confirm(`Remove ${member.first_name} ${member.last_name} from this project?`)) return;
+
+        try {
+            await projectService.removeMember(project.id, member.user_id);
+            setMembers(await projectService.getMembers(project.id));
+        } catch (err) {
+            console.error('Failed to remove member:', err);
+            window.alert(err.response?.data?.error || 'Failed to remove member.');
+        }
+    };
+
+    const handleToggleSharing = async (deliverable) => {
+        try {
+            await deliverableService.setSharing(deliverable.id, !deliverable.shared_with_client);
+            await fetchProjectDetails();
+        } catch (err) {
+            console.error('Failed to update sharing:', err);
+            window.alert(err.response?.data?.error || 'Failed to update sharing.');
+        }
+    };
+
+    const handleInviteContact = async (contact) => {
+        if (!window.confirm(`Invite ${contact.name} (${contact.email}) to the client portal?`)) return;
+
+        try {
+            await projectService.inviteContact(project.id, contact.id);
+            await fetchProjectDetails();
+        } catch (err) {
+            console.error('Failed to invite contact:', err);
+            window.alert(err.response?.data?.error || 'Failed to invite contact.');
+        }
+    };
+
     // --- Helpers ---
 
     const getBarStyle = (start, end) => {
@@ -164,9 +245,9 @@ const ProjectDetail = () => {
 
         const startTime = new Date(start).getTime();
         const endTime = new Date(end).getTime();
-        const yearStart = timelineStart.getTime();
+        const rangeStart = timelineStart.getTime();
 
-        const leftPercent = ((startTime - yearStart) / totalDuration) * 100;
+        const leftPercent = ((startTime - rangeStart) / totalDuration) * 100;
         const widthPercent = ((endTime - startTime) / totalDuration) * 100;
 
         return {
@@ -175,6 +256,30 @@ const ProjectDetail = () => {
         };
     };
 
+    // Planned and actual bars for a phase or deliverable; unfinished work runs until today
+    const renderScheduleBars = (item) => {
+        const actualEnd = item.actual_end || (item.actual_start ? today : null);
+
+        return (
+            <>
+                <div
+                    className="gantt-bar planned"
+                    style={getBarStyle(item.planned_start, item.planned_end)}
+                    data-tooltip={`Planned: ${formatDate(item.planned_start)} - ${formatDate(item.planned_end)}`}
+                ></div>
+                <div
+                    className={`gantt-bar actual ${item.status}`}
+                    style={getBarStyle(item.actual_start, actualEnd)}
+                    data-tooltip={`${item.name} actual: ${formatDate(item.actual_start)} - ${item.actual_end ? formatDate(item.actual_end) : 'ongoing'}${item.assigned_to_name ? ` (${item.assigned_to_name})` : ''}`}
+                ></div>
+            </>
+        );
+    };
+
+    const renderTodayMarker = () => (
+        showToday && <div className="today-marker" style={{ left: `${todayPercent}%` }} title={`Today: ${today.toLocaleDateString()}`}></div>
+    );
+
     const getPhaseMetrics = (phase) => {
         const total = phase.deliverables?.length || 0;
         if (total === 0) return { total: 0, percent: 0 };
@@ -197,13 +302,72 @@ const ProjectDetail = () => {
                             <h1>{project.name}</h1>
                             <div className="project-dates">
                                 <Calendar size={16} />
-                                <span>{currentYear} Roadmap</span>
+                                <span>{formatMonth(timelineStart)} - {formatMonth(timelineEnd)} Roadmap</span>
                             </div>
                         </div>
                         <span className={`project-status-badge ${project.status || 'draft'}`}>
                             {project.status || 'Draft'}
                         </span>
                     </div>
+
+                    {members.length > 0 && (
+                        <div className="project-members">
+                            <Users size={16} />
+                            {members.map(member => (
+                                <span key={member.user_id} className="member-chip" title={member.email}>
+                                    {member.first_name} {member.last_name}
+                                    <span className="member-role">{member.role}</span>
+                                    {/* Only explicit memberships can be removed; PM and stakeholder access follows the plan */}
+                                    {canManagePhases && member.sources.includes('member') && (
+                                        <button className="member-remove" title="Remove member" onClick={() => handleRemoveMember(member)}>
+                                            <X size={12} />
+                                        </button>
+                                    )}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
+                    {project.contacts?.length > 0 && (
+                        <div className="project-members">
+                            <Contact size={16} />
+                            {project.contacts.map(contact => (
+                                <span key={contact.id} className="member-chip" title={contact.email || ''}>
+                                    {contact.name}
+                                    <span className="member-role">
+                                        {contact.user_id ? 'portal access' : contact.invitation_pending ? 'invited' : (contact.role || 'contact')}
+                                    </span>
+                                    {canManagePhases && !contact.user_id && !contact.invitation_pending && contact.email && (
+                                        <button className="member-remove" title="Invite to client portal" onClick={() => handleInviteContact(contact)}>
+                                            <Send size={12} />
+                                        </button>
+                                    )}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
+                    {templateUpgrade?.available && (
+                        <div className="template-upgrade-banner">
+                            <span>
+                                {project.template_name} v{templateUpgrade.latestVersion} is available
+                                (this project uses v{templateUpgrade.currentVersion}).
+                            </span>
+                            <button className="toolbar-btn" onClick={handleTemplateUpgrade} disabled={upgrading}>
+                                {upgrading ? 'Upgrading...' : 'Upgrade'}
+                            </button>
+                        </div>
+                    )}
+
+                    {approvalDeliverableId && (
+                        <ApprovalPanel
+                            deliverableId={approvalDeliverableId}
+                            access={project.access}
+                            users={directory.length > 0 ? directory : members.map(m => ({ id: m.user_id, name: `${m.first_name} ${m.last_name}` }))}
+                            onClose={() => setApprovalDeliverableId(null)}
+                            onChanged={fetchProjectDetails}
+                        />
+                    )}
                 </div>
 
                 {/* Advanced Gantt Chart */}
@@ -233,9 +397,16 @@ const ProjectDetail = () => {
                                     </div>
                                 ))}
                             </div>
+                            {renderTodayMarker()}
                         </div>
                     </div>
 
+                    <div className="gantt-legend">
+                        <span><span className="legend-swatch planned"></span> Planned</span>
+                        <span><span className="legend-swatch actual"></span> Actual</span>
+                        <span><span className="legend-swatch today"></span> Today</span>
+                    </div>
+
                     {/* Phase Rows */}
                     {project.phases && project.phases.map(phase => {
                         const { total, percent } = getPhaseMetrics(phase);
@@ -251,7 +422,43 @@ const ProjectDetail = () => {
                                         ) : (
                                             <ChevronRight className="expand-icon" size={18} />
                                         )}
-                                        <h3>{phase.name}</h3>
+                                        <h3 title={phase.status === 'blocked' && phase.blocked_reason ? `Blocked: ${phase.blocked_reason}` : undefined}>
+                                            {phase.name}
+                                        </h3>
+                                        <span className={`project-status-badge phase-status-pill ${phase.status}`}>
+                                            {phase.status?.replace('_', ' ')}
+                                        </span>
+
+                                        {/* Phase Lifecycle Controls */}
+                                        {canManagePhases && (
+                                            <div className="phase-status-controls" onClick={(e) => e.stopPropagation()}>
+                                                {phase.status === 'pending' && (
+                                                    <button className="action-btn" title="Start Phase" disabled={phaseUpdating === phase.id} onClick={() => handlePhaseAction(phase, 'start')}>
+                                                        <Play size={14} />
+                                                    </button>
+                                                )}
+                                                {phase.status === 'in_progress' && (
+                                                    <>
+                                                        <button className="action-btn" title="Block Phase" disabled={phaseUpdating === phase.id} onClick={() => handlePhaseAction(phase, 'block')}>
+                                                            <Ban size={14} />
+                                                        </button>
+                                                        <button className="action-btn" title="Complete Phase" disabled={phaseUpdating === phase.id} onClick={() => handlePhaseAction(phase, 'complete')}>
+                                                            <CheckCircle size={14} />
+                                                        </button>
+                                                    </>
+                                                )}
+                                                {phase.status === 'blocked' && (
+                                                    <button className="action-btn" title="Unblock Phase" disabled={phaseUpdating === phase.id} onClick={() => handlePhaseAction(phase, 'unblock')}>
+                                                        <RotateCcw size={14} />
+                                                    </button>
+                                                )}
+                                                {phase.status !== 'completed' && (
+                                                    <button className="action-btn" title="Reschedule Phase" disabled={phaseUpdating === phase.id} onClick={() => handleReschedule(phase)}>
+                                                        <CalendarClock size={14} />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        )}
 
                                         {/* Inline Actions (Hover) */}
                                         <div className="inline-actions" onClick={(e) => e.stopPropagation()}>
@@ -271,10 +478,16 @@ const ProjectDetail = () => {
                                                 </div>
                                             </div>
                                         ) : (
-                                            /* Expanded: Show Grid Lines overlapping empty space */
-                                            <div className="grid-lines-layer">
-                                                {gridMonths.map(m => <div key={m.key} className="grid-line-col"></div>)}
-                                            </div>
+                                            /* Expanded: Show the phase's own bars over the grid */
+                                            <>
+                                                <div className="grid-lines-layer">
+                                                    {gridMonths.map(m => <div key={m.key} className="grid-line-col"></div>)}
+                                                </div>
+                                                <div className="gantt-row phase-gantt-row">
+                                                    {renderScheduleBars(phase)}
+                                                </div>
+                                                {renderTodayMarker()}
+                                            </>
                                         )}
                                     </div>
                                 </div>
@@ -293,6 +506,22 @@ const ProjectDetail = () => {
 
                                                     {/* Inline Actions (Hover) */}
                                                     <div className="inline-actions">
+                                                        <button
+                                                            className="action-btn"
+                                                            title="Approvals and comments"
+                                                            onClick={() => setApprovalDeliverableId(d.id)}
+                                                        >
+                                                            <ListChecks size={12} />
+                                                        </button>
+                                                        {canManagePhases && (
+                                                            <button
+                                                                className="action-btn"
+                                                                title={d.shared_with_client ? 'Shared with client - click to hide' : 'Share with client'}
+                                                                onClick={() => handleToggleSharing(d)}
+                                                            >
+                                                                {d.shared_with_client ? <Eye size={12} /> : <EyeOff size={12} />}
+                                                            </button>
+                                                        )}
                                                         <button className="action-btn"><Pencil size={12} /></button>
                                                         <button className="action-btn"><MoreHorizontal size={12} /></button>
                                                     </div>
@@ -310,16 +539,13 @@ const ProjectDetail = () => {
                                             <div className="grid-lines-layer">
                                                 {gridMonths.map(m => <div key={m.key} className="grid-line-col"></div>)}
                                             </div>
+                                            {renderTodayMarker()}
 
                                             {/* Gantt Bars */}
                                             <div className="gantt-rows-container">
                                                 {phase.deliverables && phase.deliverables.map(d => (
                                                     <div key={d.id} className="gantt-row">
-                                                        <div
-                                                            className={`gantt-bar ${d.status}`}
-                                                            style={getBarStyle(d.start_date, d.end_date)}
-                                                            data-tooltip={`${d.name} (${new Date(d.start_date).toLocaleDateString()} - ${new Date(d.end_date).toLocaleDateString()})`}
-                                                        ></div>
+                                                        {renderScheduleBars(d)}
                                                     </div>
                                                 ))}
                                                 {/* Spacer for "Add Task" row alignment */}
@@ -342,4 +568,42 @@ const ProjectDetail = () => {
     );
 };
 
+// --- Timeline Helpers ---
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'not set');
+
+const formatMonth = (date) => date.toLocaleDateString('default', { month: 'short', year: 'numeric' });
+
+const getTimeline = (project) => {
+    const times = [];
+    const collect = (...dates) => dates.forEach(d => d && times.push(new Date(d).getTime()));
+
+    if (project) {
+        collect(project.start_date, project.end_date);
+        (project.phases || []).forEach(phase => {
+            collect(phase.planned_start, phase.planned_end, phase.actual_start, phase.actual_end);
+            (phase.deliverables || []).forEach(d => collect(d.planned_start, d.planned_end, d.actual_start, d.actual_end));
+        });
+    }
+
+    // Fall back to the current year when nothing is scheduled yet
+    const now = new Date();
+    const min = times.length ? new Date(Math.min(...times)) : new Date(now.getFullYear(), 0, 1);
+    const max = times.length ? new Date(Math.max(...times)) : new Date(now.getFullYear(), 11, 31);
+
+    const timelineStart = new Date(min.getFullYear(), min.getMonth(), 1);
+    const monthCount = Math.max(3, (max.getFullYear() - min.getFullYear()) * 12 + max.getMonth() - min.getMonth() + 1);
+    const timelineEnd = new Date(timelineStart.getFullYear(), timelineStart.getMonth() + monthCount, 0, 23, 59, 59);
+
+    const gridMonths = Array.from({ length: monthCount }, (_, i) => {
+        const date = new Date(timelineStart.getFullYear(), timelineStart.getMonth() + i, 1);
+        return {
+            label: date.toLocaleDateString('default', { month: 'short' }),
+            key: i
+        };
+    });
+
+    return { timelineStart, timelineEnd, gridMonths };
+};
+
 export default ProjectDetail;
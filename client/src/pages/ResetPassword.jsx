@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import './Auth.css';
+
+const ResetPassword = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const data = await authService.resetPassword(token, password);
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to reset password. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Choose a New Password</h1>
+                    <p>You will be signed out of all devices</p>
+                </div>
+
+                {!token && <div className="error-message">This reset link is incomplete. Please request a new one.</div>}
+                {error && <div className="error-message">{error}</div>}
+                {message && <div className="success-message">{message}</div>}
+
+                {token && !message && (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label className="label">New Password</label>
+                            <input
+                                type="password"
+                                className="input"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                minLength={6}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="label">Confirm Password</label>
+                            <input
+                                type="password"
+                                className="input"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                minLength={6}
+                                required
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary full-width" disabled={loading}>
+                            {loading ? 'Saving...' : 'Reset Password'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        {message || !token
+                            ? <Link to={message ? '/login' : '/forgot-password'} className="auth-link">{message ? 'Sign in' : 'Request a new link'}</Link>
+                            : <Link to="/login" className="auth-link">Back to sign in</Link>}
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
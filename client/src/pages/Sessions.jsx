@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { authService } from '../services/api';
+import { Monitor, LogOut, KeyRound } from 'lucide-react';
+import './Sessions.css';
+
+const Sessions = () => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            setSessions(await authService.getSessions());
+        } catch (error) {
+            console.error('Failed to fetch sessions:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        try {
+            await authService.revokeSession(session.id);
+            await fetchSessions();
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to revoke session.');
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        if (!window.confirm('Sign out of all other devices?')) return;
+
+        try {
+            await authService.revokeOtherSessions();
+            await fetchSessions();
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to revoke sessions.');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="sessions-container">
+            <div className="sessions-header">
+                <div>
+                    <h1>Your Sessions</h1>
+                    <p className="subtitle">Devices that are signed in to your account</p>
+                </div>
+                <Link to="/account/password" className="btn btn-secondary">
+                    <KeyRound size={18} />
+                    Change password
+                </Link>
+                {sessions.length > 1 && (
+                    <button className="btn btn-secondary" onClick={handleRevokeOthers}>
+                        <LogOut size={18} />
+                        Sign out other devices
+                    </button>
+                )}
+            </div>
+
+            <div className="card sessions-list">
+                {sessions.map(session => (
+                    <div key={session.id} className="session-item">
+                        <Monitor size={20} />
+                        <div className="session-details">
+                            <div className="session-agent">{session.user_agent || 'Unknown device'}</div>
+                            <div className="session-meta">
+                                {session.ip_address || 'Unknown address'}
+                                {' · '}signed in {formatDistanceToNow(new Date(session.created_at), { addSuffix: true })}
+                                {' · '}last active {formatDistanceToNow(new Date(session.last_used_at), { addSuffix: true })}
+                            </div>
+                        </div>
+                        {session.current ? (
+                            <span className="badge badge-success">this device</span>
+                        ) : (
+                            <button className="btn btn-secondary" onClick={() => handleRevoke(session)}>
+                                Revoke
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default Sessions;
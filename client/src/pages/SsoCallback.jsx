@@ -0,0 +1,46 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { homePathFor } from '../components/PrivateRoute';
+import './Auth.css';
+
+const SsoCallback = () => {
+    const [searchParams] = useSearchParams();
+    const code = searchParams.get('code');
+    const { loginWithSso } = useAuth();
+    const navigate = useNavigate();
+    const [error, setError] = useState(code ? '' : 'This sign-in link is incomplete.');
+    const requestedRef = useRef(false);
+
+    useEffect(() => {
+        // Codes are single-use: make sure the request is only sent once
+        if (!code || requestedRef.current) return;
+        requestedRef.current = true;
+
+        loginWithSso(code)
+            .then(data => navigate(homePathFor(data.user), { replace: true }))
+            .catch(err => setError(err.response?.data?.error || 'Single sign-on failed. Please try again.'));
+    }, [code]);
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Signing In</h1>
+                </div>
+
+                {error
+                    ? <div className="error-message">{error}</div>
+                    : <div className="success-message">Finishing single sign-on...</div>}
+
+                <div className="auth-footer">
+                    <p>
+                        <Link to="/login" className="auth-link">Back to sign in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SsoCallback;
@@ -1,23 +1,94 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { templateService } from '../services/api';
-// We can reuse ProjectCreate.css for basic form styles or create a new one. 
-// For consistency, I'll reuse the class names but import a specific CSS if needed.
-// Or effectively, I can import ProjectCreate.css if the classes are generic enough, 
-// OR simpler: copy the necessary styles to a new css file or just use inline styles for the wrapper.
-// Let's create a specialized CSS for it to be clean.
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { templateService, userService } from '../services/api';
+import { Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
+import ApprovalChainEditor from '../components/ApprovalChainEditor';
 import './TemplateCreate.css';
 
+const emptyPhase = () => ({
+    name: '',
+    description: '',
+    defaultDurationDays: '',
+    deliverables: []
+});
+
+const emptyDeliverable = () => ({
+    name: '',
+    description: '',
+    deliverableType: 'document',
+    isAiGeneratable: false,
+    templateContent: '',
+    approvalChain: null
+});
+
+// Map an API template (snake_case) onto the form state
+const toFormPhases = (phases) => phases.map(phase => ({
+    id: phase.id,
+    name: phase.name,
+    description: phase.description || '',
+    defaultDurationDays: phase.default_duration_days ?? '',
+    deliverables: (phase.deliverables || []).map(deliverable => ({
+        id: deliverable.id,
+        name: deliverable.name,
+        description: deliverable.description || '',
+        deliverableType: deliverable.deliverable_type || 'document',
+        isAiGeneratable: deliverable.is_ai_generatable,
+        templateContent: deliverable.template_content || '',
+        approvalChain: deliverable.approval_chain || null
+    }))
+}));
+
 const TemplateCreate = () => {
     const navigate = useNavigate();
+    const { id } = useParams();
+    const isEdit = Boolean(id);
     const [loading, setLoading] = useState(false);
+    const [loadingTemplate, setLoadingTemplate] = useState(isEdit);
+    const [template, setTemplate] = useState(null);
     const [formData, setFormData] = useState({
         name: '',
         description: '',
         category: 'Software Development', // Default category
+        phaseCompletionMode: 'auto',
     });
+    const [phases, setPhases] = useState([]);
+    const [users, setUsers] = useState([]);
     const [error, setError] = useState('');
 
+    const isPublished = template?.status === 'published';
+
+    useEffect(() => {
+        if (isEdit) {
+            fetchTemplate();
+        }
+    }, [id]);
+
+    // Staff who can be named as approvers in approval chains
+    useEffect(() => {
+        userService.getDirectory()
+            .then(setUsers)
+            .catch(err => console.error('Failed to fetch users:', err));
+    }, []);
+
+    const fetchTemplate = async () => {
+        try {
+            const data = await templateService.getById(id);
+            setTemplate(data);
+            setFormData({
+                name: data.name,
+                description: data.description || '',
+                category: data.category || 'Other',
+                phaseCompletionMode: data.phase_completion_mode || 'auto'
+            });
+            setPhases(toFormPhases(data.phases));
+        } catch (err) {
+            console.error('Failed to fetch template:', err);
+            setError(err.response?.data?.error || 'Failed to load template.');
+        } finally {
+            setLoadingTemplate(false);
+        }
+    };
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -26,49 +97,120 @@ const TemplateCreate = () => {
         }));
     };
 
+    const updatePhase = (index, field, value) => {
+        setPhases(prev => prev.map((phase, i) => (i === index ? { ...phase, [field]: value } : phase)));
+    };
+
+    const movePhase = (index, offset) => {
+        setPhases(prev => {
+            const next = [...prev];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+    };
+
+    const removePhase = (index) => {
+        setPhases(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const updateDeliverable = (phaseIndex, deliverableIndex, field, value) => {
+        setPhases(prev => prev.map((phase, i) => (i !== phaseIndex ? phase : {
+            ...phase,
+            deliverables: phase.deliverables.map((d, j) => (j === deliverableIndex ? { ...d, [field]: value } : d))
+        })));
+    };
+
+    const addDeliverable = (phaseIndex) => {
+        setPhases(prev => prev.map((phase, i) => (i !== phaseIndex ? phase : {
+            ...phase,
+            deliverables: [...phase.deliverables, emptyDeliverable()]
+        })));
+    };
+
+    const removeDeliverable = (phaseIndex, deliverableIndex) => {
+        setPhases(prev => prev.map((phase, i) => (i !== phaseIndex ? phase : {
+            ...phase,
+            deliverables: phase.deliverables.filter((_, j) => j !== deliverableIndex)
+        })));
+    };
+
+    const moveDeliverable = (phaseIndex, deliverableIndex, targetPhaseIndex) => {
+        setPhases(prev => {
+            const deliverable = prev[phaseIndex].deliverables[deliverableIndex];
+            return prev.map((phase, i) => {
+                if (i === phaseIndex) {
+                    return { ...phase, deliverables: phase.deliverables.filter((_, j) => j !== deliverableIndex) };
+                }
+                if (i === targetPhaseIndex) {
+                    return { ...phase, deliverables: [...phase.deliverables, deliverable] };
+                }
+                return phase;
+            });
+        });
+    };
+
+    const buildPayload = () => ({
+        ...formData,
+        phases: phases.map((phase, index) => ({
+            ...(phase.id && { id: phase.id }),
+            name: phase.name,
+            description: phase.description,
+            phaseOrder: index + 1,
+            ...(phase.defaultDurationDays !== '' && { defaultDurationDays: Number(phase.defaultDurationDays) }),
+            deliverables: phase.deliverables.map(deliverable => ({
+                ...(deliverable.id && { id: deliverable.id }),
+                name: deliverable.name,
+                description: deliverable.description,
+                deliverableType: deliverable.deliverableType,
+                isAiGeneratable: deliverable.isAiGeneratable,
+                templateContent: deliverable.templateContent,
+                approvalChain: deliverable.approvalChain
+            }))
+        }))
+    });
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
         try {
-            // The API expects 'createdBy' in the body, but usually the backend infers it from the token.
-            // Looking at the provided Template.js model, it uses 'createdBy' from templateData.
-            // However, the controller *should* inject the user ID from the request.
-            // Assuming the controller handles it, or we might need to send it.
-            // For now, I'll send basic data. If it fails, I'll check the controller.
-
-            // Wait, I don't have the controller code viewable, but generally `req.user.id` is used.
-            // If the model `createTemplate` receives `templateData` directly from `req.body`, that would be a security risk.
-            // But let's assume the backend is reasonably well implemented. 
-            // If it fails, I'll debug.
-
-            // Update: actually the model snippet showed:
-            // const { name, description, category, createdBy } = templateData;
-            // The service call: api.post('/templates', templateData)
-            // So we send name, description, category.
-
-            const user = JSON.parse(localStorage.getItem('user'));
-            const payload = {
-                ...formData,
-                createdBy: user ? user.id : null // explicitly sending it just in case, though backend should handle it
-            };
-
-            await templateService.create(payload);
-            navigate('/templates');
+            const payload = buildPayload();
+
+            if (!isEdit) {
+                await templateService.create(payload);
+                navigate('/templates');
+            } else if (isPublished) {
+                // Published versions are immutable, so saving starts a new draft version
+                await templateService.createVersion(id, payload);
+                navigate(`/templates/${id}/versions`);
+            } else {
+                await templateService.update(id, payload);
+                navigate(`/templates/${id}/versions`);
+            }
         } catch (err) {
-            console.error('Failed to create template:', err);
-            setError(err.response?.data?.message || 'Failed to create template.');
+            console.error('Failed to save template:', err);
+            setError(err.response?.data?.error || 'Failed to save template.');
         } finally {
             setLoading(false);
         }
     };
 
+    if (loadingTemplate) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
     return (
         <div className="template-create-container">
             <div className="template-create-header">
-                <h1>Create New Template</h1>
-                <p className="subtitle">Define a new project structure</p>
+                <h1>{isEdit ? `Edit ${template?.name || 'Template'}` : 'Create New Template'}</h1>
+                <p className="subtitle">
+                    {isEdit ? `Version ${template?.version} (${template?.status})` : 'Define a new project structure'}
+                </p>
             </div>
 
             <div className="card">
@@ -79,6 +221,13 @@ const TemplateCreate = () => {
                 )}
 
                 <form onSubmit={handleSubmit} className="template-create-form">
+                    {isPublished && (
+                        <div className="alert-info">
+                            <strong>Note:</strong> This version is published and cannot change.
+                            Saving creates a new draft version that you can publish when ready.
+                        </div>
+                    )}
+
                     <div className="form-group">
                         <label htmlFor="name" className="label">Template Name *</label>
                         <input
@@ -122,9 +271,137 @@ const TemplateCreate = () => {
                         </select>
                     </div>
 
-                    <div className="alert-info">
-                        <strong>Note:</strong> You can add Phases and Deliverables to this template after creating it.
-                        (Feature coming soon)
+                    <div className="form-group">
+                        <label htmlFor="phaseCompletionMode" className="label">Phase Completion</label>
+                        <select
+                            id="phaseCompletionMode"
+                            name="phaseCompletionMode"
+                            className="input"
+                            value={formData.phaseCompletionMode}
+                            onChange={handleChange}
+                        >
+                            <option value="auto">Complete automatically when all deliverables are approved</option>
+                            <option value="signoff">Notify the PM for sign-off</option>
+                        </select>
+                    </div>
+
+                    <div className="template-phases">
+                        <div className="template-phases-header">
+                            <h2>Phases</h2>
+                            <button type="button" className="btn btn-secondary" onClick={() => setPhases(prev => [...prev, emptyPhase()])}>
+                                <Plus size={16} />
+                                Add Phase
+                            </button>
+                        </div>
+
+                        {phases.map((phase, phaseIndex) => (
+                            <div key={phase.id || `new-${phaseIndex}`} className="phase-editor">
+                                <div className="phase-editor-row">
+                                    <input
+                                        type="text"
+                                        className="input"
+                                        value={phase.name}
+                                        onChange={(e) => updatePhase(phaseIndex, 'name', e.target.value)}
+                                        placeholder={`Phase ${phaseIndex + 1} name`}
+                                        required
+                                    />
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        className="input phase-duration"
+                                        value={phase.defaultDurationDays}
+                                        onChange={(e) => updatePhase(phaseIndex, 'defaultDurationDays', e.target.value)}
+                                        placeholder="Days"
+                                        title="Default duration (working days)"
+                                    />
+                                    <button type="button" className="icon-button" onClick={() => movePhase(phaseIndex, -1)} disabled={phaseIndex === 0} title="Move up">
+                                        <ArrowUp size={16} />
+                                    </button>
+                                    <button type="button" className="icon-button" onClick={() => movePhase(phaseIndex, 1)} disabled={phaseIndex === phases.length - 1} title="Move down">
+                                        <ArrowDown size={16} />
+                                    </button>
+                                    <button type="button" className="icon-button" onClick={() => removePhase(phaseIndex)} title="Remove phase">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                                <textarea
+                                    className="input"
+                                    value={phase.description}
+                                    onChange={(e) => updatePhase(phaseIndex, 'description', e.target.value)}
+                                    placeholder="Phase description"
+                                />
+
+                                {phase.deliverables.map((deliverable, deliverableIndex) => (
+                                    <div key={deliverable.id || `new-${deliverableIndex}`} className="deliverable-editor">
+                                        <div className="deliverable-editor-row">
+                                            <input
+                                                type="text"
+                                                className="input"
+                                                value={deliverable.name}
+                                                onChange={(e) => updateDeliverable(phaseIndex, deliverableIndex, 'name', e.target.value)}
+                                                placeholder="Deliverable name"
+                                                required
+                                            />
+                                            <input
+                                                type="text"
+                                                className="input"
+                                                value={deliverable.deliverableType}
+                                                onChange={(e) => updateDeliverable(phaseIndex, deliverableIndex, 'deliverableType', e.target.value)}
+                                                placeholder="Type (e.g. requirements_document)"
+                                                required
+                                            />
+                                            <select
+                                                className="input"
+                                                value={phaseIndex}
+                                                onChange={(e) => moveDeliverable(phaseIndex, deliverableIndex, Number(e.target.value))}
+                                                title="Phase"
+                                            >
+                                                {phases.map((p, i) => (
+                                                    <option key={p.id || `new-${i}`} value={i}>{p.name || `Phase ${i + 1}`}</option>
+                                                ))}
+                                            </select>
+                                            <button type="button" className="icon-button" onClick={() => removeDeliverable(phaseIndex, deliverableIndex)} title="Remove deliverable">
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
+                                        <input
+                                            type="text"
+                                            className="input"
+                                            value={deliverable.description}
+                                            onChange={(e) => updateDeliverable(phaseIndex, deliverableIndex, 'description', e.target.value)}
+                                            placeholder="Description"
+                                        />
+                                        <textarea
+                                            className="input"
+                                            value={deliverable.templateContent}
+                                            onChange={(e) => updateDeliverable(phaseIndex, deliverableIndex, 'templateContent', e.target.value)}
+                                            placeholder="Template content (used as the outline for AI generation)"
+                                        />
+                                        <label className="label deliverable-ai-toggle">
+                                            <input
+                                                type="checkbox"
+                                                checked={deliverable.isAiGeneratable}
+                                                onChange={(e) => updateDeliverable(phaseIndex, deliverableIndex, 'isAiGeneratable', e.target.checked)}
+                                            />
+                                            {' '}AI generatable
+                                        </label>
+                                        <span className="label">Approval chain</span>
+                                        <ApprovalChainEditor
+                                            chain={deliverable.approvalChain}
+                                            users={users}
+                                            onChange={(chain) => updateDeliverable(phaseIndex, deliverableIndex, 'approvalChain', chain)}
+                                        />
+                                    </div>
+                                ))}
+
+                                <div>
+                                    <button type="button" className="btn btn-secondary" onClick={() => addDeliverable(phaseIndex)}>
+                                        <Plus size={16} />
+                                        Add Deliverable
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
                     </div>
 
                     <div className="form-actions">
@@ -144,10 +421,10 @@ const TemplateCreate = () => {
                             {loading ? (
                                 <>
                                     <div className="spinner" style={{ width: '16px', height: '16px', borderWidth: '2px' }}></div>
-                                    Creating...
+                                    Saving...
                                 </>
                             ) : (
-                                'Create Template'
+                                isEdit ? (isPublished ? 'Save as New Draft Version' : 'Save Changes') : 'Create Template'
                             )}
                         </button>
                     </div>
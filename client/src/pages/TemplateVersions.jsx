@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { templateService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { ArrowLeft, GitBranch, Upload, Plus, Minus, Pencil } from 'lucide-react';
+import './TemplateVersions.css';
+
+const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    category: 'Category',
+    phase_completion_mode: 'Phase completion',
+    phase_order: 'Order',
+    default_duration_days: 'Default duration (days)',
+    deliverable_type: 'Type',
+    is_ai_generatable: 'AI generatable',
+    template_content: 'Template content'
+};
+
+const TemplateVersions = () => {
+    const { id } = useParams();
+    const { user } = useAuth();
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [working, setWorking] = useState(false);
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState('');
+    const [diff, setDiff] = useState(null);
+
+    const isAdmin = user?.role === 'admin';
+    const hasDraft = versions.some(v => v.status === 'draft');
+
+    useEffect(() => {
+        fetchVersions();
+    }, [id]);
+
+    useEffect(() => {
+        if (fromId && toId && fromId !== toId) {
+            fetchDiff(fromId, toId);
+        } else {
+            setDiff(null);
+        }
+    }, [fromId, toId]);
+
+    const fetchVersions = async () => {
+        try {
+            const data = await templateService.getVersions(id);
+            setVersions(data);
+
+            // Compare the two newest versions by default
+            if (data.length > 1) {
+                setFromId(String(data[1].id));
+                setToId(String(data[0].id));
+            }
+        } catch (err) {
+            console.error('Failed to fetch template versions:', err);
+            setError(err.response?.data?.error || 'Failed to load template versions.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchDiff = async (from, to) => {
+        try {
+            setDiff(await templateService.diff(from, to));
+        } catch (err) {
+            console.error('Failed to compare versions:', err);
+            setDiff(null);
+        }
+    };
+
+    const handleNewDraft = async () => {
+        setWorking(true);
+        try {
+            await templateService.createVersion(versions[0].id);
+            await fetchVersions();
+        } catch (err) {
+            window.alert(err.response?.data?.error || 'Failed to create draft version.');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handlePublish = async (version) => {
+        if (!window.confirm(`Publish version ${version.version}? New projects will use it and existing projects can upgrade to it.`)) {
+            return;
+        }
+
+        setWorking(true);
+        try {
+            await templateService.publish(version.id);
+            await fetchVersions();
+        } catch (err) {
+            window.alert(err.response?.data?.error || 'Failed to publish version.');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="template-versions-container">
+            <Link to="/templates" className="back-link">
+                <ArrowLeft size={16} />
+                Back to Templates
+            </Link>
+
+            <div className="templates-header">
+                <div>
+                    <h1>{versions[0]?.name || 'Template'} Versions</h1>
+                    <p className="subtitle">Published versions never change; projects stay on the version they were created from</p>
+                </div>
+                {isAdmin && !hasDraft && versions.length > 0 && (
+                    <button className="btn btn-primary" onClick={handleNewDraft} disabled={working}>
+                        <GitBranch size={18} />
+                        New Draft Version
+                    </button>
+                )}
+            </div>
+
+            {error && <div className="badge badge-error">{error}</div>}
+
+            <div className="card">
+                <table className="versions-table">
+                    <thead>
+                        <tr>
+                            <th>Version</th>
+                            <th>Status</th>
+                            <th>Published</th>
+                            <th>Created by</th>
+                            <th>Projects</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {versions.map(version => (
+                            <tr key={version.id}>
+                                <td>v{version.version}</td>
+                                <td>
+                                    <span className={`badge ${version.status === 'draft' ? 'badge-warning' : 'badge-success'}`}>
+                                        {version.status}
+                                    </span>
+                                </td>
+                                <td>{version.published_at ? format(new Date(version.published_at), 'MMM d, yyyy') : '—'}</td>
+                                <td>{version.creator_name || '—'}</td>
+                                <td>{version.project_count}</td>
+                                <td className="versions-actions">
+                                    {isAdmin && version.status === 'draft' && (
+                                        <button className="btn btn-secondary" onClick={() => handlePublish(version)} disabled={working}>
+                                            <Upload size={16} />
+                                            Publish
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {versions.length > 1 && (
+                <div className="card version-diff">
+                    <div className="version-diff-header">
+                        <h2>Compare</h2>
+                        <select className="input" value={fromId} onChange={(e) => setFromId(e.target.value)}>
+                            {versions.map(v => <option key={v.id} value={v.id}>v{v.version}</option>)}
+                        </select>
+                        <span>→</span>
+                        <select className="input" value={toId} onChange={(e) => setToId(e.target.value)}>
+                            {versions.map(v => <option key={v.id} value={v.id}>v{v.version}</option>)}
+                        </select>
+                    </div>
+
+                    {diff && <TemplateDiff diff={diff} />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const FieldChanges = ({ changes }) => (
+    <ul className="diff-fields">
+        {Object.entries(changes).map(([field, change]) => (
+            <li key={field}>
+                <strong>{FIELD_LABELS[field] || field}:</strong>{' '}
+                <span className="diff-old">{formatValue(change.from)}</span>{' → '}
+                <span className="diff-new">{formatValue(change.to)}</span>
+            </li>
+        ))}
+    </ul>
+);
+
+const TemplateDiff = ({ diff }) => {
+    const { template, phases } = diff;
+    const isEmpty = Object.keys(template).length === 0
+        && phases.added.length === 0
+        && phases.removed.length === 0
+        && phases.changed.length === 0;
+
+    if (isEmpty) {
+        return <p className="diff-empty">No differences between these versions.</p>;
+    }
+
+    return (
+        <div className="diff-body">
+            {Object.keys(template).length > 0 && <FieldChanges changes={template} />}
+
+            {phases.added.map(phase => (
+                <div key={`added-${phase.origin_phase_id}`} className="diff-item diff-added">
+                    <Plus size={14} /> Phase <strong>{phase.name}</strong>
+                    {phase.deliverables.length > 0 && ` with ${phase.deliverables.map(d => d.name).join(', ')}`}
+                </div>
+            ))}
+
+            {phases.removed.map(phase => (
+                <div key={`removed-${phase.origin_phase_id}`} className="diff-item diff-removed">
+                    <Minus size={14} /> Phase <strong>{phase.name}</strong>
+                </div>
+            ))}
+
+            {phases.changed.map(phase => (
+                <div key={`changed-${phase.origin_phase_id}`} className="diff-item diff-changed">
+                    <div><Pencil size={14} /> Phase <strong>{phase.name}</strong></div>
+                    {Object.keys(phase.changes).length > 0 && <FieldChanges changes={phase.changes} />}
+                    {phase.deliverables.added.map(d => (
+                        <div key={`d-added-${d.origin_deliverable_id}`} className="diff-added"><Plus size={12} /> {d.name}</div>
+                    ))}
+                    {phase.deliverables.removed.map(d => (
+                        <div key={`d-removed-${d.origin_deliverable_id}`} className="diff-removed"><Minus size={12} /> {d.name}</div>
+                    ))}
+                    {phase.deliverables.changed.map(d => (
+                        <div key={`d-changed-${d.origin_deliverable_id}`}>
+                            <Pencil size={12} /> {d.name}
+                            <FieldChanges changes={d.changes} />
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+export default TemplateVersions;
@@ -1,20 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { templateService } from '../services/api'; // Using the existing service
-import { Plus, LayoutTemplate, Layers } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { Plus, LayoutTemplate, Layers, History, Pencil, Copy, Archive, ArchiveRestore, Download, Upload } from 'lucide-react';
 import './Templates.css';
 
 const Templates = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
     const [templates, setTemplates] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [showArchived, setShowArchived] = useState(false);
+
+    const importInput = useRef(null);
+
+    const isAdmin = user?.role === 'admin';
+    const canExport = isAdmin || user?.role === 'pm';
 
     useEffect(() => {
         fetchTemplates();
-    }, []);
+    }, [showArchived]);
 
     const fetchTemplates = async () => {
         try {
-            const data = await templateService.getAll();
+            // Admins also see templates that are still in their first draft
+            const data = await templateService.getAll(isAdmin ? { includeDrafts: true, archived: showArchived } : {});
             setTemplates(data);
         } catch (error) {
             console.error('Failed to fetch templates:', error);
@@ -23,6 +33,81 @@ const Templates = () => {
         }
     };
 
+    const handleClone = async (template) => {
+        const name = window.prompt('Name for the copy:', `Copy of ${template.name}`);
+        if (!name) return;
+
+        try {
+            const { template: clone } = await templateService.clone(template.id, name);
+            navigate(`/templates/${clone.id}/edit`);
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to clone template.');
+        }
+    };
+
+    const handleArchive = async (template) => {
+        const archiving = template.is_active;
+        if (archiving && !window.confirm(`Archive "${template.name}"? It can no longer be used for new projects.`)) {
+            return;
+        }
+
+        try {
+            if (archiving) {
+                await templateService.archive(template.id);
+            } else {
+                await templateService.unarchive(template.id);
+            }
+            await fetchTemplates();
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to update template.');
+        }
+    };
+
+    const handleExport = async (template, format) => {
+        try {
+            const blob = await templateService.exportBundle(template.id, format);
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${template.name}-v${template.version}.${format}`;
+            link.click();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            window.alert('Failed to export template.');
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const text = await file.text();
+        try {
+            await templateService.importBundle(text);
+        } catch (error) {
+            if (error.response?.status !== 409 || error.response.data.draftId) {
+                window.alert(error.response?.data?.error || 'Failed to import template.');
+                return;
+            }
+
+            // Same name already exists: import as its next version, or as a renamed copy
+            const message = error.response.data.error;
+            const onConflict = window.confirm(`${message}. Import as a new draft version of it?`)
+                ? 'version'
+                : window.confirm('Import as a separate template with a new name instead?') ? 'rename' : null;
+            if (!onConflict) return;
+
+            try {
+                await templateService.importBundle(text, onConflict);
+            } catch (retryError) {
+                window.alert(retryError.response?.data?.error || 'Failed to import template.');
+                return;
+            }
+        }
+        await fetchTemplates();
+    };
+
     if (loading) {
         return (
             <div className="loading-container">
@@ -38,6 +123,31 @@ const Templates = () => {
                     <h1>Templates</h1>
                     <p className="subtitle">Manage project templates and workflows</p>
                 </div>
+                {isAdmin && (
+                    <label className="archived-toggle">
+                        <input
+                            type="checkbox"
+                            checked={showArchived}
+                            onChange={(e) => setShowArchived(e.target.checked)}
+                        />
+                        Show archived
+                    </label>
+                )}
+                {isAdmin && (
+                    <>
+                        <input
+                            ref={importInput}
+                            type="file"
+                            accept=".json,.yaml,.yml"
+                            style={{ display: 'none' }}
+                            onChange={handleImport}
+                        />
+                        <button className="btn btn-secondary" onClick={() => importInput.current.click()}>
+                            <Upload size={20} />
+                            Import
+                        </button>
+                    </>
+                )}
                 <Link to="/templates/new" className="btn btn-primary">
                     <Plus size={20} />
                     Create New Template
@@ -60,7 +170,11 @@ const Templates = () => {
                         <div key={template.id} className="template-card card">
                             <div className="template-card-header">
                                 <h3>{template.name}</h3>
-                                <span className="badge badge-info">{template.category || 'General'}</span>
+                                <div className="template-badges">
+                                    <span className="badge badge-gray">v{template.version}</span>
+                                    {template.status === 'draft' && <span className="badge badge-warning">draft</span>}
+                                    <span className="badge badge-info">{template.category || 'General'}</span>
+                                </div>
                             </div>
                             <p className="template-description">{template.description}</p>
                             <div className="template-meta">
@@ -72,7 +186,40 @@ const Templates = () => {
                                         {template.phase_count} Phases
                                     </span>
                                 )}
+                                <Link to={`/templates/${template.id}/versions`} className="template-versions-link">
+                                    <History size={14} />
+                                    Versions
+                                </Link>
                             </div>
+                            {canExport && (
+                                <div className="template-actions">
+                                    <button type="button" onClick={() => handleExport(template, 'json')}>
+                                        <Download size={14} />
+                                        JSON
+                                    </button>
+                                    <button type="button" onClick={() => handleExport(template, 'yaml')}>
+                                        <Download size={14} />
+                                        YAML
+                                    </button>
+                                </div>
+                            )}
+                            {isAdmin && (
+                                <div className="template-actions">
+                                    {/* Edit the pending draft if there is one, otherwise the published version */}
+                                    <Link to={`/templates/${template.draft_id || template.id}/edit`}>
+                                        <Pencil size={14} />
+                                        {template.draft_id && template.draft_id !== template.id ? 'Edit Draft' : 'Edit'}
+                                    </Link>
+                                    <button type="button" onClick={() => handleClone(template)}>
+                                        <Copy size={14} />
+                                        Clone
+                                    </button>
+                                    <button type="button" onClick={() => handleArchive(template)}>
+                                        {template.is_active ? <Archive size={14} /> : <ArchiveRestore size={14} />}
+                                        {template.is_active ? 'Archive' : 'Restore'}
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { userService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Users as UsersIcon, UserX, UserCheck } from 'lucide-react';
+import './Users.css';
+
+const ROLES = ['admin', 'pm', 'team_member', 'client'];
+
+const Users = () => {
+    const { user: currentUser } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filters, setFilters] = useState({ role: '', status: 'active', search: '' });
+
+    useEffect(() => {
+        // Debounce typing in the search box
+        const timer = setTimeout(fetchUsers, 300);
+        return () => clearTimeout(timer);
+    }, [filters]);
+
+    const fetchUsers = async () => {
+        try {
+            const params = { status: filters.status };
+            if (filters.role) params.role = filters.role;
+            if (filters.search.trim()) params.search = filters.search.trim();
+
+            setUsers(await userService.getAll(params));
+        } catch (error) {
+            console.error('Failed to fetch users:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleRoleChange = async (user, role) => {
+        if (!window.confirm(`Change ${user.first_name} ${user.last_name}'s role to ${role.replace('_', ' ')}?`)) return;
+
+        try {
+            await userService.update(user.id, { role });
+            await fetchUsers();
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to update user.');
+        }
+    };
+
+    const handleToggleActive = async (user) => {
+        if (user.is_active && !window.confirm(`Deactivate ${user.first_name} ${user.last_name}? They will no longer be able to sign in.`)) {
+            return;
+        }
+
+        try {
+            if (user.is_active) {
+                await userService.deactivate(user.id);
+            } else {
+                await userService.reactivate(user.id);
+            }
+            await fetchUsers();
+        } catch (error) {
+            window.alert(error.response?.data?.error || 'Failed to update user.');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="users-container">
+            <div className="users-header">
+                <div>
+                    <h1>Users</h1>
+                    <p className="subtitle">Manage accounts and roles</p>
+                </div>
+            </div>
+
+            <div className="users-filters card">
+                <input
+                    type="search"
+                    name="search"
+                    className="input"
+                    placeholder="Search by name or email"
+                    value={filters.search}
+                    onChange={handleFilterChange}
+                />
+                <select name="role" className="input" value={filters.role} onChange={handleFilterChange}>
+                    <option value="">All roles</option>
+                    {ROLES.map(role => <option key={role} value={role}>{role.replace('_', ' ')}</option>)}
+                </select>
+                <select name="status" className="input" value={filters.status} onChange={handleFilterChange}>
+                    <option value="active">Active</option>
+                    <option value="inactive">Deactivated</option>
+                    <option value="all">All</option>
+                </select>
+            </div>
+
+            {users.length === 0 ? (
+                <div className="empty-state card">
+                    <UsersIcon size={48} color="var(--gray-400)" />
+                    <h3>No users found</h3>
+                </div>
+            ) : (
+                <div className="card users-table-card">
+                    <table className="users-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Email</th>
+                                <th>Role</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map(user => (
+                                <tr key={user.id} className={user.is_active ? '' : 'inactive'}>
+                                    <td>{user.first_name} {user.last_name}</td>
+                                    <td>{user.email}</td>
+                                    <td>
+                                        <select
+                                            className="input"
+                                            value={user.role}
+                                            disabled={user.id === currentUser.id}
+                                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                                        >
+                                            {ROLES.map(role => <option key={role} value={role}>{role.replace('_', ' ')}</option>)}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <span className={`badge ${user.is_active ? 'badge-success' : 'badge-gray'}`}>
+                                            {user.is_active ? 'active' : 'deactivated'}
+                                        </span>
+                                    </td>
+                                    <td className="users-actions">
+                                        {user.id !== currentUser.id && (
+                                            <button className="btn btn-secondary" onClick={() => handleToggleActive(user)}>
+                                                {user.is_active ? <><UserX size={16} /> Deactivate</> : <><UserCheck size={16} /> Reactivate</>}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Users;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const VerifyEmail = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const { isAuthenticated, refreshUser } = useAuth();
+    const [status, setStatus] = useState(token ? 'verifying' : 'invalid');
+    const [error, setError] = useState('');
+    const requestedRef = useRef(false);
+
+    useEffect(() => {
+        // Tokens are single-use: make sure the request is only sent once
+        if (!token || requestedRef.current) return;
+        requestedRef.current = true;
+
+        authService.verifyEmail(token)
+            .then(() => {
+                setStatus('verified');
+                if (isAuthenticated) {
+                    refreshUser().catch(() => {});
+                }
+            })
+            .catch(err => {
+                setError(err.response?.data?.error || 'Failed to verify email.');
+                setStatus('invalid');
+            });
+    }, [token]);
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card glass">
+                <div className="auth-header">
+                    <h1>Email Verification</h1>
+                </div>
+
+                {status === 'verifying' && <div className="success-message">Verifying your email...</div>}
+                {status === 'verified' && <div className="success-message">Your email address is confirmed.</div>}
+                {status === 'invalid' && (
+                    <div className="error-message">
+                        {error || 'This verification link is incomplete.'} You can request a new link after signing in.
+                    </div>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        <Link to={isAuthenticated ? '/' : '/login'} className="auth-link">
+                            {isAuthenticated ? 'Continue' : 'Sign in'}
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
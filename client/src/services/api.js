@@ -23,14 +23,75 @@ api.interceptors.request.use(
     }
 );
 
-// Handle auth errors
+// Hand a downloaded file to the browser
+const saveBlob = (blob, fileName) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    window.URL.revokeObjectURL(url);
+};
+
+const storeSession = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    if (data.user) {
+        localStorage.setItem('user', JSON.stringify(data.user));
+    }
+};
+
+const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+};
+
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/accept-invite', '/auth/sso/exchange', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time: concurrent 401s wait for the same new token
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        refreshPromise = (refreshToken
+            ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+            : Promise.reject(new Error('No refresh token')))
+            .then(response => {
+                storeSession(response.data);
+                return response.data.token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Handle auth errors: renew an expired access token once, otherwise sign out
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+    async (error) => {
+        const original = error.config;
+
+        if (error.response?.status === 401 && original && !original._retry && !NO_REFRESH_URLS.includes(original.url)) {
+            original._retry = true;
+
+            try {
+                // Another tab may already have refreshed; otherwise refresh now
+                const sentToken = original.headers.Authorization?.substring(7);
+                const currentToken = localStorage.getItem('token');
+                const token = currentToken && currentToken !== sentToken ? currentToken : await refreshAccessToken();
+
+                original.headers.Authorization = `Bearer ${token}`;
+                return api(original);
+            } catch (refreshError) {
+                clearSession();
+                window.location.href = '/login';
+            }
         }
         return Promise.reject(error);
     }
@@ -41,8 +102,7 @@ export const authService = {
     login: async (email, password) => {
         const response = await api.post('/auth/login', { email, password });
         if (response.data.token) {
-            localStorage.setItem('token', response.data.token);
-            localStorage.setItem('user', JSON.stringify(response.data.user));
+            storeSession(response.data);
         }
         return response.data;
     },
@@ -50,21 +110,106 @@ export const authService = {
     register: async (userData) => {
         const response = await api.post('/auth/register', userData);
         if (response.data.token) {
-            localStorage.setItem('token', response.data.token);
-            localStorage.setItem('user', JSON.stringify(response.data.user));
+            storeSession(response.data);
+        }
+        return response.data;
+    },
+
+    getSsoProviders: async () => {
+        const response = await api.get('/auth/sso/providers');
+        return response.data;
+    },
+
+    // The browser navigates here; the server redirects it to the identity provider
+    getSsoLoginUrl: (providerId) => `${API_URL}/auth/sso/${encodeURIComponent(providerId)}/start`,
+
+    exchangeSsoCode: async (code) => {
+        const response = await api.post('/auth/sso/exchange', { code });
+        if (response.data.token) {
+            storeSession(response.data);
+        }
+        return response.data;
+    },
+
+    getInvitation: async (token) => {
+        const response = await api.get('/auth/invitation', { params: { token } });
+        return response.data;
+    },
+
+    acceptInvitation: async (invitationData) => {
+        const response = await api.post('/auth/accept-invite', invitationData);
+        if (response.data.token) {
+            storeSession(response.data);
         }
         return response.data;
     },
 
-    logout: () => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    logout: async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        clearSession();
+
+        // End the session on the server too; signing out locally never waits on it
+        if (refreshToken) {
+            try {
+                await api.post('/auth/logout', { refreshToken });
+            } catch (error) {
+                console.error('Failed to end session:', error);
+            }
+        }
     },
 
+    refreshAccessToken,
+
     getCurrentUser: () => {
         const user = localStorage.getItem('user');
         return user ? JSON.parse(user) : null;
     },
+
+    getMe: async () => {
+        const response = await api.get('/auth/me');
+        localStorage.setItem('user', JSON.stringify(response.data));
+        return response.data;
+    },
+
+    forgotPassword: async (email) => {
+        const response = await api.post('/auth/forgot-password', { email });
+        return response.data;
+    },
+
+    resetPassword: async (token, password) => {
+        const response = await api.post('/auth/reset-password', { token, password });
+        return response.data;
+    },
+
+    changePassword: async (currentPassword, newPassword) => {
+        const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+        return response.data;
+    },
+
+    verifyEmail: async (token) => {
+        const response = await api.post('/auth/verify-email', { token });
+        return response.data;
+    },
+
+    resendVerification: async () => {
+        const response = await api.post('/auth/resend-verification');
+        return response.data;
+    },
+
+    getSessions: async () => {
+        const response = await api.get('/auth/sessions');
+        return response.data;
+    },
+
+    revokeSession: async (sessionId) => {
+        const response = await api.delete(`/auth/sessions/${sessionId}`);
+        return response.data;
+    },
+
+    revokeOtherSessions: async () => {
+        const response = await api.delete('/auth/sessions');
+        return response.data;
+    },
 };
 
 // Project Services
@@ -94,6 +239,11 @@ export const projectService = {
         return response.data;
     },
 
+    getSchedule: async (id) => {
+        const response = await api.get(`/projects/${id}/schedule`);
+        return response.data;
+    },
+
     getActivity: async (id) => {
         const response = await api.get(`/projects/${id}/activity`);
         return response.data;
@@ -104,6 +254,51 @@ export const projectService = {
         return response.data;
     },
 
+    updatePhaseStatus: async (id, phaseId, action, reason) => {
+        const response = await api.put(`/projects/${id}/phases/${phaseId}/status`, { action, reason });
+        return response.data;
+    },
+
+    reschedulePhase: async (id, phaseId, dates) => {
+        const response = await api.post(`/projects/${id}/phases/${phaseId}/reschedule`, dates);
+        return response.data;
+    },
+
+    getTemplateUpgrade: async (id) => {
+        const response = await api.get(`/projects/${id}/template-upgrade`);
+        return response.data;
+    },
+
+    upgradeTemplate: async (id) => {
+        const response = await api.post(`/projects/${id}/template-upgrade`);
+        return response.data;
+    },
+
+    getMembers: async (id) => {
+        const response = await api.get(`/projects/${id}/members`);
+        return response.data;
+    },
+
+    addMember: async (id, userId, role) => {
+        const response = await api.post(`/projects/${id}/members`, { userId, role });
+        return response.data;
+    },
+
+    updateMember: async (id, userId, role) => {
+        const response = await api.patch(`/projects/${id}/members/${userId}`, { role });
+        return response.data;
+    },
+
+    removeMember: async (id, userId) => {
+        const response = await api.delete(`/projects/${id}/members/${userId}`);
+        return response.data;
+    },
+
+    inviteContact: async (id, contactId) => {
+        const response = await api.post(`/projects/${id}/contacts/${contactId}/invite`);
+        return response.data;
+    },
+
     updateDeliverableStatus: async (id, status) => {
         const response = await api.patch(`/deliverables/${id}/status`, { status });
         return response.data;
@@ -112,8 +307,8 @@ export const projectService = {
 
 // Template Services
 export const templateService = {
-    getAll: async () => {
-        const response = await api.get('/templates');
+    getAll: async (params = {}) => {
+        const response = await api.get('/templates', { params });
         return response.data;
     },
 
@@ -126,6 +321,60 @@ export const templateService = {
         const response = await api.post('/templates', templateData);
         return response.data;
     },
+
+    update: async (id, templateData) => {
+        const response = await api.put(`/templates/${id}`, templateData);
+        return response.data;
+    },
+
+    clone: async (id, name) => {
+        const response = await api.post(`/templates/${id}/clone`, name ? { name } : {});
+        return response.data;
+    },
+
+    archive: async (id) => {
+        const response = await api.post(`/templates/${id}/archive`);
+        return response.data;
+    },
+
+    unarchive: async (id) => {
+        const response = await api.post(`/templates/${id}/unarchive`);
+        return response.data;
+    },
+
+    exportBundle: async (id, format = 'json') => {
+        const response = await api.get(`/templates/${id}/export`, { params: { format }, responseType: 'blob' });
+        return response.data;
+    },
+
+    importBundle: async (text, onConflict = 'error') => {
+        // Sent as text so the server can parse either JSON or YAML
+        const response = await api.post('/templates/import', text, {
+            params: { onConflict },
+            headers: { 'Content-Type': 'application/x-yaml' }
+        });
+        return response.data;
+    },
+
+    getVersions: async (id) => {
+        const response = await api.get(`/templates/${id}/versions`);
+        return response.data;
+    },
+
+    createVersion: async (id, content = {}) => {
+        const response = await api.post(`/templates/${id}/versions`, content);
+        return response.data;
+    },
+
+    publish: async (id) => {
+        const response = await api.post(`/templates/${id}/publish`);
+        return response.data;
+    },
+
+    diff: async (id, againstId) => {
+        const response = await api.get(`/templates/${id}/diff`, { params: { against: againstId } });
+        return response.data;
+    },
 };
 
 // Deliverable Services
@@ -164,6 +413,197 @@ export const deliverableService = {
         const response = await api.delete(`/deliverables/${id}`);
         return response.data;
     },
+
+    setSharing: async (id, sharedWithClient) => {
+        const response = await api.patch(`/deliverables/${id}/sharing`, { sharedWithClient });
+        return response.data;
+    },
+
+    updateStatus: async (id, status) => {
+        const response = await api.patch(`/deliverables/${id}/status`, { status });
+        return response.data;
+    },
+
+    decide: async (id, decision, comment) => {
+        const response = await api.post(`/deliverables/${id}/approvals`, { decision, comment });
+        return response.data;
+    },
+
+    setApprovalChain: async (id, approvalChain) => {
+        const response = await api.put(`/deliverables/${id}/approval-chain`, { approvalChain });
+        return response.data;
+    },
+
+    getVersions: async (id) => {
+        const response = await api.get(`/deliverables/${id}/versions`);
+        return response.data;
+    },
+
+    diffVersions: async (id, from, to, granularity = 'line') => {
+        const response = await api.get(`/deliverables/${id}/versions/diff`, { params: { from, to, granularity } });
+        return response.data;
+    },
+
+    restoreVersion: async (id, versionNumber, changeNotes) => {
+        const response = await api.post(`/deliverables/${id}/versions/${versionNumber}/restore`, { changeNotes });
+        return response.data;
+    },
+
+    uploadFile: async (id, file, changeNotes) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (changeNotes) formData.append('changeNotes', changeNotes);
+
+        const response = await api.post(`/deliverables/${id}/file`, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' }
+        });
+        return response.data;
+    },
+
+    downloadFile: async (id, fileName) => {
+        const response = await api.get(`/deliverables/${id}/file`, { responseType: 'blob' });
+        saveBlob(response.data, fileName);
+    },
+
+    downloadVersionFile: async (id, versionNumber, fileName) => {
+        const response = await api.get(`/deliverables/${id}/versions/${versionNumber}/file`, { responseType: 'blob' });
+        saveBlob(response.data, fileName);
+    },
+
+    getComments: async (id) => {
+        const response = await api.get(`/deliverables/${id}/comments`);
+        return response.data;
+    },
+
+    addComment: async (id, comment) => {
+        const response = await api.post(`/deliverables/${id}/comments`, comment);
+        return response.data;
+    },
+
+    updateComment: async (id, commentId, body) => {
+        const response = await api.patch(`/deliverables/${id}/comments/${commentId}`, { body });
+        return response.data;
+    },
+
+    deleteComment: async (id, commentId) => {
+        const response = await api.delete(`/deliverables/${id}/comments/${commentId}`);
+        return response.data;
+    },
+
+    resolveComment: async (id, commentId) => {
+        const response = await api.post(`/deliverables/${id}/comments/${commentId}/resolve`);
+        return response.data;
+    },
+
+    unresolveComment: async (id, commentId) => {
+        const response = await api.post(`/deliverables/${id}/comments/${commentId}/unresolve`);
+        return response.data;
+    },
+};
+
+// User Services
+export const userService = {
+    getAll: async (params = {}) => {
+        const response = await api.get('/users', { params });
+        return response.data;
+    },
+
+    getDirectory: async (params = {}) => {
+        const response = await api.get('/users/directory', { params });
+        return response.data;
+    },
+
+    update: async (id, updates) => {
+        const response = await api.patch(`/users/${id}`, updates);
+        return response.data;
+    },
+
+    deactivate: async (id) => {
+        const response = await api.post(`/users/${id}/deactivate`);
+        return response.data;
+    },
+
+    reactivate: async (id) => {
+        const response = await api.post(`/users/${id}/reactivate`);
+        return response.data;
+    },
+};
+
+// Invitation Services
+export const invitationService = {
+    getAll: async (params = {}) => {
+        const response = await api.get('/invitations', { params });
+        return response.data;
+    },
+
+    create: async (invitationData) => {
+        const response = await api.post('/invitations', invitationData);
+        return response.data;
+    },
+
+    revoke: async (id) => {
+        const response = await api.post(`/invitations/${id}/revoke`);
+        return response.data;
+    },
+};
+
+// Audit Services
+export const auditService = {
+    getEntries: async (params = {}) => {
+        const response = await api.get('/audit', { params });
+        return response.data;
+    },
+};
+
+// Client Portal Services
+export const portalService = {
+    getProjects: async () => {
+        const response = await api.get('/portal/projects');
+        return response.data;
+    },
+
+    getProject: async (id) => {
+        const response = await api.get(`/portal/projects/${id}`);
+        return response.data;
+    },
+
+    getDeliverable: async (id) => {
+        const response = await api.get(`/portal/deliverables/${id}`);
+        return response.data;
+    },
+
+    review: async (id, decision, comment) => {
+        const response = await api.post(`/portal/deliverables/${id}/review`, { decision, comment });
+        return response.data;
+    },
+
+    downloadFile: async (id, fileName) => {
+        const response = await api.get(`/portal/deliverables/${id}/file`, { responseType: 'blob' });
+        saveBlob(response.data, fileName);
+    },
+};
+
+// Notification Services
+export const notificationService = {
+    getAll: async (params = {}) => {
+        const response = await api.get('/notifications', { params });
+        return response.data;
+    },
+
+    getUnreadCount: async () => {
+        const response = await api.get('/notifications/unread-count');
+        return response.data.count;
+    },
+
+    markAsRead: async (id) => {
+        const response = await api.patch(`/notifications/${id}/read`);
+        return response.data;
+    },
+
+    markAllAsRead: async () => {
+        const response = await api.patch('/notifications/read-all');
+        return response.data;
+    },
 };
 
 export default api;
@@ -0,0 +1,126 @@
+import { authService } from './api';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// ws(s)://host/ws, derived from the API URL unless configured explicitly
+const WS_URL = import.meta.env.VITE_WS_URL || API_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '/ws');
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+let socket = null;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+let shouldReconnect = false;
+let retriedWithRefreshedToken = false;
+
+const userListeners = new Set();
+const projectListeners = new Map(); // projectId -> Set<listener>
+
+const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+const connect = () => {
+    const token = localStorage.getItem('token');
+    if (!token || socket) return;
+
+    shouldReconnect = true;
+    socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
+
+    socket.onopen = () => {
+        reconnectDelay = 1000;
+        retriedWithRefreshedToken = false;
+        // Restore project subscriptions after a reconnect
+        for (const projectId of projectListeners.keys()) {
+            send({ type: 'subscribe', projectId });
+        }
+    };
+
+    socket.onmessage = (e) => {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (error) {
+            return;
+        }
+
+        if (message.type !== 'event') return;
+
+        if (message.channel === 'user') {
+            userListeners.forEach(listener => listener(message.event, message.data));
+        } else if (message.channel.startsWith('project:')) {
+            const projectId = Number(message.channel.split(':')[1]);
+            projectListeners.get(projectId)?.forEach(listener => listener(message.event, message.data));
+        }
+    };
+
+    socket.onclose = (e) => {
+        socket = null;
+        if (!shouldReconnect) return;
+
+        // 4401: token rejected or session ended. Retry once with a fresh access
+        // token; if the session is gone the refresh fails and we stay disconnected.
+        if (e.code === 4401) {
+            if (retriedWithRefreshedToken) return;
+            retriedWithRefreshedToken = true;
+            authService.refreshAccessToken().then(connect).catch(() => {});
+            return;
+        }
+
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+};
+
+export const realtimeService = {
+    connect,
+
+    disconnect: () => {
+        shouldReconnect = false;
+        clearTimeout(reconnectTimer);
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+    },
+
+    /**
+     * Listen for events pushed to the current user (e.g. 'notification').
+     * Returns an unsubscribe function.
+     */
+    onUserEvent: (listener) => {
+        connect();
+        userListeners.add(listener);
+        return () => userListeners.delete(listener);
+    },
+
+    /**
+     * Listen for a project's events ('activity', 'phase_updated', 'deliverable_updated').
+     * Returns an unsubscribe function.
+     */
+    subscribeToProject: (projectId, listener) => {
+        const id = Number(projectId);
+        connect();
+
+        if (!projectListeners.has(id)) {
+            projectListeners.set(id, new Set());
+            send({ type: 'subscribe', projectId: id });
+        }
+        projectListeners.get(id).add(listener);
+
+        return () => {
+            const listeners = projectListeners.get(id);
+            if (!listeners) return;
+
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                projectListeners.delete(id);
+                send({ type: 'unsubscribe', projectId: id });
+            }
+        };
+    },
+};
+
+export default realtimeService;
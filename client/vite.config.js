@@ -9,6 +9,10 @@ export default defineConfig({
             '/api': {
                 target: 'http://localhost:5000',
                 changeOrigin: true
+            },
+            '/ws': {
+                target: 'ws://localhost:5000',
+                ws: true
             }
         }
     }
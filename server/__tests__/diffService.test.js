@@ -0,0 +1,58 @@
+import { diffText } from '../services/diffService.js';
+
+describe('diffText', () => {
+    test('reports identical texts as one unchanged block', () => {
+        expect(diffText('a\nb', 'a\nb')).toEqual({
+            changes: [{ type: 'equal', value: 'a\nb' }],
+            stats: { added: 0, removed: 0 }
+        });
+    });
+
+    test('diffs by line by default', () => {
+        const result = diffText('one\ntwo\nthree', 'one\n2\nthree\nfour');
+
+        expect(result.changes).toEqual([
+            { type: 'equal', value: 'one' },
+            { type: 'removed', value: 'two' },
+            { type: 'added', value: '2' },
+            { type: 'equal', value: 'three' },
+            { type: 'added', value: 'four' }
+        ]);
+        expect(result.stats).toEqual({ added: 2, removed: 1 });
+    });
+
+    test('finds a minimal diff in the middle of the text', () => {
+        const result = diffText('a\nb\nc\nd\ne', 'a\nc\nd\nx\ne');
+
+        expect(result.changes.filter(change => change.type !== 'equal')).toEqual([
+            { type: 'removed', value: 'b' },
+            { type: 'added', value: 'x' }
+        ]);
+        expect(result.stats).toEqual({ added: 1, removed: 1 });
+    });
+
+    test('diffs by word and counts words, not whitespace', () => {
+        const result = diffText('the quick brown fox', 'the slow brown fox jumps', 'word');
+
+        expect(result.changes.map(change => change.type)).toEqual(['equal', 'removed', 'added', 'equal', 'added']);
+        expect(result.changes.map(change => change.value).join('')).toContain('slow');
+        expect(result.stats).toEqual({ added: 2, removed: 1 });
+    });
+
+    test('treats an empty text as having no lines', () => {
+        expect(diffText('', 'new\nlines')).toEqual({
+            changes: [{ type: 'added', value: 'new\nlines' }],
+            stats: { added: 2, removed: 0 }
+        });
+        expect(diffText('old', null).stats).toEqual({ added: 0, removed: 1 });
+    });
+
+    test('falls back to replacing everything when the texts differ too much', () => {
+        const oldText = Array.from({ length: 3000 }, (_, i) => `old ${i}`).join('\n');
+        const newText = Array.from({ length: 3000 }, (_, i) => `new ${i}`).join('\n');
+        const result = diffText(oldText, newText);
+
+        expect(result.changes.map(change => change.type)).toEqual(['removed', 'added']);
+        expect(result.stats).toEqual({ added: 3000, removed: 3000 });
+    });
+});
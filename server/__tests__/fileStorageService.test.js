@@ -0,0 +1,131 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    getStorage, isAllowedType, matchesSignature, registerStorageBackend, storeDeliverableFile
+} from '../services/fileStorageService.js';
+import { createLocalFileStorage } from '../services/localFileStorage.js';
+
+const ENV_KEYS = ['ALLOWED_FILE_TYPES', 'STORAGE_BACKEND', 'UPLOAD_DIR'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+afterEach(() => {
+    for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    }
+});
+
+describe('isAllowedType', () => {
+    test('allows the default document and image types', () => {
+        delete process.env.ALLOWED_FILE_TYPES;
+        expect(isAllowedType('application/pdf')).toBe(true);
+        expect(isAllowedType('image/png')).toBe(true);
+        expect(isAllowedType('image/svg+xml')).toBe(false);
+        expect(isAllowedType('application/x-msdownload')).toBe(false);
+    });
+
+    test('reads the allowed types from ALLOWED_FILE_TYPES', () => {
+        process.env.ALLOWED_FILE_TYPES = ' text/plain , application/pdf,';
+        expect(isAllowedType('text/plain')).toBe(true);
+        expect(isAllowedType('application/pdf')).toBe(true);
+        expect(isAllowedType('image/png')).toBe(false);
+    });
+
+    test('allows every subtype of a wildcard entry', () => {
+        process.env.ALLOWED_FILE_TYPES = 'image/*,text/plain';
+        expect(isAllowedType('image/png')).toBe(true);
+        expect(isAllowedType('image/webp')).toBe(true);
+        expect(isAllowedType('imagex/png')).toBe(false);
+        expect(isAllowedType('text/html')).toBe(false);
+    });
+});
+
+describe('matchesSignature', () => {
+    test('accepts content that starts with the signature of its type', () => {
+        expect(matchesSignature(Buffer.from('%PDF-1.7\n'), 'application/pdf')).toBe(true);
+        expect(matchesSignature(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]), 'image/png')).toBe(true);
+        expect(matchesSignature(Buffer.from('PK\x03\x04rest'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')).toBe(true);
+    });
+
+    test('rejects content passed off as another type', () => {
+        expect(matchesSignature(Buffer.from('<html><script>'), 'application/pdf')).toBe(false);
+        expect(matchesSignature(Buffer.from('%PDF'), 'image/png')).toBe(false);
+        expect(matchesSignature(Buffer.from([0xff, 0xd8]), 'image/jpeg')).toBe(false);
+    });
+
+    test('accepts any content for types without a signature', () => {
+        expect(matchesSignature(Buffer.from('a,b\n1,2'), 'text/csv')).toBe(true);
+    });
+});
+
+describe('local file storage', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    test('stores, reads and removes files', async () => {
+        const storage = createLocalFileStorage({ directory });
+
+        await storage.put('deliverables/1/a.txt', Buffer.from('hello'));
+        const stored = await storage.get('deliverables/1/a.txt');
+        expect(stored.size).toBe(5);
+        expect(await readStream(stored.stream)).toBe('hello');
+
+        await storage.remove('deliverables/1/a.txt');
+        expect(await storage.get('deliverables/1/a.txt')).toBeNull();
+        await expect(storage.remove('deliverables/1/a.txt')).resolves.toBeUndefined();
+    });
+
+    test('never overwrites a stored file', async () => {
+        const storage = createLocalFileStorage({ directory });
+
+        await storage.put('a.txt', Buffer.from('first'));
+        await expect(storage.put('a.txt', Buffer.from('second'))).rejects.toThrow();
+        expect(await readStream((await storage.get('a.txt')).stream)).toBe('first');
+    });
+
+    test('rejects keys outside the upload directory', async () => {
+        const storage = createLocalFileStorage({ directory });
+
+        await expect(storage.get('../secret.txt')).rejects.toThrow('Invalid storage key');
+        await expect(storage.put(`${directory}-other/a.txt`, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+
+    test('is the default backend and keeps deliverable files under random keys', async () => {
+        delete process.env.STORAGE_BACKEND;
+        process.env.UPLOAD_DIR = directory;
+
+        const file = { buffer: Buffer.from('%PDF-1.7'), originalname: 'Final Report.PDF', mimetype: 'application/pdf', size: 8 };
+        const key = await storeDeliverableFile(12, file);
+
+        expect(key).toMatch(/^deliverables\/12\/[0-9a-f-]{36}\.pdf$/);
+        expect(await fs.promises.readFile(path.join(directory, key), 'utf8')).toBe('%PDF-1.7');
+        expect(await storeDeliverableFile(12, { ...file, originalname: 'report.<script>' })).toMatch(/^deliverables\/12\/[0-9a-f-]{36}$/);
+    });
+});
+
+describe('getStorage', () => {
+    test('uses registered backends and rejects unknown ones', () => {
+        const backend = { put: async () => {}, get: async () => null, remove: async () => {} };
+        registerStorageBackend('memory', () => backend);
+
+        process.env.STORAGE_BACKEND = 'memory';
+        expect(getStorage()).toBe(backend);
+
+        process.env.STORAGE_BACKEND = 'floppy';
+        expect(() => getStorage()).toThrow('Unknown storage backend "floppy"');
+    });
+});
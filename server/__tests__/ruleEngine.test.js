@@ -0,0 +1,59 @@
+import { evaluateCondition } from '../services/ruleEngine.js';
+
+const context = {
+    event: 'deliverable_status_changed',
+    newStatus: 'approved',
+    deliverable: { status: 'approved', name: 'Design Spec', due_date: '2026-03-01', tags: ['ui', 'spec'] },
+    project: { priority: 3, client_name: null }
+};
+
+describe('evaluateCondition', () => {
+    test('matches when there is no condition', () => {
+        expect(evaluateCondition(null, context)).toBe(true);
+        expect(evaluateCondition({}, context)).toBe(true);
+    });
+
+    test('compares nested fields, defaulting to equals', () => {
+        expect(evaluateCondition({ field: 'deliverable.status', value: 'approved' }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'deliverable.status', operator: 'not_equals', value: 'approved' }, context)).toBe(false);
+        expect(evaluateCondition({ field: 'phase.status', value: 'active' }, context)).toBe(false);
+    });
+
+    test('supports in, not_in and contains', () => {
+        expect(evaluateCondition({ field: 'newStatus', operator: 'in', value: ['approved', 'rejected'] }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'newStatus', operator: 'not_in', value: ['approved'] }, context)).toBe(false);
+        expect(evaluateCondition({ field: 'newStatus', operator: 'in', value: 'approved' }, context)).toBe(false);
+        expect(evaluateCondition({ field: 'deliverable.name', operator: 'contains', value: 'SPEC' }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'deliverable.tags', operator: 'contains', value: 'ui' }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'project.priority', operator: 'contains', value: '3' }, context)).toBe(false);
+    });
+
+    test('compares numbers and dates', () => {
+        expect(evaluateCondition({ field: 'project.priority', operator: 'gt', value: 2 }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'project.priority', operator: 'lte', value: 2 }, context)).toBe(false);
+        expect(evaluateCondition({ field: 'deliverable.due_date', operator: 'lt', value: '2026-03-02' }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'deliverable.due_date', operator: 'gte', value: '2026-03-02T00:00:00Z' }, context)).toBe(false);
+    });
+
+    test('checks whether a field exists', () => {
+        expect(evaluateCondition({ field: 'deliverable.name', operator: 'exists' }, context)).toBe(true);
+        expect(evaluateCondition({ field: 'project.client_name', operator: 'exists' }, context)).toBe(false);
+        expect(evaluateCondition({ field: 'project.client_name', operator: 'exists', value: false }, context)).toBe(true);
+    });
+
+    test('combines conditions with all, any and not', () => {
+        const approved = { field: 'newStatus', value: 'approved' };
+        const urgent = { field: 'project.priority', operator: 'gte', value: 5 };
+
+        expect(evaluateCondition({ all: [approved, urgent] }, context)).toBe(false);
+        expect(evaluateCondition({ any: [approved, urgent] }, context)).toBe(true);
+        expect(evaluateCondition({ all: [approved, { not: urgent }] }, context)).toBe(true);
+        expect(evaluateCondition({ any: [] }, context)).toBe(false);
+    });
+
+    test('rejects malformed conditions', () => {
+        expect(() => evaluateCondition({ operator: 'equals', value: 1 }, context)).toThrow('Condition requires a field');
+        expect(() => evaluateCondition({ field: 'newStatus', operator: 'matches', value: 'x' }, context))
+            .toThrow('Unknown condition operator: matches');
+    });
+});
@@ -0,0 +1,77 @@
+import { calculateCriticalPath, wouldCreateCycle } from '../services/scheduleService.js';
+
+const dep = (predecessorId, successorId, type = 'finish_to_start', lagDays = 0) => ({
+    predecessorId, successorId, type, lagDays
+});
+
+describe('wouldCreateCycle', () => {
+    const chain = [dep(1, 2), dep(2, 3)];
+
+    test('rejects a dependency on itself', () => {
+        expect(wouldCreateCycle([], 1, 1)).toBe(true);
+    });
+
+    test('rejects closing a loop', () => {
+        expect(wouldCreateCycle(chain, 3, 1)).toBe(true);
+        expect(wouldCreateCycle(chain, 2, 1)).toBe(true);
+    });
+
+    test('allows edges that keep the graph acyclic', () => {
+        expect(wouldCreateCycle(chain, 1, 3)).toBe(false);
+        expect(wouldCreateCycle(chain, 4, 1)).toBe(false);
+    });
+
+    test('handles diamonds without revisiting nodes', () => {
+        const diamond = [dep(1, 2), dep(1, 3), dep(2, 4), dep(3, 4)];
+        expect(wouldCreateCycle(diamond, 4, 1)).toBe(true);
+        expect(wouldCreateCycle(diamond, 2, 3)).toBe(false);
+    });
+});
+
+describe('calculateCriticalPath', () => {
+    test('finds the longest chain and the slack of the others', () => {
+        const activities = [
+            { id: 1, duration: 3 },
+            { id: 2, duration: 2 },
+            { id: 3, duration: 5 },
+            { id: 4, duration: 1 }
+        ];
+        const result = calculateCriticalPath(activities, [dep(1, 2), dep(1, 3), dep(2, 4), dep(3, 4)]);
+
+        expect(result.duration).toBe(9);
+        expect(result.criticalPath).toEqual([1, 3, 4]);
+        expect(result.activities.get(2)).toMatchObject({
+            earliestStart: 3, earliestFinish: 5, latestStart: 6, latestFinish: 8, slack: 3, isCritical: false
+        });
+        expect(result.activities.get(4)).toMatchObject({ earliestStart: 8, earliestFinish: 9, slack: 0 });
+    });
+
+    test('applies lag and start-to-start dependencies', () => {
+        const activities = [
+            { id: 1, duration: 4 },
+            { id: 2, duration: 2 },
+            { id: 3, duration: 1 }
+        ];
+        const result = calculateCriticalPath(activities, [dep(1, 2, 'start_to_start', 1), dep(2, 3, 'finish_to_start', 2)]);
+
+        expect(result.activities.get(2)).toMatchObject({ earliestStart: 1, earliestFinish: 3 });
+        expect(result.activities.get(3)).toMatchObject({ earliestStart: 5, earliestFinish: 6 });
+        expect(result.duration).toBe(6);
+        expect(result.criticalPath).toEqual([1, 2, 3]);
+    });
+
+    test('respects earliest starts and ignores dependencies on unknown activities', () => {
+        const result = calculateCriticalPath(
+            [{ id: 1, duration: 2, earliestStart: 3 }, { id: 2, duration: 1 }],
+            [dep(99, 1)]
+        );
+
+        expect(result.duration).toBe(5);
+        expect(result.criticalPath).toEqual([1]);
+        expect(result.activities.get(2).slack).toBe(4);
+    });
+
+    test('returns an empty schedule for no activities', () => {
+        expect(calculateCriticalPath([], [])).toMatchObject({ duration: 0, criticalPath: [] });
+    });
+});
@@ -0,0 +1,243 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Sign-ins run end to end against the mock IdP (scripts/mockIdp.js), with
+ * the database models replaced by in-memory stand-ins.
+ */
+
+const users = new Map();
+const identities = new Map();
+const loginStates = new Map();
+
+jest.unstable_mockModule('../models/User.js', () => ({
+    createUser: jest.fn(async (email, password, firstName, lastName, role) => {
+        const user = { id: users.size + 1, email, first_name: firstName, last_name: lastName, role, is_active: true, email_verified: false };
+        users.set(user.id, user);
+        return user;
+    }),
+    findAnyUserByEmail: jest.fn(async (email) => [...users.values()].find(user => user.email === email.toLowerCase()) || null),
+    findUserById: jest.fn(async (id) => users.get(id) || null),
+    markEmailVerified: jest.fn(async (id) => {
+        users.get(id).email_verified = true;
+    }),
+    countActiveAdmins: jest.fn(async () => [...users.values()].filter(user => user.role === 'admin' && user.is_active).length),
+    updateUser: jest.fn(async (id, updates) => Object.assign(users.get(id), updates))
+}));
+
+jest.unstable_mockModule('../models/UserIdentity.js', () => ({
+    findIdentity: jest.fn(async (provider, subject) => identities.get(`${provider}:${subject}`) || null),
+    createIdentity: jest.fn(async ({ userId, provider, subject, email }) => {
+        const identity = { id: identities.size + 1, user_id: userId, provider, subject, email };
+        identities.set(`${provider}:${subject}`, identity);
+        return identity;
+    }),
+    touchIdentity: jest.fn(async () => {}),
+    createLoginState: jest.fn(async ({ provider, stateHash, codeVerifier, nonce }) => {
+        loginStates.set(`${provider}:${stateHash}`, { provider, code_verifier: codeVerifier, nonce });
+    }),
+    consumeLoginState: jest.fn(async (provider, stateHash) => {
+        const loginState = loginStates.get(`${provider}:${stateHash}`) || null;
+        loginStates.delete(`${provider}:${stateHash}`);
+        return loginState;
+    }),
+    deleteExpiredLoginStates: jest.fn(async () => 0)
+}));
+
+jest.unstable_mockModule('../services/authTokenService.js', () => ({
+    TOKEN_PURPOSES: { ssoLogin: 'sso_login' },
+    issueToken: jest.fn(async (userId) => `login-code-${userId}`),
+    consumeToken: jest.fn(async () => null)
+}));
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+    recordAudit: jest.fn(async () => {})
+}));
+
+jest.unstable_mockModule('../services/transactionService.js', () => ({
+    withTransaction: jest.fn(async (work) => work({}))
+}));
+
+const { getProvider, mapGroupsToRole, startLogin, completeLogin } = await import('../services/ssoService.js');
+const UserIdentityModel = await import('../models/UserIdentity.js');
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+let idp;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const startMockIdp = (port) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['scripts/mockIdp.js'], {
+        cwd: serverDir,
+        env: { ...process.env, MOCK_IDP_PORT: String(port), MOCK_IDP_ISSUER: `http://127.0.0.1:${port}` },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Mock IdP exited with code ${code}`)));
+    child.stdout.on('data', data => {
+        if (data.toString().includes('listening')) resolve(child);
+    });
+});
+
+beforeAll(async () => {
+    const port = await freePort();
+    idp = await startMockIdp(port);
+
+    // "trusted" is the same IdP, configured to vouch for unverified emails
+    for (const id of ['MOCK', 'TRUSTED']) {
+        process.env[`SSO_${id}_ISSUER`] = `http://127.0.0.1:${port}`;
+        process.env[`SSO_${id}_CLIENT_ID`] = 'pm-software';
+        process.env[`SSO_${id}_CLIENT_SECRET`] = 'mock-secret';
+        process.env[`SSO_${id}_ROLE_MAP`] = 'idp-admins:admin,idp-pms:pm,idp-staff:team_member,idp-clients:client';
+    }
+    process.env.SSO_TRUSTED_TRUST_UNVERIFIED_EMAIL = 'true';
+    process.env.SSO_PROVIDERS = 'mock,trusted';
+}, 15000);
+
+afterAll(() => {
+    idp?.kill();
+});
+
+beforeEach(() => {
+    users.clear();
+    identities.clear();
+    loginStates.clear();
+});
+
+/**
+ * Start a sign-in and fill in the mock IdP's form
+ * @returns {Object} - Parameters the IdP sends back to the callback
+ */
+const signInAtIdp = async (provider, { email = 'jane.doe@example.com', groups = 'idp-staff', emailVerified = true } = {}) => {
+    const authorizationUrl = new URL(await startLogin(provider));
+    const form = new URLSearchParams({
+        ...Object.fromEntries(['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+            .map(name => [name, authorizationUrl.searchParams.get(name)])),
+        email,
+        given_name: 'Jane',
+        family_name: 'Doe',
+        groups,
+        decision: 'allow'
+    });
+    if (emailVerified) form.set('email_verified', 'true');
+
+    const response = await fetch(new URL('/authorize', authorizationUrl), { method: 'POST', body: form, redirect: 'manual' });
+    return Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+};
+
+const addUser = (email, role = 'team_member') => {
+    const user = { id: users.size + 1, email, role, is_active: true };
+    users.set(user.id, user);
+    return user;
+};
+
+describe('mapGroupsToRole', () => {
+    test('picks the most privileged role any group maps to', () => {
+        const provider = getProvider('mock');
+        expect(mapGroupsToRole(provider, ['idp-staff', 'idp-pms'])).toBe('pm');
+        expect(mapGroupsToRole(provider, ['idp-clients', 'idp-admins'])).toBe('admin');
+        expect(mapGroupsToRole(provider, ['idp-clients'])).toBe('client');
+    });
+
+    test('is null for unmapped or missing groups', () => {
+        const provider = getProvider('mock');
+        expect(mapGroupsToRole(provider, ['everyone'])).toBeNull();
+        expect(mapGroupsToRole(provider)).toBeNull();
+    });
+});
+
+describe('sign-in state, nonce and PKCE', () => {
+    test('sends a S256 challenge of the stored verifier', async () => {
+        const url = new URL(await startLogin(getProvider('mock')));
+        const [loginState] = loginStates.values();
+
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge'))
+            .toBe(crypto.createHash('sha256').update(loginState.code_verifier).digest('base64url'));
+        expect(url.searchParams.get('nonce')).toBe(loginState.nonce);
+        // Only a hash of the state is stored
+        expect([...loginStates.keys()][0]).not.toContain(url.searchParams.get('state'));
+    });
+
+    test('provisions a new user with the mapped role', async () => {
+        const provider = getProvider('mock');
+        const params = await signInAtIdp(provider, { groups: 'idp-staff,idp-pms' });
+
+        await expect(completeLogin(provider, params, {})).resolves.toBe('login-code-1');
+        expect(users.get(1)).toMatchObject({ email: 'jane.doe@example.com', role: 'pm', email_verified: true });
+    });
+
+    test('rejects an unknown state and a replayed callback', async () => {
+        const provider = getProvider('mock');
+        const params = await signInAtIdp(provider);
+
+        await expect(completeLogin(provider, { ...params, state: 'forged' }, {}))
+            .rejects.toMatchObject({ code: 'SSO_DENIED', message: 'This sign-in has expired. Please try again.' });
+
+        await completeLogin(provider, params, {});
+        await expect(completeLogin(provider, params, {})).rejects.toMatchObject({ code: 'SSO_DENIED' });
+    });
+
+    test('rejects an ID token issued for another nonce', async () => {
+        const provider = getProvider('mock');
+        const params = await signInAtIdp(provider);
+        for (const loginState of loginStates.values()) loginState.nonce = 'another-nonce';
+
+        await expect(completeLogin(provider, params, {})).rejects.toThrow('ID token nonce does not match');
+        expect(users.size).toBe(0);
+    });
+
+    test('rejects a code redeemed without the matching PKCE verifier', async () => {
+        const provider = getProvider('mock');
+        const params = await signInAtIdp(provider);
+        for (const loginState of loginStates.values()) loginState.code_verifier = 'not-the-verifier';
+
+        await expect(completeLogin(provider, params, {})).rejects.toThrow('invalid_grant');
+        expect(users.size).toBe(0);
+    });
+
+    test('passes on a sign-in the user denied at the provider', async () => {
+        await expect(completeLogin(getProvider('mock'), { error: 'access_denied', error_description: 'The user denied the sign-in' }, {}))
+            .rejects.toMatchObject({ code: 'SSO_DENIED', message: 'The user denied the sign-in' });
+    });
+});
+
+describe('linking accounts by email', () => {
+    test('links an existing account when the provider verified the email', async () => {
+        const provider = getProvider('mock');
+        const user = addUser('jane.doe@example.com');
+        const params = await signInAtIdp(provider);
+
+        await expect(completeLogin(provider, params, {})).resolves.toBe(`login-code-${user.id}`);
+        expect(UserIdentityModel.createIdentity).toHaveBeenLastCalledWith(expect.objectContaining({ userId: user.id, provider: 'mock' }));
+    });
+
+    test('refuses to link when the provider has not verified the email', async () => {
+        const provider = getProvider('mock');
+        addUser('jane.doe@example.com');
+        const params = await signInAtIdp(provider, { emailVerified: false });
+
+        await expect(completeLogin(provider, params, {})).rejects.toMatchObject({
+            code: 'SSO_DENIED', message: 'The identity provider has not verified your email address'
+        });
+        expect(identities.size).toBe(0);
+    });
+
+    test('links unverified emails only for providers trusted with them', async () => {
+        const provider = getProvider('trusted');
+        const user = addUser('jane.doe@example.com');
+        const params = await signInAtIdp(provider, { emailVerified: false });
+
+        await expect(completeLogin(provider, params, {})).resolves.toBe(`login-code-${user.id}`);
+        expect([...identities.values()]).toEqual([expect.objectContaining({ provider: 'trusted', user_id: user.id })]);
+    });
+});
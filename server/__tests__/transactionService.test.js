@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+
+const client = { query: jest.fn(), release: jest.fn() };
+
+jest.unstable_mockModule('../config/database.js', () => ({
+    query: jest.fn(),
+    getClient: jest.fn(async () => client)
+}));
+
+const { withTransaction } = await import('../services/transactionService.js');
+
+beforeEach(() => {
+    client.query.mockReset().mockResolvedValue({ rows: [] });
+    client.release.mockReset();
+});
+
+describe('withTransaction', () => {
+    test('commits and returns the result of the work', async () => {
+        await expect(withTransaction(async () => 'done')).resolves.toBe('done');
+
+        expect(client.query.mock.calls.map(([text]) => text)).toEqual(['BEGIN', 'COMMIT']);
+        expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    test('rolls back, rethrows and returns the connection to the pool', async () => {
+        const failure = new Error('insert failed');
+
+        await expect(withTransaction(async () => { throw failure; })).rejects.toBe(failure);
+
+        expect(client.query.mock.calls.map(([text]) => text)).toEqual(['BEGIN', 'ROLLBACK']);
+        expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    test('destroys the connection when the rollback fails', async () => {
+        const rollbackError = new Error('connection lost');
+        client.query.mockImplementation(async (text) => {
+            if (text === 'ROLLBACK') throw rollbackError;
+            return { rows: [] };
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(withTransaction(async () => { throw new Error('insert failed'); })).rejects.toThrow('insert failed');
+
+        expect(client.release).toHaveBeenCalledWith(rollbackError);
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,74 @@
+import {
+    isWorkingDay, nextWorkingDay, addWorkingDays, countWorkingDays, planPhaseDates
+} from '../services/workCalendar.js';
+
+// Local dates, as the scheduler builds them; 2026-12-25 is a Friday
+const day = (text) => new Date(`${text}T00:00:00`);
+const calendar = { workingDays: [1, 2, 3, 4, 5], holidays: ['2026-12-25'] };
+
+describe('isWorkingDay', () => {
+    test('treats every day as a working day without a calendar', () => {
+        expect(isWorkingDay(day('2026-12-26'), null)).toBe(true);
+    });
+
+    test('skips weekends and holidays', () => {
+        expect(isWorkingDay(day('2026-12-24'), calendar)).toBe(true);
+        expect(isWorkingDay(day('2026-12-25'), calendar)).toBe(false);
+        expect(isWorkingDay(day('2026-12-26'), calendar)).toBe(false);
+    });
+
+    test('defaults to weekdays when a calendar has no working days listed', () => {
+        expect(isWorkingDay(day('2026-12-27'), { holidays: [] })).toBe(false);
+        expect(isWorkingDay(day('2026-12-28'), { holidays: [] })).toBe(true);
+    });
+});
+
+describe('nextWorkingDay', () => {
+    test('returns the date itself when it is a working day', () => {
+        expect(nextWorkingDay(day('2026-12-24'), calendar)).toEqual(day('2026-12-24'));
+    });
+
+    test('moves past holidays and weekends', () => {
+        expect(nextWorkingDay(day('2026-12-25'), calendar)).toEqual(day('2026-12-28'));
+    });
+
+    test('fails for a calendar without working days', () => {
+        expect(() => nextWorkingDay(day('2026-12-24'), { workingDays: [] })).toThrow('Work calendar has no working days');
+    });
+});
+
+describe('addWorkingDays', () => {
+    test('counts only working days', () => {
+        expect(addWorkingDays(day('2026-12-23'), 2, calendar)).toEqual(day('2026-12-28'));
+    });
+
+    test('returns the next working day for zero days', () => {
+        expect(addWorkingDays(day('2026-12-26'), 0, calendar)).toEqual(day('2026-12-28'));
+    });
+});
+
+describe('countWorkingDays', () => {
+    test('includes both ends', () => {
+        expect(countWorkingDays(day('2026-12-21'), day('2026-12-31'), calendar)).toBe(8);
+        expect(countWorkingDays(day('2026-12-21'), day('2026-12-31'), null)).toBe(11);
+    });
+
+    test('is zero when the end comes first', () => {
+        expect(countWorkingDays(day('2026-12-31'), day('2026-12-21'), calendar)).toBe(0);
+    });
+});
+
+describe('planPhaseDates', () => {
+    test('lays phases end to end in phase order and skips those without a duration', () => {
+        const phases = [
+            { id: 'b', phase_order: 2, default_duration_days: 2 },
+            { id: 'a', phase_order: 1, default_duration_days: 3 },
+            { id: 'c', phase_order: 3, default_duration_days: null }
+        ];
+        const dates = planPhaseDates(phases, day('2026-12-22'), calendar);
+
+        expect(dates.get('a')).toEqual({ startDate: day('2026-12-22'), endDate: day('2026-12-24') });
+        expect(dates.get('b')).toEqual({ startDate: day('2026-12-28'), endDate: day('2026-12-29') });
+        expect(dates.has('c')).toBe(false);
+    });
+});
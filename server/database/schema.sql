@@ -9,6 +9,7 @@ CREATE TABLE IF NOT EXISTS users (
     last_name VARCHAR(100) NOT NULL,
     role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'pm', 'team_member', 'client')),
     is_active BOOLEAN DEFAULT true,
+    email_verified_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -19,6 +20,11 @@ CREATE TABLE IF NOT EXISTS project_templates (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     category VARCHAR(100),
+    phase_completion_mode VARCHAR(50) DEFAULT 'auto' CHECK (phase_completion_mode IN ('auto', 'signoff')),
+    family_id INTEGER REFERENCES project_templates(id), -- first version of the template (itself for version 1)
+    version INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('draft', 'published')),
+    published_at TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
     created_by INTEGER REFERENCES users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -33,6 +39,7 @@ CREATE TABLE IF NOT EXISTS template_phases (
     description TEXT,
     phase_order INTEGER NOT NULL,
     default_duration_days INTEGER,
+    origin_phase_id INTEGER, -- same phase in the version it was introduced in (tracks it across versions)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -45,6 +52,8 @@ CREATE TABLE IF NOT EXISTS template_deliverables (
     deliverable_type VARCHAR(100),
     is_ai_generatable BOOLEAN DEFAULT false,
     template_content TEXT,
+    approval_chain JSONB, -- steps of approvers who sign off, copied to project deliverables
+    origin_deliverable_id INTEGER, -- same deliverable in the version it was introduced in
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -52,12 +61,14 @@ CREATE TABLE IF NOT EXISTS template_deliverables (
 CREATE TABLE IF NOT EXISTS projects (
     id SERIAL PRIMARY KEY,
     template_id INTEGER REFERENCES project_templates(id),
+    template_version INTEGER,
     name VARCHAR(255) NOT NULL,
     description TEXT,
     pm_id INTEGER REFERENCES users(id),
     status VARCHAR(50) DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'on_hold', 'completed', 'cancelled')),
     start_date DATE,
     end_date DATE,
+    work_calendar JSONB, -- { "workingDays": [1,2,3,4,5], "holidays": ["2026-12-25"] }; NULL = every day
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -71,6 +82,7 @@ CREATE TABLE IF NOT EXISTS client_contacts (
     phone VARCHAR(50),
     role VARCHAR(100),
     is_primary BOOLEAN DEFAULT false,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- client portal account, once invited
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -83,6 +95,7 @@ CREATE TABLE IF NOT EXISTS project_phases (
     description TEXT,
     phase_order INTEGER NOT NULL,
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed', 'blocked')),
+    blocked_reason TEXT,
     start_date DATE,
     end_date DATE,
     actual_start_date DATE,
@@ -100,6 +113,17 @@ CREATE TABLE IF NOT EXISTS phase_stakeholders (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Explicit project members (the PM and phase stakeholders are members implicitly)
+CREATE TABLE IF NOT EXISTS project_members (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL DEFAULT 'contributor' CHECK (role IN ('viewer', 'contributor', 'manager')),
+    added_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (project_id, user_id)
+);
+
 -- Deliverables
 CREATE TABLE IF NOT EXISTS deliverables (
     id SERIAL PRIMARY KEY,
@@ -112,23 +136,85 @@ CREATE TABLE IF NOT EXISTS deliverables (
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'review', 'approved', 'rejected')),
     is_ai_generated BOOLEAN DEFAULT false,
     content TEXT,
-    file_path VARCHAR(500),
+    file_path VARCHAR(500), -- storage key of the current file, kept with the version it was uploaded in
     assigned_to INTEGER REFERENCES users(id),
     due_date DATE,
+    duration_days INTEGER,
+    shared_with_client BOOLEAN DEFAULT false, -- visible (and reviewable) in the client portal
+    approval_chain JSONB, -- NULL means the project manager alone approves
+    review_round INTEGER DEFAULT 0, -- counts submissions for review; approvals belong to a round
+    started_at TIMESTAMP,
     completed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Approvals and rejections of deliverables, one per approver of an approval chain step
+CREATE TABLE IF NOT EXISTS deliverable_reviews (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER REFERENCES deliverables(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    comment TEXT,
+    review_round INTEGER,
+    step_index INTEGER,
+    approver_index INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Phase dependencies (predecessor must finish/start before successor)
+CREATE TABLE IF NOT EXISTS phase_dependencies (
+    id SERIAL PRIMARY KEY,
+    predecessor_id INTEGER REFERENCES project_phases(id) ON DELETE CASCADE,
+    successor_id INTEGER REFERENCES project_phases(id) ON DELETE CASCADE,
+    dependency_type VARCHAR(50) DEFAULT 'finish_to_start' CHECK (dependency_type IN ('finish_to_start', 'start_to_start')),
+    lag_days INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (predecessor_id, successor_id),
+    CHECK (predecessor_id <> successor_id)
+);
+
+-- Deliverable dependencies
+CREATE TABLE IF NOT EXISTS deliverable_dependencies (
+    id SERIAL PRIMARY KEY,
+    predecessor_id INTEGER REFERENCES deliverables(id) ON DELETE CASCADE,
+    successor_id INTEGER REFERENCES deliverables(id) ON DELETE CASCADE,
+    dependency_type VARCHAR(50) DEFAULT 'finish_to_start' CHECK (dependency_type IN ('finish_to_start', 'start_to_start')),
+    lag_days INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (predecessor_id, successor_id),
+    CHECK (predecessor_id <> successor_id)
+);
+
 -- Deliverable versions (for version control)
 CREATE TABLE IF NOT EXISTS deliverable_versions (
     id SERIAL PRIMARY KEY,
     deliverable_id INTEGER REFERENCES deliverables(id) ON DELETE CASCADE,
     version_number INTEGER NOT NULL,
     content TEXT,
-    file_path VARCHAR(500),
+    file_path VARCHAR(500), -- storage key of the file uploaded with this version, if any
+    file_name VARCHAR(255),
+    file_type VARCHAR(255),
+    file_size INTEGER,
     created_by INTEGER REFERENCES users(id),
     change_notes TEXT,
+    restored_from INTEGER, -- version_number whose content this version restores, if any
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (deliverable_id, version_number)
+);
+
+-- Discussion on deliverables: threads of one top-level comment and its replies
+CREATE TABLE IF NOT EXISTS deliverable_comments (
+    id SERIAL PRIMARY KEY,
+    deliverable_id INTEGER REFERENCES deliverables(id) ON DELETE CASCADE,
+    version_id INTEGER REFERENCES deliverable_versions(id) ON DELETE SET NULL, -- version the thread is about, if any
+    parent_id INTEGER REFERENCES deliverable_comments(id) ON DELETE CASCADE, -- NULL for the comment that starts a thread
+    user_id INTEGER REFERENCES users(id),
+    body TEXT NOT NULL, -- mentions are written as @[Name](userId)
+    mentions INTEGER[] DEFAULT '{}',
+    resolved_at TIMESTAMP, -- threads only
+    resolved_by INTEGER REFERENCES users(id),
+    edited_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -167,14 +253,132 @@ CREATE TABLE IF NOT EXISTS workflow_rules (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Scheduled jobs (cron-style background automation)
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    cron_expression VARCHAR(100) NOT NULL,
+    is_paused BOOLEAN DEFAULT false,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(50) CHECK (last_status IN ('success', 'failed')),
+    last_result JSONB,
+    last_error TEXT,
+    last_duration_ms INTEGER,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Keys of notifications already sent by recurring jobs (prevents repeat reminders)
+CREATE TABLE IF NOT EXISTS notification_dedupe (
+    dedupe_key VARCHAR(255) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sign-in sessions; each holds the hash of its current refresh token
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(100),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use, time-limited tokens sent by email or handed to the web app after SSO (only hashes are stored)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification', 'sso_login')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invitations: the only way to create accounts besides optional open registration
+CREATE TABLE IF NOT EXISTS invitations (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'pm', 'team_member', 'client')),
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    project_role VARCHAR(20) CHECK (project_role IN ('viewer', 'contributor', 'manager')),
+    client_contact_id INTEGER REFERENCES client_contacts(id) ON DELETE SET NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER REFERENCES users(id),
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id),
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of security-relevant actions
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id INTEGER,
+    details JSONB,
+    ip_address VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Accounts at external identity providers (SSO) linked to users
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, subject)
+);
+
+-- SSO sign-ins in progress: the state sent to the identity provider, with the PKCE verifier and nonce
+CREATE TABLE IF NOT EXISTS sso_login_states (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    state_hash VARCHAR(64) UNIQUE NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
+CREATE UNIQUE INDEX idx_project_templates_family_version ON project_templates(family_id, version);
 CREATE INDEX idx_projects_pm_id ON projects(pm_id);
 CREATE INDEX idx_projects_status ON projects(status);
+CREATE INDEX idx_project_members_user_id ON project_members(user_id);
+CREATE INDEX idx_phase_stakeholders_user_id ON phase_stakeholders(user_id);
 CREATE INDEX idx_deliverables_project_id ON deliverables(project_id);
 CREATE INDEX idx_deliverables_status ON deliverables(status);
+CREATE INDEX idx_deliverable_reviews_deliverable_id ON deliverable_reviews(deliverable_id, review_round);
+CREATE INDEX idx_deliverable_comments_deliverable_id ON deliverable_comments(deliverable_id);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_token_hash ON user_sessions(previous_token_hash);
+CREATE INDEX idx_auth_tokens_user_id ON auth_tokens(user_id);
+CREATE INDEX idx_invitations_email ON invitations(email);
+CREATE INDEX idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
 CREATE INDEX idx_activity_logs_project_id ON activity_logs(project_id);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_is_read ON notifications(is_read);
+CREATE INDEX idx_workflow_rules_template_id ON workflow_rules(template_id);
+CREATE INDEX idx_phase_dependencies_successor_id ON phase_dependencies(successor_id);
+CREATE INDEX idx_deliverable_dependencies_successor_id ON deliverable_dependencies(successor_id);
 
 -- Create update timestamp function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -197,3 +401,6 @@ CREATE TRIGGER update_project_phases_updated_at BEFORE UPDATE ON project_phases
 
 CREATE TRIGGER update_deliverables_updated_at BEFORE UPDATE ON deliverables
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -5,6 +5,15 @@ import authRoutes from './routes/auth.js';
 import projectRoutes from './routes/projects.js';
 import deliverableRoutes from './routes/deliverables.js';
 import templateRoutes from './routes/templates.js';
+import jobRoutes from './routes/jobs.js';
+import notificationRoutes from './routes/notifications.js';
+import portalRoutes from './routes/portal.js';
+import userRoutes from './routes/users.js';
+import invitationRoutes from './routes/invitations.js';
+import auditRoutes from './routes/audit.js';
+import { startScheduler } from './services/scheduler.js';
+import { registerDefaultJobs } from './services/scheduledJobs.js';
+import { initRealtime } from './services/realtimeService.js';
 
 dotenv.config();
 
@@ -30,6 +39,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/deliverables', deliverableRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -45,7 +60,13 @@ app.get('/', (req, res) => {
             auth: '/api/auth',
             projects: '/api/projects',
             deliverables: '/api/deliverables',
-            templates: '/api/templates'
+            templates: '/api/templates',
+            jobs: '/api/jobs',
+            notifications: '/api/notifications',
+            portal: '/api/portal',
+            users: '/api/users',
+            invitations: '/api/invitations',
+            audit: '/api/audit'
         }
     });
 });
@@ -65,10 +86,19 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n🚀 Server is running on port ${PORT}`);
     console.log(`📍 API URL: http://localhost:${PORT}`);
     console.log(`🏥 Health check: http://localhost:${PORT}/health\n`);
+
+    // Start background jobs (deadline checks, escalations, digests)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        registerDefaultJobs();
+        startScheduler().catch(error => console.error('Failed to start scheduler:', error));
+    }
 });
 
+// Real-time updates over WebSockets (ws://host/ws?token=<JWT>)
+initRealtime(server);
+
 export default app;
@@ -1,10 +1,12 @@
 import jwt from 'jsonwebtoken';
+import * as SessionModel from '../models/Session.js';
 
-export const generateToken = (userId, email, role) => {
+// Access tokens are short-lived; clients renew them with a refresh token (see sessionService)
+export const generateToken = (userId, email, role, sessionId) => {
     return jwt.sign(
-        { userId, email, role },
+        { userId, email, role, sessionId },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
     );
 };
 
@@ -16,22 +18,55 @@ export const verifyToken = (token) => {
     }
 };
 
-export const authMiddleware = (req, res, next) => {
+/**
+ * Verify an access token and check that its session is still live and its
+ * user still active, so logout, revoked sessions and deactivation take
+ * effect immediately. Role and email come from the database, not the token.
+ * @returns {Object|null} - { userId, email, role, sessionId }, or null if rejected
+ */
+export const authenticateToken = async (token) => {
+    let decoded;
     try {
-        const authHeader = req.headers.authorization;
+        decoded = verifyToken(token);
+    } catch (error) {
+        return null;
+    }
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'No token provided' });
-        }
+    const session = decoded.sessionId ? await SessionModel.getActiveSessionUser(decoded.sessionId) : null;
+
+    if (!session || session.id !== decoded.userId) {
+        return null;
+    }
 
-        const token = authHeader.substring(7);
-        const decoded = verifyToken(token);
+    return {
+        userId: session.id,
+        email: session.email,
+        role: session.role,
+        sessionId: session.session_id
+    };
+};
 
-        req.user = decoded;
-        next();
+export const authMiddleware = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'No token provided' });
+    }
+
+    let user;
+    try {
+        user = await authenticateToken(authHeader.substring(7));
     } catch (error) {
+        console.error('Authentication error:', error);
+        return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+
+    if (!user) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
+
+    req.user = user;
+    next();
 };
 
 export const roleMiddleware = (...allowedRoles) => {
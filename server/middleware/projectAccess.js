@@ -0,0 +1,59 @@
+import * as ProjectModel from '../models/Project.js';
+import * as DeliverableModel from '../models/Deliverable.js';
+import { getProjectAccess, allowsLevel } from '../services/projectAccessService.js';
+
+/**
+ * Load the project named by a route param and check the user's access to it.
+ * Sets req.project and req.projectAccess. Use after authMiddleware.
+ */
+export const projectAccessMiddleware = (level, param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            const project = await ProjectModel.getProjectById(req.params[param]);
+
+            if (!project) {
+                return res.status(404).json({ error: 'Project not found' });
+            }
+
+            const access = await getProjectAccess(req.user, project.id);
+            if (!allowsLevel(access, level)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            req.project = project;
+            req.projectAccess = access;
+            next();
+        } catch (error) {
+            console.error('Project access error:', error);
+            res.status(500).json({ error: 'Failed to check project access' });
+        }
+    };
+};
+
+/**
+ * Load the deliverable named by a route param and check the user's access to
+ * its project. Sets req.deliverable and req.projectAccess. Use after authMiddleware.
+ */
+export const deliverableAccessMiddleware = (level, param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            const deliverable = await DeliverableModel.getDeliverableById(req.params[param]);
+
+            if (!deliverable) {
+                return res.status(404).json({ error: 'Deliverable not found' });
+            }
+
+            const access = await getProjectAccess(req.user, deliverable.project_id);
+            if (!allowsLevel(access, level)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            req.deliverable = deliverable;
+            req.projectAccess = access;
+            next();
+        } catch (error) {
+            console.error('Deliverable access error:', error);
+            res.status(500).json({ error: 'Failed to check project access' });
+        }
+    };
+};
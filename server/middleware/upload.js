@@ -0,0 +1,45 @@
+import multer from 'multer';
+import { getUploadLimits, isAllowedType } from '../services/fileStorageService.js';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+    : `${Math.ceil(bytes / 1024)} KB`);
+
+/**
+ * Accept one file from a multipart form field into req.file (kept in memory,
+ * within the upload limits). Text fields of the form end up in req.body.
+ * Use after the access checks, so nothing is read from users who may not upload.
+ */
+export const singleFileUpload = (field = 'file') => {
+    return (req, res, next) => {
+        const { maxFileSize } = getUploadLimits();
+
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: maxFileSize, files: 1 },
+            fileFilter: (req, file, cb) => {
+                if (!isAllowedType(file.mimetype)) {
+                    return cb(Object.assign(new Error(`Files of type ${file.mimetype} are not allowed`), { status: 415 }));
+                }
+                cb(null, true);
+            }
+        }).single(field);
+
+        upload(req, res, (error) => {
+            if (!error) return next();
+
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File is larger than ${formatSize(maxFileSize)}` });
+            }
+            if (error instanceof multer.MulterError) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            console.error('File upload error:', error);
+            res.status(500).json({ error: 'Failed to upload file' });
+        });
+    };
+};
@@ -0,0 +1,49 @@
+import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
+
+// Audit trail
+export const createAuditLog = async (entry, client = null) => {
+    const { actorId, action, entityType, entityId, details, ipAddress } = entry;
+
+    const result = await queryWith(client)(
+        `INSERT INTO audit_logs (actor_id, action, entity_type, entity_id, details, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+        [actorId, action, entityType, entityId, details ? JSON.stringify(details) : null, ipAddress]
+    );
+
+    return result.rows[0];
+};
+
+export const getAuditLogs = async ({ action = null, entityType = null, entityId = null, actorId = null, limit = 50, offset = 0 } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    const filters = [
+        ['al.action', action],
+        ['al.entity_type', entityType],
+        ['al.entity_id', entityId],
+        ['al.actor_id', actorId]
+    ];
+
+    for (const [column, value] of filters) {
+        if (value !== null && value !== undefined) {
+            params.push(value);
+            conditions.push(`${column} = $${params.length}`);
+        }
+    }
+
+    params.push(limit, offset);
+
+    const result = await query(
+        `SELECT al.*, u.first_name || ' ' || u.last_name as actor_name, u.email as actor_email
+     FROM audit_logs al
+     LEFT JOIN users u ON al.actor_id = u.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY al.created_at DESC, al.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    return result.rows;
+};
@@ -0,0 +1,41 @@
+import { query } from '../config/database.js';
+
+// Email tokens (password reset, email verification)
+export const createAuthToken = async (userId, purpose, tokenHash, expiresAt) => {
+    const result = await query(
+        `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, user_id, purpose, expires_at, created_at`,
+        [userId, purpose, tokenHash, expiresAt]
+    );
+    return result.rows[0];
+};
+
+// Marks the token used in the same statement that checks it, so it works only once
+export const consumeAuthToken = async (tokenHash, purpose) => {
+    const result = await query(
+        `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING id, user_id, purpose, expires_at`,
+        [tokenHash, purpose]
+    );
+    return result.rows[0];
+};
+
+// Earlier unused tokens stop working once a new one is sent or one is used
+export const invalidateUserTokens = async (userId, purpose) => {
+    await query(
+        `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+    );
+};
+
+export const deleteStaleAuthTokens = async (olderThanDays) => {
+    const result = await query(
+        `DELETE FROM auth_tokens
+     WHERE COALESCE(used_at, expires_at) < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+        [olderThanDays]
+    );
+    return result.rowCount;
+};
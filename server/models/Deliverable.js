@@ -1,7 +1,8 @@
 import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
 
 // Deliverable CRUD operations
-export const createDeliverable = async (deliverableData) => {
+export const createDeliverable = async (deliverableData, client = null) => {
     const {
         projectId,
         phaseId,
@@ -10,15 +11,18 @@ export const createDeliverable = async (deliverableData) => {
         description,
         deliverableType,
         assignedTo,
-        dueDate
+        dueDate,
+        durationDays,
+        approvalChain
     } = deliverableData;
 
-    const result = await query(
+    const result = await queryWith(client)(
         `INSERT INTO deliverables 
-     (project_id, phase_id, template_deliverable_id, name, description, deliverable_type, assigned_to, due_date, status) 
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending') 
+     (project_id, phase_id, template_deliverable_id, name, description, deliverable_type, assigned_to, due_date, duration_days, approval_chain, status) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending') 
      RETURNING *`,
-        [projectId, phaseId, templateDeliverableId, name, description, deliverableType, assignedTo, dueDate]
+        [projectId, phaseId, templateDeliverableId, name, description, deliverableType, assignedTo, dueDate, durationDays,
+            approvalChain ? JSON.stringify(approvalChain) : null]
     );
 
     return result.rows[0];
@@ -29,7 +33,8 @@ export const getDeliverableById = async (id) => {
         `SELECT d.*, 
             u.first_name || ' ' || u.last_name as assigned_to_name,
             pp.name as phase_name,
-            p.name as project_name
+            p.name as project_name,
+            p.pm_id as project_pm_id
      FROM deliverables d
      LEFT JOIN users u ON d.assigned_to = u.id
      LEFT JOIN project_phases pp ON d.phase_id = pp.id
@@ -85,7 +90,7 @@ export const getDeliverablesByUser = async (userId) => {
     return result.rows;
 };
 
-export const updateDeliverable = async (id, updates) => {
+export const updateDeliverable = async (id, updates, client = null) => {
     const allowedFields = [
         'name',
         'description',
@@ -94,7 +99,10 @@ export const updateDeliverable = async (id, updates) => {
         'file_path',
         'assigned_to',
         'due_date',
-        'is_ai_generated'
+        'duration_days',
+        'is_ai_generated',
+        'shared_with_client',
+        'approval_chain'
     ];
 
     const fields = [];
@@ -104,16 +112,31 @@ export const updateDeliverable = async (id, updates) => {
     for (const [key, value] of Object.entries(updates)) {
         if (allowedFields.includes(key) && value !== undefined) {
             fields.push(`${key} = $${paramIndex}`);
-            values.push(value);
+            values.push(key === 'approval_chain' && value !== null ? JSON.stringify(value) : value);
             paramIndex++;
         }
     }
 
-    // Auto-set completed_at when status changes to 'approved'
+    // Each submission for review starts a new approval round
+    if (updates.status === 'review') {
+        fields.push(`review_round = CASE WHEN status = 'review' THEN review_round ELSE COALESCE(review_round, 0) + 1 END`);
+    }
+
+    // Record when work first started; later re-opens keep the original date
+    if (updates.status === 'in_progress') {
+        fields.push(`started_at = COALESCE(started_at, $${paramIndex})`);
+        values.push(new Date());
+        paramIndex++;
+    }
+
+    // Auto-set completed_at when status changes to 'approved', i.e. the final approver signed off;
+    // a reopened deliverable is no longer complete
     if (updates.status === 'approved') {
         fields.push(`completed_at = $${paramIndex}`);
         values.push(new Date());
         paramIndex++;
+    } else if (updates.status) {
+        fields.push('completed_at = NULL');
     }
 
     if (fields.length === 0) {
@@ -121,7 +144,7 @@ export const updateDeliverable = async (id, updates) => {
     }
 
     values.push(id);
-    const result = await query(
+    const result = await queryWith(client)(
         `UPDATE deliverables SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
         values
     );
@@ -129,21 +152,33 @@ export const updateDeliverable = async (id, updates) => {
     return result.rows[0];
 };
 
+// Lock a deliverable row for the rest of a transaction
+export const lockDeliverable = async (id, client) => {
+    const result = await queryWith(client)(
+        'SELECT id, status, review_round, approval_chain FROM deliverables WHERE id = $1 FOR UPDATE',
+        [id]
+    );
+    return result.rows[0];
+};
+
 export const deleteDeliverable = async (id) => {
     const result = await query('DELETE FROM deliverables WHERE id = $1 RETURNING id', [id]);
     return result.rows[0];
 };
 
 // Deliverable versions
-export const createDeliverableVersion = async (versionData) => {
-    const { deliverableId, versionNumber, content, filePath, createdBy, changeNotes } = versionData;
+export const createDeliverableVersion = async (versionData, client = null) => {
+    const {
+        deliverableId, versionNumber, content, filePath, fileName, fileType, fileSize, createdBy, changeNotes, restoredFrom
+    } = versionData;
 
-    const result = await query(
+    const result = await queryWith(client)(
         `INSERT INTO deliverable_versions 
-     (deliverable_id, version_number, content, file_path, created_by, change_notes) 
-     VALUES ($1, $2, $3, $4, $5, $6) 
+     (deliverable_id, version_number, content, file_path, file_name, file_type, file_size, created_by, change_notes, restored_from) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
      RETURNING *`,
-        [deliverableId, versionNumber, content, filePath, createdBy, changeNotes]
+        [deliverableId, versionNumber, content, filePath || null, fileName || null, fileType || null, fileSize || null,
+            createdBy, changeNotes, restoredFrom || null]
     );
 
     return result.rows[0];
@@ -162,8 +197,45 @@ export const getDeliverableVersions = async (deliverableId) => {
     return result.rows;
 };
 
-export const getLatestVersionNumber = async (deliverableId) => {
+export const getDeliverableVersionById = async (versionId) => {
+    const result = await query('SELECT * FROM deliverable_versions WHERE id = $1', [versionId]);
+    return result.rows[0];
+};
+
+export const getDeliverableVersionByNumber = async (deliverableId, versionNumber) => {
+    const result = await query(
+        `SELECT dv.*,
+            u.first_name || ' ' || u.last_name as creator_name
+     FROM deliverable_versions dv
+     LEFT JOIN users u ON dv.created_by = u.id
+     WHERE dv.deliverable_id = $1 AND dv.version_number = $2`,
+        [deliverableId, versionNumber]
+    );
+    return result.rows[0];
+};
+
+// The version a stored file was uploaded in; restores reuse the key, so take the first
+export const getDeliverableVersionByFilePath = async (deliverableId, filePath) => {
+    const result = await query(
+        `SELECT * FROM deliverable_versions
+     WHERE deliverable_id = $1 AND file_path = $2
+     ORDER BY version_number
+     LIMIT 1`,
+        [deliverableId, filePath]
+    );
+    return result.rows[0];
+};
+
+export const getDeliverableFilePaths = async (deliverableId) => {
     const result = await query(
+        'SELECT DISTINCT file_path FROM deliverable_versions WHERE deliverable_id = $1 AND file_path IS NOT NULL',
+        [deliverableId]
+    );
+    return result.rows.map(row => row.file_path);
+};
+
+export const getLatestVersionNumber = async (deliverableId, client = null) => {
+    const result = await queryWith(client)(
         'SELECT COALESCE(MAX(version_number), 0) as latest_version FROM deliverable_versions WHERE deliverable_id = $1',
         [deliverableId]
     );
@@ -188,3 +260,41 @@ export const getAIGeneratableDeliverables = async (projectId) => {
     );
     return result.rows;
 };
+
+// Client portal: only deliverables shared with the client, without internal fields
+export const getSharedDeliverablesByProject = async (projectId) => {
+    const result = await query(
+        `SELECT d.id, d.phase_id, d.name, d.description, d.deliverable_type, d.status,
+            d.due_date, d.completed_at, d.updated_at
+     FROM deliverables d
+     LEFT JOIN project_phases pp ON d.phase_id = pp.id
+     WHERE d.project_id = $1 AND d.shared_with_client = true
+     ORDER BY pp.phase_order, d.created_at`,
+        [projectId]
+    );
+    return result.rows;
+};
+
+export const createDeliverableReview = async (reviewData, client = null) => {
+    const { deliverableId, userId, decision, comment, reviewRound, stepIndex, approverIndex } = reviewData;
+
+    const result = await queryWith(client)(
+        `INSERT INTO deliverable_reviews (deliverable_id, user_id, decision, comment, review_round, step_index, approver_index)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+        [deliverableId, userId, decision, comment, reviewRound, stepIndex, approverIndex]
+    );
+    return result.rows[0];
+};
+
+export const getDeliverableReviews = async (deliverableId, client = null) => {
+    const result = await queryWith(client)(
+        `SELECT dr.*, u.first_name || ' ' || u.last_name as reviewer_name, u.role as reviewer_role
+     FROM deliverable_reviews dr
+     LEFT JOIN users u ON dr.user_id = u.id
+     WHERE dr.deliverable_id = $1
+     ORDER BY dr.created_at DESC`,
+        [deliverableId]
+    );
+    return result.rows;
+};
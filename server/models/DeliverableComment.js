@@ -0,0 +1,74 @@
+import { query } from '../config/database.js';
+
+const COMMENT_COLUMNS = `dc.*,
+            u.first_name || ' ' || u.last_name as author_name,
+            r.first_name || ' ' || r.last_name as resolved_by_name,
+            dv.version_number`;
+
+const COMMENT_JOINS = `LEFT JOIN users u ON dc.user_id = u.id
+     LEFT JOIN users r ON dc.resolved_by = r.id
+     LEFT JOIN deliverable_versions dv ON dc.version_id = dv.id`;
+
+// Deliverable comments
+export const createComment = async (commentData) => {
+    const { deliverableId, versionId, parentId, userId, body, mentions } = commentData;
+
+    const result = await query(
+        `INSERT INTO deliverable_comments (deliverable_id, version_id, parent_id, user_id, body, mentions)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+        [deliverableId, versionId || null, parentId || null, userId, body, mentions || []]
+    );
+
+    return getCommentById(result.rows[0].id);
+};
+
+export const getCommentById = async (id) => {
+    const result = await query(
+        `SELECT ${COMMENT_COLUMNS}
+     FROM deliverable_comments dc
+     ${COMMENT_JOINS}
+     WHERE dc.id = $1`,
+        [id]
+    );
+    return result.rows[0];
+};
+
+// Oldest first, so threads and their replies read top to bottom
+export const getCommentsByDeliverable = async (deliverableId) => {
+    const result = await query(
+        `SELECT ${COMMENT_COLUMNS}
+     FROM deliverable_comments dc
+     ${COMMENT_JOINS}
+     WHERE dc.deliverable_id = $1
+     ORDER BY dc.created_at, dc.id`,
+        [deliverableId]
+    );
+    return result.rows;
+};
+
+export const updateComment = async (id, { body, mentions }) => {
+    await query(
+        `UPDATE deliverable_comments
+     SET body = $1, mentions = $2, edited_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+        [body, mentions, id]
+    );
+    return getCommentById(id);
+};
+
+// resolvedBy null reopens the thread
+export const setCommentResolved = async (id, resolvedBy) => {
+    await query(
+        `UPDATE deliverable_comments
+     SET resolved_at = CASE WHEN $1::integer IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, resolved_by = $1
+     WHERE id = $2`,
+        [resolvedBy, id]
+    );
+    return getCommentById(id);
+};
+
+export const deleteComment = async (id) => {
+    const result = await query('DELETE FROM deliverable_comments WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0];
+};
@@ -0,0 +1,97 @@
+import { query } from '../config/database.js';
+
+// Phase dependencies
+export const createPhaseDependency = async (dependencyData) => {
+    const { predecessorId, successorId, dependencyType, lagDays } = dependencyData;
+
+    const result = await query(
+        `INSERT INTO phase_dependencies (predecessor_id, successor_id, dependency_type, lag_days)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+        [predecessorId, successorId, dependencyType || 'finish_to_start', lagDays || 0]
+    );
+
+    return result.rows[0];
+};
+
+export const getPhaseDependenciesByProject = async (projectId) => {
+    const result = await query(
+        `SELECT pd.*
+     FROM phase_dependencies pd
+     JOIN project_phases pp ON pd.successor_id = pp.id
+     WHERE pp.project_id = $1
+     ORDER BY pd.id`,
+        [projectId]
+    );
+    return result.rows;
+};
+
+export const getPhaseDependencyById = async (id) => {
+    const result = await query('SELECT * FROM phase_dependencies WHERE id = $1', [id]);
+    return result.rows[0];
+};
+
+export const deletePhaseDependency = async (id) => {
+    const result = await query('DELETE FROM phase_dependencies WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0];
+};
+
+// Deliverable dependencies
+export const createDeliverableDependency = async (dependencyData) => {
+    const { predecessorId, successorId, dependencyType, lagDays } = dependencyData;
+
+    const result = await query(
+        `INSERT INTO deliverable_dependencies (predecessor_id, successor_id, dependency_type, lag_days)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+        [predecessorId, successorId, dependencyType || 'finish_to_start', lagDays || 0]
+    );
+
+    return result.rows[0];
+};
+
+export const getDeliverableDependenciesByProject = async (projectId) => {
+    const result = await query(
+        `SELECT dd.*
+     FROM deliverable_dependencies dd
+     JOIN deliverables d ON dd.successor_id = d.id
+     WHERE d.project_id = $1
+     ORDER BY dd.id`,
+        [projectId]
+    );
+    return result.rows;
+};
+
+export const getDeliverableDependencyById = async (id) => {
+    const result = await query('SELECT * FROM deliverable_dependencies WHERE id = $1', [id]);
+    return result.rows[0];
+};
+
+export const getDeliverablePredecessors = async (deliverableId) => {
+    const result = await query(
+        `SELECT dd.*, d.name as predecessor_name, d.status as predecessor_status
+     FROM deliverable_dependencies dd
+     JOIN deliverables d ON dd.predecessor_id = d.id
+     WHERE dd.successor_id = $1
+     ORDER BY d.name`,
+        [deliverableId]
+    );
+    return result.rows;
+};
+
+export const getDeliverableSuccessors = async (deliverableId) => {
+    const result = await query(
+        `SELECT dd.*, d.name as successor_name, d.status as successor_status
+     FROM deliverable_dependencies dd
+     JOIN deliverables d ON dd.successor_id = d.id
+     WHERE dd.predecessor_id = $1
+     ORDER BY d.name`,
+        [deliverableId]
+    );
+    return result.rows;
+};
+
+export const deleteDeliverableDependency = async (id) => {
+    const result = await query('DELETE FROM deliverable_dependencies WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0];
+};
@@ -0,0 +1,99 @@
+import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
+
+const INVITATION_COLUMNS = `i.id, i.email, i.role, i.project_id, i.project_role, i.client_contact_id,
+            i.invited_by, i.expires_at, i.accepted_at, i.accepted_user_id, i.revoked_at, i.revoked_by, i.created_at,
+            p.name as project_name, u.first_name || ' ' || u.last_name as invited_by_name,
+            CASE
+              WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+              WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+              WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+              ELSE 'pending'
+            END as status`;
+
+const INVITATION_JOINS = `FROM invitations i
+     LEFT JOIN projects p ON i.project_id = p.id
+     LEFT JOIN users u ON i.invited_by = u.id`;
+
+// Invitations (tokens are only stored as hashes)
+export const createInvitation = async (invitationData, client = null) => {
+    const { email, role, projectId, projectRole, clientContactId, tokenHash, invitedBy, expiresAt } = invitationData;
+
+    const result = await queryWith(client)(
+        `INSERT INTO invitations (email, role, project_id, project_role, client_contact_id, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+        [email, role, projectId || null, projectRole || null, clientContactId || null, tokenHash, invitedBy, expiresAt]
+    );
+
+    return getInvitationById(result.rows[0].id, client);
+};
+
+export const getInvitationById = async (id, client = null) => {
+    const result = await queryWith(client)(`SELECT ${INVITATION_COLUMNS} ${INVITATION_JOINS} WHERE i.id = $1`, [id]);
+    return result.rows[0];
+};
+
+export const getInvitationByTokenHash = async (tokenHash) => {
+    const result = await query(`SELECT ${INVITATION_COLUMNS} ${INVITATION_JOINS} WHERE i.token_hash = $1`, [tokenHash]);
+    return result.rows[0];
+};
+
+export const getPendingInvitationByEmail = async (email) => {
+    const result = await query(
+        `SELECT ${INVITATION_COLUMNS} ${INVITATION_JOINS}
+     WHERE LOWER(i.email) = LOWER($1)
+       AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+     ORDER BY i.created_at DESC
+     LIMIT 1`,
+        [email]
+    );
+    return result.rows[0];
+};
+
+export const getInvitations = async ({ status = null, invitedBy = null, projectId = null } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (invitedBy) {
+        params.push(invitedBy);
+        conditions.push(`i.invited_by = $${params.length}`);
+    }
+
+    if (projectId) {
+        params.push(projectId);
+        conditions.push(`i.project_id = $${params.length}`);
+    }
+
+    let queryText = `SELECT * FROM (SELECT ${INVITATION_COLUMNS} ${INVITATION_JOINS}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}) invitation`;
+
+    if (status) {
+        params.push(status);
+        queryText += ` WHERE status = $${params.length}`;
+    }
+
+    const result = await query(queryText + ' ORDER BY created_at DESC', params);
+    return result.rows;
+};
+
+// Both only succeed while the invitation is still pending
+export const markInvitationAccepted = async (id, userId, client = null) => {
+    const result = await queryWith(client)(
+        `UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $2
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING id`,
+        [id, userId]
+    );
+    return result.rows[0];
+};
+
+export const revokeInvitation = async (id, revokedBy) => {
+    const result = await query(
+        `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+        [id, revokedBy]
+    );
+    return result.rows[0] ? getInvitationById(id) : null;
+};
@@ -1,14 +1,15 @@
 import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
 
 // Project CRUD operations
-export const createProject = async (projectData) => {
-    const { templateId, name, description, pmId, startDate, endDate } = projectData;
+export const createProject = async (projectData, client = null) => {
+    const { templateId, templateVersion, name, description, pmId, startDate, endDate, workCalendar } = projectData;
 
-    const result = await query(
-        `INSERT INTO projects (template_id, name, description, pm_id, start_date, end_date, status) 
-     VALUES ($1, $2, $3, $4, $5, $6, 'draft') 
+    const result = await queryWith(client)(
+        `INSERT INTO projects (template_id, template_version, name, description, pm_id, start_date, end_date, work_calendar, status) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft') 
      RETURNING *`,
-        [templateId, name, description, pmId, startDate, endDate]
+        [templateId, templateVersion, name, description, pmId, startDate, endDate, workCalendar ? JSON.stringify(workCalendar) : null]
     );
 
     return result.rows[0];
@@ -71,6 +72,24 @@ export const getAllProjects = async (filters = {}) => {
         paramIndex++;
     }
 
+    // Projects the user is a member of: as PM, phase stakeholder or explicit member
+    if (filters.memberId) {
+        queryText += ` AND (
+        p.pm_id = $${paramIndex}
+        OR EXISTS (
+          SELECT 1 FROM phase_stakeholders ps
+          JOIN project_phases pp ON ps.phase_id = pp.id
+          WHERE pp.project_id = p.id AND ps.user_id = $${paramIndex}
+        )
+        OR EXISTS (
+          SELECT 1 FROM project_members pm
+          WHERE pm.project_id = p.id AND pm.user_id = $${paramIndex}
+        )
+      )`;
+        params.push(filters.memberId);
+        paramIndex++;
+    }
+
     queryText += ' ORDER BY p.created_at DESC';
 
     const result = await query(queryText, params);
@@ -78,7 +97,7 @@ export const getAllProjects = async (filters = {}) => {
 };
 
 export const updateProject = async (id, updates) => {
-    const allowedFields = ['name', 'description', 'status', 'start_date', 'end_date'];
+    const allowedFields = ['name', 'description', 'status', 'start_date', 'end_date', 'work_calendar'];
     const fields = [];
     const values = [];
     let paramIndex = 1;
@@ -86,7 +105,7 @@ export const updateProject = async (id, updates) => {
     for (const [key, value] of Object.entries(updates)) {
         if (allowedFields.includes(key) && value !== undefined) {
             fields.push(`${key} = $${paramIndex}`);
-            values.push(value);
+            values.push(key === 'work_calendar' && value !== null ? JSON.stringify(value) : value);
             paramIndex++;
         }
     }
@@ -110,10 +129,10 @@ export const deleteProject = async (id) => {
 };
 
 // Client contacts
-export const addClientContact = async (projectId, contactData) => {
+export const addClientContact = async (projectId, contactData, client = null) => {
     const { name, email, phone, role, isPrimary } = contactData;
 
-    const result = await query(
+    const result = await queryWith(client)(
         `INSERT INTO client_contacts (project_id, name, email, phone, role, is_primary) 
      VALUES ($1, $2, $3, $4, $5, $6) 
      RETURNING *`,
@@ -125,12 +144,33 @@ export const addClientContact = async (projectId, contactData) => {
 
 export const getClientContacts = async (projectId) => {
     const result = await query(
-        'SELECT * FROM client_contacts WHERE project_id = $1 ORDER BY is_primary DESC, name',
+        `SELECT c.*,
+            EXISTS (
+                SELECT 1 FROM invitations i
+                WHERE i.client_contact_id = c.id
+                  AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+            ) AS invitation_pending
+     FROM client_contacts c
+     WHERE c.project_id = $1
+     ORDER BY c.is_primary DESC, c.name`,
         [projectId]
     );
     return result.rows;
 };
 
+export const getClientContactById = async (contactId) => {
+    const result = await query('SELECT * FROM client_contacts WHERE id = $1', [contactId]);
+    return result.rows[0];
+};
+
+export const linkClientContactUser = async (contactId, userId, client = null) => {
+    const result = await queryWith(client)(
+        'UPDATE client_contacts SET user_id = $1 WHERE id = $2 RETURNING *',
+        [userId, contactId]
+    );
+    return result.rows[0];
+};
+
 // Project phases
 export const createProjectPhase = async (phaseData) => {
     const { projectId, templatePhaseId, name, description, phaseOrder, startDate, endDate } = phaseData;
@@ -145,8 +185,8 @@ export const createProjectPhase = async (phaseData) => {
     return result.rows[0];
 };
 
-export const getProjectPhases = async (projectId) => {
-    const result = await query(
+export const getProjectPhases = async (projectId, client = null) => {
+    const result = await queryWith(client)(
         `SELECT pp.*,
             COUNT(DISTINCT d.id) as deliverable_count,
             COUNT(DISTINCT CASE WHEN d.status = 'approved' THEN d.id END) as approved_count
@@ -160,8 +200,30 @@ export const getProjectPhases = async (projectId) => {
     return result.rows;
 };
 
-export const updatePhaseStatus = async (phaseId, status, actualDates = {}) => {
-    const updates = { status };
+// Phase status and deliverable progress, e.g. for the client portal
+export const getPhaseProgress = async (projectId) => {
+    const result = await query(
+        `SELECT pp.id, pp.name, pp.phase_order, pp.status,
+            pp.start_date, pp.end_date, pp.actual_start_date, pp.actual_end_date,
+            COUNT(d.id)::int as deliverable_count,
+            (COUNT(d.id) FILTER (WHERE d.status = 'approved'))::int as approved_count
+     FROM project_phases pp
+     LEFT JOIN deliverables d ON d.phase_id = pp.id
+     WHERE pp.project_id = $1
+     GROUP BY pp.id
+     ORDER BY pp.phase_order`,
+        [projectId]
+    );
+    return result.rows;
+};
+
+export const getProjectPhaseById = async (phaseId) => {
+    const result = await query('SELECT * FROM project_phases WHERE id = $1', [phaseId]);
+    return result.rows[0];
+};
+
+export const updatePhaseStatus = async (phaseId, status, actualDates = {}, blockedReason = null) => {
+    const updates = { status, blocked_reason: status === 'blocked' ? blockedReason : null };
 
     if (status === 'in_progress' && !actualDates.actualStartDate) {
         updates.actual_start_date = new Date();
@@ -186,9 +248,17 @@ export const updatePhaseStatus = async (phaseId, status, actualDates = {}) => {
     return result.rows[0];
 };
 
+export const updatePhaseDates = async (phaseId, startDate, endDate, client = null) => {
+    const result = await queryWith(client)(
+        'UPDATE project_phases SET start_date = $1, end_date = $2 WHERE id = $3 RETURNING *',
+        [startDate, endDate, phaseId]
+    );
+    return result.rows[0];
+};
+
 // Phase stakeholders
-export const addPhaseStakeholder = async (phaseId, userId, role) => {
-    const result = await query(
+export const addPhaseStakeholder = async (phaseId, userId, role, client = null) => {
+    const result = await queryWith(client)(
         'INSERT INTO phase_stakeholders (phase_id, user_id, role) VALUES ($1, $2, $3) RETURNING *',
         [phaseId, userId, role]
     );
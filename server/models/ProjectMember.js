@@ -0,0 +1,76 @@
+import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
+
+// Everyone with access to a project: the PM, phase stakeholders and explicit
+// members. A user can appear more than once (e.g. stakeholder and member).
+export const getProjectMemberships = async (projectId) => {
+    const result = await query(
+        `SELECT m.user_id, m.role, m.source,
+            u.first_name, u.last_name, u.email, u.role as user_role
+     FROM (
+       SELECT pm_id as user_id, 'manager' as role, 'pm' as source
+       FROM projects WHERE id = $1 AND pm_id IS NOT NULL
+       UNION
+       SELECT ps.user_id, 'contributor', 'stakeholder'
+       FROM phase_stakeholders ps
+       JOIN project_phases pp ON ps.phase_id = pp.id
+       WHERE pp.project_id = $1
+       UNION
+       SELECT user_id, role, 'member'
+       FROM project_members WHERE project_id = $1
+     ) m
+     JOIN users u ON m.user_id = u.id
+     ORDER BY u.first_name, u.last_name`,
+        [projectId]
+    );
+    return result.rows;
+};
+
+// Roles a user holds on a project, from every source
+export const getUserProjectRoles = async (projectId, userId) => {
+    const result = await query(
+        `SELECT 'manager' as role FROM projects WHERE id = $1 AND pm_id = $2
+     UNION ALL
+     SELECT 'contributor' FROM phase_stakeholders ps
+     JOIN project_phases pp ON ps.phase_id = pp.id
+     WHERE pp.project_id = $1 AND ps.user_id = $2
+     UNION ALL
+     SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
+        [projectId, userId]
+    );
+    return result.rows.map(row => row.role);
+};
+
+export const getProjectMember = async (projectId, userId) => {
+    const result = await query(
+        'SELECT * FROM project_members WHERE project_id = $1 AND user_id = $2',
+        [projectId, userId]
+    );
+    return result.rows[0];
+};
+
+export const addProjectMember = async (projectId, userId, role, addedBy, client = null) => {
+    const result = await queryWith(client)(
+        `INSERT INTO project_members (project_id, user_id, role, added_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+        [projectId, userId, role, addedBy]
+    );
+    return result.rows[0];
+};
+
+export const updateProjectMemberRole = async (projectId, userId, role) => {
+    const result = await query(
+        'UPDATE project_members SET role = $1 WHERE project_id = $2 AND user_id = $3 RETURNING *',
+        [role, projectId, userId]
+    );
+    return result.rows[0];
+};
+
+export const removeProjectMember = async (projectId, userId) => {
+    const result = await query(
+        'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 RETURNING id',
+        [projectId, userId]
+    );
+    return result.rows[0];
+};
@@ -0,0 +1,101 @@
+import { query } from '../config/database.js';
+
+// Scheduled job persistence
+export const upsertJob = async (jobData) => {
+    const { name, description, cronExpression, nextRunAt } = jobData;
+
+    // Keep pause state and run history; only reschedule when the cron expression changed
+    const result = await query(
+        `INSERT INTO scheduled_jobs (name, description, cron_expression, next_run_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (name) DO UPDATE SET
+       description = EXCLUDED.description,
+       cron_expression = EXCLUDED.cron_expression,
+       next_run_at = CASE
+         WHEN scheduled_jobs.cron_expression <> EXCLUDED.cron_expression OR scheduled_jobs.next_run_at IS NULL
+         THEN EXCLUDED.next_run_at
+         ELSE scheduled_jobs.next_run_at
+       END
+     RETURNING *`,
+        [name, description, cronExpression, nextRunAt]
+    );
+
+    return result.rows[0];
+};
+
+export const getAllJobs = async () => {
+    const result = await query('SELECT * FROM scheduled_jobs ORDER BY name', []);
+    return result.rows;
+};
+
+export const getJobByName = async (name) => {
+    const result = await query('SELECT * FROM scheduled_jobs WHERE name = $1', [name]);
+    return result.rows[0];
+};
+
+export const getDueJobs = async () => {
+    const result = await query(
+        `SELECT * FROM scheduled_jobs
+     WHERE is_paused = false
+       AND next_run_at <= CURRENT_TIMESTAMP
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+     ORDER BY next_run_at`,
+        []
+    );
+    return result.rows;
+};
+
+/**
+ * Atomically lock a job for one instance. Returns undefined when another
+ * instance holds the lock (or, for scheduled runs, the job is no longer due).
+ */
+export const claimJob = async (name, lockedBy, lockSeconds, onlyIfDue = true) => {
+    let queryText = `
+    UPDATE scheduled_jobs
+    SET locked_by = $2, locked_until = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 second')
+    WHERE name = $1
+      AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+  `;
+
+    if (onlyIfDue) {
+        queryText += ' AND is_paused = false AND next_run_at <= CURRENT_TIMESTAMP';
+    }
+
+    queryText += ' RETURNING *';
+
+    const result = await query(queryText, [name, lockedBy, lockSeconds]);
+    return result.rows[0];
+};
+
+export const completeJobRun = async (name, runData) => {
+    const { status, result: runResult, error, durationMs, nextRunAt } = runData;
+
+    const result = await query(
+        `UPDATE scheduled_jobs
+     SET last_run_at = CURRENT_TIMESTAMP,
+         last_status = $2,
+         last_result = $3,
+         last_error = $4,
+         last_duration_ms = $5,
+         next_run_at = $6,
+         locked_by = NULL,
+         locked_until = NULL
+     WHERE name = $1
+     RETURNING *`,
+        [name, status, runResult ? JSON.stringify(runResult) : null, error || null, durationMs, nextRunAt]
+    );
+
+    return result.rows[0];
+};
+
+export const setJobPaused = async (name, isPaused, nextRunAt = null) => {
+    const result = await query(
+        `UPDATE scheduled_jobs
+     SET is_paused = $2, next_run_at = COALESCE($3, next_run_at)
+     WHERE name = $1
+     RETURNING *`,
+        [name, isPaused, nextRunAt]
+    );
+
+    return result.rows[0];
+};
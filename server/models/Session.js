@@ -0,0 +1,96 @@
+import { query } from '../config/database.js';
+
+// Sign-in sessions (refresh tokens are only stored as hashes)
+export const createSession = async (sessionData) => {
+    const { userId, refreshTokenHash, userAgent, ipAddress, expiresAt } = sessionData;
+
+    const result = await query(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+        [userId, refreshTokenHash, userAgent, ipAddress, expiresAt]
+    );
+
+    return result.rows[0];
+};
+
+export const getSessionByRefreshTokenHash = async (refreshTokenHash) => {
+    const result = await query('SELECT * FROM user_sessions WHERE refresh_token_hash = $1', [refreshTokenHash]);
+    return result.rows[0];
+};
+
+export const getSessionByPreviousTokenHash = async (refreshTokenHash) => {
+    const result = await query('SELECT * FROM user_sessions WHERE previous_token_hash = $1', [refreshTokenHash]);
+    return result.rows[0];
+};
+
+// What every authenticated request checks: the session is live and its user is active
+export const getActiveSessionUser = async (sessionId) => {
+    const result = await query(
+        `SELECT s.id as session_id, u.id, u.email, u.role
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > CURRENT_TIMESTAMP
+       AND u.is_active = true`,
+        [sessionId]
+    );
+    return result.rows[0];
+};
+
+export const getActiveSessionsByUser = async (userId) => {
+    const result = await query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+// Swap in a new refresh token, remembering the old one to detect reuse.
+// Only succeeds while the presented token is still the current one.
+export const rotateRefreshToken = async (sessionId, currentHash, newHash, expiresAt) => {
+    const result = await query(
+        `UPDATE user_sessions
+     SET refresh_token_hash = $3, previous_token_hash = $2, expires_at = $4, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+     RETURNING *`,
+        [sessionId, currentHash, newHash, expiresAt]
+    );
+    return result.rows[0];
+};
+
+export const revokeSession = async (sessionId, userId = null) => {
+    let queryText = 'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL';
+    const params = [sessionId];
+
+    if (userId) {
+        queryText += ' AND user_id = $2';
+        params.push(userId);
+    }
+
+    const result = await query(queryText + ' RETURNING *', params);
+    return result.rows[0];
+};
+
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+    const result = await query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)
+     RETURNING id`,
+        [userId, exceptSessionId]
+    );
+    return result.rows.map(row => row.id);
+};
+
+export const deleteStaleSessions = async (olderThanDays) => {
+    const result = await query(
+        `DELETE FROM user_sessions
+     WHERE COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+        [olderThanDays]
+    );
+    return result.rowCount;
+};
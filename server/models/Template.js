@@ -1,31 +1,68 @@
 import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
 
 // Template operations
-export const createTemplate = async (templateData) => {
-    const { name, description, category, createdBy } = templateData;
+// Without a familyId this is version 1 of a new template, which is its own family
+export const createTemplate = async (templateData, client = null) => {
+    const { name, description, category, phaseCompletionMode, createdBy, familyId, version, status } = templateData;
+    const templateStatus = status || 'published';
 
-    const result = await query(
-        `INSERT INTO project_templates (name, description, category, created_by) 
-     VALUES ($1, $2, $3, $4) 
+    const result = await queryWith(client)(
+        `INSERT INTO project_templates (name, description, category, phase_completion_mode, created_by, family_id, version, status, published_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
      RETURNING *`,
-        [name, description, category, createdBy]
+        [
+            name,
+            description,
+            category,
+            phaseCompletionMode || 'auto',
+            createdBy,
+            familyId || null,
+            version || 1,
+            templateStatus,
+            templateStatus === 'published' ? new Date() : null
+        ]
     );
 
-    return result.rows[0];
+    if (familyId) {
+        return result.rows[0];
+    }
+
+    const familyResult = await queryWith(client)(
+        'UPDATE project_templates SET family_id = id WHERE id = $1 RETURNING *',
+        [result.rows[0].id]
+    );
+
+    return familyResult.rows[0];
 };
 
-export const getAllTemplates = async () => {
+// One row per template: its latest published version, or (with includeDrafts)
+// the draft of a template that has never been published
+export const getAllTemplates = async (filters = {}) => {
+    const { includeDrafts = false, archived = false } = filters;
+
     const result = await query(
         `SELECT pt.*, 
             u.first_name || ' ' || u.last_name as creator_name,
-            COUNT(DISTINCT tp.id) as phase_count
+            COUNT(DISTINCT tp.id) as phase_count,
+            (SELECT d.id FROM project_templates d WHERE d.family_id = pt.family_id AND d.status = 'draft') as draft_id
      FROM project_templates pt
      LEFT JOIN users u ON pt.created_by = u.id
      LEFT JOIN template_phases tp ON pt.id = tp.template_id
-     WHERE pt.is_active = true
+     WHERE pt.is_active = $1
+       AND (
+         (pt.status = 'published' AND pt.version = (
+           SELECT MAX(v.version) FROM project_templates v
+           WHERE v.family_id = pt.family_id AND v.status = 'published'
+         ))
+         OR ($2 AND pt.status = 'draft' AND NOT EXISTS (
+           SELECT 1 FROM project_templates v
+           WHERE v.family_id = pt.family_id AND v.status = 'published'
+         ))
+       )
      GROUP BY pt.id, u.first_name, u.last_name
      ORDER BY pt.created_at DESC`,
-        []
+        [!archived, includeDrafts]
     );
     return result.rows;
 };
@@ -42,22 +79,133 @@ export const getTemplateById = async (id) => {
     return result.rows[0];
 };
 
-// Template phases
-export const createTemplatePhase = async (phaseData) => {
-    const { templateId, name, description, phaseOrder, defaultDurationDays } = phaseData;
+// Any version, including archived ones; names are compared case-insensitively
+export const getTemplateByName = async (name) => {
+    const result = await query(
+        `SELECT * FROM project_templates
+     WHERE LOWER(name) = LOWER($1)
+     ORDER BY version DESC
+     LIMIT 1`,
+        [name]
+    );
+    return result.rows[0];
+};
+
+export const updateTemplate = async (id, updates, client = null) => {
+    const allowedFields = ['name', 'description', 'category', 'phase_completion_mode'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
 
+    for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+            fields.push(`${key} = $${paramIndex}`);
+            values.push(value);
+            paramIndex++;
+        }
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    values.push(id);
+    const result = await queryWith(client)(
+        `UPDATE project_templates SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+    );
+
+    return result.rows[0];
+};
+
+// Archiving applies to every version of a template
+export const setTemplateArchived = async (familyId, isArchived) => {
     const result = await query(
-        `INSERT INTO template_phases (template_id, name, description, phase_order, default_duration_days) 
-     VALUES ($1, $2, $3, $4, $5) 
-     RETURNING *`,
-        [templateId, name, description, phaseOrder, defaultDurationDays]
+        'UPDATE project_templates SET is_active = $1 WHERE family_id = $2 RETURNING *',
+        [!isArchived, familyId]
+    );
+    return result.rows;
+};
+
+// Template versions
+export const getTemplateVersions = async (familyId) => {
+    const result = await query(
+        `SELECT pt.id, pt.family_id, pt.name, pt.version, pt.status, pt.published_at, pt.created_at,
+            u.first_name || ' ' || u.last_name as creator_name,
+            (SELECT COUNT(*) FROM projects p WHERE p.template_id = pt.id) as project_count
+     FROM project_templates pt
+     LEFT JOIN users u ON pt.created_by = u.id
+     WHERE pt.family_id = $1
+     ORDER BY pt.version DESC`,
+        [familyId]
     );
+    return result.rows;
+};
 
+export const getLatestPublishedVersion = async (familyId, client = null) => {
+    const result = await queryWith(client)(
+        `SELECT * FROM project_templates
+     WHERE family_id = $1 AND status = 'published'
+     ORDER BY version DESC
+     LIMIT 1`,
+        [familyId]
+    );
     return result.rows[0];
 };
 
-export const getTemplatePhases = async (templateId) => {
+export const getDraftVersion = async (familyId) => {
     const result = await query(
+        `SELECT * FROM project_templates WHERE family_id = $1 AND status = 'draft'`,
+        [familyId]
+    );
+    return result.rows[0];
+};
+
+export const getNextVersionNumber = async (familyId, client = null) => {
+    const result = await queryWith(client)(
+        'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM project_templates WHERE family_id = $1',
+        [familyId]
+    );
+    return result.rows[0].next_version;
+};
+
+export const publishTemplateVersion = async (id) => {
+    const result = await query(
+        `UPDATE project_templates
+     SET status = 'published', published_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'draft'
+     RETURNING *`,
+        [id]
+    );
+    return result.rows[0];
+};
+
+// Template phases
+// Without an originPhaseId the phase is new in this version and is its own origin
+export const createTemplatePhase = async (phaseData, client = null) => {
+    const { templateId, name, description, phaseOrder, defaultDurationDays, originPhaseId } = phaseData;
+
+    const result = await queryWith(client)(
+        `INSERT INTO template_phases (template_id, name, description, phase_order, default_duration_days, origin_phase_id) 
+     VALUES ($1, $2, $3, $4, $5, $6) 
+     RETURNING *`,
+        [templateId, name, description, phaseOrder, defaultDurationDays, originPhaseId || null]
+    );
+
+    if (originPhaseId) {
+        return result.rows[0];
+    }
+
+    const originResult = await queryWith(client)(
+        'UPDATE template_phases SET origin_phase_id = id WHERE id = $1 RETURNING *',
+        [result.rows[0].id]
+    );
+
+    return originResult.rows[0];
+};
+
+export const getTemplatePhases = async (templateId, client = null) => {
+    const result = await queryWith(client)(
         `SELECT tp.*,
             COUNT(DISTINCT td.id) as deliverable_count
      FROM template_phases tp
@@ -70,28 +218,135 @@ export const getTemplatePhases = async (templateId) => {
     return result.rows;
 };
 
+export const getTemplatePhaseById = async (phaseId) => {
+    const result = await query('SELECT * FROM template_phases WHERE id = $1', [phaseId]);
+    return result.rows[0];
+};
+
+export const updateTemplatePhase = async (phaseId, updates, client = null) => {
+    const allowedFields = ['name', 'description', 'phase_order', 'default_duration_days'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+            fields.push(`${key} = $${paramIndex}`);
+            values.push(value);
+            paramIndex++;
+        }
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    values.push(phaseId);
+    const result = await queryWith(client)(
+        `UPDATE template_phases SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+    );
+
+    return result.rows[0];
+};
+
+export const deleteTemplatePhase = async (phaseId, client = null) => {
+    const result = await queryWith(client)('DELETE FROM template_phases WHERE id = $1 RETURNING id', [phaseId]);
+    return result.rows[0];
+};
+
 // Template deliverables
-export const createTemplateDeliverable = async (deliverableData) => {
-    const { phaseId, name, description, deliverableType, isAiGeneratable, templateContent } = deliverableData;
+export const createTemplateDeliverable = async (deliverableData, client = null) => {
+    const {
+        phaseId,
+        name,
+        description,
+        deliverableType,
+        isAiGeneratable,
+        templateContent,
+        approvalChain,
+        originDeliverableId
+    } = deliverableData;
 
-    const result = await query(
-        `INSERT INTO template_deliverables (phase_id, name, description, deliverable_type, is_ai_generatable, template_content) 
-     VALUES ($1, $2, $3, $4, $5, $6) 
+    const result = await queryWith(client)(
+        `INSERT INTO template_deliverables (phase_id, name, description, deliverable_type, is_ai_generatable, template_content, approval_chain, origin_deliverable_id) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
      RETURNING *`,
-        [phaseId, name, description, deliverableType, isAiGeneratable || false, templateContent]
+        [
+            phaseId,
+            name,
+            description,
+            deliverableType,
+            isAiGeneratable || false,
+            templateContent,
+            approvalChain ? JSON.stringify(approvalChain) : null,
+            originDeliverableId || null
+        ]
     );
 
-    return result.rows[0];
+    if (originDeliverableId) {
+        return result.rows[0];
+    }
+
+    const originResult = await queryWith(client)(
+        'UPDATE template_deliverables SET origin_deliverable_id = id WHERE id = $1 RETURNING *',
+        [result.rows[0].id]
+    );
+
+    return originResult.rows[0];
 };
 
-export const getTemplateDeliverables = async (phaseId) => {
-    const result = await query(
+export const getTemplateDeliverables = async (phaseId, client = null) => {
+    const result = await queryWith(client)(
         'SELECT * FROM template_deliverables WHERE phase_id = $1 ORDER BY name',
         [phaseId]
     );
     return result.rows;
 };
 
+export const getTemplateDeliverableById = async (deliverableId) => {
+    const result = await query(
+        `SELECT td.*, tp.template_id
+     FROM template_deliverables td
+     JOIN template_phases tp ON td.phase_id = tp.id
+     WHERE td.id = $1`,
+        [deliverableId]
+    );
+    return result.rows[0];
+};
+
+export const updateTemplateDeliverable = async (deliverableId, updates, client = null) => {
+    const allowedFields = ['phase_id', 'name', 'description', 'deliverable_type', 'is_ai_generatable', 'template_content', 'approval_chain'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+            fields.push(`${key} = $${paramIndex}`);
+            values.push(key === 'approval_chain' && value !== null ? JSON.stringify(value) : value);
+            paramIndex++;
+        }
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    values.push(deliverableId);
+    const result = await queryWith(client)(
+        `UPDATE template_deliverables SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+    );
+
+    return result.rows[0];
+};
+
+export const deleteTemplateDeliverable = async (deliverableId, client = null) => {
+    const result = await queryWith(client)('DELETE FROM template_deliverables WHERE id = $1 RETURNING id', [deliverableId]);
+    return result.rows[0];
+};
+
 export const getTemplateDeliverablesForTemplate = async (templateId) => {
     const result = await query(
         `SELECT td.*, tp.name as phase_name, tp.phase_order
@@ -105,32 +360,43 @@ export const getTemplateDeliverablesForTemplate = async (templateId) => {
 };
 
 // Initialize project from template
-export const initializeProjectFromTemplate = async (templateId, projectId) => {
+// phaseDates: optional Map of template phase id -> { startDate, endDate }
+export const initializeProjectFromTemplate = async (templateId, projectId, phaseDates = new Map(), client = null) => {
     // Get template phases
-    const phases = await getTemplatePhases(templateId);
+    const phases = await getTemplatePhases(templateId, client);
 
     const createdPhases = [];
     for (const phase of phases) {
+        const dates = phaseDates.get(phase.id) || {};
+
         // Create project phase
-        const phaseResult = await query(
-            `INSERT INTO project_phases (project_id, template_phase_id, name, description, phase_order, status) 
-       VALUES ($1, $2, $3, $4, $5, 'pending') 
+        const phaseResult = await queryWith(client)(
+            `INSERT INTO project_phases (project_id, template_phase_id, name, description, phase_order, status, start_date, end_date) 
+       VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7) 
        RETURNING *`,
-            [projectId, phase.id, phase.name, phase.description, phase.phase_order]
+            [projectId, phase.id, phase.name, phase.description, phase.phase_order, dates.startDate || null, dates.endDate || null]
         );
 
         const createdPhase = phaseResult.rows[0];
         createdPhases.push(createdPhase);
 
         // Get template deliverables for this phase
-        const deliverables = await getTemplateDeliverables(phase.id);
+        const deliverables = await getTemplateDeliverables(phase.id, client);
 
         // Create project deliverables
         for (const deliverable of deliverables) {
-            await query(
-                `INSERT INTO deliverables (project_id, phase_id, template_deliverable_id, name, description, deliverable_type, status) 
-         VALUES ($1, $2, $3, $4, $5, $6, 'pending')`,
-                [projectId, createdPhase.id, deliverable.id, deliverable.name, deliverable.description, deliverable.deliverable_type]
+            await queryWith(client)(
+                `INSERT INTO deliverables (project_id, phase_id, template_deliverable_id, name, description, deliverable_type, approval_chain, status) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')`,
+                [
+                    projectId,
+                    createdPhase.id,
+                    deliverable.id,
+                    deliverable.name,
+                    deliverable.description,
+                    deliverable.deliverable_type,
+                    deliverable.approval_chain ? JSON.stringify(deliverable.approval_chain) : null
+                ]
             );
         }
     }
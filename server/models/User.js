@@ -1,10 +1,11 @@
 import { query } from '../config/database.js';
 import bcrypt from 'bcryptjs';
+import { queryWith } from '../services/transactionService.js';
 
-export const createUser = async (email, password, firstName, lastName, role = 'team_member') => {
+export const createUser = async (email, password, firstName, lastName, role = 'team_member', client = null) => {
     const passwordHash = await bcrypt.hash(password, 10);
 
-    const result = await query(
+    const result = await queryWith(client)(
         `INSERT INTO users (email, password_hash, first_name, last_name, role) 
      VALUES ($1, $2, $3, $4, $5) 
      RETURNING id, email, first_name, last_name, role, created_at`,
@@ -14,9 +15,25 @@ export const createUser = async (email, password, firstName, lastName, role = 't
     return result.rows[0];
 };
 
+// Case-insensitive, like emailExists, so any casing finds the one account
 export const findUserByEmail = async (email) => {
     const result = await query(
-        'SELECT * FROM users WHERE email = $1 AND is_active = true',
+        'SELECT * FROM users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+        [email]
+    );
+    return result.rows[0];
+};
+
+// Includes deactivated accounts: an email can only ever belong to one account
+export const emailExists = async (email) => {
+    const result = await query('SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    return result.rows.length > 0;
+};
+
+// Case-insensitive and including deactivated accounts, for linking SSO identities
+export const findAnyUserByEmail = async (email) => {
+    const result = await query(
+        'SELECT id, email, first_name, last_name, role, is_active, email_verified_at, created_at FROM users WHERE LOWER(email) = LOWER($1)',
         [email]
     );
     return result.rows[0];
@@ -24,7 +41,7 @@ export const findUserByEmail = async (email) => {
 
 export const findUserById = async (id) => {
     const result = await query(
-        'SELECT id, email, first_name, last_name, role, is_active, created_at FROM users WHERE id = $1',
+        'SELECT id, email, first_name, last_name, role, is_active, email_verified_at, created_at FROM users WHERE id = $1',
         [id]
     );
     return result.rows[0];
@@ -34,13 +51,46 @@ export const verifyPassword = async (password, passwordHash) => {
     return await bcrypt.compare(password, passwordHash);
 };
 
-export const getAllUsers = async (role = null) => {
-    let queryText = 'SELECT id, email, first_name, last_name, role, is_active, created_at FROM users WHERE is_active = true';
+export const updatePassword = async (id, password) => {
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const result = await query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING id, email',
+        [passwordHash, id]
+    );
+    return result.rows[0];
+};
+
+export const markEmailVerified = async (id, client = null) => {
+    const result = await queryWith(client)(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1
+     RETURNING id, email, email_verified_at`,
+        [id]
+    );
+    return result.rows[0];
+};
+
+export const getAllUsers = async ({ role = null, status = 'active', search = null } = {}) => {
+    let queryText = 'SELECT id, email, first_name, last_name, role, is_active, email_verified_at, created_at, updated_at FROM users WHERE 1=1';
     const params = [];
+    let paramIndex = 1;
+
+    if (status !== 'all') {
+        queryText += ` AND is_active = $${paramIndex}`;
+        params.push(status === 'active');
+        paramIndex++;
+    }
 
     if (role) {
-        queryText += ' AND role = $1';
+        queryText += ` AND role = $${paramIndex}`;
         params.push(role);
+        paramIndex++;
+    }
+
+    if (search) {
+        queryText += ` AND (email ILIKE $${paramIndex} OR first_name || ' ' || last_name ILIKE $${paramIndex})`;
+        params.push(`%${search}%`);
+        paramIndex++;
     }
 
     queryText += ' ORDER BY created_at DESC';
@@ -49,6 +99,23 @@ export const getAllUsers = async (role = null) => {
     return result.rows;
 };
 
+// Active staff, with only what is needed to pick someone (e.g. an assignee)
+export const getUserDirectory = async (roles = ['admin', 'pm', 'team_member']) => {
+    const result = await query(
+        `SELECT id, first_name, last_name, first_name || ' ' || last_name as name, email, role
+     FROM users
+     WHERE is_active = true AND role = ANY($1)
+     ORDER BY first_name, last_name`,
+        [roles]
+    );
+    return result.rows;
+};
+
+export const countActiveAdmins = async () => {
+    const result = await query("SELECT COUNT(*)::int as count FROM users WHERE role = 'admin' AND is_active = true");
+    return result.rows[0].count;
+};
+
 export const updateUser = async (id, updates) => {
     const allowedFields = ['first_name', 'last_name', 'role', 'is_active'];
     const fields = [];
@@ -70,7 +137,7 @@ export const updateUser = async (id, updates) => {
     values.push(id);
     const result = await query(
         `UPDATE users SET ${fields.join(', ')} WHERE id = $${paramIndex} 
-     RETURNING id, email, first_name, last_name, role, is_active, updated_at`,
+     RETURNING id, email, first_name, last_name, role, is_active, created_at, updated_at`,
         values
     );
 
@@ -0,0 +1,62 @@
+import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
+
+// External (SSO) identities, keyed by provider and the provider's subject id
+export const findIdentity = async (provider, subject) => {
+    const result = await query(
+        'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+        [provider, subject]
+    );
+    return result.rows[0];
+};
+
+export const createIdentity = async (identityData, client = null) => {
+    const { userId, provider, subject, email } = identityData;
+
+    const result = await queryWith(client)(
+        `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     RETURNING *`,
+        [userId, provider, subject, email || null]
+    );
+    return result.rows[0];
+};
+
+export const touchIdentity = async (id, email) => {
+    const result = await query(
+        `UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($2, email)
+     WHERE id = $1
+     RETURNING *`,
+        [id, email || null]
+    );
+    return result.rows[0];
+};
+
+// SSO sign-ins in progress
+export const createLoginState = async (stateData) => {
+    const { provider, stateHash, codeVerifier, nonce, expiresAt } = stateData;
+
+    const result = await query(
+        `INSERT INTO sso_login_states (provider, state_hash, code_verifier, nonce, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, provider, expires_at`,
+        [provider, stateHash, codeVerifier, nonce, expiresAt]
+    );
+    return result.rows[0];
+};
+
+// Deletes the state in the same statement that checks it, so each works only once
+export const consumeLoginState = async (provider, stateHash) => {
+    const result = await query(
+        `DELETE FROM sso_login_states
+     WHERE provider = $1 AND state_hash = $2 AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+        [provider, stateHash]
+    );
+    return result.rows[0];
+};
+
+export const deleteExpiredLoginStates = async () => {
+    const result = await query('DELETE FROM sso_login_states WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+};
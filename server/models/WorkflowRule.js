@@ -0,0 +1,90 @@
+import { query } from '../config/database.js';
+import { queryWith } from '../services/transactionService.js';
+
+// Workflow rule CRUD operations
+export const createRule = async (ruleData, client = null) => {
+    const { templateId, triggerEvent, condition, actionType, actionConfig, isActive } = ruleData;
+
+    const result = await queryWith(client)(
+        `INSERT INTO workflow_rules (template_id, trigger_event, condition_json, action_type, action_config, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+        [
+            templateId,
+            triggerEvent,
+            condition ? JSON.stringify(condition) : null,
+            actionType,
+            JSON.stringify(actionConfig || {}),
+            isActive !== undefined ? isActive : true
+        ]
+    );
+
+    return result.rows[0];
+};
+
+export const getRuleById = async (id) => {
+    const result = await query('SELECT * FROM workflow_rules WHERE id = $1', [id]);
+    return result.rows[0];
+};
+
+export const getRulesByTemplate = async (templateId) => {
+    const result = await query(
+        'SELECT * FROM workflow_rules WHERE template_id = $1 ORDER BY created_at, id',
+        [templateId]
+    );
+    return result.rows;
+};
+
+// Active rules for an event; rules without a template apply to every project
+export const getActiveRulesForEvent = async (templateId, triggerEvent) => {
+    const result = await query(
+        `SELECT * FROM workflow_rules
+     WHERE trigger_event = $1
+       AND is_active = true
+       AND (template_id = $2 OR template_id IS NULL)
+     ORDER BY created_at, id`,
+        [triggerEvent, templateId]
+    );
+    return result.rows;
+};
+
+export const updateRule = async (id, updates) => {
+    const columnMap = {
+        triggerEvent: 'trigger_event',
+        condition: 'condition_json',
+        actionType: 'action_type',
+        actionConfig: 'action_config',
+        isActive: 'is_active'
+    };
+    const jsonColumns = ['condition_json', 'action_config'];
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+        const column = columnMap[key];
+        if (column && value !== undefined) {
+            fields.push(`${column} = $${paramIndex}`);
+            values.push(jsonColumns.includes(column) && value !== null ? JSON.stringify(value) : value);
+            paramIndex++;
+        }
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    values.push(id);
+    const result = await query(
+        `UPDATE workflow_rules SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+    );
+
+    return result.rows[0];
+};
+
+export const deleteRule = async (id) => {
+    const result = await query('DELETE FROM workflow_rules WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0];
+};
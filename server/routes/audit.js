@@ -0,0 +1,51 @@
+import express from 'express';
+import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import * as AuditLogModel from '../models/AuditLog.js';
+import Joi from 'joi';
+
+const router = express.Router();
+
+// Validation schema
+const listAuditSchema = Joi.object({
+    action: Joi.string(),
+    entityType: Joi.string(),
+    entityId: Joi.number().integer(),
+    actorId: Joi.number().integer(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * @route   GET /api/audit?action=&entityType=&entityId=&actorId=&page=1&limit=50
+ * @desc    Get the audit trail, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = listAuditSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { page, limit, ...filters } = value;
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await AuditLogModel.getAuditLogs({
+            ...filters,
+            limit: limit + 1,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            entries: rows.slice(0, limit),
+            page,
+            limit,
+            hasMore: rows.length > limit
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+export default router;
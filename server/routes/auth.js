@@ -1,6 +1,13 @@
 import express from 'express';
 import * as UserModel from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import { authMiddleware } from '../middleware/auth.js';
+import * as SessionModel from '../models/Session.js';
+import { startSession, refreshSession, endSessionByRefreshToken, listSessions } from '../services/sessionService.js';
+import { disconnectSessions } from '../services/realtimeService.js';
+import { getPendingInvitation, acceptInvitation } from '../services/invitationService.js';
+import { recordAudit } from '../services/auditService.js';
+import { listProviders, getProvider, startLogin, completeLogin, redeemLoginCode } from '../services/ssoService.js';
+import { TOKEN_PURPOSES, consumeToken, sendPasswordResetEmail, sendVerificationEmail } from '../services/authTokenService.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -10,8 +17,22 @@ const registerSchema = Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
     firstName: Joi.string().required(),
-    lastName: Joi.string().required(),
-    role: Joi.string().valid('pm', 'team_member', 'client').default('team_member')
+    lastName: Joi.string().required()
+});
+
+const acceptInvitationSchema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required(),
+    firstName: Joi.string().required(),
+    lastName: Joi.string().required()
+});
+
+const invitationLookupSchema = Joi.object({
+    token: Joi.string().required()
+});
+
+const ssoExchangeSchema = Joi.object({
+    code: Joi.string().required()
 });
 
 const loginSchema = Joi.object({
@@ -19,42 +40,87 @@ const loginSchema = Joi.object({
     password: Joi.string().required()
 });
 
+const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+});
+
+const changePasswordSchema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
+});
+
+const verifyEmailSchema = Joi.object({
+    token: Joi.string().required()
+});
+
+const toAuthUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    emailVerified: !!user.email_verified_at
+});
+
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new team member. Disabled unless OPEN_REGISTRATION=true;
+ *          every other account is created from an invitation.
  * @access  Public
  */
 router.post('/register', async (req, res) => {
     try {
+        if (process.env.OPEN_REGISTRATION !== 'true') {
+            return res.status(403).json({ error: 'Registration is by invitation only' });
+        }
+
         const { error, value } = registerSchema.validate(req.body);
         if (error) {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { email, password, firstName, lastName, role } = value;
+        const { email, password, firstName, lastName } = value;
 
         // Check if user already exists
-        const existingUser = await UserModel.findUserByEmail(email);
-        if (existingUser) {
+        if (await UserModel.emailExists(email)) {
             return res.status(400).json({ error: 'User already exists' });
         }
 
-        // Create user
-        const user = await UserModel.createUser(email, password, firstName, lastName, role);
+        // Self-registered accounts never get more than the team_member role
+        const user = await UserModel.createUser(email, password, firstName, lastName, 'team_member');
+
+        await recordAudit({
+            req,
+            actorId: user.id,
+            action: 'user.registered',
+            entity: { type: 'user', id: user.id },
+            details: { email: user.email, role: user.role }
+        });
 
-        // Generate token
-        const token = generateToken(user.id, user.email, user.role);
+        // Sign the new user in
+        const { token, refreshToken } = await startSession(user, req);
+
+        // A failed email should not fail the registration; it can be resent
+        try {
+            await sendVerificationEmail(user);
+        } catch (emailError) {
+            console.error('Verification email error:', emailError);
+        }
 
         res.status(201).json({
             message: 'User registered successfully',
             token,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                role: user.role
-            }
+            refreshToken,
+            user: toAuthUser(user)
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -88,19 +154,14 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate token
-        const token = generateToken(user.id, user.email, user.role);
+        // Start a session: short-lived access token plus a refresh token
+        const { token, refreshToken } = await startSession(user, req);
 
         res.json({
             message: 'Login successful',
             token,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                role: user.role
-            }
+            refreshToken,
+            user: toAuthUser(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -108,4 +169,429 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { error, value } = refreshTokenSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const session = await refreshSession(value.refreshToken);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            token: session.token,
+            refreshToken: session.refreshToken
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session of a refresh token (works with an expired access token)
+ * @access  Public (requires the refresh token)
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        const { error, value } = refreshTokenSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const session = await endSessionByRefreshToken(value.refreshToken);
+        if (session) {
+            disconnectSessions({ sessionIds: [session.id] });
+        }
+
+        // Same answer for unknown tokens, so logout never reveals anything
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/invitation?token=
+ * @desc    Get what a pending invitation is for, before accepting it
+ * @access  Public (requires an invitation token)
+ */
+router.get('/invitation', async (req, res) => {
+    try {
+        const { error, value } = invitationLookupSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const invitation = await getPendingInvitation(value.token);
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        res.json({
+            email: invitation.email,
+            role: invitation.role,
+            projectName: invitation.project_name,
+            invitedByName: invitation.invited_by_name,
+            expiresAt: invitation.expires_at
+        });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ error: 'Failed to fetch invitation' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/accept-invite
+ * @desc    Create the invited account and sign it in
+ * @access  Public (requires an invitation token)
+ */
+router.post('/accept-invite', async (req, res) => {
+    try {
+        const { error, value } = acceptInvitationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const invitation = await getPendingInvitation(value.token);
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        if (await UserModel.emailExists(invitation.email)) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const user = await acceptInvitation(invitation, value, req);
+        if (!user) {
+            return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        const { token, refreshToken } = await startSession(user, req);
+
+        res.status(201).json({
+            message: 'Account created successfully',
+            token,
+            refreshToken,
+            user: toAuthUser(user)
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sso/providers
+ * @desc    List the identity providers available for single sign-on
+ * @access  Public
+ */
+router.get('/sso/providers', async (req, res) => {
+    try {
+        res.json(listProviders());
+    } catch (error) {
+        console.error('Get SSO providers error:', error);
+        res.status(500).json({ error: 'Failed to fetch SSO providers' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sso/:provider/start
+ * @desc    Redirect the browser to the identity provider to sign in
+ * @access  Public
+ */
+router.get('/sso/:provider/start', async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ error: 'SSO provider not found' });
+        }
+
+        res.redirect(await startLogin(provider));
+    } catch (error) {
+        console.error('Start SSO login error:', error);
+        res.status(500).json({ error: 'Failed to start single sign-on' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sso/:provider/callback
+ * @desc    Finish signing in at the identity provider, then send the browser
+ *          back to the web app with a one-time code (or an error message)
+ * @access  Public (called by the identity provider's redirect)
+ */
+router.get('/sso/:provider/callback', async (req, res) => {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ error: 'SSO provider not found' });
+        }
+
+        const code = await completeLogin(provider, req.query, req);
+        res.redirect(`${clientUrl}/sso/callback?code=${encodeURIComponent(code)}`);
+    } catch (error) {
+        console.error('SSO callback error:', error);
+        const message = error.code === 'SSO_DENIED' ? error.message : 'Single sign-on failed. Please try again.';
+        res.redirect(`${clientUrl}/login?ssoError=${encodeURIComponent(message)}`);
+    }
+});
+
+/**
+ * @route   POST /api/auth/sso/exchange
+ * @desc    Exchange the one-time code from the SSO callback for a session
+ * @access  Public (requires an SSO code)
+ */
+router.post('/sso/exchange', async (req, res) => {
+    try {
+        const { error, value } = ssoExchangeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await redeemLoginCode(value.code);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign-in code is invalid or has expired' });
+        }
+
+        const { token, refreshToken } = await startSession(user, req);
+
+        res.json({
+            message: 'Login successful',
+            token,
+            refreshToken,
+            user: toAuthUser(user)
+        });
+    } catch (error) {
+        console.error('SSO exchange error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link. Answers the same whether or not the
+ *          email belongs to an account.
+ * @access  Public
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { error, value } = forgotPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await UserModel.findUserByEmail(value.email);
+        // Not awaited, so the response takes as long whether or not the account exists
+        if (user) {
+            sendPasswordResetEmail(user).catch(emailError => {
+                console.error('Password reset email error:', emailError);
+            });
+        }
+
+        res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and sign out everywhere
+ * @access  Public (requires a reset token)
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { error, value } = resetPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const record = await consumeToken(value.token, TOKEN_PURPOSES.passwordReset);
+        const user = record && await UserModel.findUserById(record.user_id);
+
+        if (!user || !user.is_active) {
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        await UserModel.updatePassword(user.id, value.password);
+
+        // The link arrived by email, so the address is confirmed too
+        await UserModel.markEmailVerified(user.id);
+
+        // Whoever knew the old password is signed out
+        await SessionModel.revokeUserSessions(user.id);
+        disconnectSessions({ userId: user.id });
+
+        res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change the current user's password and sign out their other sessions
+ * @access  Private
+ */
+router.post('/change-password', authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = changePasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await UserModel.findUserByEmail(req.user.email);
+        if (!user || !(await UserModel.verifyPassword(value.currentPassword, user.password_hash))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        await UserModel.updatePassword(user.id, value.newPassword);
+
+        const revokedIds = await SessionModel.revokeUserSessions(user.id, req.user.sessionId);
+        disconnectSessions({ sessionIds: revokedIds });
+
+        res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with a verification token
+ * @access  Public (requires a verification token)
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { error, value } = verifyEmailSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const record = await consumeToken(value.token, TOKEN_PURPOSES.emailVerification);
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        const user = await UserModel.markEmailVerified(record.user_id);
+
+        res.json({
+            message: 'Email verified successfully',
+            email: user.email
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+    try {
+        const user = await UserModel.findUserById(req.user.userId);
+
+        if (user.email_verified_at) {
+            return res.status(409).json({ error: 'Email is already verified' });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the current user
+ * @access  Private
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    try {
+        const user = await UserModel.findUserById(req.user.userId);
+        res.json(toAuthUser(user));
+    } catch (error) {
+        console.error('Get current user error:', error);
+        res.status(500).json({ error: 'Failed to fetch current user' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId, req.user.sessionId);
+        res.json(sessions);
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const revokedIds = await SessionModel.revokeUserSessions(req.user.userId, req.user.sessionId);
+        disconnectSessions({ sessionIds: revokedIds });
+
+        res.json({
+            message: 'Other sessions revoked successfully',
+            revoked: revokedIds.length
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+    try {
+        const session = await SessionModel.revokeSession(req.params.sessionId, req.user.userId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        disconnectSessions({ sessionIds: [session.id] });
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
 export default router;
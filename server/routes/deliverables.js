@@ -1,9 +1,30 @@
 import express from 'express';
-import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { projectAccessMiddleware, deliverableAccessMiddleware } from '../middleware/projectAccess.js';
+import { singleFileUpload } from '../middleware/upload.js';
+import { canAccessProject } from '../services/projectAccessService.js';
 import * as DeliverableModel from '../models/Deliverable.js';
-import * as ProjectModel from '../models/Project.js';
-import { generateDeliverable } from '../services/aiService.js';
-import { logActivity } from '../services/workflowEngine.js';
+import * as DependencyModel from '../models/Dependency.js';
+import {
+    DELIVERABLE_STATES,
+    assertDeliverableTransition,
+    assertContentEditable,
+    assertPredecessorsFinished,
+    getDeliverableTransitions,
+    logActivity,
+    generateDeliverableContent,
+    completePhaseIfReady
+} from '../services/workflowEngine.js';
+import { runWorkflowRules } from '../services/ruleEngine.js';
+import { publishToProject } from '../services/realtimeService.js';
+import { DEPENDENCY_TYPES, wouldCreateCycle } from '../services/scheduleService.js';
+import { withTransaction } from '../services/transactionService.js';
+import { APPROVER_TYPES, getApprovalState, canDecide, decideApproval, notifyPendingApprovers } from '../services/approvalService.js';
+import * as UserModel from '../models/User.js';
+import * as CommentModel from '../models/DeliverableComment.js';
+import { extractMentions, buildThreads, notifyMentions } from '../services/commentService.js';
+import { GRANULARITIES, diffText } from '../services/diffService.js';
+import { matchesSignature, storeDeliverableFile, removeStoredFiles, sendStoredFile } from '../services/fileStorageService.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -16,17 +37,82 @@ const createDeliverableSchema = Joi.object({
     description: Joi.string().allow(''),
     deliverableType: Joi.string().required(),
     assignedTo: Joi.number(),
-    dueDate: Joi.date()
+    dueDate: Joi.date(),
+    durationDays: Joi.number().integer().min(0)
+});
+
+// What contributors may change with PUT /:id; file_path is only set by uploads and restores
+const EDITABLE_FIELDS = [
+    'name',
+    'description',
+    'status',
+    'content',
+    'assigned_to',
+    'due_date',
+    'duration_days',
+    'is_ai_generated'
+];
+
+const sharingSchema = Joi.object({
+    sharedWithClient: Joi.boolean().required()
+});
+
+const approvalSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    comment: Joi.string().trim().required()
+});
+
+export const approvalChainSchema = Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    approvers: Joi.array().items(Joi.object({
+        type: Joi.string().valid(...APPROVER_TYPES).required(),
+        userId: Joi.number().integer().when('type', { is: 'user', then: Joi.required(), otherwise: Joi.forbidden() }),
+        label: Joi.string().allow('')
+    })).min(1).required()
+})).min(1);
+
+const approvalChainUpdateSchema = Joi.object({
+    approvalChain: approvalChainSchema.allow(null).required()
+});
+
+const versionDiffSchema = Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+    granularity: Joi.string().valid(...GRANULARITIES).default('line')
+});
+
+const restoreVersionSchema = Joi.object({
+    changeNotes: Joi.string().trim().allow('')
+});
+
+const uploadFileSchema = Joi.object({
+    changeNotes: Joi.string().trim().allow('')
+});
+
+const commentSchema = Joi.object({
+    body: Joi.string().trim().max(10000).required(),
+    versionId: Joi.number().integer(),
+    parentId: Joi.number().integer()
+}).oxor('versionId', 'parentId');
+
+const updateCommentSchema = Joi.object({
+    body: Joi.string().trim().max(10000).required()
+});
+
+const dependencySchema = Joi.object({
+    predecessorId: Joi.number().required(),
+    dependencyType: Joi.string().valid(...DEPENDENCY_TYPES).default('finish_to_start'),
+    lagDays: Joi.number().integer().default(0)
 });
 
 /**
  * @route   GET /api/deliverables/project/:projectId
  * @desc    Get all deliverables for a project
- * @access  Private
+ * @access  Private (Project members)
  */
-router.get('/project/:projectId', authMiddleware, async (req, res) => {
+router.get('/project/:projectId', authMiddleware, projectAccessMiddleware('view', 'projectId'), async (req, res) => {
     try {
-        const deliverables = await DeliverableModel.getDeliverablesByProject(req.params.projectId);
+        const deliverables = await DeliverableModel.getDeliverablesByProject(req.project.id);
         res.json(deliverables);
     } catch (error) {
         console.error('Get deliverables error:', error);
@@ -57,22 +143,29 @@ router.get('/user/:userId', authMiddleware, async (req, res) => {
 /**
  * @route   GET /api/deliverables/:id
  * @desc    Get deliverable by ID
- * @access  Private
+ * @access  Private (Project members)
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
     try {
-        const deliverable = await DeliverableModel.getDeliverableById(req.params.id);
+        const { deliverable } = req;
 
-        if (!deliverable) {
-            return res.status(404).json({ error: 'Deliverable not found' });
-        }
+        // Get versions and approval reviews
+        const [versions, reviews] = await Promise.all([
+            DeliverableModel.getDeliverableVersions(deliverable.id),
+            DeliverableModel.getDeliverableReviews(deliverable.id)
+        ]);
 
-        // Get versions
-        const versions = await DeliverableModel.getDeliverableVersions(deliverable.id);
+        const approval = getApprovalState(deliverable, reviews);
 
         res.json({
             ...deliverable,
-            versions
+            versions,
+            reviews,
+            approval: { ...approval, canDecide: canDecide(approval, req.user, deliverable) },
+            // Statuses the current user can move the deliverable to with PATCH /status
+            transitions: req.projectAccess.canContribute
+                ? getDeliverableTransitions(deliverable.status, { canManage: req.projectAccess.canManage })
+                : []
         });
     } catch (error) {
         console.error('Get deliverable error:', error);
@@ -83,7 +176,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
 /**
  * @route   POST /api/deliverables
  * @desc    Create a new deliverable
- * @access  Private
+ * @access  Private (Project contributors)
  */
 router.post('/', authMiddleware, async (req, res) => {
     try {
@@ -92,6 +185,10 @@ router.post('/', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: error.details[0].message });
         }
 
+        if (!(await canAccessProject(req.user, value.projectId, 'contribute'))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
         const deliverable = await DeliverableModel.createDeliverable(value);
 
         await logActivity(value.projectId, req.user.userId, 'deliverable_created',
@@ -110,66 +207,25 @@ router.post('/', authMiddleware, async (req, res) => {
 /**
  * @route   POST /api/deliverables/:id/generate
  * @desc    Generate deliverable content using AI
- * @access  Private
+ * @access  Private (Project contributors)
  */
-router.post('/:id/generate', authMiddleware, async (req, res) => {
+router.post('/:id/generate', authMiddleware, deliverableAccessMiddleware('contribute'), async (req, res) => {
     try {
-        const deliverable = await DeliverableModel.getDeliverableById(req.params.id);
-
-        if (!deliverable) {
-            return res.status(404).json({ error: 'Deliverable not found' });
-        }
-
-        // Get project and phase data for context
-        const project = await ProjectModel.getProjectById(deliverable.project_id);
-        const phases = await ProjectModel.getProjectPhases(deliverable.project_id);
-        const currentPhase = phases.find(p => p.id === deliverable.phase_id);
-
-        // Get template content
-        const { template_content, deliverable_type } = deliverable;
-
-        // Generate content using AI
-        const generatedContent = await generateDeliverable({
-            deliverableName: deliverable.name,
-            deliverableType: deliverable_type || deliverable.deliverable_type,
-            templateContent: template_content,
-            projectData: {
-                name: project.name,
-                description: project.description
-            },
-            phaseData: currentPhase ? {
-                name: currentPhase.name,
-                description: currentPhase.description,
-                startDate: currentPhase.start_date,
-                endDate: currentPhase.end_date
-            } : null
-        });
-
-        // Update deliverable with generated content
-        const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, {
-            content: generatedContent,
-            isAiGenerated: true,
-            status: 'review'
-        });
+        const { deliverable } = req;
 
-        // Create version
-        const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id);
-        await DeliverableModel.createDeliverableVersion({
-            deliverableId: deliverable.id,
-            versionNumber: latestVersion + 1,
-            content: generatedContent,
-            createdBy: req.user.userId,
-            changeNotes: 'AI-generated content'
+        const updatedDeliverable = await generateDeliverableContent(deliverable.id, req.user.userId, {
+            canManage: req.projectAccess.canManage,
+            override: Boolean(req.body.override)
         });
 
-        await logActivity(project.id, req.user.userId, 'deliverable_generated',
-            `Deliverable "${deliverable.name}" generated using AI`);
-
         res.json({
             message: 'Deliverable generated successfully',
             deliverable: updatedDeliverable
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Generate deliverable error:', error);
         res.status(500).json({ error: error.message || 'Failed to generate deliverable' });
     }
@@ -178,38 +234,85 @@ router.post('/:id/generate', authMiddleware, async (req, res) => {
 /**
  * @route   PUT /api/deliverables/:id
  * @desc    Update deliverable
- * @access  Private
+ * @access  Private (Project contributors)
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, deliverableAccessMiddleware('contribute'), async (req, res) => {
     try {
-        const deliverable = await DeliverableModel.getDeliverableById(req.params.id);
+        const { deliverable } = req;
 
-        if (!deliverable) {
-            return res.status(404).json({ error: 'Deliverable not found' });
-        }
+        // Sharing and the approval chain have their own endpoints, open to project managers only
+        const updates = Object.fromEntries(Object.entries(req.body).filter(([field]) => EDITABLE_FIELDS.includes(field)));
 
-        // If content is being updated, create a new version
-        if (req.body.content && req.body.content !== deliverable.content) {
-            const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id);
-            await DeliverableModel.createDeliverableVersion({
-                deliverableId: deliverable.id,
-                versionNumber: latestVersion + 1,
-                content: req.body.content,
-                createdBy: req.user.userId,
-                changeNotes: req.body.changeNotes || 'Updated content'
+        const statusChanged = updates.status !== undefined && updates.status !== deliverable.status;
+        let overriddenPredecessors = [];
+        if (statusChanged) {
+            assertDeliverableTransition(deliverable.status, updates.status, { canManage: req.projectAccess.canManage });
+            overriddenPredecessors = await assertPredecessorsFinished(deliverable, updates.status, {
+                override: Boolean(req.body.override),
+                canManage: req.projectAccess.canManage
             });
+        } else {
+            delete updates.status;
         }
 
-        const updatedDeliverable = await DeliverableModel.updateDeliverable(req.params.id, req.body);
+        // Content under review or approved only changes together with moving it back to in_progress
+        const contentChanged = updates.content !== undefined && updates.content !== deliverable.content;
+        if (contentChanged && !statusChanged) {
+            assertContentEditable(deliverable.status);
+        }
+
+        // The new version and the update are saved together or not at all
+        const updatedDeliverable = await withTransaction(async (client) => {
+            // If content is being updated, create a new version
+            if (req.body.content && req.body.content !== deliverable.content) {
+                // Serializes version numbering with other edits, uploads and restores of this deliverable
+                await DeliverableModel.lockDeliverable(deliverable.id, client);
+
+                const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id, client);
+                await DeliverableModel.createDeliverableVersion({
+                    deliverableId: deliverable.id,
+                    versionNumber: latestVersion + 1,
+                    content: req.body.content,
+                    createdBy: req.user.userId,
+                    changeNotes: req.body.changeNotes || 'Updated content'
+                }, client);
+            }
+
+            return DeliverableModel.updateDeliverable(deliverable.id, updates, client);
+        });
 
         await logActivity(deliverable.project_id, req.user.userId, 'deliverable_updated',
-            `Deliverable "${deliverable.name}" updated`);
+            `Deliverable "${deliverable.name}" updated`
+            + (statusChanged ? `, status changed from ${deliverable.status} to ${updatedDeliverable.status}` : '')
+            + (overriddenPredecessors.length > 0 ? ' (dependency override)' : ''),
+            statusChanged ? {
+                previousStatus: deliverable.status,
+                newStatus: updatedDeliverable.status,
+                ...(overriddenPredecessors.length > 0 && { overriddenPredecessors })
+            } : {});
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        await runWorkflowRules('deliverable_updated', {
+            projectId: deliverable.project_id,
+            deliverableId: deliverable.id,
+            previousStatus: deliverable.status,
+            newStatus: updatedDeliverable.status,
+            userId: req.user.userId
+        });
+
+        if (updatedDeliverable.status === 'review' && deliverable.status !== 'review') {
+            await notifyPendingApprovers({ ...deliverable, ...updatedDeliverable });
+        }
 
         res.json({
             message: 'Deliverable updated successfully',
             deliverable: updatedDeliverable
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Update deliverable error:', error);
         res.status(500).json({ error: 'Failed to update deliverable' });
     }
@@ -218,11 +321,14 @@ router.put('/:id', authMiddleware, async (req, res) => {
 /**
  * @route   DELETE /api/deliverables/:id
  * @desc    Delete deliverable
- * @access  Private (Admin or PM)
+ * @access  Private (Project manager or Admin)
  */
-router.delete('/:id', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res) => {
+router.delete('/:id', authMiddleware, deliverableAccessMiddleware('manage'), async (req, res) => {
     try {
-        await DeliverableModel.deleteDeliverable(req.params.id);
+        const filePaths = await DeliverableModel.getDeliverableFilePaths(req.deliverable.id);
+        await DeliverableModel.deleteDeliverable(req.deliverable.id);
+        await removeStoredFiles(filePaths);
+
         res.json({ message: 'Deliverable deleted successfully' });
     } catch (error) {
         console.error('Delete deliverable error:', error);
@@ -233,35 +339,772 @@ router.delete('/:id', authMiddleware, roleMiddleware('admin', 'pm'), async (req,
 /**
  * @route   PATCH /api/deliverables/:id/status
  * @desc    Update deliverable status
- * @access  Private
+ * @access  Private (Project contributors)
  */
-router.patch('/:id/status', authMiddleware, async (req, res) => {
+router.patch('/:id/status', authMiddleware, deliverableAccessMiddleware('contribute'), async (req, res) => {
     try {
         const { status } = req.body;
-        const deliverable = await DeliverableModel.getDeliverableById(req.params.id);
-
-        if (!deliverable) {
-            return res.status(404).json({ error: 'Deliverable not found' });
-        }
+        const { deliverable } = req;
 
-        const validStatuses = ['pending', 'in_progress', 'review', 'approved', 'rejected'];
-        if (!validStatuses.includes(status)) {
+        if (!DELIVERABLE_STATES[status]) {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
-        const updatedDeliverable = await DeliverableModel.updateDeliverable(req.params.id, { status });
+        assertDeliverableTransition(deliverable.status, status, { canManage: req.projectAccess.canManage });
+
+        // Predecessors must be finished (or started, for start-to-start) before work begins
+        const overriddenPredecessors = await assertPredecessorsFinished(deliverable, status, {
+            override: Boolean(req.body.override),
+            canManage: req.projectAccess.canManage
+        });
+
+        const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, { status });
 
         await logActivity(deliverable.project_id, req.user.userId, 'deliverable_updated',
-            `Deliverable "${deliverable.name}" status updated to ${status}`);
+            `Deliverable "${deliverable.name}" status updated from ${deliverable.status} to ${status}`
+            + (overriddenPredecessors.length > 0 ? ' (dependency override)' : ''),
+            {
+                previousStatus: deliverable.status,
+                newStatus: status,
+                ...(overriddenPredecessors.length > 0 && { overriddenPredecessors })
+            });
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        await runWorkflowRules('deliverable_updated', {
+            projectId: deliverable.project_id,
+            deliverableId: deliverable.id,
+            previousStatus: deliverable.status,
+            newStatus: status,
+            userId: req.user.userId
+        });
+
+        if (status === 'review' && deliverable.status !== 'review') {
+            await notifyPendingApprovers({ ...deliverable, ...updatedDeliverable });
+        }
 
         res.json({
             message: 'Deliverable status updated successfully',
             deliverable: updatedDeliverable
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Update deliverable status error:', error);
         res.status(500).json({ error: 'Failed to update deliverable status' });
     }
 });
 
+/**
+ * @route   POST /api/deliverables/:id/approvals
+ * @desc    Approve or reject the current step of the deliverable's approval chain
+ * @access  Private (Approvers of the current step)
+ */
+router.post('/:id/approvals', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { error, value } = approvalSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+        const { review, deliverable: updatedDeliverable, state, stepName, statusChanged } = await decideApproval(deliverable, req.user, value);
+
+        await logActivity(deliverable.project_id, req.user.userId, 'deliverable_reviewed',
+            `Deliverable "${deliverable.name}" ${value.decision} (${stepName})`,
+            {
+                reviewId: review.id,
+                round: review.review_round,
+                step: review.step_index,
+                ...(statusChanged && { previousStatus: deliverable.status, newStatus: updatedDeliverable.status })
+            });
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        if (statusChanged) {
+            await runWorkflowRules('deliverable_updated', {
+                projectId: deliverable.project_id,
+                deliverableId: deliverable.id,
+                previousStatus: deliverable.status,
+                newStatus: updatedDeliverable.status,
+                userId: req.user.userId
+            });
+        }
+
+        if (updatedDeliverable.status === 'approved') {
+            await completePhaseIfReady(deliverable.phase_id, req.user.userId);
+        }
+
+        res.status(201).json({
+            message: 'Decision recorded successfully',
+            review,
+            deliverable: updatedDeliverable,
+            approval: { ...state, canDecide: canDecide(state, req.user, updatedDeliverable) }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Deliverable approval error:', error);
+        res.status(500).json({ error: 'Failed to record decision' });
+    }
+});
+
+/**
+ * @route   PUT /api/deliverables/:id/approval-chain
+ * @desc    Set the deliverable's approval chain (null to fall back to the project manager)
+ * @access  Private (Project manager or Admin)
+ */
+router.put('/:id/approval-chain', authMiddleware, deliverableAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = approvalChainUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+
+        // Changing approvers mid-review would strand decisions already made
+        if (deliverable.status === 'review') {
+            return res.status(409).json({ error: 'The approval chain cannot change while the deliverable is in review' });
+        }
+
+        const userIds = (value.approvalChain || []).flatMap(step => step.approvers)
+            .filter(approver => approver.type === 'user')
+            .map(approver => approver.userId);
+
+        for (const userId of new Set(userIds)) {
+            const user = await UserModel.findUserById(userId);
+            if (!user || !user.is_active) {
+                return res.status(400).json({ error: `Approver ${userId} is not an active user` });
+            }
+        }
+
+        const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, {
+            approval_chain: value.approvalChain
+        });
+
+        await logActivity(deliverable.project_id, req.user.userId, 'deliverable_updated',
+            `Approval chain of deliverable "${deliverable.name}" updated`);
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        res.json({
+            message: 'Approval chain updated successfully',
+            deliverable: updatedDeliverable
+        });
+    } catch (error) {
+        console.error('Update approval chain error:', error);
+        res.status(500).json({ error: 'Failed to update approval chain' });
+    }
+});
+
+/**
+ * @route   PATCH /api/deliverables/:id/sharing
+ * @desc    Share a deliverable with the project's clients (or stop sharing it)
+ * @access  Private (Project manager or Admin)
+ */
+router.patch('/:id/sharing', authMiddleware, deliverableAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = sharingSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+        const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, {
+            shared_with_client: value.sharedWithClient
+        });
+
+        await logActivity(deliverable.project_id, req.user.userId, 'deliverable_updated',
+            `Deliverable "${deliverable.name}" ${value.sharedWithClient ? 'shared with' : 'no longer shared with'} the client`);
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        res.json({
+            message: 'Deliverable sharing updated successfully',
+            deliverable: updatedDeliverable
+        });
+    } catch (error) {
+        console.error('Update deliverable sharing error:', error);
+        res.status(500).json({ error: 'Failed to update deliverable sharing' });
+    }
+});
+
+/**
+ * @route   GET /api/deliverables/:id/versions
+ * @desc    Get the deliverable's versions, newest first, with the lines each one added and removed
+ * @access  Private (Project members)
+ */
+router.get('/:id/versions', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const versions = await DeliverableModel.getDeliverableVersions(req.deliverable.id);
+
+        res.json(versions.map((version, index) => {
+            const previous = versions[index + 1];
+            return { ...version, stats: diffText(previous?.content || '', version.content || '').stats };
+        }));
+    } catch (error) {
+        console.error('Get deliverable versions error:', error);
+        res.status(500).json({ error: 'Failed to fetch versions' });
+    }
+});
+
+/**
+ * @route   GET /api/deliverables/:id/versions/diff?from=&to=&granularity=line|word
+ * @desc    Compare the content of two versions
+ * @access  Private (Project members)
+ */
+router.get('/:id/versions/diff', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { error, value } = versionDiffSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const [from, to] = await Promise.all([
+            DeliverableModel.getDeliverableVersionByNumber(req.deliverable.id, value.from),
+            DeliverableModel.getDeliverableVersionByNumber(req.deliverable.id, value.to)
+        ]);
+
+        if (!from || !to) {
+            return res.status(404).json({ error: `Version ${!from ? value.from : value.to} not found` });
+        }
+
+        const strip = ({ content, ...version }) => version;
+
+        res.json({
+            from: strip(from),
+            to: strip(to),
+            granularity: value.granularity,
+            ...diffText(from.content || '', to.content || '', value.granularity)
+        });
+    } catch (error) {
+        console.error('Diff deliverable versions error:', error);
+        res.status(500).json({ error: 'Failed to compare versions' });
+    }
+});
+
+/**
+ * @route   POST /api/deliverables/:id/versions/:versionNumber/restore
+ * @desc    Make an earlier version's content current again, recorded as a new version
+ * @access  Private (Project contributors)
+ */
+router.post('/:id/versions/:versionNumber/restore', authMiddleware, deliverableAccessMiddleware('contribute'), async (req, res) => {
+    try {
+        const { error, value } = restoreVersionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+        const versionNumber = parseInt(req.params.versionNumber);
+        const version = Number.isInteger(versionNumber)
+            ? await DeliverableModel.getDeliverableVersionByNumber(deliverable.id, versionNumber)
+            : null;
+
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        // A version without a file restores the content and keeps the current file
+        if (version.content === deliverable.content && (!version.file_path || version.file_path === deliverable.file_path)) {
+            return res.status(409).json({ error: `Version ${version.version_number} is already the current content` });
+        }
+
+        const { updatedDeliverable, newVersion } = await withTransaction(async (client) => {
+            // Serializes version numbering with other restores and edits of this deliverable
+            const locked = await DeliverableModel.lockDeliverable(deliverable.id, client);
+            assertContentEditable(locked.status);
+
+            const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id, client);
+            const newVersion = await DeliverableModel.createDeliverableVersion({
+                deliverableId: deliverable.id,
+                versionNumber: latestVersion + 1,
+                content: version.content,
+                filePath: version.file_path,
+                fileName: version.file_name,
+                fileType: version.file_type,
+                fileSize: version.file_size,
+                createdBy: req.user.userId,
+                changeNotes: value.changeNotes || `Restored version ${version.version_number}`,
+                restoredFrom: version.version_number
+            }, client);
+
+            const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, {
+                content: version.content,
+                file_path: version.file_path || undefined
+            }, client);
+
+            return { updatedDeliverable, newVersion };
+        });
+
+        await logActivity(deliverable.project_id, req.user.userId, 'deliverable_restored',
+            `Deliverable "${deliverable.name}" restored to version ${version.version_number}`,
+            { deliverableId: deliverable.id, restoredFrom: version.version_number, newVersion: newVersion.version_number });
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        await runWorkflowRules('deliverable_updated', {
+            projectId: deliverable.project_id,
+            deliverableId: deliverable.id,
+            previousStatus: deliverable.status,
+            newStatus: updatedDeliverable.status,
+            userId: req.user.userId
+        });
+
+        res.status(201).json({
+            message: `Version ${version.version_number} restored as version ${newVersion.version_number}`,
+            version: newVersion,
+            deliverable: updatedDeliverable
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Restore deliverable version error:', error);
+        res.status(500).json({ error: 'Failed to restore version' });
+    }
+});
+
+/**
+ * @route   POST /api/deliverables/:id/file
+ * @desc    Upload a file (multipart field "file", optional "changeNotes"), saved as a new version
+ * @access  Private (Project contributors)
+ */
+router.post('/:id/file', authMiddleware, deliverableAccessMiddleware('contribute'), singleFileUpload('file'), async (req, res) => {
+    try {
+        const { error, value } = uploadFileSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        if (!matchesSignature(req.file.buffer, req.file.mimetype)) {
+            return res.status(415).json({ error: `File content is not ${req.file.mimetype}` });
+        }
+
+        const { deliverable } = req;
+        assertContentEditable(deliverable.status);
+
+        const filePath = await storeDeliverableFile(deliverable.id, req.file);
+
+        let result;
+        try {
+            result = await withTransaction(async (client) => {
+                // Serializes version numbering with other uploads and edits of this deliverable
+                const locked = await DeliverableModel.lockDeliverable(deliverable.id, client);
+                assertContentEditable(locked.status);
+
+                const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id, client);
+                const newVersion = await DeliverableModel.createDeliverableVersion({
+                    deliverableId: deliverable.id,
+                    versionNumber: latestVersion + 1,
+                    content: deliverable.content,
+                    filePath,
+                    fileName: req.file.originalname,
+                    fileType: req.file.mimetype,
+                    fileSize: req.file.size,
+                    createdBy: req.user.userId,
+                    changeNotes: value.changeNotes || `Uploaded ${req.file.originalname}`
+                }, client);
+
+                const updatedDeliverable = await DeliverableModel.updateDeliverable(deliverable.id, { file_path: filePath }, client);
+
+                return { updatedDeliverable, newVersion };
+            });
+        } catch (error) {
+            await removeStoredFiles([filePath]);
+            throw error;
+        }
+
+        const { updatedDeliverable, newVersion } = result;
+
+        await logActivity(deliverable.project_id, req.user.userId, 'file_uploaded',
+            `File "${req.file.originalname}" uploaded to deliverable "${deliverable.name}"`,
+            { deliverableId: deliverable.id, version: newVersion.version_number, fileSize: req.file.size });
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        res.status(201).json({
+            message: 'File uploaded successfully',
+            version: newVersion,
+            deliverable: updatedDeliverable
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Upload deliverable file error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+/**
+ * @route   GET /api/deliverables/:id/file
+ * @desc    Download the deliverable's current file
+ * @access  Private (Project members)
+ */
+router.get('/:id/file', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { deliverable } = req;
+
+        if (!deliverable.file_path) {
+            return res.status(404).json({ error: 'This deliverable has no file' });
+        }
+
+        const version = await DeliverableModel.getDeliverableVersionByFilePath(deliverable.id, deliverable.file_path);
+        const sent = await sendStoredFile(res, {
+            key: deliverable.file_path,
+            name: version?.file_name,
+            type: version?.file_type
+        });
+
+        if (!sent) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+    } catch (error) {
+        console.error('Download deliverable file error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+/**
+ * @route   GET /api/deliverables/:id/versions/:versionNumber/file
+ * @desc    Download the file uploaded with a version
+ * @access  Private (Project members)
+ */
+router.get('/:id/versions/:versionNumber/file', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const versionNumber = parseInt(req.params.versionNumber);
+        const version = Number.isInteger(versionNumber)
+            ? await DeliverableModel.getDeliverableVersionByNumber(req.deliverable.id, versionNumber)
+            : null;
+
+        if (!version?.file_path) {
+            return res.status(404).json({ error: 'This version has no file' });
+        }
+
+        const sent = await sendStoredFile(res, {
+            key: version.file_path,
+            name: version.file_name,
+            type: version.file_type
+        });
+
+        if (!sent) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+    } catch (error) {
+        console.error('Download deliverable version file error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+// Load a comment of the deliverable in req.deliverable, or answer 404
+const findComment = async (req, res) => {
+    const comment = await CommentModel.getCommentById(req.params.commentId);
+
+    if (!comment || comment.deliverable_id !== req.deliverable.id) {
+        res.status(404).json({ error: 'Comment not found' });
+        return null;
+    }
+
+    return comment;
+};
+
+/**
+ * @route   GET /api/deliverables/:id/comments
+ * @desc    Get the deliverable's comment threads with their replies
+ * @access  Private (Project members)
+ */
+router.get('/:id/comments', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const comments = await CommentModel.getCommentsByDeliverable(req.deliverable.id);
+        res.json(buildThreads(comments));
+    } catch (error) {
+        console.error('Get deliverable comments error:', error);
+        res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+});
+
+/**
+ * @route   POST /api/deliverables/:id/comments
+ * @desc    Start a thread (optionally about a version) or reply to one; mentioned users are notified
+ * @access  Private (Project members)
+ */
+router.post('/:id/comments', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { error, value } = commentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+
+        if (value.versionId) {
+            const version = await DeliverableModel.getDeliverableVersionById(value.versionId);
+            if (!version || version.deliverable_id !== deliverable.id) {
+                return res.status(400).json({ error: 'Version must belong to this deliverable' });
+            }
+        }
+
+        let parent = null;
+        if (value.parentId) {
+            parent = await CommentModel.getCommentById(value.parentId);
+
+            // Threads are one level deep: replies go to the comment that started the thread
+            if (!parent || parent.deliverable_id !== deliverable.id || parent.parent_id) {
+                return res.status(400).json({ error: 'Replies must be to a thread of this deliverable' });
+            }
+        }
+
+        const mentions = extractMentions(value.body);
+
+        const comment = await CommentModel.createComment({
+            deliverableId: deliverable.id,
+            versionId: parent ? parent.version_id : value.versionId,
+            parentId: parent?.id,
+            userId: req.user.userId,
+            body: value.body,
+            mentions
+        });
+
+        const notified = await notifyMentions(deliverable, comment, mentions, req.user);
+
+        await logActivity(deliverable.project_id, req.user.userId, 'comment_added',
+            `${parent ? 'Replied to a comment' : 'Commented'} on deliverable "${deliverable.name}"`,
+            { deliverableId: deliverable.id, commentId: comment.id, ...(notified.length > 0 && { mentioned: notified }) });
+
+        publishToProject(deliverable.project_id, 'comment_updated', { deliverableId: deliverable.id, commentId: comment.id });
+
+        res.status(201).json({
+            message: 'Comment added successfully',
+            comment
+        });
+    } catch (error) {
+        console.error('Add deliverable comment error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+/**
+ * @route   PATCH /api/deliverables/:id/comments/:commentId
+ * @desc    Edit a comment; users newly mentioned are notified
+ * @access  Private (Comment author)
+ */
+router.patch('/:id/comments/:commentId', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { error, value } = updateCommentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const comment = await findComment(req, res);
+        if (!comment) return;
+
+        if (comment.user_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the author can edit a comment' });
+        }
+
+        const { deliverable } = req;
+        const mentions = extractMentions(value.body);
+        const updatedComment = await CommentModel.updateComment(comment.id, { body: value.body, mentions });
+
+        const newMentions = mentions.filter(userId => !(comment.mentions || []).includes(userId));
+        await notifyMentions(deliverable, updatedComment, newMentions, req.user);
+
+        await logActivity(deliverable.project_id, req.user.userId, 'comment_edited',
+            `Edited a comment on deliverable "${deliverable.name}"`,
+            { deliverableId: deliverable.id, commentId: comment.id });
+
+        publishToProject(deliverable.project_id, 'comment_updated', { deliverableId: deliverable.id, commentId: comment.id });
+
+        res.json({
+            message: 'Comment updated successfully',
+            comment: updatedComment
+        });
+    } catch (error) {
+        console.error('Update deliverable comment error:', error);
+        res.status(500).json({ error: 'Failed to update comment' });
+    }
+});
+
+/**
+ * @route   DELETE /api/deliverables/:id/comments/:commentId
+ * @desc    Delete a comment; deleting the first comment of a thread deletes its replies too
+ * @access  Private (Comment author, Project manager or Admin)
+ */
+router.delete('/:id/comments/:commentId', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const comment = await findComment(req, res);
+        if (!comment) return;
+
+        if (comment.user_id !== req.user.userId && !req.projectAccess.canManage) {
+            return res.status(403).json({ error: 'Only the author or a project manager can delete a comment' });
+        }
+
+        const { deliverable } = req;
+        await CommentModel.deleteComment(comment.id);
+
+        await logActivity(deliverable.project_id, req.user.userId, 'comment_deleted',
+            `Deleted ${comment.parent_id ? 'a reply' : 'a comment thread'} on deliverable "${deliverable.name}"`,
+            { deliverableId: deliverable.id, commentId: comment.id, authorId: comment.user_id });
+
+        publishToProject(deliverable.project_id, 'comment_updated', { deliverableId: deliverable.id, commentId: comment.id });
+
+        res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+        console.error('Delete deliverable comment error:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// Resolve or reopen the thread started by the comment in req.params.commentId
+const setThreadResolved = async (req, res, resolved) => {
+    try {
+        const comment = await findComment(req, res);
+        if (!comment) return;
+
+        if (comment.parent_id) {
+            return res.status(400).json({ error: 'Only threads can be resolved; resolve the comment that started it' });
+        }
+
+        if (!!comment.resolved_at === resolved) {
+            return res.status(409).json({ error: `Thread is already ${resolved ? 'resolved' : 'open'}` });
+        }
+
+        const { deliverable } = req;
+        const updatedComment = await CommentModel.setCommentResolved(comment.id, resolved ? req.user.userId : null);
+
+        await logActivity(deliverable.project_id, req.user.userId, resolved ? 'comment_resolved' : 'comment_reopened',
+            `${resolved ? 'Resolved' : 'Reopened'} a comment thread on deliverable "${deliverable.name}"`,
+            { deliverableId: deliverable.id, commentId: comment.id });
+
+        publishToProject(deliverable.project_id, 'comment_updated', { deliverableId: deliverable.id, commentId: comment.id });
+
+        res.json({
+            message: `Thread ${resolved ? 'resolved' : 'reopened'} successfully`,
+            comment: updatedComment
+        });
+    } catch (error) {
+        console.error('Resolve deliverable comment error:', error);
+        res.status(500).json({ error: `Failed to ${resolved ? 'resolve' : 'reopen'} thread` });
+    }
+};
+
+/**
+ * @route   POST /api/deliverables/:id/comments/:commentId/resolve
+ * @desc    Resolve a comment thread
+ * @access  Private (Project members)
+ */
+router.post('/:id/comments/:commentId/resolve', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    await setThreadResolved(req, res, true);
+});
+
+/**
+ * @route   POST /api/deliverables/:id/comments/:commentId/unresolve
+ * @desc    Reopen a resolved comment thread
+ * @access  Private (Project members)
+ */
+router.post('/:id/comments/:commentId/unresolve', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    await setThreadResolved(req, res, false);
+});
+
+/**
+ * @route   GET /api/deliverables/:id/dependencies
+ * @desc    Get a deliverable's predecessors and successors
+ * @access  Private (Project members)
+ */
+router.get('/:id/dependencies', authMiddleware, deliverableAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { deliverable } = req;
+
+        const [predecessors, successors] = await Promise.all([
+            DependencyModel.getDeliverablePredecessors(deliverable.id),
+            DependencyModel.getDeliverableSuccessors(deliverable.id)
+        ]);
+
+        res.json({ predecessors, successors });
+    } catch (error) {
+        console.error('Get deliverable dependencies error:', error);
+        res.status(500).json({ error: 'Failed to fetch dependencies' });
+    }
+});
+
+/**
+ * @route   POST /api/deliverables/:id/dependencies
+ * @desc    Make a deliverable depend on another deliverable of the same project
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/dependencies', authMiddleware, deliverableAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = dependencySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { deliverable } = req;
+
+        const predecessor = await DeliverableModel.getDeliverableById(value.predecessorId);
+        if (!predecessor || predecessor.project_id !== deliverable.project_id) {
+            return res.status(400).json({ error: 'Predecessor must be a deliverable of the same project' });
+        }
+
+        const existing = await DependencyModel.getDeliverableDependenciesByProject(deliverable.project_id);
+        const edges = existing.map(dep => ({ predecessorId: dep.predecessor_id, successorId: dep.successor_id }));
+
+        if (existing.some(dep => dep.predecessor_id === predecessor.id && dep.successor_id === deliverable.id)) {
+            return res.status(409).json({ error: 'Dependency already exists' });
+        }
+
+        if (wouldCreateCycle(edges, predecessor.id, deliverable.id)) {
+            return res.status(400).json({ error: 'Dependency would create a cycle' });
+        }
+
+        const dependency = await DependencyModel.createDeliverableDependency({
+            predecessorId: predecessor.id,
+            successorId: deliverable.id,
+            dependencyType: value.dependencyType,
+            lagDays: value.lagDays
+        });
+
+        await logActivity(deliverable.project_id, req.user.userId, 'dependency_added',
+            `Deliverable "${deliverable.name}" now depends on "${predecessor.name}"`,
+            { dependencyId: dependency.id, dependencyType: dependency.dependency_type });
+
+        res.status(201).json({
+            message: 'Dependency created successfully',
+            dependency
+        });
+    } catch (error) {
+        console.error('Create deliverable dependency error:', error);
+        res.status(500).json({ error: 'Failed to create dependency' });
+    }
+});
+
+/**
+ * @route   DELETE /api/deliverables/:id/dependencies/:dependencyId
+ * @desc    Remove a deliverable dependency
+ * @access  Private (Project manager or Admin)
+ */
+router.delete('/:id/dependencies/:dependencyId', authMiddleware, deliverableAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const dependency = await DependencyModel.getDeliverableDependencyById(req.params.dependencyId);
+
+        if (!dependency || dependency.successor_id !== req.deliverable.id) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        await DependencyModel.deleteDeliverableDependency(dependency.id);
+        res.json({ message: 'Dependency deleted successfully' });
+    } catch (error) {
+        console.error('Delete deliverable dependency error:', error);
+        res.status(500).json({ error: 'Failed to delete dependency' });
+    }
+});
+
 export default router;
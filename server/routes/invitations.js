@@ -0,0 +1,154 @@
+import express from 'express';
+import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import * as InvitationModel from '../models/Invitation.js';
+import * as UserModel from '../models/User.js';
+import * as ProjectModel from '../models/Project.js';
+import { INVITABLE_ROLES, createInvitation, revokeInvitation } from '../services/invitationService.js';
+import { PROJECT_ROLES, getProjectAccess } from '../services/projectAccessService.js';
+import Joi from 'joi';
+
+const router = express.Router();
+
+router.use(authMiddleware, roleMiddleware('admin', 'pm'));
+
+// Validation schemas
+const listInvitationsSchema = Joi.object({
+    status: Joi.string().valid('pending', 'accepted', 'revoked', 'expired'),
+    projectId: Joi.number().integer()
+});
+
+const createInvitationSchema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('admin', 'pm', 'team_member', 'client').required(),
+    projectId: Joi.number().integer(),
+    projectRole: Joi.string().valid(...PROJECT_ROLES).when('projectId', {
+        is: Joi.exist(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+/**
+ * @route   GET /api/invitations?status=pending&projectId=1
+ * @desc    Get invitations (PMs see the ones they sent)
+ * @access  Private (Admin/PM)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { error, value } = listInvitationsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const invitations = await InvitationModel.getInvitations({
+            ...value,
+            invitedBy: req.user.role === 'admin' ? null : req.user.userId
+        });
+
+        res.json(invitations);
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite someone to create an account with a fixed role, optionally
+ *          joining a project. Admins can invite any role; PMs can invite team
+ *          members and clients to projects they manage. Clients, and anyone a
+ *          PM invites, need a project.
+ * @access  Private (Admin/PM)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { error, value } = createInvitationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { email, role, projectId, projectRole } = value;
+
+        if (!INVITABLE_ROLES[req.user.role].includes(role)) {
+            return res.status(403).json({ error: `You cannot invite users with the ${role} role` });
+        }
+
+        if (role === 'client' && !projectId) {
+            return res.status(400).json({ error: 'Client invitations need a project' });
+        }
+
+        // Only admins create accounts outside of a project
+        if (req.user.role !== 'admin' && !projectId) {
+            return res.status(400).json({ error: 'Invite people to one of your projects' });
+        }
+
+        if (projectId) {
+            const project = await ProjectModel.getProjectById(projectId);
+            if (!project) {
+                return res.status(404).json({ error: 'Project not found' });
+            }
+
+            const access = await getProjectAccess(req.user, projectId);
+            if (!access.canManage) {
+                return res.status(403).json({ error: 'Only project managers can invite people to this project' });
+            }
+        }
+
+        if (await UserModel.emailExists(email)) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        if (await InvitationModel.getPendingInvitationByEmail(email)) {
+            return res.status(409).json({ error: 'This email already has a pending invitation' });
+        }
+
+        const invitation = await createInvitation({
+            email,
+            role,
+            projectId,
+            // Clients can only ever view
+            projectRole: projectId ? (role === 'client' ? 'viewer' : projectRole || 'contributor') : null
+        }, req);
+
+        res.status(201).json({
+            message: 'Invitation sent successfully',
+            invitation
+        });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({ error: 'Failed to create invitation' });
+    }
+});
+
+/**
+ * @route   POST /api/invitations/:id/revoke
+ * @desc    Revoke a pending invitation
+ * @access  Private (Admin, or the PM who sent it)
+ */
+router.post('/:id/revoke', async (req, res) => {
+    try {
+        const invitation = await InvitationModel.getInvitationById(req.params.id);
+
+        if (!invitation || (req.user.role !== 'admin' && invitation.invited_by !== req.user.userId)) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(409).json({ error: `Invitation is already ${invitation.status}` });
+        }
+
+        const revoked = await revokeInvitation(invitation, req);
+        if (!revoked) {
+            return res.status(409).json({ error: 'Invitation is no longer pending' });
+        }
+
+        res.json({
+            message: 'Invitation revoked successfully',
+            invitation: revoked
+        });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
+export default router;
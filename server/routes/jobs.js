@@ -0,0 +1,98 @@
+import express from 'express';
+import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import * as ScheduledJobModel from '../models/ScheduledJob.js';
+import { listJobs, pauseJob, resumeJob, triggerJob } from '../services/scheduler.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Get all scheduled jobs with their last run and outcome
+ * @access  Private (Admin only)
+ */
+router.get('/', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const jobs = await listJobs();
+        res.json(jobs);
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled jobs' });
+    }
+});
+
+/**
+ * @route   POST /api/jobs/:name/pause
+ * @desc    Pause a scheduled job
+ * @access  Private (Admin only)
+ */
+router.post('/:name/pause', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const job = await pauseJob(req.params.name);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            message: 'Job paused successfully',
+            job
+        });
+    } catch (error) {
+        console.error('Pause job error:', error);
+        res.status(500).json({ error: 'Failed to pause job' });
+    }
+});
+
+/**
+ * @route   POST /api/jobs/:name/resume
+ * @desc    Resume a paused job from its next scheduled time
+ * @access  Private (Admin only)
+ */
+router.post('/:name/resume', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const job = await resumeJob(req.params.name);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            message: 'Job resumed successfully',
+            job
+        });
+    } catch (error) {
+        console.error('Resume job error:', error);
+        res.status(500).json({ error: 'Failed to resume job' });
+    }
+});
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a job immediately
+ * @access  Private (Admin only)
+ */
+router.post('/:name/run', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const existingJob = await ScheduledJobModel.getJobByName(req.params.name);
+
+        if (!existingJob) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await triggerJob(existingJob.name);
+
+        if (!job) {
+            return res.status(409).json({ error: 'Job is already running' });
+        }
+
+        res.json({
+            message: job.last_status === 'success' ? 'Job completed successfully' : 'Job failed',
+            job
+        });
+    } catch (error) {
+        console.error('Run job error:', error);
+        res.status(500).json({ error: error.message || 'Failed to run job' });
+    }
+});
+
+export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+    getUserNotifications,
+    markNotificationAsRead,
+    markAllAsRead,
+    getUnreadCount
+} from '../services/notificationService.js';
+import Joi from 'joi';
+
+const router = express.Router();
+
+// Validation schema
+const listNotificationsSchema = Joi.object({
+    unread: Joi.boolean().default(false),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications (paginated, optionally unread only)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = listNotificationsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { unread, page, limit } = value;
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await getUserNotifications(req.user.userId, unread, {
+            limit: limit + 1,
+            offset: (page - 1) * limit
+        });
+        const unreadCount = await getUnreadCount(req.user.userId);
+
+        res.json({
+            notifications: rows.slice(0, limit),
+            unreadCount,
+            page,
+            limit,
+            hasMore: rows.length > limit
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the current user's unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', authMiddleware, async (req, res) => {
+    try {
+        const count = await getUnreadCount(req.user.userId);
+        res.json({ count });
+    } catch (error) {
+        console.error('Get unread count error:', error);
+        res.status(500).json({ error: 'Failed to fetch unread count' });
+    }
+});
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', authMiddleware, async (req, res) => {
+    try {
+        await markAllAsRead(req.user.userId);
+        res.json({ message: 'All notifications marked as read' });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+});
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (owner only)
+ */
+router.patch('/:id/read', authMiddleware, async (req, res) => {
+    try {
+        const notification = await markNotificationAsRead(req.params.id, req.user.userId);
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({
+            message: 'Notification marked as read',
+            notification
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+});
+
+export default router;
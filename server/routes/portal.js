@@ -0,0 +1,250 @@
+import express from 'express';
+import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import * as ProjectModel from '../models/Project.js';
+import * as DeliverableModel from '../models/Deliverable.js';
+import { isProjectClient } from '../services/projectAccessService.js';
+import { logActivity, completePhaseIfReady } from '../services/workflowEngine.js';
+import { runWorkflowRules } from '../services/ruleEngine.js';
+import { publishToProject } from '../services/realtimeService.js';
+import { getApprovalState, canDecide, decideApproval } from '../services/approvalService.js';
+import { sendStoredFile } from '../services/fileStorageService.js';
+import Joi from 'joi';
+
+/**
+ * Client portal - what users with the 'client' role can see.
+ *
+ * Clients see the projects they were invited to, phase progress and the
+ * deliverables shared with them, and sign off on shared deliverables whose
+ * approval chain has reached a client step. Internal fields, activity logs,
+ * internal reviewers' comments and unshared deliverables never leave these
+ * routes.
+ */
+
+const router = express.Router();
+
+router.use(authMiddleware, roleMiddleware('client'));
+
+// Validation schema
+const reviewSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    comment: Joi.string().trim().required()
+});
+
+// Only the fields a client may see
+const toPortalProject = (project) => ({
+    id: project.id,
+    name: project.name,
+    description: project.description,
+    status: project.status,
+    start_date: project.start_date,
+    end_date: project.end_date,
+    pm_name: project.pm_name
+});
+
+// Load a deliverable shared on one of the client's projects, or answer 404
+const findSharedDeliverable = async (req, res) => {
+    const deliverable = await DeliverableModel.getDeliverableById(req.params.id);
+
+    if (!deliverable || !deliverable.shared_with_client || !(await isProjectClient(req.user, deliverable.project_id))) {
+        res.status(404).json({ error: 'Deliverable not found' });
+        return null;
+    }
+
+    return deliverable;
+};
+
+/**
+ * @route   GET /api/portal/projects
+ * @desc    Get the client's projects
+ * @access  Private (Client)
+ */
+router.get('/projects', async (req, res) => {
+    try {
+        const projects = await ProjectModel.getAllProjects({ memberId: req.user.userId });
+        res.json(projects.map(toPortalProject));
+    } catch (error) {
+        console.error('Get portal projects error:', error);
+        res.status(500).json({ error: 'Failed to fetch projects' });
+    }
+});
+
+/**
+ * @route   GET /api/portal/projects/:id
+ * @desc    Get phase progress and shared deliverables of a project
+ * @access  Private (Client of the project)
+ */
+router.get('/projects/:id', async (req, res) => {
+    try {
+        const project = await ProjectModel.getProjectById(req.params.id);
+
+        // Other projects look the same as missing ones
+        if (!project || !(await isProjectClient(req.user, project.id))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const [phases, deliverables] = await Promise.all([
+            ProjectModel.getPhaseProgress(project.id),
+            DeliverableModel.getSharedDeliverablesByProject(project.id)
+        ]);
+
+        res.json({
+            ...toPortalProject(project),
+            phases: phases.map(phase => ({
+                ...phase,
+                progress: phase.deliverable_count > 0
+                    ? Math.round((phase.approved_count / phase.deliverable_count) * 100)
+                    : (phase.status === 'completed' ? 100 : 0),
+                deliverables: deliverables.filter(d => d.phase_id === phase.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get portal project error:', error);
+        res.status(500).json({ error: 'Failed to fetch project' });
+    }
+});
+
+/**
+ * @route   GET /api/portal/deliverables/:id
+ * @desc    Get a shared deliverable with its content and client reviews
+ * @access  Private (Client of the project)
+ */
+router.get('/deliverables/:id', async (req, res) => {
+    try {
+        const deliverable = await findSharedDeliverable(req, res);
+        if (!deliverable) return;
+
+        const [reviews, fileVersion] = await Promise.all([
+            DeliverableModel.getDeliverableReviews(deliverable.id),
+            deliverable.file_path ? DeliverableModel.getDeliverableVersionByFilePath(deliverable.id, deliverable.file_path) : null
+        ]);
+        const approval = getApprovalState(deliverable, reviews);
+        const currentStep = approval.steps[approval.currentStepIndex];
+
+        res.json({
+            id: deliverable.id,
+            project_id: deliverable.project_id,
+            project_name: deliverable.project_name,
+            phase_name: deliverable.phase_name,
+            name: deliverable.name,
+            description: deliverable.description,
+            deliverable_type: deliverable.deliverable_type,
+            status: deliverable.status,
+            content: deliverable.content,
+            // The current file only; earlier versions stay internal
+            file: deliverable.file_path ? {
+                name: fileVersion?.file_name,
+                type: fileVersion?.file_type,
+                size: fileVersion?.file_size
+            } : null,
+            due_date: deliverable.due_date,
+            completed_at: deliverable.completed_at,
+            // Where the approval stands, without the internal reviewers' decisions
+            approval: {
+                steps: approval.steps.map(step => ({ name: step.name, status: step.status })),
+                current_step: currentStep ? currentStep.name : null,
+                awaiting_client_approval: canDecide(approval, req.user, deliverable)
+            },
+            reviews: reviews.filter(review => review.reviewer_role === 'client').map(review => ({
+                id: review.id,
+                decision: review.decision,
+                comment: review.comment,
+                reviewer_name: review.reviewer_name,
+                created_at: review.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get portal deliverable error:', error);
+        res.status(500).json({ error: 'Failed to fetch deliverable' });
+    }
+});
+
+/**
+ * @route   GET /api/portal/deliverables/:id/file
+ * @desc    Download a shared deliverable's current file
+ * @access  Private (Client of the project)
+ */
+router.get('/deliverables/:id/file', async (req, res) => {
+    try {
+        const deliverable = await findSharedDeliverable(req, res);
+        if (!deliverable) return;
+
+        if (!deliverable.file_path) {
+            return res.status(404).json({ error: 'This deliverable has no file' });
+        }
+
+        const version = await DeliverableModel.getDeliverableVersionByFilePath(deliverable.id, deliverable.file_path);
+        const sent = await sendStoredFile(res, {
+            key: deliverable.file_path,
+            name: version?.file_name,
+            type: version?.file_type
+        });
+
+        if (!sent) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+    } catch (error) {
+        console.error('Download portal deliverable file error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+/**
+ * @route   POST /api/portal/deliverables/:id/review
+ * @desc    Approve or reject the client step of a shared deliverable's
+ *          approval chain (a comment is required)
+ * @access  Private (Client of the project)
+ */
+router.post('/deliverables/:id/review', async (req, res) => {
+    try {
+        const { error, value } = reviewSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const deliverable = await findSharedDeliverable(req, res);
+        if (!deliverable) return;
+
+        const { decision } = value;
+
+        // Records the decision for the client step and moves the chain along
+        const { review, deliverable: updatedDeliverable, stepName, statusChanged } = await decideApproval(deliverable, req.user, value);
+
+        await logActivity(deliverable.project_id, req.user.userId, 'client_review',
+            `Client ${decision} deliverable "${deliverable.name}" (${stepName})`,
+            {
+                deliverableId: deliverable.id,
+                reviewId: review.id,
+                decision,
+                ...(statusChanged && { previousStatus: deliverable.status, newStatus: updatedDeliverable.status })
+            });
+
+        publishToProject(deliverable.project_id, 'deliverable_updated', updatedDeliverable);
+
+        if (statusChanged) {
+            await runWorkflowRules('deliverable_updated', {
+                projectId: deliverable.project_id,
+                deliverableId: deliverable.id,
+                previousStatus: deliverable.status,
+                newStatus: updatedDeliverable.status,
+                userId: req.user.userId
+            });
+        }
+
+        if (updatedDeliverable.status === 'approved') {
+            await completePhaseIfReady(deliverable.phase_id, req.user.userId);
+        }
+
+        res.json({
+            message: `Deliverable ${decision}`,
+            review
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Client review error:', error);
+        res.status(500).json({ error: 'Failed to review deliverable' });
+    }
+});
+
+export default router;
@@ -2,12 +2,36 @@ import express from 'express';
 import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
 import * as ProjectModel from '../models/Project.js';
 import * as TemplateModel from '../models/Template.js';
-import { transitionProjectStatus, logActivity, getActivityLog } from '../services/workflowEngine.js';
+import { transitionProjectStatus, progressPhase, logActivity, getActivityLog } from '../services/workflowEngine.js';
+import * as DependencyModel from '../models/Dependency.js';
+import {
+    DEPENDENCY_TYPES,
+    getProjectSchedule,
+    getProjectCriticalPath,
+    reschedulePhase,
+    wouldCreateCycle
+} from '../services/scheduleService.js';
+import { planPhaseDates } from '../services/workCalendar.js';
+import { publishToProject } from '../services/realtimeService.js';
+import { sendEmail } from '../services/notificationService.js';
+import { withTransaction } from '../services/transactionService.js';
+import { diffTemplateVersions, upgradeProjectTemplate } from '../services/templateVersionService.js';
+import { PROJECT_ROLES, getProjectMembers } from '../services/projectAccessService.js';
+import { projectAccessMiddleware } from '../middleware/projectAccess.js';
+import * as ProjectMemberModel from '../models/ProjectMember.js';
+import * as UserModel from '../models/User.js';
+import * as InvitationModel from '../models/Invitation.js';
+import { createInvitation } from '../services/invitationService.js';
 import Joi from 'joi';
 
 const router = express.Router();
 
 // Validation schemas
+const workCalendarSchema = Joi.object({
+    workingDays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+    holidays: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD date'))
+});
+
 const createProjectSchema = Joi.object({
     templateId: Joi.number().required(),
     name: Joi.string().required(),
@@ -15,6 +39,11 @@ const createProjectSchema = Joi.object({
     pmId: Joi.number().required(),
     startDate: Joi.date().required(),
     endDate: Joi.date().required(),
+    workCalendar: workCalendarSchema,
+    members: Joi.array().items(Joi.object({
+        userId: Joi.number().required(),
+        role: Joi.string().valid(...PROJECT_ROLES).default('contributor')
+    })).unique('userId'),
     contacts: Joi.array().items(Joi.object({
         name: Joi.string().required(),
         email: Joi.string().email(),
@@ -33,18 +62,55 @@ const createProjectSchema = Joi.object({
     }))
 });
 
+// Manual phase lifecycle actions and the status each one moves the phase to
+const PHASE_ACTIONS = {
+    start: 'in_progress',
+    block: 'blocked',
+    unblock: 'in_progress',
+    complete: 'completed'
+};
+
+const phaseStatusSchema = Joi.object({
+    action: Joi.string().valid(...Object.keys(PHASE_ACTIONS)).required(),
+    reason: Joi.string().when('action', {
+        is: 'block',
+        then: Joi.required(),
+        otherwise: Joi.allow('')
+    })
+});
+
+const rescheduleSchema = Joi.object({
+    startDate: Joi.date(),
+    endDate: Joi.date()
+}).or('startDate', 'endDate');
+
+const addMemberSchema = Joi.object({
+    userId: Joi.number().required(),
+    role: Joi.string().valid(...PROJECT_ROLES).default('contributor')
+});
+
+const updateMemberSchema = Joi.object({
+    role: Joi.string().valid(...PROJECT_ROLES).required()
+});
+
+const phaseDependencySchema = Joi.object({
+    predecessorId: Joi.number().required(),
+    dependencyType: Joi.string().valid(...DEPENDENCY_TYPES).default('finish_to_start'),
+    lagDays: Joi.number().integer().default(0)
+});
+
 /**
  * @route   GET /api/projects
- * @desc    Get all projects (filtered by role)
- * @access  Private
+ * @desc    Get all projects (filtered by membership)
+ * @access  Private (Clients use the client portal)
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, roleMiddleware('admin', 'pm', 'team_member'), async (req, res) => {
     try {
         const filters = {};
 
-        // PMs see only their projects, admins see all
-        if (req.user.role === 'pm') {
-            filters.pmId = req.user.userId;
+        // Admins see all projects, everyone else the projects they are a member of
+        if (req.user.role !== 'admin') {
+            filters.memberId = req.user.userId;
         }
 
         if (req.query.status) {
@@ -62,20 +128,11 @@ router.get('/', authMiddleware, async (req, res) => {
 /**
  * @route   GET /api/projects/:id
  * @desc    Get project by ID
- * @access  Private
+ * @access  Private (Project members)
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, projectAccessMiddleware('view'), async (req, res) => {
     try {
-        const project = await ProjectModel.getProjectById(req.params.id);
-
-        if (!project) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-
-        // Check permissions
-        if (req.user.role === 'pm' && project.pm_id !== req.user.userId) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
+        const { project } = req;
 
         // Get additional details
         const phases = await ProjectModel.getProjectPhases(project.id);
@@ -95,7 +152,8 @@ router.get('/:id', authMiddleware, async (req, res) => {
         res.json({
             ...project,
             phases: phasesWithDeliverables,
-            contacts
+            contacts,
+            access: req.projectAccess
         });
     } catch (error) {
         console.error('Get project error:', error);
@@ -103,6 +161,40 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/projects/:id/schedule
+ * @desc    Get project phases and deliverables with planned vs actual dates
+ * @access  Private (Project members)
+ */
+router.get('/:id/schedule', authMiddleware, projectAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { project } = req;
+
+        const schedule = await getProjectSchedule(project.id);
+        res.json(schedule);
+    } catch (error) {
+        console.error('Get project schedule error:', error);
+        res.status(500).json({ error: 'Failed to fetch project schedule' });
+    }
+});
+
+/**
+ * @route   GET /api/projects/:id/critical-path
+ * @desc    Get earliest/latest dates, slack and the critical path of a project
+ * @access  Private (Project members)
+ */
+router.get('/:id/critical-path', authMiddleware, projectAccessMiddleware('view'), async (req, res) => {
+    try {
+        const { project } = req;
+
+        const criticalPath = await getProjectCriticalPath(project.id);
+        res.json(criticalPath);
+    } catch (error) {
+        console.error('Get critical path error:', error);
+        res.status(500).json({ error: 'Failed to calculate critical path' });
+    }
+});
+
 /**
  * @route   POST /api/projects
  * @desc    Create a new project
@@ -115,53 +207,89 @@ router.post('/', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res)
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { templateId, name, description, pmId, startDate, endDate, contacts, phases } = value;
+        const { templateId, name, description, pmId, startDate, endDate, workCalendar, members, contacts, phases } = value;
 
-        // Create project
-        const project = await ProjectModel.createProject({
-            templateId,
-            name,
-            description,
-            pmId,
-            startDate,
-            endDate
-        });
+        const pm = await UserModel.findUserById(pmId);
+        if (!pm || !pm.is_active || !['admin', 'pm'].includes(pm.role)) {
+            return res.status(400).json({ error: 'Project manager must be an active PM or admin' });
+        }
 
-        // Initialize project from template
-        await TemplateModel.initializeProjectFromTemplate(templateId, project.id);
+        const template = await TemplateModel.getTemplateById(templateId);
+        if (!template) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
 
-        // Add client contacts
-        if (contacts && contacts.length > 0) {
-            for (const contact of contacts) {
-                await ProjectModel.addClientContact(project.id, contact);
-            }
+        if (template.status !== 'published') {
+            return res.status(400).json({ error: 'Projects can only be created from a published template version' });
         }
 
-        // Update phases with dates and stakeholders
-        if (phases && phases.length > 0) {
-            const projectPhases = await ProjectModel.getProjectPhases(project.id);
+        if (!template.is_active) {
+            return res.status(400).json({ error: 'Template is archived' });
+        }
 
-            for (const phaseUpdate of phases) {
-                const matchingPhase = projectPhases.find(p => p.template_phase_id === phaseUpdate.phaseId);
+        // Create the project and everything it is made of in one transaction,
+        // so a failure part way through leaves nothing behind
+        const project = await withTransaction(async (client) => {
+            const newProject = await ProjectModel.createProject({
+                templateId,
+                templateVersion: template.version,
+                name,
+                description,
+                pmId,
+                startDate,
+                endDate,
+                workCalendar
+            }, client);
+
+            // Initialize project from template, laying phases out from their default durations
+            const templatePhases = await TemplateModel.getTemplatePhases(templateId, client);
+            const phaseDates = planPhaseDates(templatePhases, startDate, workCalendar);
+            await TemplateModel.initializeProjectFromTemplate(templateId, newProject.id, phaseDates, client);
+
+            // Add the initial team
+            for (const member of members || []) {
+                if (member.userId !== pmId) {
+                    await ProjectMemberModel.addProjectMember(newProject.id, member.userId, member.role, req.user.userId, client);
+                }
+            }
 
-                if (matchingPhase) {
-                    // Update phase dates
-                    if (phaseUpdate.startDate || phaseUpdate.endDate) {
-                        await ProjectModel.updatePhaseStatus(matchingPhase.id, matchingPhase.status, {
-                            actualStartDate: phaseUpdate.startDate,
-                            actualEndDate: phaseUpdate.endDate
-                        });
-                    }
+            // Add client contacts
+            if (contacts && contacts.length > 0) {
+                for (const contact of contacts) {
+                    await ProjectModel.addClientContact(newProject.id, contact, client);
+                }
+            }
 
-                    // Add stakeholders
-                    if (phaseUpdate.stakeholders && phaseUpdate.stakeholders.length > 0) {
-                        for (const stakeholder of phaseUpdate.stakeholders) {
-                            await ProjectModel.addPhaseStakeholder(matchingPhase.id, stakeholder.userId, stakeholder.role);
+            // Update phases with dates and stakeholders
+            if (phases && phases.length > 0) {
+                const projectPhases = await ProjectModel.getProjectPhases(newProject.id, client);
+
+                for (const phaseUpdate of phases) {
+                    const matchingPhase = projectPhases.find(p => p.template_phase_id === phaseUpdate.phaseId);
+
+                    if (matchingPhase) {
+                        // Dates typed in by the PM override the generated ones
+                        if (phaseUpdate.startDate || phaseUpdate.endDate) {
+                            await ProjectModel.updatePhaseDates(
+                                matchingPhase.id,
+                                phaseUpdate.startDate || matchingPhase.start_date,
+                                phaseUpdate.endDate || matchingPhase.end_date,
+                                client
+                            );
+                        }
+
+                        // Add stakeholders
+                        if (phaseUpdate.stakeholders && phaseUpdate.stakeholders.length > 0) {
+                            for (const stakeholder of phaseUpdate.stakeholders) {
+                                await ProjectModel.addPhaseStakeholder(matchingPhase.id, stakeholder.userId, stakeholder.role, client);
+                            }
                         }
                     }
                 }
             }
-        }
+
+            return newProject;
+        });
 
         // Log activity
         await logActivity(project.id, req.user.userId, 'project_created', `Project "${name}" created`);
@@ -179,20 +307,11 @@ router.post('/', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res)
 /**
  * @route   PUT /api/projects/:id
  * @desc    Update project
- * @access  Private (PM of project or Admin)
+ * @access  Private (Project manager or Admin)
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
     try {
-        const project = await ProjectModel.getProjectById(req.params.id);
-
-        if (!project) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-
-        // Check permissions
-        if (req.user.role !== 'admin' && project.pm_id !== req.user.userId) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
+        const { project } = req;
 
         const updatedProject = await ProjectModel.updateProject(req.params.id, req.body);
 
@@ -211,9 +330,9 @@ router.put('/:id', authMiddleware, async (req, res) => {
 /**
  * @route   PUT /api/projects/:id/status
  * @desc    Update project status
- * @access  Private (PM of project or Admin)
+ * @access  Private (Project manager or Admin)
  */
-router.put('/:id/status', authMiddleware, async (req, res) => {
+router.put('/:id/status', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
     try {
         const { status } = req.body;
 
@@ -221,17 +340,6 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'Status is required' });
         }
 
-        const project = await ProjectModel.getProjectById(req.params.id);
-
-        if (!project) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-
-        // Check permissions
-        if (req.user.role !== 'admin' && project.pm_id !== req.user.userId) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-
         const updatedProject = await transitionProjectStatus(req.params.id, status, req.user.userId);
 
         res.json({
@@ -244,14 +352,456 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @route   PUT /api/projects/:id/phases/:phaseId/status
+ * @desc    Start, block, unblock or complete a project phase
+ * @access  Private (Project manager or Admin)
+ */
+router.put('/:id/phases/:phaseId/status', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = phaseStatusSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { project } = req;
+
+        const phase = await ProjectModel.getProjectPhaseById(req.params.phaseId);
+
+        if (!phase || phase.project_id !== project.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        const { action, reason } = value;
+
+        if (action === 'start' && phase.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot start a phase that is ${phase.status}` });
+        }
+
+        if (action === 'unblock' && phase.status !== 'blocked') {
+            return res.status(400).json({ error: 'Phase is not blocked' });
+        }
+
+        const updatedPhase = await progressPhase(phase.id, PHASE_ACTIONS[action], req.user.userId, {
+            reason: action === 'block' ? reason : undefined
+        });
+
+        res.json({
+            message: 'Phase status updated successfully',
+            phase: updatedPhase
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Update phase status error:', error);
+        res.status(500).json({ error: 'Failed to update phase status' });
+    }
+});
+
+/**
+ * @route   POST /api/projects/:id/phases/:phaseId/reschedule
+ * @desc    Move a phase's planned dates and shift downstream phases accordingly
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/phases/:phaseId/reschedule', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = rescheduleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { project } = req;
+
+        const phase = await ProjectModel.getProjectPhaseById(req.params.phaseId);
+
+        if (!phase || phase.project_id !== project.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        const startDate = value.startDate || phase.start_date;
+        if (startDate && value.endDate && value.endDate < startDate) {
+            return res.status(400).json({ error: 'End date cannot be before start date' });
+        }
+
+        const result = await reschedulePhase(project.id, phase.id, value);
+
+        if (result.shiftedPhases.length > 0) {
+            await logActivity(project.id, req.user.userId, 'phase_rescheduled',
+                `Phase "${phase.name}" rescheduled (${result.shiftedPhases.length} phase(s) moved)`,
+                { shiftedPhases: result.shiftedPhases.map(p => ({ id: p.id, startDate: p.start_date, endDate: p.end_date })) });
+
+            publishToProject(project.id, 'schedule_updated', result);
+        }
+
+        res.json({
+            message: 'Phase rescheduled successfully',
+            ...result
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Reschedule phase error:', error);
+        res.status(500).json({ error: 'Failed to reschedule phase' });
+    }
+});
+
+/**
+ * @route   POST /api/projects/:id/phases/:phaseId/dependencies
+ * @desc    Make a phase depend on another phase of the same project
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/phases/:phaseId/dependencies', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = phaseDependencySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { project } = req;
+
+        const phase = await ProjectModel.getProjectPhaseById(req.params.phaseId);
+
+        if (!phase || phase.project_id !== project.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        const predecessor = await ProjectModel.getProjectPhaseById(value.predecessorId);
+
+        if (!predecessor || predecessor.project_id !== project.id) {
+            return res.status(400).json({ error: 'Predecessor must be a phase of the same project' });
+        }
+
+        const existing = await DependencyModel.getPhaseDependenciesByProject(project.id);
+        const edges = existing.map(dep => ({ predecessorId: dep.predecessor_id, successorId: dep.successor_id }));
+
+        if (existing.some(dep => dep.predecessor_id === predecessor.id && dep.successor_id === phase.id)) {
+            return res.status(409).json({ error: 'Dependency already exists' });
+        }
+
+        if (wouldCreateCycle(edges, predecessor.id, phase.id)) {
+            return res.status(400).json({ error: 'Dependency would create a cycle' });
+        }
+
+        const dependency = await DependencyModel.createPhaseDependency({
+            predecessorId: predecessor.id,
+            successorId: phase.id,
+            dependencyType: value.dependencyType,
+            lagDays: value.lagDays
+        });
+
+        await logActivity(project.id, req.user.userId, 'dependency_added',
+            `Phase "${phase.name}" now depends on "${predecessor.name}"`,
+            { dependencyId: dependency.id, dependencyType: dependency.dependency_type });
+
+        res.status(201).json({
+            message: 'Dependency created successfully',
+            dependency
+        });
+    } catch (error) {
+        console.error('Create phase dependency error:', error);
+        res.status(500).json({ error: 'Failed to create dependency' });
+    }
+});
+
+/**
+ * @route   DELETE /api/projects/:id/phases/:phaseId/dependencies/:dependencyId
+ * @desc    Remove a phase dependency
+ * @access  Private (Project manager or Admin)
+ */
+router.delete('/:id/phases/:phaseId/dependencies/:dependencyId', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { project } = req;
+
+        const phase = await ProjectModel.getProjectPhaseById(req.params.phaseId);
+
+        if (!phase || phase.project_id !== project.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        const dependency = await DependencyModel.getPhaseDependencyById(req.params.dependencyId);
+
+        if (!dependency || dependency.successor_id !== phase.id) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        await DependencyModel.deletePhaseDependency(dependency.id);
+        res.json({ message: 'Dependency deleted successfully' });
+    } catch (error) {
+        console.error('Delete phase dependency error:', error);
+        res.status(500).json({ error: 'Failed to delete dependency' });
+    }
+});
+
+/**
+ * @route   GET /api/projects/:id/template-upgrade
+ * @desc    Check whether a newer template version exists and what it would change
+ * @access  Private (Project manager or Admin)
+ */
+router.get('/:id/template-upgrade', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { project } = req;
+
+        const template = await TemplateModel.getTemplateById(project.template_id);
+        const latest = template && await TemplateModel.getLatestPublishedVersion(template.family_id);
+
+        if (!latest || latest.id === template.id) {
+            return res.json({ available: false, currentVersion: template?.version || null });
+        }
+
+        const diff = await diffTemplateVersions(template.id, latest.id);
+
+        res.json({
+            available: true,
+            currentVersion: template.version,
+            latestVersion: latest.version,
+            latestTemplateId: latest.id,
+            diff
+        });
+    } catch (error) {
+        console.error('Check template upgrade error:', error);
+        res.status(500).json({ error: 'Failed to check for template upgrade' });
+    }
+});
+
+/**
+ * @route   POST /api/projects/:id/template-upgrade
+ * @desc    Upgrade a project to the latest published version of its template,
+ *          adding newly introduced phases and deliverables
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/template-upgrade', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { project } = req;
+
+        const result = await upgradeProjectTemplate(project.id);
+
+        if (!result) {
+            return res.status(400).json({ error: 'Project already uses the latest template version' });
+        }
+
+        await logActivity(project.id, req.user.userId, 'template_upgraded',
+            `Template upgraded from version ${result.fromVersion} to ${result.toVersion}`,
+            { ...result, addedPhases: result.addedPhases.map(p => p.id), addedDeliverables: result.addedDeliverables.map(d => d.id) });
+
+        res.json({
+            message: 'Project upgraded successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('Template upgrade error:', error);
+        res.status(500).json({ error: 'Failed to upgrade project template' });
+    }
+});
+
+/**
+ * @route   GET /api/projects/:id/members
+ * @desc    Get project members (PM, phase stakeholders and explicit members)
+ * @access  Private (Project members)
+ */
+router.get('/:id/members', authMiddleware, projectAccessMiddleware('view'), async (req, res) => {
+    try {
+        const members = await getProjectMembers(req.project.id);
+        res.json(members);
+    } catch (error) {
+        console.error('Get project members error:', error);
+        res.status(500).json({ error: 'Failed to fetch project members' });
+    }
+});
+
+/**
+ * @route   POST /api/projects/:id/members
+ * @desc    Add a user to a project as viewer, contributor or manager
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/members', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = addMemberSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { project } = req;
+
+        const user = await UserModel.findUserById(value.userId);
+        if (!user) {
+            return res.status(400).json({ error: 'User not found' });
+        }
+
+        if (await ProjectMemberModel.getProjectMember(project.id, user.id)) {
+            return res.status(409).json({ error: 'User is already a member of this project' });
+        }
+
+        const member = await ProjectMemberModel.addProjectMember(project.id, user.id, value.role, req.user.userId);
+
+        await logActivity(project.id, req.user.userId, 'member_added',
+            `${user.first_name} ${user.last_name} added as ${value.role}`,
+            { userId: user.id, role: value.role });
+
+        res.status(201).json({
+            message: 'Member added successfully',
+            member
+        });
+    } catch (error) {
+        console.error('Add project member error:', error);
+        res.status(500).json({ error: 'Failed to add project member' });
+    }
+});
+
+/**
+ * @route   PATCH /api/projects/:id/members/:userId
+ * @desc    Change an explicit member's role
+ * @access  Private (Project manager or Admin)
+ */
+router.patch('/:id/members/:userId', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { error, value } = updateMemberSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { project } = req;
+        const member = await ProjectMemberModel.updateProjectMemberRole(project.id, req.params.userId, value.role);
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        await logActivity(project.id, req.user.userId, 'member_updated',
+            `Member role changed to ${value.role}`,
+            { userId: member.user_id, role: value.role });
+
+        res.json({
+            message: 'Member updated successfully',
+            member
+        });
+    } catch (error) {
+        console.error('Update project member error:', error);
+        res.status(500).json({ error: 'Failed to update project member' });
+    }
+});
+
+/**
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @desc    Remove an explicit member. Access that comes from being the PM
+ *          or a phase stakeholder is not affected.
+ * @access  Private (Project manager or Admin)
+ */
+router.delete('/:id/members/:userId', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { project } = req;
+        const removed = await ProjectMemberModel.removeProjectMember(project.id, req.params.userId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        await logActivity(project.id, req.user.userId, 'member_removed', 'Member removed from project',
+            { userId: parseInt(req.params.userId) });
+
+        res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('Remove project member error:', error);
+        res.status(500).json({ error: 'Failed to remove project member' });
+    }
+});
+
+/**
+ * @route   POST /api/projects/:id/contacts/:contactId/invite
+ * @desc    Give a client contact access to this project in the client portal.
+ *          An existing client account is added directly; otherwise the contact
+ *          is emailed an invitation to create one.
+ * @access  Private (Project manager or Admin)
+ */
+router.post('/:id/contacts/:contactId/invite', authMiddleware, projectAccessMiddleware('manage'), async (req, res) => {
+    try {
+        const { project } = req;
+        const contact = await ProjectModel.getClientContactById(req.params.contactId);
+
+        if (!contact || contact.project_id !== project.id) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        if (!contact.email) {
+            return res.status(400).json({ error: 'Contact has no email address' });
+        }
+
+        if (contact.user_id) {
+            return res.status(409).json({ error: 'Contact has already been invited' });
+        }
+
+        const existingUser = await UserModel.findUserByEmail(contact.email);
+
+        if (!existingUser) {
+            if (await UserModel.emailExists(contact.email)) {
+                return res.status(409).json({ error: 'This email belongs to a deactivated account' });
+            }
+
+            if (await InvitationModel.getPendingInvitationByEmail(contact.email)) {
+                return res.status(409).json({ error: 'This email already has a pending invitation' });
+            }
+
+            const invitation = await createInvitation({
+                email: contact.email,
+                role: 'client',
+                projectId: project.id,
+                projectRole: 'viewer',
+                clientContactId: contact.id
+            }, req);
+
+            await logActivity(project.id, req.user.userId, 'client_invited',
+                `${contact.name} invited to the client portal`, { contactId: contact.id, invitationId: invitation.id });
+
+            return res.status(201).json({
+                message: 'Invitation sent successfully',
+                invitation
+            });
+        }
+
+        if (existingUser.role !== 'client') {
+            return res.status(409).json({ error: 'This email belongs to a staff account' });
+        }
+
+        await withTransaction(async (client) => {
+            await ProjectModel.linkClientContactUser(contact.id, existingUser.id, client);
+
+            if (!(await ProjectMemberModel.getProjectMember(project.id, existingUser.id))) {
+                await ProjectMemberModel.addProjectMember(project.id, existingUser.id, 'viewer', req.user.userId, client);
+            }
+        });
+
+        const portalUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/portal`;
+        await sendEmail(contact.email, `You have been invited to follow "${project.name}"`,
+            `"${project.name}" has been added to your client portal at ${portalUrl}.`);
+
+        await logActivity(project.id, req.user.userId, 'client_invited',
+            `${contact.name} added to the client portal`, { contactId: contact.id, userId: existingUser.id });
+
+        res.status(201).json({
+            message: 'Client added successfully',
+            user: {
+                id: existingUser.id,
+                email: existingUser.email,
+                firstName: existingUser.first_name,
+                lastName: existingUser.last_name,
+                role: existingUser.role
+            }
+        });
+    } catch (error) {
+        console.error('Invite client contact error:', error);
+        res.status(500).json({ error: 'Failed to invite client' });
+    }
+});
+
 /**
  * @route   GET /api/projects/:id/activity
  * @desc    Get project activity log
- * @access  Private
+ * @access  Private (Project members)
  */
-router.get('/:id/activity', authMiddleware, async (req, res) => {
+router.get('/:id/activity', authMiddleware, projectAccessMiddleware('view'), async (req, res) => {
     try {
-        const activities = await getActivityLog(req.params.id, 100);
+        const activities = await getActivityLog(req.project.id, 100);
         res.json(activities);
     } catch (error) {
         console.error('Get activity log error:', error);
@@ -1,6 +1,26 @@
 import express from 'express';
 import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
 import * as TemplateModel from '../models/Template.js';
+import * as WorkflowRuleModel from '../models/WorkflowRule.js';
+import { TRIGGER_EVENTS, ACTION_TYPES } from '../services/ruleEngine.js';
+import { withTransaction } from '../services/transactionService.js';
+import { approvalChainSchema } from './deliverables.js';
+import {
+    createTemplateFromContent,
+    createDraftVersion,
+    cloneTemplate,
+    updateDraftContent,
+    diffTemplateVersions
+} from '../services/templateVersionService.js';
+import {
+    BUNDLE_FORMAT,
+    BUNDLE_FORMAT_VERSION,
+    BUNDLE_CONTENT_TYPES,
+    exportTemplateBundle,
+    serializeBundle,
+    parseBundle,
+    getAvailableTemplateName
+} from '../services/templateBundleService.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -10,29 +30,129 @@ const createTemplateSchema = Joi.object({
     name: Joi.string().required(),
     description: Joi.string().allow(''),
     category: Joi.string().required(),
+    phaseCompletionMode: Joi.string().valid('auto', 'signoff'),
+    status: Joi.string().valid('draft', 'published'),
     phases: Joi.array().items(Joi.object({
+        id: Joi.number(),
         name: Joi.string().required(),
         description: Joi.string().allow(''),
         phaseOrder: Joi.number().required(),
         defaultDurationDays: Joi.number(),
         deliverables: Joi.array().items(Joi.object({
+            id: Joi.number(),
             name: Joi.string().required(),
             description: Joi.string().allow(''),
             deliverableType: Joi.string().required(),
             isAiGeneratable: Joi.boolean(),
-            templateContent: Joi.string().allow('')
+            templateContent: Joi.string().allow(''),
+            approvalChain: approvalChainSchema.allow(null)
         }))
     }))
 });
 
+// A new version may replace the content; anything left out is copied from the source version
+const createVersionSchema = createTemplateSchema.fork(['name', 'category'], field => field.optional()).keys({
+    status: Joi.forbidden()
+});
+
+// PUT replaces the whole content of a draft; phases and deliverables are matched by id
+const updateTemplateSchema = createTemplateSchema.keys({
+    status: Joi.forbidden()
+});
+
+const patchTemplateSchema = Joi.object({
+    name: Joi.string(),
+    description: Joi.string().allow(''),
+    category: Joi.string(),
+    phaseCompletionMode: Joi.string().valid('auto', 'signoff')
+}).min(1);
+
+const phaseSchema = Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().allow(''),
+    phaseOrder: Joi.number(),
+    defaultDurationDays: Joi.number().allow(null)
+});
+
+const updatePhaseSchema = Joi.object({
+    name: Joi.string(),
+    description: Joi.string().allow(''),
+    phaseOrder: Joi.number(),
+    defaultDurationDays: Joi.number().allow(null)
+}).min(1);
+
+const reorderPhasesSchema = Joi.object({
+    phaseIds: Joi.array().items(Joi.number()).min(1).required()
+});
+
+const deliverableSchema = Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().allow(''),
+    deliverableType: Joi.string().required(),
+    isAiGeneratable: Joi.boolean(),
+    templateContent: Joi.string().allow(''),
+    approvalChain: approvalChainSchema.allow(null)
+});
+
+const updateDeliverableSchema = Joi.object({
+    phaseId: Joi.number(),
+    name: Joi.string(),
+    description: Joi.string().allow(''),
+    deliverableType: Joi.string(),
+    isAiGeneratable: Joi.boolean(),
+    templateContent: Joi.string().allow(''),
+    approvalChain: approvalChainSchema.allow(null)
+}).min(1);
+
+const cloneSchema = Joi.object({
+    name: Joi.string()
+});
+
+const ruleSchema = Joi.object({
+    triggerEvent: Joi.string().valid(...TRIGGER_EVENTS).required(),
+    condition: Joi.object().allow(null),
+    actionType: Joi.string().valid(...ACTION_TYPES).required(),
+    actionConfig: Joi.object().default({}),
+    isActive: Joi.boolean()
+});
+
+const updateRuleSchema = Joi.object({
+    triggerEvent: Joi.string().valid(...TRIGGER_EVENTS),
+    condition: Joi.object().allow(null),
+    actionType: Joi.string().valid(...ACTION_TYPES),
+    actionConfig: Joi.object(),
+    isActive: Joi.boolean()
+}).min(1);
+
+// Imported bundles are checked with the same schemas as the regular create endpoints
+const bundleSchema = Joi.object({
+    format: Joi.string().valid(BUNDLE_FORMAT).required(),
+    formatVersion: Joi.number().valid(BUNDLE_FORMAT_VERSION).required(),
+    exportedAt: Joi.string(),
+    source: Joi.object(),
+    template: createTemplateSchema.required(),
+    rules: Joi.array().items(ruleSchema).default([])
+});
+
+const importQuerySchema = Joi.object({
+    onConflict: Joi.string().valid('error', 'rename', 'version').default('error')
+});
+
+const PUBLISHED_VERSION_ERROR = 'Published versions cannot be edited; create a new draft version';
+
 /**
- * @route   GET /api/templates
- * @desc    Get all templates
- * @access  Private
+ * @route   GET /api/templates?includeDrafts=true&archived=true
+ * @desc    Get all templates (latest published version of each)
+ * @access  Private (Staff)
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, roleMiddleware('admin', 'pm', 'team_member'), async (req, res) => {
     try {
-        const templates = await TemplateModel.getAllTemplates();
+        // Drafts and archived templates are only listed for admins
+        const isAdmin = req.user.role === 'admin';
+        const templates = await TemplateModel.getAllTemplates({
+            includeDrafts: isAdmin && req.query.includeDrafts === 'true',
+            archived: isAdmin && req.query.archived === 'true'
+        });
         res.json(templates);
     } catch (error) {
         console.error('Get templates error:', error);
@@ -40,12 +160,111 @@ router.get('/', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/templates/:id/export?format=json|yaml
+ * @desc    Download a template version as a portable bundle
+ *          (phases, deliverables, template content and workflow rules)
+ * @access  Private (Admin/PM)
+ */
+router.get('/:id/export', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!BUNDLE_CONTENT_TYPES[format]) {
+            return res.status(400).json({ error: 'format must be json or yaml' });
+        }
+
+        const bundle = await exportTemplateBundle(req.params.id);
+
+        if (!bundle) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const slug = bundle.template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+        const filename = `${slug}-v${bundle.source.version}.${format === 'yaml' ? 'yaml' : 'json'}`;
+
+        res.set('Content-Type', BUNDLE_CONTENT_TYPES[format]);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(serializeBundle(bundle, format));
+    } catch (error) {
+        console.error('Export template error:', error);
+        res.status(500).json({ error: 'Failed to export template' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/import?onConflict=error|rename|version
+ * @desc    Create a template from an exported bundle (JSON body, or JSON/YAML text).
+ *          When a template with the same name exists: 'error' (default) returns 409,
+ *          'rename' imports under a free name, 'version' imports as a new draft
+ *          version of the existing template
+ * @access  Private (Admin only)
+ */
+router.post('/import', authMiddleware, roleMiddleware('admin'),
+    express.text({ type: ['application/x-yaml', 'application/yaml', 'text/yaml', 'text/plain'], limit: '2mb' }),
+    async (req, res) => {
+        try {
+            const { error: queryError, value: options } = importQuerySchema.validate(req.query);
+            if (queryError) {
+                return res.status(400).json({ error: queryError.details[0].message });
+            }
+
+            let body = req.body;
+            if (typeof body === 'string') {
+                try {
+                    body = parseBundle(body);
+                } catch (parseError) {
+                    return res.status(400).json({ error: `Invalid bundle: ${parseError.message}` });
+                }
+            }
+
+            const { error, value: bundle } = bundleSchema.validate(body);
+            if (error) {
+                return res.status(400).json({ error: error.details[0].message });
+            }
+
+            const existing = await TemplateModel.getTemplateByName(bundle.template.name);
+
+            if (existing && options.onConflict === 'error') {
+                return res.status(409).json({
+                    error: `A template named "${existing.name}" already exists`,
+                    existingId: existing.id
+                });
+            }
+
+            let template;
+            if (existing && options.onConflict === 'version') {
+                const existingDraft = await TemplateModel.getDraftVersion(existing.family_id);
+                if (existingDraft) {
+                    return res.status(409).json({
+                        error: `Version ${existingDraft.version} is already a draft; publish it first`,
+                        draftId: existingDraft.id
+                    });
+                }
+
+                const [latest] = await TemplateModel.getTemplateVersions(existing.family_id);
+                const { status, ...content } = bundle.template;
+                template = await createDraftVersion(latest.id, req.user.userId, content, bundle.rules);
+            } else {
+                const name = existing ? await getAvailableTemplateName(bundle.template.name) : bundle.template.name;
+                template = await createTemplateFromContent({ ...bundle.template, name }, req.user.userId, bundle.rules);
+            }
+
+            res.status(201).json({
+                message: 'Template imported successfully',
+                template
+            });
+        } catch (error) {
+            console.error('Import template error:', error);
+            res.status(500).json({ error: 'Failed to import template' });
+        }
+    });
+
 /**
  * @route   GET /api/templates/:id
  * @desc    Get template by ID with full details
- * @access  Private
+ * @access  Private (Staff)
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, roleMiddleware('admin', 'pm', 'team_member'), async (req, res) => {
     try {
         const template = await TemplateModel.getTemplateById(req.params.id);
 
@@ -83,50 +302,681 @@ router.post('/', authMiddleware, roleMiddleware('admin'), async (req, res) => {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { name, description, category, phases } = value;
+        // Create the template with its phases and deliverables, all or nothing
+        const template = await createTemplateFromContent(value, req.user.userId);
 
-        // Create template
-        const template = await TemplateModel.createTemplate({
-            name,
-            description,
-            category,
-            createdBy: req.user.userId
+        res.status(201).json({
+            message: 'Template created successfully',
+            template
         });
+    } catch (error) {
+        console.error('Create template error:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    }
+});
 
-        // Create phases and deliverables
-        if (phases && phases.length > 0) {
-            for (const phaseData of phases) {
-                const phase = await TemplateModel.createTemplatePhase({
-                    templateId: template.id,
-                    name: phaseData.name,
-                    description: phaseData.description,
-                    phaseOrder: phaseData.phaseOrder,
-                    defaultDurationDays: phaseData.defaultDurationDays
-                });
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Replace the content of a draft version
+ * @access  Private (Admin only)
+ */
+router.put('/:id', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = updateTemplateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
 
-                // Create deliverables for this phase
-                if (phaseData.deliverables && phaseData.deliverables.length > 0) {
-                    for (const deliverableData of phaseData.deliverables) {
-                        await TemplateModel.createTemplateDeliverable({
-                            phaseId: phase.id,
-                            name: deliverableData.name,
-                            description: deliverableData.description,
-                            deliverableType: deliverableData.deliverableType,
-                            isAiGeneratable: deliverableData.isAiGeneratable || false,
-                            templateContent: deliverableData.templateContent
-                        });
-                    }
-                }
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const updatedTemplate = await updateDraftContent(template.id, value);
+
+        res.json({
+            message: 'Template updated successfully',
+            template: updatedTemplate
+        });
+    } catch (error) {
+        console.error('Update template error:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+/**
+ * @route   PATCH /api/templates/:id
+ * @desc    Update template fields of a draft version
+ * @access  Private (Admin only)
+ */
+router.patch('/:id', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = patchTemplateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const updatedTemplate = await TemplateModel.updateTemplate(template.id, {
+            name: value.name,
+            description: value.description,
+            category: value.category,
+            phase_completion_mode: value.phaseCompletionMode
+        });
+
+        res.json({
+            message: 'Template updated successfully',
+            template: updatedTemplate
+        });
+    } catch (error) {
+        console.error('Patch template error:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/clone
+ * @desc    Copy a template version into a new draft template
+ * @access  Private (Admin only)
+ */
+router.post('/:id/clone', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = cloneSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const clone = await cloneTemplate(template.id, req.user.userId, value.name || `Copy of ${template.name}`);
+
+        res.status(201).json({
+            message: 'Template cloned successfully',
+            template: clone
+        });
+    } catch (error) {
+        console.error('Clone template error:', error);
+        res.status(500).json({ error: 'Failed to clone template' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/archive
+ * @desc    Archive a template (all versions); existing projects are unaffected
+ * @access  Private (Admin only)
+ */
+router.post('/:id/archive', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        await TemplateModel.setTemplateArchived(template.family_id, true);
+        res.json({ message: 'Template archived successfully' });
+    } catch (error) {
+        console.error('Archive template error:', error);
+        res.status(500).json({ error: 'Failed to archive template' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/unarchive
+ * @desc    Restore an archived template
+ * @access  Private (Admin only)
+ */
+router.post('/:id/unarchive', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        await TemplateModel.setTemplateArchived(template.family_id, false);
+        res.json({ message: 'Template restored successfully' });
+    } catch (error) {
+        console.error('Unarchive template error:', error);
+        res.status(500).json({ error: 'Failed to restore template' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/phases
+ * @desc    Add a phase to a draft version (appended unless phaseOrder is given)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/phases', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = phaseSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        let phaseOrder = value.phaseOrder;
+        if (phaseOrder === undefined) {
+            const phases = await TemplateModel.getTemplatePhases(template.id);
+            phaseOrder = phases.reduce((max, p) => Math.max(max, p.phase_order), 0) + 1;
+        }
+
+        const phase = await TemplateModel.createTemplatePhase({
+            templateId: template.id,
+            name: value.name,
+            description: value.description,
+            phaseOrder,
+            defaultDurationDays: value.defaultDurationDays
+        });
+
+        res.status(201).json({
+            message: 'Phase added successfully',
+            phase
+        });
+    } catch (error) {
+        console.error('Add template phase error:', error);
+        res.status(500).json({ error: 'Failed to add phase' });
+    }
+});
+
+/**
+ * @route   PUT /api/templates/:id/phases/reorder
+ * @desc    Reorder the phases of a draft version
+ * @access  Private (Admin only)
+ */
+router.put('/:id/phases/reorder', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = reorderPhasesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        // The new order has to name every phase of the template exactly once
+        const phases = await TemplateModel.getTemplatePhases(template.id);
+        const currentIds = phases.map(p => p.id).sort((a, b) => a - b);
+        const requestedIds = [...value.phaseIds].sort((a, b) => a - b);
+
+        if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+            return res.status(400).json({ error: 'phaseIds must list every phase of the template exactly once' });
+        }
+
+        await withTransaction(async (client) => {
+            for (const [index, phaseId] of value.phaseIds.entries()) {
+                await TemplateModel.updateTemplatePhase(phaseId, { phase_order: index + 1 }, client);
             }
+        });
+
+        res.json({
+            message: 'Phases reordered successfully',
+            phases: await TemplateModel.getTemplatePhases(template.id)
+        });
+    } catch (error) {
+        console.error('Reorder template phases error:', error);
+        res.status(500).json({ error: 'Failed to reorder phases' });
+    }
+});
+
+/**
+ * @route   PATCH /api/templates/:id/phases/:phaseId
+ * @desc    Update a phase of a draft version
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/phases/:phaseId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = updatePhaseSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
         }
 
+        const template = await TemplateModel.getTemplateById(req.params.id);
+        const phase = await TemplateModel.getTemplatePhaseById(req.params.phaseId);
+
+        if (!template || !phase || phase.template_id !== template.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const updatedPhase = await TemplateModel.updateTemplatePhase(phase.id, {
+            name: value.name,
+            description: value.description,
+            phase_order: value.phaseOrder,
+            default_duration_days: value.defaultDurationDays
+        });
+
+        res.json({
+            message: 'Phase updated successfully',
+            phase: updatedPhase
+        });
+    } catch (error) {
+        console.error('Update template phase error:', error);
+        res.status(500).json({ error: 'Failed to update phase' });
+    }
+});
+
+/**
+ * @route   DELETE /api/templates/:id/phases/:phaseId
+ * @desc    Delete a phase (and its deliverables) from a draft version
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/phases/:phaseId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+        const phase = await TemplateModel.getTemplatePhaseById(req.params.phaseId);
+
+        if (!template || !phase || phase.template_id !== template.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        await TemplateModel.deleteTemplatePhase(phase.id);
+        res.json({ message: 'Phase deleted successfully' });
+    } catch (error) {
+        console.error('Delete template phase error:', error);
+        res.status(500).json({ error: 'Failed to delete phase' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/phases/:phaseId/deliverables
+ * @desc    Add a deliverable to a phase of a draft version
+ * @access  Private (Admin only)
+ */
+router.post('/:id/phases/:phaseId/deliverables', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = deliverableSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+        const phase = await TemplateModel.getTemplatePhaseById(req.params.phaseId);
+
+        if (!template || !phase || phase.template_id !== template.id) {
+            return res.status(404).json({ error: 'Phase not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const deliverable = await TemplateModel.createTemplateDeliverable({
+            phaseId: phase.id,
+            name: value.name,
+            description: value.description,
+            deliverableType: value.deliverableType,
+            isAiGeneratable: value.isAiGeneratable || false,
+            templateContent: value.templateContent,
+            approvalChain: value.approvalChain
+        });
+
         res.status(201).json({
-            message: 'Template created successfully',
-            template
+            message: 'Deliverable added successfully',
+            deliverable
         });
     } catch (error) {
-        console.error('Create template error:', error);
-        res.status(500).json({ error: 'Failed to create template' });
+        console.error('Add template deliverable error:', error);
+        res.status(500).json({ error: 'Failed to add deliverable' });
+    }
+});
+
+/**
+ * @route   PATCH /api/templates/:id/deliverables/:deliverableId
+ * @desc    Update a deliverable of a draft version; phaseId moves it to another phase
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/deliverables/:deliverableId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = updateDeliverableSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+        const deliverable = await TemplateModel.getTemplateDeliverableById(req.params.deliverableId);
+
+        if (!template || !deliverable || deliverable.template_id !== template.id) {
+            return res.status(404).json({ error: 'Deliverable not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        if (value.phaseId !== undefined) {
+            const targetPhase = await TemplateModel.getTemplatePhaseById(value.phaseId);
+            if (!targetPhase || targetPhase.template_id !== template.id) {
+                return res.status(400).json({ error: 'Deliverables can only move to a phase of the same template' });
+            }
+        }
+
+        const updatedDeliverable = await TemplateModel.updateTemplateDeliverable(deliverable.id, {
+            phase_id: value.phaseId,
+            name: value.name,
+            description: value.description,
+            deliverable_type: value.deliverableType,
+            is_ai_generatable: value.isAiGeneratable,
+            template_content: value.templateContent,
+            approval_chain: value.approvalChain
+        });
+
+        res.json({
+            message: 'Deliverable updated successfully',
+            deliverable: updatedDeliverable
+        });
+    } catch (error) {
+        console.error('Update template deliverable error:', error);
+        res.status(500).json({ error: 'Failed to update deliverable' });
+    }
+});
+
+/**
+ * @route   DELETE /api/templates/:id/deliverables/:deliverableId
+ * @desc    Delete a deliverable from a draft version
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/deliverables/:deliverableId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+        const deliverable = await TemplateModel.getTemplateDeliverableById(req.params.deliverableId);
+
+        if (!template || !deliverable || deliverable.template_id !== template.id) {
+            return res.status(404).json({ error: 'Deliverable not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        await TemplateModel.deleteTemplateDeliverable(deliverable.id);
+        res.json({ message: 'Deliverable deleted successfully' });
+    } catch (error) {
+        console.error('Delete template deliverable error:', error);
+        res.status(500).json({ error: 'Failed to delete deliverable' });
+    }
+});
+
+/**
+ * @route   GET /api/templates/:id/versions
+ * @desc    Get every version of a template
+ * @access  Private (Admin/PM)
+ */
+router.get('/:id/versions', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const versions = await TemplateModel.getTemplateVersions(template.family_id);
+        res.json(versions);
+    } catch (error) {
+        console.error('Get template versions error:', error);
+        res.status(500).json({ error: 'Failed to fetch template versions' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/versions
+ * @desc    Start a new draft version from this version, optionally with new content
+ * @access  Private (Admin only)
+ */
+router.post('/:id/versions', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = createVersionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const existingDraft = await TemplateModel.getDraftVersion(template.family_id);
+        if (existingDraft) {
+            return res.status(409).json({
+                error: `Version ${existingDraft.version} is already a draft; publish it first`,
+                draftId: existingDraft.id
+            });
+        }
+
+        const draft = await createDraftVersion(template.id, req.user.userId, value);
+
+        res.status(201).json({
+            message: 'Draft version created successfully',
+            template: draft
+        });
+    } catch (error) {
+        console.error('Create template version error:', error);
+        res.status(500).json({ error: 'Failed to create template version' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/publish
+ * @desc    Publish a draft version; it becomes the version new projects use
+ * @access  Private (Admin only)
+ */
+router.post('/:id/publish', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.status !== 'draft') {
+            return res.status(400).json({ error: 'Only draft versions can be published' });
+        }
+
+        const published = await TemplateModel.publishTemplateVersion(template.id);
+
+        res.json({
+            message: 'Template version published successfully',
+            template: published
+        });
+    } catch (error) {
+        console.error('Publish template error:', error);
+        res.status(500).json({ error: 'Failed to publish template' });
+    }
+});
+
+/**
+ * @route   GET /api/templates/:id/diff?against=:otherId
+ * @desc    Compare this version with another version of the same template
+ *          (defaults to the newest version)
+ * @access  Private (Admin/PM)
+ */
+router.get('/:id/diff', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        let other;
+        if (req.query.against) {
+            other = await TemplateModel.getTemplateById(req.query.against);
+        } else {
+            const versions = await TemplateModel.getTemplateVersions(template.family_id);
+            other = versions[0];
+        }
+
+        if (!other || other.family_id !== template.family_id) {
+            return res.status(400).json({ error: 'Can only compare versions of the same template' });
+        }
+
+        const diff = await diffTemplateVersions(template.id, other.id);
+        res.json(diff);
+    } catch (error) {
+        console.error('Template diff error:', error);
+        res.status(500).json({ error: 'Failed to compare template versions' });
+    }
+});
+
+/**
+ * @route   GET /api/templates/:id/rules
+ * @desc    Get workflow rules for a template
+ * @access  Private (Admin/PM)
+ */
+router.get('/:id/rules', authMiddleware, roleMiddleware('admin', 'pm'), async (req, res) => {
+    try {
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const rules = await WorkflowRuleModel.getRulesByTemplate(template.id);
+        res.json(rules);
+    } catch (error) {
+        console.error('Get workflow rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch workflow rules' });
+    }
+});
+
+/**
+ * @route   POST /api/templates/:id/rules
+ * @desc    Create a workflow rule for a template
+ * @access  Private (Admin only)
+ */
+router.post('/:id/rules', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = ruleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const template = await TemplateModel.getTemplateById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        // Projects pinned to a published version keep its rules as they were
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const rule = await WorkflowRuleModel.createRule({
+            ...value,
+            templateId: template.id
+        });
+
+        res.status(201).json({
+            message: 'Workflow rule created successfully',
+            rule
+        });
+    } catch (error) {
+        console.error('Create workflow rule error:', error);
+        res.status(500).json({ error: 'Failed to create workflow rule' });
+    }
+});
+
+/**
+ * @route   PUT /api/templates/:id/rules/:ruleId
+ * @desc    Update a workflow rule
+ * @access  Private (Admin only)
+ */
+router.put('/:id/rules/:ruleId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = updateRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const rule = await WorkflowRuleModel.getRuleById(req.params.ruleId);
+
+        if (!rule || rule.template_id !== parseInt(req.params.id)) {
+            return res.status(404).json({ error: 'Workflow rule not found' });
+        }
+
+        const template = await TemplateModel.getTemplateById(rule.template_id);
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        const updatedRule = await WorkflowRuleModel.updateRule(rule.id, value);
+
+        res.json({
+            message: 'Workflow rule updated successfully',
+            rule: updatedRule
+        });
+    } catch (error) {
+        console.error('Update workflow rule error:', error);
+        res.status(500).json({ error: 'Failed to update workflow rule' });
+    }
+});
+
+/**
+ * @route   DELETE /api/templates/:id/rules/:ruleId
+ * @desc    Delete a workflow rule
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/rules/:ruleId', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const rule = await WorkflowRuleModel.getRuleById(req.params.ruleId);
+
+        if (!rule || rule.template_id !== parseInt(req.params.id)) {
+            return res.status(404).json({ error: 'Workflow rule not found' });
+        }
+
+        const template = await TemplateModel.getTemplateById(rule.template_id);
+        if (template.status !== 'draft') {
+            return res.status(409).json({ error: PUBLISHED_VERSION_ERROR });
+        }
+
+        await WorkflowRuleModel.deleteRule(rule.id);
+        res.json({ message: 'Workflow rule deleted successfully' });
+    } catch (error) {
+        console.error('Delete workflow rule error:', error);
+        res.status(500).json({ error: 'Failed to delete workflow rule' });
     }
 });
 
@@ -0,0 +1,224 @@
+import express from 'express';
+import { authMiddleware, roleMiddleware } from '../middleware/auth.js';
+import * as UserModel from '../models/User.js';
+import * as SessionModel from '../models/Session.js';
+import { disconnectSessions } from '../services/realtimeService.js';
+import { recordAudit } from '../services/auditService.js';
+import Joi from 'joi';
+
+const router = express.Router();
+
+const USER_ROLES = ['admin', 'pm', 'team_member', 'client'];
+const STAFF_ROLES = ['admin', 'pm', 'team_member'];
+
+// Validation schemas
+const listUsersSchema = Joi.object({
+    role: Joi.string().valid(...USER_ROLES),
+    status: Joi.string().valid('active', 'inactive', 'all').default('active'),
+    search: Joi.string().trim().max(100)
+});
+
+const directorySchema = Joi.object({
+    role: Joi.array().items(Joi.string().valid(...STAFF_ROLES)).single()
+});
+
+const updateUserSchema = Joi.object({
+    firstName: Joi.string(),
+    lastName: Joi.string(),
+    role: Joi.string().valid(...USER_ROLES)
+}).min(1);
+
+// An admin cannot lock themselves out, and there must always be an active admin
+const checkAdminChange = async (req, user, change) => {
+    if (user.id === req.user.userId) {
+        return `You cannot ${change} your own account`;
+    }
+
+    if (user.role === 'admin' && user.is_active && (await UserModel.countActiveAdmins()) <= 1) {
+        return `Cannot ${change} the last active admin`;
+    }
+
+    return null;
+};
+
+/**
+ * @route   GET /api/users?role=pm&status=active|inactive|all&search=
+ * @desc    Get all users
+ * @access  Private (Admin only)
+ */
+router.get('/', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = listUsersSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const users = await UserModel.getAllUsers(value);
+        res.json(users);
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+/**
+ * @route   GET /api/users/directory?role=pm&role=admin
+ * @desc    Get active staff for choosing a PM, stakeholder or assignee
+ * @access  Private (Staff)
+ */
+router.get('/directory', authMiddleware, roleMiddleware(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { error, value } = directorySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const users = await UserModel.getUserDirectory(value.role || STAFF_ROLES);
+        res.json(users);
+    } catch (error) {
+        console.error('Get user directory error:', error);
+        res.status(500).json({ error: 'Failed to fetch user directory' });
+    }
+});
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get user by ID
+ * @access  Private (Admin only)
+ */
+router.get('/:id', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const user = await UserModel.findUserById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user);
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Update a user's name or role
+ * @access  Private (Admin only)
+ */
+router.patch('/:id', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const { error, value } = updateUserSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await UserModel.findUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (value.role && value.role !== user.role && user.role === 'admin') {
+            const conflict = await checkAdminChange(req, user, 'demote');
+            if (conflict) {
+                return res.status(409).json({ error: conflict });
+            }
+        }
+
+        const updatedUser = await UserModel.updateUser(user.id, {
+            ...(value.firstName !== undefined && { first_name: value.firstName }),
+            ...(value.lastName !== undefined && { last_name: value.lastName }),
+            ...(value.role !== undefined && { role: value.role })
+        });
+
+        if (updatedUser.role !== user.role) {
+            await recordAudit({
+                req,
+                action: 'user.role_changed',
+                entity: { type: 'user', id: user.id },
+                details: { email: user.email, from: user.role, to: updatedUser.role }
+            });
+        }
+
+        res.json({
+            message: 'User updated successfully',
+            user: updatedUser
+        });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * @route   POST /api/users/:id/deactivate
+ * @desc    Deactivate a user and end all their sessions
+ * @access  Private (Admin only)
+ */
+router.post('/:id/deactivate', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const user = await UserModel.findUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const conflict = await checkAdminChange(req, user, 'deactivate');
+        if (conflict) {
+            return res.status(409).json({ error: conflict });
+        }
+
+        const updatedUser = await UserModel.updateUser(user.id, { is_active: false });
+
+        // Sign them out everywhere right away
+        await SessionModel.revokeUserSessions(user.id);
+        disconnectSessions({ userId: user.id });
+
+        await recordAudit({
+            req,
+            action: 'user.deactivated',
+            entity: { type: 'user', id: user.id },
+            details: { email: user.email }
+        });
+
+        res.json({
+            message: 'User deactivated successfully',
+            user: updatedUser
+        });
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        res.status(500).json({ error: 'Failed to deactivate user' });
+    }
+});
+
+/**
+ * @route   POST /api/users/:id/reactivate
+ * @desc    Reactivate a deactivated user
+ * @access  Private (Admin only)
+ */
+router.post('/:id/reactivate', authMiddleware, roleMiddleware('admin'), async (req, res) => {
+    try {
+        const user = await UserModel.findUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const updatedUser = await UserModel.updateUser(user.id, { is_active: true });
+
+        await recordAudit({
+            req,
+            action: 'user.reactivated',
+            entity: { type: 'user', id: user.id },
+            details: { email: user.email }
+        });
+
+        res.json({
+            message: 'User reactivated successfully',
+            user: updatedUser
+        });
+    } catch (error) {
+        console.error('Reactivate user error:', error);
+        res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+});
+
+export default router;
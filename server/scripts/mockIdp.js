@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Mock OpenID Connect identity provider for trying out and testing SSO
+ * locally. Nothing here is secure: the sign-in page lets you type any
+ * email and groups.
+ *
+ *   npm run mock-idp
+ *
+ * and configure the server with:
+ *
+ *   SSO_PROVIDERS=mock
+ *   SSO_MOCK_NAME=Mock IdP
+ *   SSO_MOCK_ISSUER=http://localhost:9400
+ *   SSO_MOCK_CLIENT_ID=pm-software
+ *   SSO_MOCK_CLIENT_SECRET=mock-secret
+ *   SSO_MOCK_ROLE_MAP=idp-admins:admin,idp-pms:pm,idp-staff:team_member,idp-clients:client
+ */
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 9400;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'pm-software';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        scopes_supported: ['openid', 'email', 'profile', 'groups']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form: pick who to be. The request parameters ride along as hidden fields.
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+
+    if (clientId !== CLIENT_ID || responseType !== 'code' || challengeMethod !== 'S256') {
+        return res.status(400).send('Expected response_type=code, a known client_id and a S256 code_challenge');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto">
+    <h1>Mock IdP</h1>
+    <form method="post" action="/authorize">
+        ${hidden}
+        <p><label>Email<br><input name="email" value="jane.doe@example.com" required></label></p>
+        <p><label>First name<br><input name="given_name" value="Jane"></label></p>
+        <p><label>Last name<br><input name="family_name" value="Doe"></label></p>
+        <p><label>Groups (comma separated)<br><input name="groups" value="idp-staff"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <p><button type="submit" name="decision" value="allow">Sign in</button>
+           <button type="submit" name="decision" value="deny">Deny</button></p>
+    </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, decision } = req.body;
+    const callback = new URL(redirectUri);
+
+    if (decision === 'deny') {
+        callback.search = new URLSearchParams({ error: 'access_denied', error_description: 'The user denied the sign-in', state }).toString();
+        return res.redirect(callback.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        redirectUri,
+        nonce,
+        codeChallenge,
+        expiresAt: Date.now() + CODE_TTL_MS,
+        claims: {
+            // The same email always gets the same subject
+            sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+            email,
+            email_verified: req.body.email_verified === 'true',
+            given_name: req.body.given_name || undefined,
+            family_name: req.body.family_name || undefined,
+            groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+        }
+    });
+
+    callback.search = new URLSearchParams({ code, state }).toString();
+    res.redirect(callback.toString());
+});
+
+app.post('/token', (req, res) => {
+    const [basicId, basicSecret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64')
+        .toString()
+        .split(':')
+        .map(decodeURIComponent);
+    const clientId = basicId || req.body.client_id;
+    const clientSecret = basicSecret || req.body.client_secret;
+
+    if (clientId !== CLIENT_ID || (clientSecret && clientSecret !== CLIENT_SECRET)) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+        || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock IdP listening on ${ISSUER} (client id ${CLIENT_ID}, secret ${CLIENT_SECRET})`);
+});
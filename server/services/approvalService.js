@@ -0,0 +1,225 @@
+import * as DeliverableModel from '../models/Deliverable.js';
+import * as ProjectMemberModel from '../models/ProjectMember.js';
+import { sendNotification } from './notificationService.js';
+import { withTransaction } from './transactionService.js';
+import { assertDeliverableTransition } from './workflowEngine.js';
+
+/**
+ * Approval Service - Multi-step approval chains for deliverables.
+ *
+ * A chain is a list of steps worked through in order; every approver in a
+ * step signs off in parallel, and the next step opens once all of them have
+ * approved. A single rejection ends the round. Chains are defined on
+ * template deliverables and copied to project deliverables, where the
+ * project manager can adjust them; deliverables without one are approved by
+ * the project manager alone.
+ *
+ * Each submission for review starts a new round (deliverables.review_round),
+ * so earlier decisions stay on record but no longer count. The deliverable
+ * only becomes 'approved' (and gets completed_at) when the last approver of
+ * the last step signs off.
+ *
+ * Chain shape: [{ name, approvers: [{ type, userId?, label? }] }]
+ */
+
+export const APPROVER_TYPES = ['project_manager', 'user', 'client'];
+
+export const DEFAULT_APPROVAL_CHAIN = [
+    { name: 'Project manager', approvers: [{ type: 'project_manager' }] }
+];
+
+const approvalError = (message, status) => Object.assign(new Error(message), { status });
+
+export const getApprovalChain = (deliverable) => (deliverable.approval_chain?.length > 0
+    ? deliverable.approval_chain
+    : DEFAULT_APPROVAL_CHAIN);
+
+/**
+ * Whether a user can sign off for one approver of a chain.
+ * Admins may stand in for the project manager.
+ */
+const canActFor = (approver, user, deliverable) => {
+    switch (approver.type) {
+        case 'project_manager':
+            return user.userId === deliverable.project_pm_id || user.role === 'admin';
+        case 'user':
+            return user.userId === approver.userId;
+        case 'client':
+            // The portal checks the client belongs to the project
+            return user.role === 'client' && deliverable.shared_with_client === true;
+        default:
+            return false;
+    }
+};
+
+/**
+ * Where a deliverable's current review round stands
+ * @param {Object} deliverable - With approval_chain, review_round and status
+ * @param {Array} reviews - The deliverable's reviews (any order)
+ * @returns {Object} - { round, currentStepIndex, steps: [{ name, status, approvers: [...] }] }
+ *   currentStepIndex is -1 unless the deliverable is in review
+ */
+export const getApprovalState = (deliverable, reviews) => {
+    const roundReviews = reviews.filter(review => review.review_round === deliverable.review_round && review.step_index !== null);
+
+    const steps = getApprovalChain(deliverable).map((step, stepIndex) => {
+        const approvers = step.approvers.map((approver, approverIndex) => {
+            const review = roundReviews.find(r => r.step_index === stepIndex && r.approver_index === approverIndex);
+
+            return {
+                ...approver,
+                decision: review?.decision || null,
+                decidedBy: review?.reviewer_name || null,
+                decidedAt: review?.created_at || null,
+                comment: review?.comment || null
+            };
+        });
+
+        const status = approvers.some(a => a.decision === 'rejected')
+            ? 'rejected'
+            : (approvers.every(a => a.decision === 'approved') ? 'approved' : 'pending');
+
+        return { name: step.name, status, approvers };
+    });
+
+    return {
+        round: deliverable.review_round,
+        currentStepIndex: deliverable.status === 'review' ? steps.findIndex(step => step.status === 'pending') : -1,
+        steps
+    };
+};
+
+/**
+ * Whether a user can decide the current step of a deliverable right now
+ */
+export const canDecide = (state, user, deliverable) => {
+    const step = state.steps[state.currentStepIndex];
+    return !!step && step.approvers.some(approver => !approver.decision && canActFor(approver, user, deliverable));
+};
+
+/**
+ * The users to ask for a decision on the current step
+ * @returns {Array<number>}
+ */
+const getPendingApproverIds = async (deliverable, state) => {
+    const step = state.steps[state.currentStepIndex];
+    if (!step) return [];
+
+    const pending = step.approvers.filter(approver => !approver.decision);
+    const userIds = new Set();
+
+    if (pending.some(approver => approver.type === 'client')) {
+        const memberships = await ProjectMemberModel.getProjectMemberships(deliverable.project_id);
+        memberships.filter(m => m.user_role === 'client').forEach(m => userIds.add(m.user_id));
+    }
+
+    for (const approver of pending) {
+        if (approver.type === 'project_manager' && deliverable.project_pm_id) userIds.add(deliverable.project_pm_id);
+        if (approver.type === 'user') userIds.add(approver.userId);
+    }
+
+    return [...userIds];
+};
+
+/**
+ * Ask the approvers of the current step for their decision
+ */
+export const notifyPendingApprovers = async (deliverable) => {
+    const reviews = await DeliverableModel.getDeliverableReviews(deliverable.id);
+    const state = getApprovalState(deliverable, reviews);
+    const step = state.steps[state.currentStepIndex];
+
+    for (const userId of await getPendingApproverIds(deliverable, state)) {
+        await sendNotification(userId, `Approval needed: "${deliverable.name}"`,
+            `"${deliverable.name}" is waiting for your approval (${step.name}).`,
+            'approval_requested', deliverable.project_id);
+    }
+};
+
+/**
+ * Approve or reject the current step of a deliverable's approval chain on
+ * behalf of the first undecided approver the user can act for
+ * @param {Object} deliverable - From getDeliverableById
+ * @param {Object} user - req.user
+ * @param {Object} decisionData - { decision: 'approved' | 'rejected', comment }
+ * @returns {Object} - { review, deliverable, state, statusChanged }
+ * @throws {Error} - With status 409 when not in review, 403 when the user is not a current approver
+ */
+export const decideApproval = async (deliverable, user, { decision, comment }) => {
+    const result = await withTransaction(async (client) => {
+        // Lock the deliverable so parallel approvers finishing a step together see each other
+        const current = await DeliverableModel.lockDeliverable(deliverable.id, client);
+
+        if (current.status !== 'review') {
+            throw approvalError('Only deliverables in review can be approved or rejected', 409);
+        }
+
+        const locked = { ...deliverable, ...current };
+        const state = getApprovalState(locked, await DeliverableModel.getDeliverableReviews(deliverable.id, client));
+        const stepIndex = state.currentStepIndex;
+        const step = state.steps[stepIndex];
+        const approverIndex = step
+            ? step.approvers.findIndex(approver => !approver.decision && canActFor(approver, user, locked))
+            : -1;
+
+        if (approverIndex === -1) {
+            throw approvalError('You are not an approver of the current approval step', 403);
+        }
+
+        const review = await DeliverableModel.createDeliverableReview({
+            deliverableId: deliverable.id,
+            userId: user.userId,
+            decision,
+            comment,
+            reviewRound: locked.review_round,
+            stepIndex,
+            approverIndex
+        }, client);
+
+        const isLastApproval = stepIndex === state.steps.length - 1
+            && step.approvers.every((approver, index) => index === approverIndex || approver.decision === 'approved');
+        const newStatus = decision === 'rejected' ? 'rejected' : (isLastApproval ? 'approved' : null);
+
+        if (newStatus) {
+            assertDeliverableTransition(current.status, newStatus, { viaApproval: true });
+        }
+
+        const updatedDeliverable = newStatus
+            ? await DeliverableModel.updateDeliverable(deliverable.id, { status: newStatus }, client)
+            : locked;
+
+        return { review, updatedDeliverable, stepName: step.name, newStatus };
+    });
+
+    const updatedDeliverable = { ...deliverable, ...result.updatedDeliverable };
+    const state = getApprovalState(updatedDeliverable, await DeliverableModel.getDeliverableReviews(deliverable.id));
+
+    if (result.newStatus) {
+        // The person who did the work hears about the outcome
+        const recipients = new Set([deliverable.assigned_to, deliverable.project_pm_id].filter(id => id && id !== user.userId));
+        for (const userId of recipients) {
+            await sendNotification(userId, `"${deliverable.name}" was ${result.newStatus}`,
+                `${result.stepName}: ${comment}`, 'approval_decided', deliverable.project_id);
+        }
+    } else if (state.steps[state.currentStepIndex]?.name !== result.stepName) {
+        await notifyPendingApprovers(updatedDeliverable);
+    }
+
+    return {
+        review: result.review,
+        deliverable: updatedDeliverable,
+        state,
+        stepName: result.stepName,
+        statusChanged: !!result.newStatus
+    };
+};
+
+export default {
+    APPROVER_TYPES,
+    DEFAULT_APPROVAL_CHAIN,
+    getApprovalChain,
+    getApprovalState,
+    canDecide,
+    notifyPendingApprovers,
+    decideApproval
+};
@@ -0,0 +1,31 @@
+import * as AuditLogModel from '../models/AuditLog.js';
+
+/**
+ * Audit Service - Records who did what to accounts and access, for the
+ * admin audit trail (GET /api/audit). Unlike the project activity log this
+ * is not shown to project members.
+ *
+ * Actions are named '<entity>.<verb>', e.g. 'invitation.created'.
+ */
+
+/**
+ * Record an action
+ * @param {Object} entry - { req, action, entity: { type, id }, details, actorId }
+ *   req supplies the actor and IP address; actorId overrides the actor
+ *   (e.g. the user who just accepted an invitation).
+ * @param {Object} client - Optional transaction client
+ */
+export const recordAudit = async ({ req = null, action, entity, details = null, actorId = null }, client = null) => {
+    return AuditLogModel.createAuditLog({
+        actorId: actorId || req?.user?.userId || null,
+        action,
+        entityType: entity.type,
+        entityId: entity.id,
+        details,
+        ipAddress: req?.ip || null
+    }, client);
+};
+
+export default {
+    recordAudit
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import * as AuthTokenModel from '../models/AuthToken.js';
+import { sendEmail } from './notificationService.js';
+
+/**
+ * Auth Token Service - Single-use, time-limited tokens sent by email for
+ * password resets and email verification, and the one-time codes that hand
+ * an SSO sign-in over to the web app.
+ *
+ * The raw token only ever appears in the link; the database keeps a
+ * SHA-256 hash. Sending a new token cancels the user's earlier unused ones.
+ */
+
+export const TOKEN_PURPOSES = {
+    passwordReset: 'password_reset',
+    emailVerification: 'email_verification',
+    ssoLogin: 'sso_login'
+};
+
+// SSO codes are redeemed by the web app right after the redirect
+const SSO_LOGIN_TTL_MINUTES = 2;
+
+const getTokenTtlMinutes = (purpose) => {
+    switch (purpose) {
+        case TOKEN_PURPOSES.passwordReset:
+            return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+        case TOKEN_PURPOSES.ssoLogin:
+            return SSO_LOGIN_TTL_MINUTES;
+        default:
+            return (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60;
+    }
+};
+
+const STALE_TOKEN_RETENTION_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const clientUrl = (path, token) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${path}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Create a token for a user, cancelling earlier unused ones for the same purpose
+ * @returns {string} - The raw token to put in the link
+ */
+export const issueToken = async (userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + getTokenTtlMinutes(purpose) * 60 * 1000);
+
+    await AuthTokenModel.invalidateUserTokens(userId, purpose);
+    await AuthTokenModel.createAuthToken(userId, purpose, hashToken(token), expiresAt);
+
+    return token;
+};
+
+/**
+ * Use up a token
+ * @returns {Object|null} - { user_id, ... } or null if unknown, expired or already used
+ */
+export const consumeToken = async (token, purpose) => {
+    const record = await AuthTokenModel.consumeAuthToken(hashToken(token), purpose);
+
+    if (record) {
+        await AuthTokenModel.invalidateUserTokens(record.user_id, purpose);
+    }
+
+    return record || null;
+};
+
+export const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user.id, TOKEN_PURPOSES.passwordReset);
+    const link = clientUrl('/reset-password', token);
+    const minutes = getTokenTtlMinutes(TOKEN_PURPOSES.passwordReset);
+
+    await sendEmail(user.email, 'Reset your password',
+        `Someone asked to reset the password for ${user.email}. Open ${link} within ${minutes} minutes to choose a new one. If it wasn't you, ignore this email.`,
+        `<p>Someone asked to reset the password for ${user.email}.</p>
+         <p><a href="${link}">Choose a new password</a> (the link works once, within ${minutes} minutes).</p>
+         <p>If it wasn't you, ignore this email.</p>`);
+};
+
+export const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user.id, TOKEN_PURPOSES.emailVerification);
+    const link = clientUrl('/verify-email', token);
+
+    await sendEmail(user.email, 'Confirm your email address',
+        `Confirm your email address by opening ${link}`,
+        `<p><a href="${link}">Confirm your email address</a></p>`);
+};
+
+/**
+ * Scheduled job: drop tokens that were used or expired a while ago
+ */
+export const purgeStaleTokens = async () => {
+    const deleted = await AuthTokenModel.deleteStaleAuthTokens(STALE_TOKEN_RETENTION_DAYS);
+    return { deleted };
+};
+
+export default {
+    TOKEN_PURPOSES,
+    issueToken,
+    consumeToken,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    purgeStaleTokens
+};
@@ -0,0 +1,74 @@
+import * as UserModel from '../models/User.js';
+import { canAccessProject } from './projectAccessService.js';
+import { sendNotification } from './notificationService.js';
+
+/**
+ * Comment Service - Discussion threads on deliverables.
+ *
+ * A thread is a top-level comment, optionally about one version of the
+ * deliverable, with a single level of replies; threads are resolved and
+ * reopened as a whole. Mentions are written into the body as
+ * @[Name](userId), which the web app inserts for you. Mentioned users who
+ * can see the project are notified once, when the mention first appears.
+ */
+
+const MENTION_PATTERN = /@\[([^\]]+)\]\((\d+)\)/g;
+
+/**
+ * Ids of the users mentioned in a comment body
+ * @returns {Array<number>}
+ */
+export const extractMentions = (body) => {
+    return [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => parseInt(match[2])))];
+};
+
+/**
+ * The body with mentions written as plain @Name, for notifications
+ */
+export const toPlainText = (body) => body.replace(MENTION_PATTERN, '@$1');
+
+/**
+ * Group comments (oldest first) into threads with their replies
+ */
+export const buildThreads = (comments) => {
+    const threads = comments
+        .filter(comment => !comment.parent_id)
+        .map(comment => ({ ...comment, replies: [] }));
+
+    for (const comment of comments.filter(c => c.parent_id)) {
+        threads.find(thread => thread.id === comment.parent_id)?.replies.push(comment);
+    }
+
+    return threads;
+};
+
+/**
+ * Notify users newly mentioned in a comment
+ * @param {Array<number>} userIds - Mentioned users not notified before
+ * @returns {Array<number>} - The users that were notified
+ */
+export const notifyMentions = async (deliverable, comment, userIds, author) => {
+    const notified = [];
+
+    for (const userId of userIds) {
+        if (userId === author.userId) continue;
+
+        const user = await UserModel.findUserById(userId);
+        if (!user || !user.is_active || !(await canAccessProject({ userId: user.id, role: user.role }, deliverable.project_id))) {
+            continue;
+        }
+
+        await sendNotification(userId, `${comment.author_name} mentioned you on "${deliverable.name}"`,
+            toPlainText(comment.body), 'mention', deliverable.project_id);
+        notified.push(userId);
+    }
+
+    return notified;
+};
+
+export default {
+    extractMentions,
+    toPlainText,
+    buildThreads,
+    notifyMentions
+};
@@ -0,0 +1,149 @@
+/**
+ * Diff Service - Compares two texts line by line or word by word.
+ *
+ * Uses Myers' algorithm on the tokens left after trimming the common
+ * prefix and suffix. Texts that differ in more than MAX_EDITS tokens are
+ * reported as one removal and one addition instead, which keeps the work
+ * bounded on unrelated documents.
+ */
+
+export const GRANULARITIES = ['line', 'word'];
+
+const MAX_EDITS = 2000;
+
+// Words keep the whitespace between them as separate tokens, so the changes join back into the text
+const tokenize = (text, granularity) => {
+    if (!text) return [];
+    if (granularity === 'line') return text.split('\n');
+    return text.split(/(\s+)/).filter(token => token !== '');
+};
+
+const join = (tokens, granularity) => tokens.join(granularity === 'line' ? '\n' : '');
+
+/**
+ * Shortest edit script between two token arrays
+ * @returns {Array<{type: string, token: string}>|null} - null when there are more than MAX_EDITS edits
+ */
+const shortestEdit = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDITS);
+
+    // v[k + max] is the furthest x reached on diagonal k; trace keeps v as it was before each step
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(max - d, max + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[k - 1 + max] < v[k + 1 + max]))
+                ? v[k + 1 + max]
+                : v[k - 1 + max] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[k + max] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    return null;
+};
+
+const backtrack = (a, b, trace) => {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const saved = trace[d];
+        const at = (k) => saved[k + d];
+        const k = x - y;
+
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: 'equal', token: a[--x] });
+            y--;
+        }
+
+        if (prevK === k + 1) {
+            edits.push({ type: 'added', token: b[--y] });
+        } else {
+            edits.push({ type: 'removed', token: a[--x] });
+        }
+    }
+
+    while (x > 0 && y > 0) {
+        edits.push({ type: 'equal', token: a[--x] });
+        y--;
+    }
+
+    return edits.reverse();
+};
+
+/**
+ * Diff two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} granularity - 'line' or 'word'
+ * @returns {{changes: Array<{type: string, value: string}>, stats: {added: number, removed: number}}}
+ *   Consecutive tokens of the same type are merged into one change; stats count lines or words.
+ */
+export const diffText = (oldText, newText, granularity = 'line') => {
+    const a = tokenize(oldText, granularity);
+    const b = tokenize(newText, granularity);
+
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+
+    const edits = shortestEdit(middleA, middleB) || [
+        ...middleA.map(token => ({ type: 'removed', token })),
+        ...middleB.map(token => ({ type: 'added', token }))
+    ];
+
+    const allEdits = [
+        ...a.slice(0, prefix).map(token => ({ type: 'equal', token })),
+        ...edits,
+        ...a.slice(a.length - suffix).map(token => ({ type: 'equal', token }))
+    ];
+
+    const groups = [];
+    for (const edit of allEdits) {
+        const last = groups[groups.length - 1];
+        if (last && last.type === edit.type) {
+            last.tokens.push(edit.token);
+        } else {
+            groups.push({ type: edit.type, tokens: [edit.token] });
+        }
+    }
+
+    const isCounted = (token) => granularity === 'line' || token.trim() !== '';
+    const count = (type) => allEdits.filter(edit => edit.type === type && isCounted(edit.token)).length;
+
+    return {
+        changes: groups.map(group => ({ type: group.type, value: join(group.tokens, granularity) })),
+        stats: { added: count('added'), removed: count('removed') }
+    };
+};
+
+export default {
+    GRANULARITIES,
+    diffText
+};
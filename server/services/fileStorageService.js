@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createLocalFileStorage } from './localFileStorage.js';
+import { createS3FileStorage } from './s3FileStorage.js';
+
+/**
+ * File Storage Service - Where deliverable files are kept.
+ *
+ * STORAGE_BACKEND selects the backend: `local` (the default, files under
+ * UPLOAD_DIR) or `s3` (S3_* variables, works with S3-compatible services).
+ * registerStorageBackend() adds others. A backend stores, streams and
+ * removes files by key:
+ *
+ *   put(key, buffer, { contentType, size }), get(key) -> { stream, size } | null, remove(key)
+ *
+ * Uploads are limited to MAX_FILE_SIZE bytes and the MIME types in
+ * ALLOWED_FILE_TYPES; for types with a well-known signature the content has
+ * to match the declared type.
+ */
+
+const BACKENDS = {
+    local: () => createLocalFileStorage({ directory: process.env.UPLOAD_DIR }),
+    s3: () => createS3FileStorage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+    })
+};
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip',
+    'text/plain',
+    'text/markdown',
+    'text/csv',
+    'image/png',
+    'image/jpeg',
+    'image/gif'
+];
+
+// Leading bytes of types that are easy to pass off as something else
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const SIGNATURES = {
+    'application/pdf': [0x25, 0x50, 0x44, 0x46],
+    'image/png': [0x89, 0x50, 0x4e, 0x47],
+    'image/jpeg': [0xff, 0xd8, 0xff],
+    'image/gif': [0x47, 0x49, 0x46, 0x38],
+    'application/zip': ZIP_SIGNATURE,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP_SIGNATURE,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP_SIGNATURE,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP_SIGNATURE
+};
+
+let storageCache = { type: null, storage: null };
+
+/**
+ * Add another storage backend
+ * @param {string} type - Value of STORAGE_BACKEND that selects it
+ * @param {Function} factory - () => { put, get, remove }
+ */
+export const registerStorageBackend = (type, factory) => {
+    BACKENDS[type] = factory;
+    storageCache = { type: null, storage: null };
+};
+
+// The configured backend, rebuilt when STORAGE_BACKEND changes
+export const getStorage = () => {
+    const type = process.env.STORAGE_BACKEND || 'local';
+
+    if (storageCache.type !== type) {
+        if (!BACKENDS[type]) {
+            throw new Error(`Unknown storage backend "${type}"`);
+        }
+        storageCache = { type, storage: BACKENDS[type]() };
+    }
+
+    return storageCache.storage;
+};
+
+export const getUploadLimits = () => ({
+    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE,
+    allowedTypes: process.env.ALLOWED_FILE_TYPES
+        ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+        : DEFAULT_ALLOWED_TYPES
+});
+
+// Entries like image/* allow every subtype
+export const isAllowedType = (mimeType) => getUploadLimits().allowedTypes.some(allowed => (
+    allowed.endsWith('/*') ? mimeType.startsWith(allowed.slice(0, -1)) : mimeType === allowed
+));
+
+export const matchesSignature = (buffer, mimeType) => {
+    const signature = SIGNATURES[mimeType];
+    return !signature || signature.every((byte, index) => buffer[index] === byte);
+};
+
+/**
+ * Store an uploaded file of a deliverable
+ * @param {number} deliverableId
+ * @param {Object} file - Multer file: { buffer, originalname, mimetype, size }
+ * @returns {string} - Key of the stored file
+ */
+export const storeDeliverableFile = async (deliverableId, file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const key = `deliverables/${deliverableId}/${crypto.randomUUID()}`
+        + (/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '');
+
+    await getStorage().put(key, file.buffer, { contentType: file.mimetype, size: file.size });
+    return key;
+};
+
+// Removing files is best effort: a leftover file is harmless, a failed request is not
+export const removeStoredFiles = async (keys) => {
+    for (const key of keys) {
+        try {
+            await getStorage().remove(key);
+        } catch (error) {
+            console.error(`Failed to remove stored file ${key}:`, error);
+        }
+    }
+};
+
+/**
+ * Stream a stored file to the response as a download
+ * @param {Object} file - { key, name, type }
+ * @returns {boolean} - false when the file is missing from storage (nothing was sent)
+ */
+export const sendStoredFile = async (res, file) => {
+    const stored = await getStorage().get(file.key);
+    if (!stored) return false;
+
+    const name = file.name || path.basename(file.key);
+    const asciiName = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+    res.setHeader('Content-Type', file.type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (stored.size) {
+        res.setHeader('Content-Length', stored.size);
+    }
+
+    // Once streaming has started, a failure can only cut the download short
+    try {
+        await pipeline(stored.stream, res);
+    } catch (error) {
+        console.error(`Failed to stream stored file ${file.key}:`, error);
+        res.destroy();
+    }
+
+    return true;
+};
+
+export default {
+    registerStorageBackend,
+    getStorage,
+    getUploadLimits,
+    isAllowedType,
+    matchesSignature,
+    storeDeliverableFile,
+    removeStoredFiles,
+    sendStoredFile
+};
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import * as InvitationModel from '../models/Invitation.js';
+import * as UserModel from '../models/User.js';
+import * as ProjectModel from '../models/Project.js';
+import * as ProjectMemberModel from '../models/ProjectMember.js';
+import { sendEmail } from './notificationService.js';
+import { recordAudit } from './auditService.js';
+import { withTransaction } from './transactionService.js';
+
+/**
+ * Invitation Service - Accounts are created by accepting an invitation.
+ *
+ * An invitation fixes the role of the new account and can add it to a
+ * project. The emailed link carries a random token (only its hash is
+ * stored) and expires after INVITATION_TTL_DAYS. Creating, accepting and
+ * revoking invitations are recorded in the audit trail.
+ */
+
+// Roles each inviter role may hand out
+export const INVITABLE_ROLES = {
+    admin: ['admin', 'pm', 'team_member', 'client'],
+    pm: ['team_member', 'client']
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const invitationExpiry = () => {
+    const days = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Create an invitation and email its link
+ * @param {Object} data - { email, role, projectId, projectRole, clientContactId }
+ * @param {Object} req - The inviter's request
+ * @returns {Object} - The invitation
+ */
+export const createInvitation = async (data, req) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const invitation = await withTransaction(async (client) => {
+        const created = await InvitationModel.createInvitation({
+            ...data,
+            tokenHash: hashToken(token),
+            invitedBy: req.user.userId,
+            expiresAt: invitationExpiry()
+        }, client);
+
+        await recordAudit({
+            req,
+            action: 'invitation.created',
+            entity: { type: 'invitation', id: created.id },
+            details: { email: created.email, role: created.role, projectId: created.project_id, projectRole: created.project_role }
+        }, client);
+
+        return created;
+    });
+
+    const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/accept-invite?token=${encodeURIComponent(token)}`;
+    const joining = invitation.project_name ? ` to join "${invitation.project_name}"` : '';
+    const expires = new Date(invitation.expires_at).toDateString();
+    // Names are user input; they go into the HTML part escaped
+    const joiningHtml = invitation.project_name ? ` to join "${escapeHtml(invitation.project_name)}"` : '';
+
+    try {
+        await sendEmail(invitation.email, `${invitation.invited_by_name} invited you${joining}`,
+            `${invitation.invited_by_name} invited you${joining}. Create your account at ${link} before ${expires}.`,
+            `<p>${escapeHtml(invitation.invited_by_name)} invited you${joiningHtml}.</p>
+             <p><a href="${escapeHtml(link)}">Create your account</a> (the link expires on ${expires}).</p>`);
+    } catch (error) {
+        // The invitation stands; it can be revoked and sent again
+        console.error('Invitation email error:', error);
+    }
+
+    return invitation;
+};
+
+/**
+ * Find a pending invitation by its token
+ * @returns {Object|null}
+ */
+export const getPendingInvitation = async (token) => {
+    const invitation = await InvitationModel.getInvitationByTokenHash(hashToken(token));
+    return invitation && invitation.status === 'pending' ? invitation : null;
+};
+
+/**
+ * Create the invited account, add it to the invitation's project and mark
+ * the invitation accepted, all in one transaction
+ * @param {Object} invitation - A pending invitation
+ * @param {Object} account - { password, firstName, lastName }
+ * @returns {Object|null} - The new user, or null if the invitation was used up meanwhile
+ */
+export const acceptInvitation = async (invitation, account, req) => {
+    return withTransaction(async (client) => {
+        const user = await UserModel.createUser(
+            invitation.email, account.password, account.firstName, account.lastName, invitation.role, client
+        );
+
+        if (!(await InvitationModel.markInvitationAccepted(invitation.id, user.id, client))) {
+            // Rolls back the new account
+            throw Object.assign(new Error('Invitation is no longer valid'), { code: 'INVITATION_USED' });
+        }
+
+        // The link arrived by email, so the address is confirmed
+        const verified = await UserModel.markEmailVerified(user.id, client);
+
+        if (invitation.project_id) {
+            await ProjectMemberModel.addProjectMember(
+                invitation.project_id, user.id, invitation.project_role || 'contributor', invitation.invited_by, client
+            );
+        }
+
+        if (invitation.client_contact_id) {
+            await ProjectModel.linkClientContactUser(invitation.client_contact_id, user.id, client);
+        }
+
+        await recordAudit({
+            req,
+            actorId: user.id,
+            action: 'invitation.accepted',
+            entity: { type: 'invitation', id: invitation.id },
+            details: { email: invitation.email, role: invitation.role, userId: user.id, projectId: invitation.project_id }
+        }, client);
+
+        return { ...user, email_verified_at: verified.email_verified_at };
+    }).catch(error => {
+        if (error.code === 'INVITATION_USED') {
+            return null;
+        }
+        throw error;
+    });
+};
+
+/**
+ * Revoke a pending invitation
+ * @returns {Object|null} - The revoked invitation, or null if it was not pending
+ */
+export const revokeInvitation = async (invitation, req) => {
+    const revoked = await InvitationModel.revokeInvitation(invitation.id, req.user.userId);
+
+    if (revoked) {
+        await recordAudit({
+            req,
+            action: 'invitation.revoked',
+            entity: { type: 'invitation', id: invitation.id },
+            details: { email: invitation.email, role: invitation.role, projectId: invitation.project_id }
+        });
+    }
+
+    return revoked;
+};
+
+export default {
+    INVITABLE_ROLES,
+    createInvitation,
+    getPendingInvitation,
+    acceptInvitation,
+    revokeInvitation
+};
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local File Storage - Keeps uploaded files in a directory on this server's disk.
+ */
+
+/**
+ * Create a local disk storage backend
+ * @param {Object} config - { directory }
+ * @returns {Object} - { put, get, remove }
+ */
+export const createLocalFileStorage = (config) => {
+    const root = path.resolve(config.directory || './uploads');
+
+    // Keys are generated by the server, but never let one point outside the upload directory
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    };
+
+    return {
+        put: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+
+        // null when the file is missing
+        get: async (key) => {
+            const filePath = resolve(key);
+            const stats = await fs.promises.stat(filePath).catch(() => null);
+            if (!stats) return null;
+
+            return { stream: fs.createReadStream(filePath), size: stats.size };
+        },
+
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
@@ -1,5 +1,6 @@
 import { query } from '../config/database.js';
 import nodemailer from 'nodemailer';
+import { publishToUser } from './realtimeService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -22,12 +23,16 @@ if (process.env.EMAIL_HOST && process.env.EMAIL_USER) {
  * Send in-app notification
  */
 export const sendNotification = async (userId, title, message, notificationType, relatedProjectId = null) => {
-    await query(
+    const result = await query(
         `INSERT INTO notifications (user_id, title, message, notification_type, related_project_id)
-     VALUES ($1, $2, $3, $4, $5)`,
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
         [userId, title, message, notificationType, relatedProjectId]
     );
 
+    // Push to the user's open sessions
+    publishToUser(userId, 'notification', result.rows[0]);
+
     // Also send email if configured
     if (transporter) {
         try {
@@ -42,6 +47,28 @@ export const sendNotification = async (userId, title, message, notificationType,
     }
 };
 
+/**
+ * Send an in-app notification only if the dedupe key has not been used before.
+ * Recurring jobs use this so the same reminder is not repeated on every run.
+ * @returns {Promise<boolean>} - Whether the notification was sent
+ */
+export const sendNotificationOnce = async (dedupeKey, userId, title, message, notificationType, relatedProjectId = null) => {
+    const isFirst = await claimDedupeKey(dedupeKey);
+    if (!isFirst) {
+        return false;
+    }
+
+    // A failed send gives the key back, so the next run tries again
+    try {
+        await sendNotification(userId, title, message, notificationType, relatedProjectId);
+    } catch (error) {
+        await releaseDedupeKey(dedupeKey);
+        throw error;
+    }
+
+    return true;
+};
+
 /**
  * Send email notification
  */
@@ -69,7 +96,7 @@ export const sendEmail = async (to, subject, text, html = null) => {
 /**
  * Get notifications for a user
  */
-export const getUserNotifications = async (userId, unreadOnly = false) => {
+export const getUserNotifications = async (userId, unreadOnly = false, { limit = 50, offset = 0 } = {}) => {
     let queryText = `
     SELECT n.*, p.name as project_name
     FROM notifications n
@@ -81,9 +108,9 @@ export const getUserNotifications = async (userId, unreadOnly = false) => {
         queryText += ' AND n.is_read = false';
     }
 
-    queryText += ' ORDER BY n.created_at DESC LIMIT 50';
+    queryText += ' ORDER BY n.created_at DESC LIMIT $2 OFFSET $3';
 
-    const result = await query(queryText, [userId]);
+    const result = await query(queryText, [userId, limit, offset]);
     return result.rows;
 };
 
@@ -119,6 +146,82 @@ export const getUnreadCount = async (userId) => {
     return parseInt(result.rows[0].count);
 };
 
+/**
+ * Email each active user a digest of the unread notifications they received in the last day
+ */
+export const sendDailyDigests = async () => {
+    if (!transporter) {
+        console.log('Email not configured, skipping notification digests');
+        return { sent: 0 };
+    }
+
+    const result = await query(
+        `SELECT u.id as user_id, u.email, u.first_name,
+            n.title, n.message, p.name as project_name
+     FROM notifications n
+     JOIN users u ON n.user_id = u.id
+     LEFT JOIN projects p ON n.related_project_id = p.id
+     WHERE n.is_read = false
+       AND u.is_active = true
+       AND n.created_at >= CURRENT_TIMESTAMP - INTERVAL '1 day'
+     ORDER BY u.id, n.created_at DESC`,
+        []
+    );
+
+    const digests = new Map();
+    for (const row of result.rows) {
+        if (!digests.has(row.user_id)) {
+            digests.set(row.user_id, { email: row.email, firstName: row.first_name, items: [] });
+        }
+        digests.get(row.user_id).items.push(row);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    let sent = 0;
+
+    for (const [userId, digest] of digests) {
+        const isFirst = await claimDedupeKey(`digest:${userId}:${today}`);
+        if (!isFirst) {
+            continue;
+        }
+
+        const lines = digest.items.map(item =>
+            `- ${item.title}${item.project_name ? ` (${item.project_name})` : ''}: ${item.message || ''}`
+        );
+        const text = `Hi ${digest.firstName},\n\nYou have ${digest.items.length} unread notification(s) from the last day:\n\n${lines.join('\n')}`;
+
+        try {
+            await sendEmail(digest.email, 'Your daily project digest', text, `<pre>${escapeHtml(text)}</pre>`);
+            sent++;
+        } catch (error) {
+            // Give the key back so a later run today retries this digest
+            await releaseDedupeKey(`digest:${userId}:${today}`);
+            console.error('Failed to send digest email:', error);
+        }
+    }
+
+    return { sent };
+};
+
+// Record a dedupe key; false when it was already recorded
+const claimDedupeKey = async (dedupeKey) => {
+    const result = await query(
+        `INSERT INTO notification_dedupe (dedupe_key) VALUES ($1)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING dedupe_key`,
+        [dedupeKey]
+    );
+    return result.rowCount > 0;
+};
+
+const releaseDedupeKey = async (dedupeKey) => {
+    await query('DELETE FROM notification_dedupe WHERE dedupe_key = $1', [dedupeKey]);
+};
+
+const escapeHtml = (text) => {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
 /**
  * Send batch notifications to multiple users
  */
@@ -130,10 +233,12 @@ export const sendBatchNotifications = async (userIds, title, message, notificati
 
 export default {
     sendNotification,
+    sendNotificationOnce,
     sendEmail,
     getUserNotifications,
     markNotificationAsRead,
     markAllAsRead,
     getUnreadCount,
+    sendDailyDigests,
     sendBatchNotifications
 };
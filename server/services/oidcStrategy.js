@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * OIDC Strategy - Sign-in with an OpenID Connect identity provider using the
+ * authorization code flow with PKCE.
+ *
+ * Endpoints come from the provider's discovery document. The ID token is
+ * checked against the provider's published keys (JWKS), issuer, audience,
+ * expiry and the nonce sent with the authorization request. Groups missing
+ * from the ID token are read from the userinfo endpoint.
+ */
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const reason = body?.error_description || body?.error || response.statusText;
+        throw new Error(`${options.method || 'GET'} ${url} failed: ${reason}`);
+    }
+
+    return body;
+};
+
+/**
+ * Create an OIDC strategy for one provider
+ * @param {Object} config - { id, issuer, clientId, clientSecret, scopes, groupsClaim }
+ * @returns {Object} - { getAuthorizationUrl, completeLogin }
+ */
+export const createOidcStrategy = (config) => {
+    if (!config.issuer || !config.clientId) {
+        throw new Error(`SSO provider "${config.id}" needs an issuer and a client id`);
+    }
+
+    const issuer = config.issuer.replace(/\/$/, '');
+    let metadata = null;
+    let metadataFetchedAt = 0;
+    let signingKeys = new Map();
+
+    const getMetadata = async () => {
+        if (!metadata || Date.now() - metadataFetchedAt > METADATA_TTL_MS) {
+            metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+            metadataFetchedAt = Date.now();
+            signingKeys = new Map();
+        }
+        return metadata;
+    };
+
+    const loadSigningKeys = async () => {
+        const { jwks_uri: jwksUri } = await getMetadata();
+        const { keys = [] } = await fetchJson(jwksUri);
+
+        signingKeys = new Map(keys
+            .filter(key => !key.use || key.use === 'sig')
+            .map(key => [key.kid || '', crypto.createPublicKey({ key, format: 'jwk' })]));
+    };
+
+    // Keys rotate: an unknown key id triggers one reload of the JWKS
+    const getSigningKey = async (kid = '') => {
+        if (!signingKeys.has(kid)) {
+            await loadSigningKeys();
+        }
+
+        const key = signingKeys.get(kid) || (!kid && signingKeys.size === 1 ? [...signingKeys.values()][0] : null);
+        if (!key) {
+            throw new Error(`Unknown signing key "${kid}"`);
+        }
+        return key;
+    };
+
+    const verifyIdToken = async (idToken, nonce) => {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error('Malformed ID token');
+        }
+
+        const claims = jwt.verify(idToken, await getSigningKey(decoded.header.kid), {
+            algorithms: SIGNING_ALGORITHMS,
+            issuer: (await getMetadata()).issuer,
+            audience: config.clientId
+        });
+
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match');
+        }
+
+        return claims;
+    };
+
+    const getUserInfo = async (accessToken) => {
+        const { userinfo_endpoint: userinfoEndpoint } = await getMetadata();
+        if (!userinfoEndpoint || !accessToken) return {};
+
+        return fetchJson(userinfoEndpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+    };
+
+    const exchangeCode = async ({ code, codeVerifier, redirectUri }) => {
+        const { token_endpoint: tokenEndpoint, token_endpoint_auth_methods_supported: authMethods } = await getMetadata();
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: config.clientId,
+            code_verifier: codeVerifier
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+        // Confidential clients authenticate with HTTP Basic unless the provider only takes the secret in the body
+        if (config.clientSecret) {
+            if (authMethods && !authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+                body.set('client_secret', config.clientSecret);
+            } else {
+                const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+                headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            }
+        }
+
+        return fetchJson(tokenEndpoint, { method: 'POST', headers, body });
+    };
+
+    /**
+     * Where to send the browser to sign in
+     * @param {Object} login - { state, nonce, codeVerifier, redirectUri }
+     */
+    const getAuthorizationUrl = async ({ state, nonce, codeVerifier, redirectUri }) => {
+        const { authorization_endpoint: authorizationEndpoint } = await getMetadata();
+        const url = new URL(authorizationEndpoint);
+
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: redirectUri,
+            scope: config.scopes,
+            state,
+            nonce,
+            code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return url.toString();
+    };
+
+    /**
+     * Finish the sign-in from the provider's callback
+     * @param {Object} params - Query parameters of the callback
+     * @param {Object} login - { nonce, codeVerifier, redirectUri }
+     * @returns {Object} - Profile { subject, email, emailVerified, firstName, lastName, groups }
+     */
+    const completeLogin = async (params, { nonce, codeVerifier, redirectUri }) => {
+        if (!params.code) {
+            throw new Error('The identity provider did not return an authorization code');
+        }
+
+        const tokens = await exchangeCode({ code: params.code, codeVerifier, redirectUri });
+        if (!tokens.id_token) {
+            throw new Error('The identity provider did not return an ID token');
+        }
+
+        let claims = await verifyIdToken(tokens.id_token, nonce);
+
+        if (!claims.email || claims[config.groupsClaim] === undefined) {
+            const userInfo = await getUserInfo(tokens.access_token);
+
+            // Userinfo for another subject must be ignored (OIDC Core 5.3.2)
+            if (userInfo.sub === claims.sub) {
+                claims = { ...userInfo, ...claims, [config.groupsClaim]: claims[config.groupsClaim] ?? userInfo[config.groupsClaim] };
+            }
+        }
+
+        const [firstName, ...rest] = (claims.name || '').trim().split(/\s+/);
+        const groups = claims[config.groupsClaim];
+
+        return {
+            subject: claims.sub,
+            email: claims.email || null,
+            // Only an explicit claim counts: some providers (e.g. Entra ID) never send it
+            emailVerified: claims.email_verified === true,
+            firstName: claims.given_name || firstName || null,
+            lastName: claims.family_name || rest.join(' ') || null,
+            groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : [])
+        };
+    };
+
+    return {
+        getAuthorizationUrl,
+        completeLogin
+    };
+};
+
+export default {
+    createOidcStrategy
+};
@@ -0,0 +1,117 @@
+import * as ProjectMemberModel from '../models/ProjectMember.js';
+
+/**
+ * Project Access Service - Membership-based authorization.
+ *
+ * A user's role on a project comes from being its PM (manager), a phase
+ * stakeholder (contributor) or an explicit member (viewer, contributor or
+ * manager); the highest one wins. Admins can do everything everywhere.
+ * Client users never get internal access; the client portal checks
+ * their membership with isProjectClient instead.
+ *
+ * Access levels:
+ *   view       - read the project, its deliverables and activity
+ *   contribute - work on deliverables (edit, change status, generate)
+ *   manage     - change the project, its plan and its members
+ */
+
+export const PROJECT_ROLES = ['viewer', 'contributor', 'manager'];
+
+const LEVEL_FLAGS = {
+    view: 'canView',
+    contribute: 'canContribute',
+    manage: 'canManage'
+};
+
+const rank = (role) => PROJECT_ROLES.indexOf(role);
+
+/**
+ * Highest role in a list of roles (null when empty)
+ */
+export const highestRole = (roles) => {
+    return roles.reduce((best, role) => (best === null || rank(role) > rank(best) ? role : best), null);
+};
+
+/**
+ * Work out what a user may do on a project
+ */
+export const getProjectAccess = async (user, projectId) => {
+    if (user.role === 'admin') {
+        return { role: 'admin', canView: true, canContribute: true, canManage: true };
+    }
+
+    // Clients only ever see their projects through the client portal
+    if (user.role === 'client') {
+        return { role: null, canView: false, canContribute: false, canManage: false };
+    }
+
+    const role = highestRole(await ProjectMemberModel.getUserProjectRoles(projectId, user.userId));
+
+    return {
+        role,
+        canView: role !== null,
+        canContribute: rank(role) >= rank('contributor'),
+        canManage: role === 'manager'
+    };
+};
+
+/**
+ * Whether an access result allows the given level
+ */
+export const allowsLevel = (access, level) => {
+    return access[LEVEL_FLAGS[level]] === true;
+};
+
+export const canAccessProject = async (user, projectId, level = 'view') => {
+    return allowsLevel(await getProjectAccess(user, projectId), level);
+};
+
+/**
+ * Whether a client user may see a project in the client portal
+ */
+export const isProjectClient = async (user, projectId) => {
+    if (user.role !== 'client') {
+        return false;
+    }
+
+    const roles = await ProjectMemberModel.getUserProjectRoles(projectId, user.userId);
+    return roles.length > 0;
+};
+
+/**
+ * Project members, one entry per user with their effective role and where it comes from
+ */
+export const getProjectMembers = async (projectId) => {
+    const rows = await ProjectMemberModel.getProjectMemberships(projectId);
+    const members = new Map();
+
+    for (const row of rows) {
+        if (!members.has(row.user_id)) {
+            members.set(row.user_id, {
+                user_id: row.user_id,
+                first_name: row.first_name,
+                last_name: row.last_name,
+                email: row.email,
+                user_role: row.user_role,
+                role: row.role,
+                sources: []
+            });
+        }
+
+        const member = members.get(row.user_id);
+        member.role = highestRole([member.role, row.role]);
+        member.sources.push(row.source);
+    }
+
+    return [...members.values()];
+};
+
+export default {
+    PROJECT_ROLES,
+    highestRole,
+    getProjectAccess,
+    allowsLevel,
+    canAccessProject,
+    isProjectClient,
+    getProjectMembers
+};
@@ -0,0 +1,229 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { canAccessProject } from './projectAccessService.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+/**
+ * Realtime Service - Pushes notifications and project changes to connected
+ * clients over WebSockets.
+ *
+ * Clients connect to /ws?token=<access token> (the same token authMiddleware accepts),
+ * receive their own user events automatically and send
+ * { type: 'subscribe' | 'unsubscribe', projectId } for project events.
+ * Access can be taken away while subscribed, so it is checked again before
+ * each project event; connections that lost it are unsubscribed.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+let wss = null;
+const userSockets = new Map();     // userId -> Set<WebSocket>
+const projectSockets = new Map();  // projectId -> Set<WebSocket>
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ */
+export const initRealtime = (server) => {
+    wss = new WebSocketServer({ server, path: '/ws' });
+
+    wss.on('connection', (socket, req) => {
+        socket.user = null;
+        socket.projects = new Set();
+        socket.isAlive = true;
+
+        // The token is checked against its session; messages sent meanwhile wait for it
+        const url = new URL(req.url, 'http://localhost');
+        const authenticated = authenticateToken(url.searchParams.get('token'))
+            .then(user => {
+                if (!user) {
+                    socket.close(4401, 'Invalid or expired token');
+                    return false;
+                }
+
+                // Closed while the token was being checked
+                if (socket.readyState !== WebSocket.OPEN) {
+                    return false;
+                }
+
+                socket.user = user;
+                addToChannel(userSockets, user.userId, socket);
+                send(socket, { type: 'connected', userId: user.userId });
+                return true;
+            })
+            .catch(error => {
+                console.error('Realtime authentication error:', error);
+                socket.close(1011, 'Failed to authenticate');
+                return false;
+            });
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => {
+            authenticated
+                .then(ok => ok && socket.user && handleMessage(socket, raw))
+                .catch(error => {
+                    console.error('Realtime message error:', error);
+                    send(socket, { type: 'error', error: 'Failed to process message' });
+                });
+        });
+
+        socket.on('close', () => {
+            if (socket.user) {
+                removeFromChannel(userSockets, socket.user.userId, socket);
+            }
+            for (const projectId of socket.projects) {
+                removeFromChannel(projectSockets, projectId, socket);
+            }
+        });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+};
+
+/**
+ * Push an event to every connection of a user
+ */
+export const publishToUser = (userId, event, data) => {
+    broadcast(userSockets.get(userId), { type: 'event', channel: 'user', event, data });
+};
+
+/**
+ * Push an event to every connection subscribed to a project that still has access to it
+ */
+export const publishToProject = (projectId, event, data) => {
+    const id = parseInt(projectId);
+    const sockets = [...(projectSockets.get(id) || [])];
+    if (sockets.length === 0) return;
+
+    Promise.all(sockets.map(socket => keepsProjectAccess(socket, id)))
+        .then(allowed => {
+            broadcast(sockets.filter((socket, index) => allowed[index]),
+                { type: 'event', channel: `project:${id}`, event, data });
+        })
+        .catch(error => console.error('Realtime publish error:', error));
+};
+
+/**
+ * Close the connections of ended sessions (logout, revoked session,
+ * deactivated user). Pass a userId to close all of that user's connections.
+ */
+export const disconnectSessions = ({ userId = null, sessionIds = [] }) => {
+    const ids = new Set(sessionIds);
+
+    for (const socket of wss?.clients || []) {
+        if (socket.user && (socket.user.userId === userId || ids.has(socket.user.sessionId))) {
+            socket.close(4401, 'Session ended');
+        }
+    }
+};
+
+const handleMessage = async (socket, raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        send(socket, { type: 'error', error: 'Invalid message' });
+        return;
+    }
+
+    const projectId = parseInt(message.projectId);
+
+    switch (message.type) {
+        case 'subscribe':
+            if (!projectId || !(await canSubscribeToProject(socket.user, projectId))) {
+                send(socket, { type: 'error', error: 'Access denied', projectId: message.projectId });
+                return;
+            }
+            socket.projects.add(projectId);
+            addToChannel(projectSockets, projectId, socket);
+            send(socket, { type: 'subscribed', projectId });
+            break;
+
+        case 'unsubscribe':
+            socket.projects.delete(projectId);
+            removeFromChannel(projectSockets, projectId, socket);
+            send(socket, { type: 'unsubscribed', projectId });
+            break;
+
+        default:
+            send(socket, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+};
+
+// Same rule as GET /api/projects/:id: project members and admins
+const canSubscribeToProject = async (user, projectId) => {
+    return canAccessProject(user, projectId, 'view');
+};
+
+// Unsubscribe a connection that lost access; an error counts as no access for this event
+const keepsProjectAccess = async (socket, projectId) => {
+    try {
+        if (await canSubscribeToProject(socket.user, projectId)) {
+            return true;
+        }
+    } catch (error) {
+        console.error('Realtime access check error:', error);
+        return false;
+    }
+
+    socket.projects.delete(projectId);
+    removeFromChannel(projectSockets, projectId, socket);
+    send(socket, { type: 'unsubscribed', projectId, reason: 'Access denied' });
+    return false;
+};
+
+const addToChannel = (channels, key, socket) => {
+    if (!channels.has(key)) {
+        channels.set(key, new Set());
+    }
+    channels.get(key).add(socket);
+};
+
+const removeFromChannel = (channels, key, socket) => {
+    const sockets = channels.get(key);
+    if (!sockets) return;
+
+    sockets.delete(socket);
+    if (sockets.size === 0) {
+        channels.delete(key);
+    }
+};
+
+const broadcast = (sockets, message) => {
+    if (!sockets) return;
+
+    const payload = JSON.stringify(message);
+    for (const socket of sockets) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(payload);
+        }
+    }
+};
+
+const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+export default {
+    initRealtime,
+    publishToUser,
+    publishToProject,
+    disconnectSessions
+};
@@ -0,0 +1,379 @@
+import { query } from '../config/database.js';
+import * as WorkflowRuleModel from '../models/WorkflowRule.js';
+import { updateDeliverable } from '../models/Deliverable.js';
+import { addPhaseStakeholder } from '../models/Project.js';
+import { sendNotification } from './notificationService.js';
+import { notifyPendingApprovers } from './approvalService.js';
+import {
+    transitionProjectStatus,
+    progressPhase,
+    assertDeliverableTransition,
+    assertPredecessorsFinished,
+    generateDeliverableContent,
+    logActivity
+} from './workflowEngine.js';
+
+/**
+ * Rule Engine - Evaluates the workflow_rules configured on a template
+ * whenever the workflow engine emits one of the trigger events below.
+ */
+
+export const TRIGGER_EVENTS = [
+    'project_status_change',
+    'phase_status_change',
+    'deliverable_updated',
+    'deliverable_generated'
+];
+
+export const ACTION_TYPES = [
+    'send_notification',
+    'assign_user',
+    'change_status',
+    'trigger_ai_generation'
+];
+
+export const CONDITION_OPERATORS = [
+    'equals',
+    'not_equals',
+    'in',
+    'not_in',
+    'contains',
+    'gt',
+    'gte',
+    'lt',
+    'lte',
+    'exists'
+];
+
+// Actions may emit further events (e.g. change_status); cap the chain so
+// two rules that trigger each other cannot loop forever.
+const MAX_RULE_DEPTH = 3;
+
+/**
+ * Run every active rule for the event against the affected project/phase/deliverable.
+ * Rule failures are logged and never propagate to the caller.
+ */
+export const runWorkflowRules = async (triggerEvent, eventData = {}) => {
+    const depth = eventData.depth || 0;
+    if (depth >= MAX_RULE_DEPTH) {
+        console.warn(`Workflow rules skipped for ${triggerEvent}: max depth ${MAX_RULE_DEPTH} reached`);
+        return [];
+    }
+
+    try {
+        const context = await buildContext(triggerEvent, eventData);
+        if (!context.project) {
+            return [];
+        }
+
+        const rules = await WorkflowRuleModel.getActiveRulesForEvent(context.project.template_id, triggerEvent);
+        const executed = [];
+
+        for (const rule of rules) {
+            try {
+                if (!evaluateCondition(rule.condition_json, context)) {
+                    continue;
+                }
+
+                await executeAction(rule, context, depth + 1);
+                executed.push(rule.id);
+
+                await logActivity(context.project.id, eventData.userId || null, 'workflow_rule_executed',
+                    `Workflow rule #${rule.id} (${rule.action_type}) executed on ${triggerEvent}`,
+                    { ruleId: rule.id, triggerEvent, actionType: rule.action_type });
+            } catch (error) {
+                console.error(`Workflow rule #${rule.id} failed:`, error);
+            }
+        }
+
+        return executed;
+    } catch (error) {
+        console.error(`Workflow rules for ${triggerEvent} failed:`, error);
+        return [];
+    }
+};
+
+/**
+ * Evaluate a condition_json tree against the event context.
+ *
+ * Supported shapes:
+ *   { all: [cond, ...] } / { any: [cond, ...] } / { not: cond }
+ *   { field: 'deliverable.status', operator: 'equals', value: 'approved' }
+ * An empty or missing condition always matches.
+ */
+export const evaluateCondition = (condition, context) => {
+    if (!condition || Object.keys(condition).length === 0) {
+        return true;
+    }
+
+    if (Array.isArray(condition.all)) {
+        return condition.all.every(c => evaluateCondition(c, context));
+    }
+
+    if (Array.isArray(condition.any)) {
+        return condition.any.some(c => evaluateCondition(c, context));
+    }
+
+    if (condition.not) {
+        return !evaluateCondition(condition.not, context);
+    }
+
+    if (!condition.field) {
+        throw new Error('Condition requires a field');
+    }
+
+    const actual = resolvePath(context, condition.field);
+    const expected = condition.value;
+
+    switch (condition.operator || 'equals') {
+        case 'equals':
+            return actual === expected;
+        case 'not_equals':
+            return actual !== expected;
+        case 'in':
+            return Array.isArray(expected) && expected.includes(actual);
+        case 'not_in':
+            return Array.isArray(expected) && !expected.includes(actual);
+        case 'contains':
+            if (Array.isArray(actual)) return actual.includes(expected);
+            return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+        case 'gt':
+            return toComparable(actual) > toComparable(expected);
+        case 'gte':
+            return toComparable(actual) >= toComparable(expected);
+        case 'lt':
+            return toComparable(actual) < toComparable(expected);
+        case 'lte':
+            return toComparable(actual) <= toComparable(expected);
+        case 'exists':
+            return (actual !== undefined && actual !== null) === (expected !== false);
+        default:
+            throw new Error(`Unknown condition operator: ${condition.operator}`);
+    }
+};
+
+/**
+ * Load the project, phase and deliverable an event refers to
+ */
+const buildContext = async (triggerEvent, eventData) => {
+    const { projectId, phaseId, deliverableId, previousStatus, newStatus, userId } = eventData;
+    const context = { event: triggerEvent, previousStatus, newStatus, userId };
+
+    if (deliverableId) {
+        const result = await query('SELECT * FROM deliverables WHERE id = $1', [deliverableId]);
+        context.deliverable = result.rows[0];
+    }
+
+    const resolvedPhaseId = phaseId || context.deliverable?.phase_id;
+    if (resolvedPhaseId) {
+        const result = await query('SELECT * FROM project_phases WHERE id = $1', [resolvedPhaseId]);
+        context.phase = result.rows[0];
+    }
+
+    const resolvedProjectId = projectId || context.phase?.project_id || context.deliverable?.project_id;
+    if (resolvedProjectId) {
+        const result = await query('SELECT * FROM projects WHERE id = $1', [resolvedProjectId]);
+        context.project = result.rows[0];
+    }
+
+    return context;
+};
+
+/**
+ * Dispatch a rule to its action handler
+ */
+const executeAction = async (rule, context, depth) => {
+    const config = rule.action_config || {};
+
+    switch (rule.action_type) {
+        case 'send_notification':
+            return executeSendNotification(config, context);
+        case 'assign_user':
+            return executeAssignUser(config, context);
+        case 'change_status':
+            return executeChangeStatus(config, context, depth);
+        case 'trigger_ai_generation':
+            return executeAIGeneration(config, context, depth);
+        default:
+            throw new Error(`Unknown action type: ${rule.action_type}`);
+    }
+};
+
+/**
+ * action_config: { recipients: 'pm' | 'assignee' | 'stakeholders' | [userIds], title, message, notificationType }
+ */
+const executeSendNotification = async (config, context) => {
+    const recipients = await resolveRecipients(config.recipients || 'pm', context);
+    const title = interpolate(config.title || 'Workflow Notification', context);
+    const message = interpolate(config.message || '', context);
+
+    for (const userId of recipients) {
+        await sendNotification(userId, title, message, config.notificationType || 'workflow_rule', context.project.id);
+    }
+};
+
+/**
+ * action_config: { userId, target: 'deliverable' | 'phase', role }
+ */
+const executeAssignUser = async (config, context) => {
+    if (!config.userId) {
+        throw new Error('assign_user requires a userId');
+    }
+
+    const target = config.target || (context.deliverable ? 'deliverable' : 'phase');
+
+    if (target === 'deliverable') {
+        if (!context.deliverable) {
+            throw new Error('assign_user target deliverable is not available for this event');
+        }
+        await updateDeliverable(context.deliverable.id, { assigned_to: config.userId });
+    } else if (target === 'phase') {
+        if (!context.phase) {
+            throw new Error('assign_user target phase is not available for this event');
+        }
+        await addPhaseStakeholder(context.phase.id, config.userId, config.role || 'assignee');
+    } else {
+        throw new Error(`Unknown assign_user target: ${target}`);
+    }
+};
+
+/**
+ * action_config: { target: 'project' | 'phase' | 'deliverable', status }
+ */
+const executeChangeStatus = async (config, context, depth) => {
+    if (!config.status) {
+        throw new Error('change_status requires a status');
+    }
+
+    const userId = context.userId || null;
+
+    switch (config.target || 'deliverable') {
+        case 'project':
+            await transitionProjectStatus(context.project.id, config.status, userId, { depth });
+            break;
+        case 'phase':
+            if (!context.phase) {
+                throw new Error('change_status target phase is not available for this event');
+            }
+            await progressPhase(context.phase.id, config.status, userId, { depth });
+            break;
+        case 'deliverable': {
+            if (!context.deliverable) {
+                throw new Error('change_status target deliverable is not available for this event');
+            }
+            // Rules are set up by admins and may reopen approved deliverables, but never decide them
+            // or start one whose predecessors are unfinished
+            assertDeliverableTransition(context.deliverable.status, config.status, { canManage: true });
+            await assertPredecessorsFinished(context.deliverable, config.status);
+
+            const updated = await updateDeliverable(context.deliverable.id, { status: config.status });
+            await logActivity(context.project.id, userId, 'deliverable_updated',
+                `Deliverable "${context.deliverable.name}" status updated to ${config.status} by workflow rule`,
+                { previousStatus: context.deliverable.status, newStatus: config.status });
+            await runWorkflowRules('deliverable_updated', {
+                deliverableId: context.deliverable.id,
+                previousStatus: context.deliverable.status,
+                newStatus: config.status,
+                userId,
+                depth
+            });
+
+            if (config.status === 'review' && context.deliverable.status !== 'review') {
+                await notifyPendingApprovers({ ...context.deliverable, ...updated, project_pm_id: context.project.pm_id });
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown change_status target: ${config.target}`);
+    }
+};
+
+/**
+ * action_config: { scope: 'deliverable' | 'phase' }
+ * 'phase' generates every pending AI-generatable deliverable in the event's phase.
+ */
+const executeAIGeneration = async (config, context, depth) => {
+    const userId = context.userId || null;
+    const scope = config.scope || (context.deliverable ? 'deliverable' : 'phase');
+
+    let deliverableIds = [];
+    if (scope === 'deliverable') {
+        if (!context.deliverable) {
+            throw new Error('trigger_ai_generation target deliverable is not available for this event');
+        }
+        deliverableIds = [context.deliverable.id];
+    } else if (scope === 'phase') {
+        if (!context.phase) {
+            throw new Error('trigger_ai_generation target phase is not available for this event');
+        }
+        const result = await query(
+            `SELECT d.id
+         FROM deliverables d
+         JOIN template_deliverables td ON d.template_deliverable_id = td.id
+         WHERE d.phase_id = $1 AND td.is_ai_generatable = true AND d.status = 'pending'`,
+            [context.phase.id]
+        );
+        deliverableIds = result.rows.map(row => row.id);
+    } else {
+        throw new Error(`Unknown trigger_ai_generation scope: ${scope}`);
+    }
+
+    for (const deliverableId of deliverableIds) {
+        try {
+            await generateDeliverableContent(deliverableId, userId, { depth, canManage: true });
+        } catch (error) {
+            // A deliverable still waiting on its predecessors does not hold up the rest of the phase
+            if (scope === 'deliverable' || error.status !== 409) throw error;
+            console.warn(`Skipped AI generation of deliverable ${deliverableId}: ${error.message}`);
+        }
+    }
+};
+
+const resolveRecipients = async (recipients, context) => {
+    if (Array.isArray(recipients)) {
+        return recipients;
+    }
+
+    switch (recipients) {
+        case 'pm':
+            return context.project.pm_id ? [context.project.pm_id] : [];
+        case 'assignee':
+            return context.deliverable?.assigned_to ? [context.deliverable.assigned_to] : [];
+        case 'stakeholders': {
+            const result = context.phase
+                ? await query('SELECT DISTINCT user_id FROM phase_stakeholders WHERE phase_id = $1', [context.phase.id])
+                : await query(
+                    `SELECT DISTINCT ps.user_id FROM phase_stakeholders ps
+                 JOIN project_phases pp ON ps.phase_id = pp.id
+                 WHERE pp.project_id = $1`,
+                    [context.project.id]
+                );
+            return result.rows.map(row => row.user_id);
+        }
+        default:
+            throw new Error(`Unknown notification recipients: ${recipients}`);
+    }
+};
+
+const resolvePath = (source, path) => {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+// Replace {{project.name}} style placeholders with context values
+const interpolate = (text, context) => {
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = resolvePath(context, path);
+        return value === undefined || value === null ? '' : String(value);
+    });
+};
+
+const toComparable = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return new Date(value).getTime();
+    return value;
+};
+
+export default {
+    runWorkflowRules,
+    evaluateCondition
+};
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+/**
+ * S3 File Storage - Keeps uploaded files in a bucket of Amazon S3 or an
+ * S3-compatible service (MinIO, Ceph, LocalStack, ...).
+ *
+ * Requests are signed with AWS Signature Version 4. With an endpoint set,
+ * the bucket is addressed path-style (http://localhost:9000/bucket/key),
+ * which is what most S3 stand-ins expect; otherwise the AWS virtual-hosted
+ * style is used.
+ */
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent leaves !'()* alone, S3 expects them encoded
+const encodeSegment = (segment) => encodeURIComponent(segment)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Create an S3 storage backend
+ * @param {Object} config - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }
+ * @returns {Object} - { put, get, remove }
+ */
+export const createS3FileStorage = (config) => {
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error('S3 storage needs a bucket, an access key id and a secret access key');
+    }
+
+    const region = config.region || 'us-east-1';
+    const pathStyle = config.forcePathStyle ?? Boolean(config.endpoint);
+    const endpoint = (config.endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+    const objectUrl = (key) => {
+        const encodedKey = key.split('/').map(encodeSegment).join('/');
+        if (pathStyle) return new URL(`${endpoint}/${encodeSegment(config.bucket)}/${encodedKey}`);
+
+        const url = new URL(endpoint);
+        url.hostname = `${config.bucket}.${url.hostname}`;
+        url.pathname = `/${encodedKey}`;
+        return url;
+    };
+
+    const signedRequest = async (method, key, { body, headers = {} } = {}) => {
+        const url = objectUrl(key);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+        const signed = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+            host: url.host,
+            'x-amz-content-sha256': sha256(body || ''),
+            'x-amz-date': amzDate
+        };
+        const names = Object.keys(signed).sort();
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            ...names.map(name => `${name}:${signed[name].trim()}`),
+            '',
+            names.join(';'),
+            signed['x-amz-content-sha256']
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        // fetch sets the Host header itself, from the same URL
+        const { host, ...sent } = signed;
+
+        return fetch(url, {
+            method,
+            body,
+            headers: {
+                ...sent,
+                authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, `
+                    + `SignedHeaders=${names.join(';')}, Signature=${signature}`
+            }
+        });
+    };
+
+    const fail = async (method, key, response) => {
+        const detail = (await response.text().catch(() => '')).match(/<Message>(.*?)<\/Message>/)?.[1];
+        throw new Error(`S3 ${method} ${key} failed: ${response.status} ${detail || response.statusText}`);
+    };
+
+    return {
+        put: async (key, buffer, { contentType } = {}) => {
+            const response = await signedRequest('PUT', key, {
+                body: buffer,
+                headers: { 'content-type': contentType || 'application/octet-stream' }
+            });
+            if (!response.ok) await fail('PUT', key, response);
+        },
+
+        // null when the object is missing
+        get: async (key) => {
+            const response = await signedRequest('GET', key);
+            if (response.status === 404) return null;
+            if (!response.ok) await fail('GET', key, response);
+
+            return {
+                stream: Readable.fromWeb(response.body),
+                size: parseInt(response.headers.get('content-length')) || null
+            };
+        },
+
+        remove: async (key) => {
+            const response = await signedRequest('DELETE', key);
+            if (!response.ok && response.status !== 404) await fail('DELETE', key, response);
+        }
+    };
+};
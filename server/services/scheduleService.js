@@ -0,0 +1,502 @@
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { query } from '../config/database.js';
+import * as DependencyModel from '../models/Dependency.js';
+import { updatePhaseDates } from '../models/Project.js';
+import { updateDeliverable } from '../models/Deliverable.js';
+import { nextWorkingDay, addWorkingDays, countWorkingDays } from './workCalendar.js';
+import { withTransaction } from './transactionService.js';
+
+/**
+ * Schedule Service - Builds the planned vs actual timeline of a project,
+ * validates dependencies and computes the critical path.
+ */
+
+export const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start'];
+
+/**
+ * Get a project's phases and deliverables with planned and actual dates.
+ * Deliverables have no planned start of their own, so they inherit their phase's.
+ */
+export const getProjectSchedule = async (projectId) => {
+    const data = await loadProjectNetwork(projectId);
+
+    if (!data) {
+        return null;
+    }
+
+    const { project, phases, deliverables, phaseDependencies, deliverableDependencies } = data;
+
+    const toDependency = (dependency) => ({
+        id: dependency.predecessor_id,
+        type: dependency.dependency_type,
+        lag_days: dependency.lag_days
+    });
+
+    return {
+        project,
+        phases: phases.map(phase => ({
+            id: phase.id,
+            name: phase.name,
+            description: phase.description,
+            status: phase.status,
+            blocked_reason: phase.blocked_reason,
+            phase_order: phase.phase_order,
+            planned_start: phase.start_date,
+            planned_end: phase.end_date,
+            actual_start: phase.actual_start_date,
+            actual_end: phase.actual_end_date,
+            dependencies: phaseDependencies.filter(dep => dep.successor_id === phase.id).map(toDependency),
+            deliverables: deliverables
+                .filter(d => d.phase_id === phase.id)
+                .map(d => ({
+                    id: d.id,
+                    name: d.name,
+                    status: d.status,
+                    deliverable_type: d.deliverable_type,
+                    assigned_to: d.assigned_to,
+                    assigned_to_name: d.assigned_to_name,
+                    shared_with_client: d.shared_with_client,
+                    planned_start: phase.start_date,
+                    planned_end: d.due_date || phase.end_date,
+                    actual_start: d.started_at,
+                    actual_end: d.completed_at,
+                    dependencies: deliverableDependencies.filter(dep => dep.successor_id === d.id).map(toDependency)
+                }))
+        }))
+    };
+};
+
+/**
+ * Compute earliest/latest dates, slack and the critical path of a project.
+ *
+ * Phases are scheduled first (duration from their planned dates, else the
+ * template default, else 1 day). Deliverables are then scheduled inside the
+ * phase network: none may start before its phase's earliest start.
+ */
+export const getProjectCriticalPath = async (projectId) => {
+    const data = await loadProjectNetwork(projectId);
+
+    if (!data) {
+        return null;
+    }
+
+    const { project, phases, deliverables, phaseDependencies, deliverableDependencies } = data;
+
+    const projectStart = project.start_date
+        || phases.map(p => p.start_date).filter(Boolean).sort((a, b) => a - b)[0]
+        || new Date();
+
+    const phaseResult = calculateCriticalPath(
+        phases.map(phase => ({ id: phase.id, duration: getPhaseDuration(phase) })),
+        phaseDependencies.map(toEdge)
+    );
+
+    const deliverableResult = calculateCriticalPath(
+        deliverables.map(d => ({
+            id: d.id,
+            duration: d.duration_days || 1,
+            earliestStart: phaseResult.activities.get(d.phase_id)?.earliestStart || 0
+        })),
+        deliverableDependencies.map(toEdge)
+    );
+
+    const withDates = (item, timing) => ({
+        id: item.id,
+        name: item.name,
+        status: item.status,
+        duration_days: timing.earliestFinish - timing.earliestStart,
+        slack_days: timing.slack,
+        is_critical: timing.isCritical,
+        earliest_start_date: addDays(projectStart, timing.earliestStart),
+        earliest_finish_date: addDays(projectStart, timing.earliestFinish),
+        latest_start_date: addDays(projectStart, timing.latestStart),
+        latest_finish_date: addDays(projectStart, timing.latestFinish)
+    });
+
+    return {
+        project_id: project.id,
+        project_start: projectStart,
+        duration_days: Math.max(phaseResult.duration, deliverableResult.duration),
+        phases: phases.map(phase => withDates(phase, phaseResult.activities.get(phase.id))),
+        deliverables: deliverables.map(d => ({
+            ...withDates(d, deliverableResult.activities.get(d.id)),
+            phase_id: d.phase_id
+        })),
+        critical_path: {
+            phases: phaseResult.criticalPath,
+            deliverables: deliverableResult.criticalPath
+        }
+    };
+};
+
+/**
+ * Critical path method over a dependency network.
+ * @param {Array} activities - [{ id, duration, earliestStart? }] (days)
+ * @param {Array} dependencies - [{ predecessorId, successorId, type, lagDays }]
+ * @returns {Object} - { activities: Map(id -> timing), duration, criticalPath: [ids] }
+ */
+export const calculateCriticalPath = (activities, dependencies) => {
+    const ids = activities.map(a => a.id);
+    const order = topologicalSort(ids, dependencies);
+    const byId = new Map(activities.map(a => [a.id, a]));
+    const timings = new Map();
+
+    const incoming = (id) => dependencies.filter(dep => dep.successorId === id && byId.has(dep.predecessorId));
+    const outgoing = (id) => dependencies.filter(dep => dep.predecessorId === id && byId.has(dep.successorId));
+
+    // Forward pass
+    for (const id of order) {
+        const activity = byId.get(id);
+        let earliestStart = activity.earliestStart || 0;
+
+        for (const dep of incoming(id)) {
+            const predecessor = timings.get(dep.predecessorId);
+            const constraint = dep.type === 'start_to_start'
+                ? predecessor.earliestStart + dep.lagDays
+                : predecessor.earliestFinish + dep.lagDays;
+            earliestStart = Math.max(earliestStart, constraint);
+        }
+
+        timings.set(id, { earliestStart, earliestFinish: earliestStart + activity.duration });
+    }
+
+    const duration = Math.max(0, ...[...timings.values()].map(t => t.earliestFinish));
+
+    // Backward pass
+    for (const id of [...order].reverse()) {
+        const activity = byId.get(id);
+        let latestFinish = duration;
+
+        for (const dep of outgoing(id)) {
+            const successor = timings.get(dep.successorId);
+            const constraint = dep.type === 'start_to_start'
+                ? successor.latestStart - dep.lagDays + activity.duration
+                : successor.latestStart - dep.lagDays;
+            latestFinish = Math.min(latestFinish, constraint);
+        }
+
+        const timing = timings.get(id);
+        timing.latestFinish = latestFinish;
+        timing.latestStart = latestFinish - activity.duration;
+        timing.slack = timing.latestStart - timing.earliestStart;
+        timing.isCritical = timing.slack <= 0;
+    }
+
+    return {
+        activities: timings,
+        duration,
+        criticalPath: order.filter(id => timings.get(id).isCritical)
+    };
+};
+
+/**
+ * Move a phase to new planned dates and push every downstream phase that
+ * would now start too early, keeping each one's working-day duration.
+ * Completed phases are never moved. Deliverable due dates move with their phase.
+ * @param {Object} dates - { startDate, endDate } (at least one)
+ * @returns {Object} - { phase, shiftedPhases: [{ id, name, previous_start, previous_end, start_date, end_date }] }
+ */
+export const reschedulePhase = async (projectId, phaseId, dates) => {
+    const data = await loadProjectNetwork(projectId);
+    const phase = data?.phases.find(p => p.id === phaseId);
+
+    if (!phase) {
+        return null;
+    }
+
+    const calendar = data.project.work_calendar;
+    const edges = data.phaseDependencies.map(toEdge);
+    const planned = new Map(data.phases.map(p => [p.id, { startDate: p.start_date, endDate: p.end_date }]));
+
+    const duration = phase.start_date && phase.end_date
+        ? countWorkingDays(phase.start_date, phase.end_date, calendar)
+        : phase.default_duration_days || 1;
+
+    const startDate = nextWorkingDay(dates.startDate || phase.start_date || dates.endDate, calendar);
+    const endDate = dates.endDate || addWorkingDays(startDate, duration - 1, calendar);
+
+    // Moving the start to a working day can take it past the requested end date
+    if (endDate < startDate) {
+        throw Object.assign(new Error('Phase end date cannot be before its start date'), { status: 400 });
+    }
+
+    planned.set(phase.id, { startDate, endDate });
+
+    // Walk downstream phases in dependency order
+    const downstream = getDownstreamIds(edges, phase.id);
+    const order = topologicalSort(data.phases.map(p => p.id), edges).filter(id => downstream.has(id));
+
+    for (const id of order) {
+        const current = data.phases.find(p => p.id === id);
+        const currentDates = planned.get(id);
+
+        if (current.status === 'completed' || !currentDates.startDate || !currentDates.endDate) {
+            continue;
+        }
+
+        let requiredStart = null;
+        for (const dep of edges.filter(e => e.successorId === id)) {
+            const predecessor = planned.get(dep.predecessorId);
+            if (!predecessor?.startDate || !predecessor?.endDate) {
+                continue;
+            }
+
+            const constraint = dep.type === 'start_to_start'
+                ? addWorkingDays(predecessor.startDate, dep.lagDays, calendar)
+                : addWorkingDays(addDays(predecessor.endDate, 1), dep.lagDays, calendar);
+
+            if (!requiredStart || constraint > requiredStart) {
+                requiredStart = constraint;
+            }
+        }
+
+        if (requiredStart && currentDates.startDate < requiredStart) {
+            const workingDays = countWorkingDays(currentDates.startDate, currentDates.endDate, calendar);
+            planned.set(id, {
+                startDate: requiredStart,
+                endDate: addWorkingDays(requiredStart, Math.max(workingDays, 1) - 1, calendar)
+            });
+        }
+    }
+
+    // The whole schedule moves or none of it does
+    const shiftedPhases = await withTransaction(async (client) => {
+        const shifted = [];
+
+        for (const current of data.phases) {
+            const next = planned.get(current.id);
+            if (!hasMoved(current.start_date, next.startDate) && !hasMoved(current.end_date, next.endDate)) {
+                continue;
+            }
+
+            await updatePhaseDates(current.id, next.startDate, next.endDate, client);
+            await shiftDeliverableDueDates(data.deliverables, current, next.startDate, calendar, client);
+
+            shifted.push({
+                id: current.id,
+                name: current.name,
+                previous_start: current.start_date,
+                previous_end: current.end_date,
+                start_date: next.startDate,
+                end_date: next.endDate
+            });
+        }
+
+        return shifted;
+    });
+
+    return {
+        phase: { ...phase, start_date: startDate, end_date: endDate },
+        shiftedPhases
+    };
+};
+
+/**
+ * Whether adding predecessor -> successor to the existing edges would close a loop
+ */
+export const wouldCreateCycle = (dependencies, predecessorId, successorId) => {
+    if (predecessorId === successorId) {
+        return true;
+    }
+
+    // A cycle exists if the successor can already reach the predecessor
+    const stack = [successorId];
+    const visited = new Set();
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === predecessorId) {
+            return true;
+        }
+        if (visited.has(current)) {
+            continue;
+        }
+        visited.add(current);
+
+        for (const dep of dependencies) {
+            if (dep.predecessorId === current) {
+                stack.push(dep.successorId);
+            }
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Predecessors that keep a deliverable from starting: finish-to-start
+ * predecessors must be approved, start-to-start ones must have started.
+ */
+export const getBlockingPredecessors = async (deliverableId) => {
+    const predecessors = await DependencyModel.getDeliverablePredecessors(deliverableId);
+
+    return predecessors.filter(dep => (
+        dep.dependency_type === 'start_to_start'
+            ? dep.predecessor_status === 'pending'
+            : dep.predecessor_status !== 'approved'
+    ));
+};
+
+/**
+ * Load everything needed to schedule a project. Without explicit phase
+ * dependencies, phases are chained finish-to-start in phase_order.
+ */
+const loadProjectNetwork = async (projectId) => {
+    const projectResult = await query(
+        'SELECT id, name, status, start_date, end_date, work_calendar FROM projects WHERE id = $1',
+        [projectId]
+    );
+    const project = projectResult.rows[0];
+
+    if (!project) {
+        return null;
+    }
+
+    const phasesResult = await query(
+        `SELECT pp.id, pp.name, pp.description, pp.status, pp.blocked_reason, pp.phase_order,
+            pp.start_date, pp.end_date, pp.actual_start_date, pp.actual_end_date,
+            tp.default_duration_days
+     FROM project_phases pp
+     LEFT JOIN template_phases tp ON pp.template_phase_id = tp.id
+     WHERE pp.project_id = $1
+     ORDER BY pp.phase_order`,
+        [projectId]
+    );
+    const phases = phasesResult.rows;
+
+    const deliverablesResult = await query(
+        `SELECT d.id, d.phase_id, d.name, d.status, d.deliverable_type, d.duration_days,
+            d.assigned_to, u.first_name || ' ' || u.last_name as assigned_to_name,
+            d.due_date, d.started_at, d.completed_at, d.created_at, d.shared_with_client
+     FROM deliverables d
+     LEFT JOIN users u ON d.assigned_to = u.id
+     WHERE d.project_id = $1
+     ORDER BY d.due_date NULLS LAST, d.created_at`,
+        [projectId]
+    );
+
+    let phaseDependencies = await DependencyModel.getPhaseDependenciesByProject(projectId);
+    if (phaseDependencies.length === 0) {
+        phaseDependencies = phases.slice(1).map((phase, index) => ({
+            id: null,
+            predecessor_id: phases[index].id,
+            successor_id: phase.id,
+            dependency_type: 'finish_to_start',
+            lag_days: 0
+        }));
+    }
+
+    const deliverableDependencies = await DependencyModel.getDeliverableDependenciesByProject(projectId);
+
+    return {
+        project,
+        phases,
+        deliverables: deliverablesResult.rows,
+        phaseDependencies,
+        deliverableDependencies
+    };
+};
+
+const getDownstreamIds = (edges, startId) => {
+    const downstream = new Set();
+    const stack = [startId];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        for (const edge of edges) {
+            if (edge.predecessorId === current && !downstream.has(edge.successorId)) {
+                downstream.add(edge.successorId);
+                stack.push(edge.successorId);
+            }
+        }
+    }
+
+    return downstream;
+};
+
+const hasMoved = (previous, next) => {
+    if (!previous || !next) {
+        return previous !== next;
+    }
+    return differenceInCalendarDays(next, previous) !== 0;
+};
+
+// Keep unfinished deliverables at the same offset from their phase start
+const shiftDeliverableDueDates = async (deliverables, phase, newStartDate, calendar, client = null) => {
+    if (!phase.start_date) {
+        return;
+    }
+
+    const offset = differenceInCalendarDays(newStartDate, phase.start_date);
+    if (offset === 0) {
+        return;
+    }
+
+    for (const deliverable of deliverables) {
+        if (deliverable.phase_id !== phase.id || !deliverable.due_date || deliverable.status === 'approved') {
+            continue;
+        }
+
+        const dueDate = offset > 0
+            ? nextWorkingDay(addDays(deliverable.due_date, offset), calendar)
+            : addDays(deliverable.due_date, offset);
+        await updateDeliverable(deliverable.id, { due_date: dueDate }, client);
+    }
+};
+
+const getPhaseDuration = (phase) => {
+    if (phase.start_date && phase.end_date) {
+        return Math.max(1, differenceInCalendarDays(phase.end_date, phase.start_date) + 1);
+    }
+    return phase.default_duration_days || 1;
+};
+
+const toEdge = (dependency) => ({
+    predecessorId: dependency.predecessor_id,
+    successorId: dependency.successor_id,
+    type: dependency.dependency_type,
+    lagDays: dependency.lag_days || 0
+});
+
+const topologicalSort = (ids, dependencies) => {
+    const idSet = new Set(ids);
+    const inDegree = new Map(ids.map(id => [id, 0]));
+
+    for (const dep of dependencies) {
+        if (idSet.has(dep.predecessorId) && idSet.has(dep.successorId)) {
+            inDegree.set(dep.successorId, inDegree.get(dep.successorId) + 1);
+        }
+    }
+
+    const queue = ids.filter(id => inDegree.get(id) === 0);
+    const order = [];
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+
+        for (const dep of dependencies) {
+            if (dep.predecessorId === id && idSet.has(dep.successorId)) {
+                inDegree.set(dep.successorId, inDegree.get(dep.successorId) - 1);
+                if (inDegree.get(dep.successorId) === 0) {
+                    queue.push(dep.successorId);
+                }
+            }
+        }
+    }
+
+    if (order.length !== ids.length) {
+        throw new Error('Dependency cycle detected');
+    }
+
+    return order;
+};
+
+export default {
+    getProjectSchedule,
+    getProjectCriticalPath,
+    calculateCriticalPath,
+    reschedulePhase,
+    wouldCreateCycle,
+    getBlockingPredecessors
+};
@@ -0,0 +1,53 @@
+import { registerJob } from './scheduler.js';
+import { checkDeadlines, checkOverdueItems } from './workflowEngine.js';
+import { sendDailyDigests } from './notificationService.js';
+import { purgeStaleSessions } from './sessionService.js';
+import { purgeStaleTokens } from './authTokenService.js';
+import { purgeExpiredLoginStates } from './ssoService.js';
+
+/**
+ * Built-in recurring automation jobs. Schedules can be overridden per environment.
+ */
+export const registerDefaultJobs = () => {
+    registerJob({
+        name: 'deadline_check',
+        description: 'Warn PMs and assignees about phases and deliverables due within 3 days',
+        schedule: process.env.DEADLINE_CHECK_CRON || '0 8 * * *',
+        handler: checkDeadlines
+    });
+
+    registerJob({
+        name: 'overdue_escalation',
+        description: 'Escalate overdue phases and deliverables to the project PM',
+        schedule: process.env.OVERDUE_ESCALATION_CRON || '0 9 * * *',
+        handler: checkOverdueItems
+    });
+
+    registerJob({
+        name: 'daily_digest',
+        description: 'Email users a digest of their unread notifications',
+        schedule: process.env.DAILY_DIGEST_CRON || '0 7 * * 1-5',
+        handler: sendDailyDigests
+    });
+
+    registerJob({
+        name: 'session_cleanup',
+        description: 'Delete sign-in sessions that ended more than 30 days ago',
+        schedule: process.env.SESSION_CLEANUP_CRON || '0 3 * * *',
+        handler: purgeStaleSessions
+    });
+
+    registerJob({
+        name: 'auth_token_cleanup',
+        description: 'Delete auth tokens used or expired more than 7 days ago and abandoned SSO sign-ins',
+        schedule: process.env.AUTH_TOKEN_CLEANUP_CRON || '30 3 * * *',
+        handler: async () => ({
+            deleted: (await purgeStaleTokens()).deleted,
+            ssoLoginStatesDeleted: (await purgeExpiredLoginStates()).deleted
+        })
+    });
+};
+
+export default {
+    registerDefaultJobs
+};
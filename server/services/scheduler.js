@@ -0,0 +1,163 @@
+import os from 'os';
+import cronParser from 'cron-parser';
+import * as ScheduledJobModel from '../models/ScheduledJob.js';
+
+/**
+ * Scheduler - Runs cron-style jobs persisted in scheduled_jobs.
+ *
+ * Every instance polls for due jobs; a job only runs on the instance that
+ * manages to claim its row lock, so several servers never double-fire.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobDefinitions = new Map();
+let pollTimer = null;
+
+// Read when used, so the settings come from the env index.js loaded
+const lockSeconds = () => parseInt(process.env.SCHEDULER_LOCK_SECONDS || '600');
+
+/**
+ * Register a job handler. Must be called before startScheduler.
+ * @param {Object} definition - { name, description, schedule (cron), handler }
+ */
+export const registerJob = (definition) => {
+    const { name, schedule, handler } = definition;
+
+    if (!name || !schedule || typeof handler !== 'function') {
+        throw new Error('Job requires a name, schedule and handler');
+    }
+
+    // Fail fast on an invalid cron expression
+    getNextRunDate(schedule);
+
+    jobDefinitions.set(name, definition);
+};
+
+export const getNextRunDate = (cronExpression, fromDate = new Date()) => {
+    return cronParser.parseExpression(cronExpression, { currentDate: fromDate }).next().toDate();
+};
+
+/**
+ * Persist registered jobs and start polling for due ones
+ */
+export const startScheduler = async () => {
+    if (pollTimer) {
+        return;
+    }
+
+    for (const definition of jobDefinitions.values()) {
+        await ScheduledJobModel.upsertJob({
+            name: definition.name,
+            description: definition.description,
+            cronExpression: definition.schedule,
+            nextRunAt: getNextRunDate(definition.schedule)
+        });
+    }
+
+    pollTimer = setInterval(() => {
+        runDueJobs().catch(error => console.error('Scheduler poll failed:', error));
+    }, parseInt(process.env.SCHEDULER_INTERVAL_MS || '60000'));
+
+    console.log(`Scheduler started with ${jobDefinitions.size} jobs (instance ${INSTANCE_ID})`);
+};
+
+export const stopScheduler = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+/**
+ * Claim and run every job whose next_run_at has passed
+ */
+export const runDueJobs = async () => {
+    const dueJobs = await ScheduledJobModel.getDueJobs();
+
+    for (const job of dueJobs) {
+        if (!jobDefinitions.has(job.name)) {
+            continue;
+        }
+
+        const claimed = await ScheduledJobModel.claimJob(job.name, INSTANCE_ID, lockSeconds());
+        if (claimed) {
+            await executeJob(claimed);
+        }
+    }
+};
+
+/**
+ * Run a job immediately, regardless of its schedule or pause state.
+ * Returns undefined when the job is already running somewhere.
+ */
+export const triggerJob = async (name) => {
+    if (!jobDefinitions.has(name)) {
+        throw new Error(`No handler registered for job "${name}"`);
+    }
+
+    const claimed = await ScheduledJobModel.claimJob(name, INSTANCE_ID, lockSeconds(), false);
+    if (!claimed) {
+        return undefined;
+    }
+
+    return executeJob(claimed);
+};
+
+export const listJobs = async () => {
+    const jobs = await ScheduledJobModel.getAllJobs();
+    return jobs.map(job => ({
+        ...job,
+        is_registered: jobDefinitions.has(job.name)
+    }));
+};
+
+export const pauseJob = async (name) => {
+    return ScheduledJobModel.setJobPaused(name, true);
+};
+
+export const resumeJob = async (name) => {
+    const job = await ScheduledJobModel.getJobByName(name);
+    if (!job) {
+        return undefined;
+    }
+
+    // Skip the runs missed while paused instead of firing them all at once
+    return ScheduledJobModel.setJobPaused(name, false, getNextRunDate(job.cron_expression));
+};
+
+const executeJob = async (job) => {
+    const definition = jobDefinitions.get(job.name);
+    const startedAt = Date.now();
+
+    let status = 'success';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+        result = await definition.handler();
+    } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+        status = 'failed';
+        errorMessage = error.message;
+    }
+
+    return ScheduledJobModel.completeJobRun(job.name, {
+        status,
+        result,
+        error: errorMessage,
+        durationMs: Date.now() - startedAt,
+        nextRunAt: getNextRunDate(job.cron_expression)
+    });
+};
+
+export default {
+    registerJob,
+    startScheduler,
+    stopScheduler,
+    runDueJobs,
+    triggerJob,
+    listJobs,
+    pauseJob,
+    resumeJob
+};
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import * as SessionModel from '../models/Session.js';
+import * as UserModel from '../models/User.js';
+import { generateToken } from '../middleware/auth.js';
+
+/**
+ * Session Service - Refresh tokens and sign-in sessions.
+ *
+ * Signing in creates a session and returns a short-lived access token (JWT)
+ * plus an opaque refresh token. Each refresh replaces the refresh token
+ * (rotation); presenting a replaced token again means it leaked, so the
+ * whole session is revoked. Only hashes of refresh tokens are stored.
+ */
+
+const STALE_SESSION_RETENTION_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Where the request came from, shown in the sessions list
+const describeClient = (req) => ({
+    userAgent: req.get('user-agent')?.slice(0, 500) || null,
+    ipAddress: req.ip || null
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @returns {Object} - { token, refreshToken, sessionId }
+ */
+export const startSession = async (user, req) => {
+    const refreshToken = newRefreshToken();
+
+    const session = await SessionModel.createSession({
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        ...describeClient(req),
+        expiresAt: refreshExpiry()
+    });
+
+    return {
+        token: generateToken(user.id, user.email, user.role, session.id),
+        refreshToken,
+        sessionId: session.id
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @returns {Object|null} - { token, refreshToken, sessionId }, or null if the token is not valid
+ */
+export const refreshSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const session = await SessionModel.getSessionByRefreshTokenHash(tokenHash);
+
+    if (!session) {
+        // A token that was already rotated out is being replayed: end that session
+        const reused = await SessionModel.getSessionByPreviousTokenHash(tokenHash);
+        if (reused) {
+            await SessionModel.revokeSession(reused.id);
+        }
+        return null;
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return null;
+    }
+
+    const user = await UserModel.findUserById(session.user_id);
+    if (!user || !user.is_active) {
+        await SessionModel.revokeSession(session.id);
+        return null;
+    }
+
+    const nextRefreshToken = newRefreshToken();
+    const rotated = await SessionModel.rotateRefreshToken(session.id, tokenHash, hashToken(nextRefreshToken), refreshExpiry());
+
+    // Lost a race with another refresh of the same token
+    if (!rotated) {
+        return null;
+    }
+
+    return {
+        token: generateToken(user.id, user.email, user.role, session.id),
+        refreshToken: nextRefreshToken,
+        sessionId: session.id
+    };
+};
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * @returns {Object|null} - The revoked session
+ */
+export const endSessionByRefreshToken = async (refreshToken) => {
+    const session = await SessionModel.getSessionByRefreshTokenHash(hashToken(refreshToken));
+    return session ? SessionModel.revokeSession(session.id) : null;
+};
+
+/**
+ * Active sessions of a user, marking the one making the request
+ */
+export const listSessions = async (userId, currentSessionId) => {
+    const sessions = await SessionModel.getActiveSessionsByUser(userId);
+    return sessions.map(session => ({
+        ...session,
+        current: session.id === currentSessionId
+    }));
+};
+
+/**
+ * Scheduled job: drop sessions that ended a while ago
+ */
+export const purgeStaleSessions = async () => {
+    const deleted = await SessionModel.deleteStaleSessions(STALE_SESSION_RETENTION_DAYS);
+    return { deleted };
+};
+
+export default {
+    startSession,
+    refreshSession,
+    endSessionByRefreshToken,
+    listSessions,
+    purgeStaleSessions
+};
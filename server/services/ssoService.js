@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import * as UserModel from '../models/User.js';
+import * as UserIdentityModel from '../models/UserIdentity.js';
+import { createOidcStrategy } from './oidcStrategy.js';
+import { TOKEN_PURPOSES, issueToken, consumeToken } from './authTokenService.js';
+import { recordAudit } from './auditService.js';
+import { withTransaction } from './transactionService.js';
+
+/**
+ * SSO Service - Sign-in through external identity providers.
+ *
+ * Providers are listed in SSO_PROVIDERS and configured with SSO_<ID>_*
+ * variables. Each has a type whose strategy talks to the provider: OIDC is
+ * built in, and registerStrategy() adds others (e.g. SAML). A strategy only
+ * has to build the sign-in URL and turn the callback into a profile
+ * { subject, email, emailVerified, firstName, lastName, groups }; this
+ * service does the rest:
+ *
+ *   - keeps the state, nonce and PKCE verifier of each sign-in in progress
+ *   - finds the user by linked identity, then by email (linking it), and
+ *     otherwise provisions one just in time
+ *   - maps IdP groups onto roles, at provisioning and on every sign-in
+ *   - hands the web app a one-time code it exchanges for a session
+ */
+
+const STRATEGIES = {
+    oidc: createOidcStrategy
+};
+
+const USER_ROLES = ['admin', 'pm', 'team_member', 'client'];
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+
+let providerCache = { key: null, providers: new Map() };
+
+/**
+ * Add a strategy for another type of identity provider
+ * @param {string} type - Value of SSO_<ID>_TYPE that selects it
+ * @param {Function} factory - (config) => { getAuthorizationUrl, completeLogin }
+ */
+export const registerStrategy = (type, factory) => {
+    STRATEGIES[type] = factory;
+    providerCache = { key: null, providers: new Map() };
+};
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+// Errors whose message is safe to show to the person signing in
+const denied = (message) => Object.assign(new Error(message), { code: 'SSO_DENIED' });
+
+const parseBoolean = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+// "idp-admins:admin, project-managers:pm" -> [['idp-admins', 'admin'], ['project-managers', 'pm']]
+const parseRoleMap = (id, value = '') => value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const separator = entry.lastIndexOf(':');
+        const group = entry.slice(0, separator).trim();
+        const role = entry.slice(separator + 1).trim();
+
+        if (separator < 1 || !USER_ROLES.includes(role)) {
+            throw new Error(`SSO provider "${id}" has an invalid role mapping "${entry}"`);
+        }
+        return [group, role];
+    });
+
+const loadProvider = (id) => {
+    const env = (name) => process.env[`SSO_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${name}`];
+    const type = env('TYPE') || 'oidc';
+    const defaultRole = env('DEFAULT_ROLE') || null;
+
+    if (!STRATEGIES[type]) {
+        throw new Error(`SSO provider "${id}" has unknown type "${type}"`);
+    }
+
+    if (defaultRole && !USER_ROLES.includes(defaultRole)) {
+        throw new Error(`SSO provider "${id}" has an invalid default role "${defaultRole}"`);
+    }
+
+    const config = {
+        id,
+        issuer: env('ISSUER'),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET') || null,
+        scopes: env('SCOPES') || 'openid email profile',
+        groupsClaim: env('GROUPS_CLAIM') || 'groups'
+    };
+
+    return {
+        id,
+        type,
+        name: env('NAME') || id,
+        roleMap: parseRoleMap(id, env('ROLE_MAP')),
+        defaultRole,
+        jitProvisioning: parseBoolean(env('JIT_PROVISIONING'), true),
+        syncRoles: parseBoolean(env('SYNC_ROLES'), true),
+        trustUnverifiedEmail: parseBoolean(env('TRUST_UNVERIFIED_EMAIL'), false),
+        strategy: STRATEGIES[type](config)
+    };
+};
+
+// Configured providers by id, rebuilt when SSO_PROVIDERS changes
+const getProviders = () => {
+    const key = process.env.SSO_PROVIDERS || '';
+
+    if (providerCache.key !== key) {
+        const ids = key.split(',').map(id => id.trim()).filter(Boolean);
+        providerCache = { key, providers: new Map(ids.map(id => [id, loadProvider(id)])) };
+    }
+
+    return providerCache.providers;
+};
+
+export const listProviders = () => [...getProviders().values()].map(({ id, name, type }) => ({ id, name, type }));
+
+export const getProvider = (id) => getProviders().get(id) || null;
+
+const redirectUriFor = (provider) => {
+    const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${serverUrl.replace(/\/$/, '')}/api/auth/sso/${encodeURIComponent(provider.id)}/callback`;
+};
+
+/**
+ * The most privileged role any of the user's groups maps to
+ * @returns {string|null}
+ */
+export const mapGroupsToRole = (provider, groups = []) => {
+    const roles = provider.roleMap
+        .filter(([group]) => groups.includes(group))
+        .map(([, role]) => role);
+
+    return USER_ROLES.find(role => roles.includes(role)) || null;
+};
+
+/**
+ * Begin a sign-in: remember its state and return the provider's sign-in URL
+ */
+export const startLogin = async (provider) => {
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+    await UserIdentityModel.createLoginState({
+        provider: provider.id,
+        stateHash: hashState(state),
+        codeVerifier,
+        nonce,
+        expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    return provider.strategy.getAuthorizationUrl({ state, nonce, codeVerifier, redirectUri: redirectUriFor(provider) });
+};
+
+const provisionUser = async (provider, profile, role, req) => {
+    // SSO users sign in at the provider; the password is random and never shown
+    const password = crypto.randomBytes(32).toString('base64url');
+    const emailName = profile.email.split('@')[0];
+
+    return withTransaction(async (client) => {
+        const user = await UserModel.createUser(
+            profile.email, password, profile.firstName || emailName, profile.lastName || '-', role, client
+        );
+
+        if (profile.emailVerified) {
+            await UserModel.markEmailVerified(user.id, client);
+        }
+
+        await UserIdentityModel.createIdentity({
+            userId: user.id, provider: provider.id, subject: profile.subject, email: profile.email
+        }, client);
+
+        await recordAudit({
+            req,
+            action: 'user.provisioned',
+            entity: { type: 'user', id: user.id },
+            details: { email: user.email, role, provider: provider.id, groups: profile.groups }
+        }, client);
+
+        return user;
+    });
+};
+
+const syncRole = async (user, role, provider, req) => {
+    if (user.role === 'admin' && (await UserModel.countActiveAdmins()) <= 1) {
+        console.warn(`SSO provider "${provider.id}" would demote the last active admin ${user.email}; keeping the admin role`);
+        return user;
+    }
+
+    const updatedUser = await UserModel.updateUser(user.id, { role });
+
+    await recordAudit({
+        req,
+        action: 'user.role_changed',
+        entity: { type: 'user', id: user.id },
+        details: { email: user.email, from: user.role, to: role, provider: provider.id }
+    });
+
+    return { ...user, role: updatedUser.role };
+};
+
+// Find (or link, or provision) the account for an identity provider profile
+const resolveUser = async (provider, profile, req) => {
+    if (!profile.subject) {
+        throw denied('The identity provider did not identify you');
+    }
+
+    // Emails the provider has not verified only count when the provider is trusted to own them
+    profile = { ...profile, emailVerified: profile.emailVerified === true || provider.trustUnverifiedEmail };
+
+    const mappedRole = mapGroupsToRole(provider, profile.groups);
+    const identity = await UserIdentityModel.findIdentity(provider.id, profile.subject);
+    let user;
+
+    if (identity) {
+        user = await UserModel.findUserById(identity.user_id);
+        if (user?.is_active) {
+            await UserIdentityModel.touchIdentity(identity.id, profile.email);
+        }
+    } else {
+        if (!profile.email) {
+            throw denied('The identity provider did not share your email address');
+        }
+
+        user = await UserModel.findAnyUserByEmail(profile.email);
+
+        if (user) {
+            if (!profile.emailVerified) {
+                throw denied('The identity provider has not verified your email address');
+            }
+            if (!user.is_active) {
+                throw denied('Your account has been deactivated');
+            }
+
+            await UserIdentityModel.createIdentity({
+                userId: user.id, provider: provider.id, subject: profile.subject, email: profile.email
+            });
+
+            await recordAudit({
+                req,
+                action: 'identity.linked',
+                entity: { type: 'user', id: user.id },
+                details: { email: user.email, provider: provider.id }
+            });
+        } else {
+            const role = mappedRole || provider.defaultRole;
+
+            if (!provider.jitProvisioning) {
+                throw denied('There is no account for your email address. Ask an administrator for an invitation.');
+            }
+            if (!role) {
+                throw denied('Your groups at the identity provider do not give access to this application');
+            }
+
+            const created = await provisionUser(provider, profile, role, req);
+            return UserModel.findUserById(created.id);
+        }
+    }
+
+    if (!user || !user.is_active) {
+        throw denied('Your account has been deactivated');
+    }
+
+    if (provider.syncRoles && mappedRole && mappedRole !== user.role) {
+        user = await syncRole(user, mappedRole, provider, req);
+    }
+
+    return user;
+};
+
+/**
+ * Finish a sign-in from the provider's callback
+ * @param {Object} params - Query (or form) parameters of the callback
+ * @returns {string} - One-time code for the web app to exchange for a session
+ */
+export const completeLogin = async (provider, params, req) => {
+    if (params.error) {
+        throw denied(params.error_description || `The identity provider refused the sign-in (${params.error})`);
+    }
+
+    const loginState = params.state
+        ? await UserIdentityModel.consumeLoginState(provider.id, hashState(params.state))
+        : null;
+
+    if (!loginState) {
+        throw denied('This sign-in has expired. Please try again.');
+    }
+
+    const profile = await provider.strategy.completeLogin(params, {
+        nonce: loginState.nonce,
+        codeVerifier: loginState.code_verifier,
+        redirectUri: redirectUriFor(provider)
+    });
+
+    const user = await resolveUser(provider, profile, req);
+    return issueToken(user.id, TOKEN_PURPOSES.ssoLogin);
+};
+
+/**
+ * Exchange the one-time code from completeLogin for the signed-in user
+ * @returns {Object|null} - The user, or null if the code is not valid
+ */
+export const redeemLoginCode = async (code) => {
+    const record = await consumeToken(code, TOKEN_PURPOSES.ssoLogin);
+    if (!record) return null;
+
+    const user = await UserModel.findUserById(record.user_id);
+    return user && user.is_active ? user : null;
+};
+
+/**
+ * Scheduled job helper: drop sign-ins that were started but never finished
+ */
+export const purgeExpiredLoginStates = async () => {
+    const deleted = await UserIdentityModel.deleteExpiredLoginStates();
+    return { deleted };
+};
+
+export default {
+    registerStrategy,
+    listProviders,
+    getProvider,
+    mapGroupsToRole,
+    startLogin,
+    completeLogin,
+    redeemLoginCode,
+    purgeExpiredLoginStates
+};
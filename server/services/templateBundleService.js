@@ -0,0 +1,110 @@
+import yaml from 'js-yaml';
+import * as TemplateModel from '../models/Template.js';
+import * as WorkflowRuleModel from '../models/WorkflowRule.js';
+import { getTemplateContent } from './templateVersionService.js';
+
+/**
+ * Template Bundle Service - Portable template import/export.
+ *
+ * A bundle is a self-contained copy of one template version: its fields,
+ * phases, deliverables (with template_content and approval chains) and
+ * workflow rules. Fields use the same names as POST /api/templates, so an
+ * exported bundle can be imported into another environment as-is. Database
+ * ids are left out.
+ */
+
+export const BUNDLE_FORMAT = 'pm-template-bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+
+export const BUNDLE_CONTENT_TYPES = {
+    json: 'application/json',
+    yaml: 'application/x-yaml'
+};
+
+/**
+ * Build the bundle for a template version
+ */
+export const exportTemplateBundle = async (templateId) => {
+    const template = await getTemplateContent(templateId);
+
+    if (!template) {
+        return null;
+    }
+
+    const rules = await WorkflowRuleModel.getRulesByTemplate(template.id);
+
+    return {
+        format: BUNDLE_FORMAT,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: { templateId: template.id, version: template.version },
+        template: {
+            name: template.name,
+            description: template.description || '',
+            category: template.category,
+            phaseCompletionMode: template.phase_completion_mode,
+            phases: template.phases.map(phase => ({
+                name: phase.name,
+                description: phase.description || '',
+                phaseOrder: phase.phase_order,
+                ...(phase.default_duration_days !== null && { defaultDurationDays: phase.default_duration_days }),
+                deliverables: phase.deliverables.map(deliverable => ({
+                    name: deliverable.name,
+                    description: deliverable.description || '',
+                    deliverableType: deliverable.deliverable_type,
+                    isAiGeneratable: deliverable.is_ai_generatable,
+                    templateContent: deliverable.template_content || '',
+                    ...(deliverable.approval_chain && { approvalChain: deliverable.approval_chain })
+                }))
+            }))
+        },
+        rules: rules.map(rule => ({
+            triggerEvent: rule.trigger_event,
+            condition: rule.condition_json,
+            actionType: rule.action_type,
+            actionConfig: rule.action_config,
+            isActive: rule.is_active
+        }))
+    };
+};
+
+/**
+ * Serialize a bundle as 'json' or 'yaml'
+ */
+export const serializeBundle = (bundle, format = 'json') => {
+    if (format === 'yaml') {
+        return yaml.dump(bundle, { noRefs: true, lineWidth: -1 });
+    }
+
+    return JSON.stringify(bundle, null, 2);
+};
+
+/**
+ * Parse a bundle from JSON or YAML text (YAML is a superset of JSON).
+ * Only plain JSON types are allowed, so a bundle cannot smuggle in other YAML tags.
+ */
+export const parseBundle = (text) => {
+    return yaml.load(text, { schema: yaml.JSON_SCHEMA });
+};
+
+/**
+ * Pick a free name by appending a counter: "Name (2)", "Name (3)", ...
+ */
+export const getAvailableTemplateName = async (name) => {
+    let counter = 2;
+    let candidate = `${name} (${counter})`;
+
+    while (await TemplateModel.getTemplateByName(candidate)) {
+        counter++;
+        candidate = `${name} (${counter})`;
+    }
+
+    return candidate;
+};
+
+export default {
+    exportTemplateBundle,
+    serializeBundle,
+    parseBundle,
+    getAvailableTemplateName
+};
@@ -0,0 +1,507 @@
+import { query } from '../config/database.js';
+import * as TemplateModel from '../models/Template.js';
+import * as WorkflowRuleModel from '../models/WorkflowRule.js';
+import { withTransaction, queryWith } from './transactionService.js';
+
+/**
+ * Template Version Service - Immutable template versions.
+ *
+ * Every version is its own project_templates row sharing a family_id.
+ * Published versions never change; edits go into a new draft version that
+ * is published when ready. Projects stay on the version they were created
+ * from until they are explicitly upgraded.
+ *
+ * Phases and deliverables keep the id of the version they were introduced
+ * in (origin_phase_id / origin_deliverable_id), which is how the same phase
+ * is recognised across versions.
+ */
+
+const TEMPLATE_FIELDS = ['name', 'description', 'category', 'phase_completion_mode'];
+const PHASE_FIELDS = ['name', 'description', 'phase_order', 'default_duration_days'];
+const DELIVERABLE_FIELDS = ['name', 'description', 'deliverable_type', 'is_ai_generatable', 'template_content', 'approval_chain'];
+
+/**
+ * Load a template version with its phases and their deliverables
+ */
+export const getTemplateContent = async (templateId) => {
+    const template = await TemplateModel.getTemplateById(templateId);
+
+    if (!template) {
+        return null;
+    }
+
+    const phases = await TemplateModel.getTemplatePhases(template.id);
+    for (const phase of phases) {
+        phase.deliverables = await TemplateModel.getTemplateDeliverables(phase.id);
+    }
+
+    return { ...template, phases };
+};
+
+/**
+ * Create a new template (version 1) with its phases, deliverables and
+ * workflow rules, all or nothing. Content has the shape of POST /api/templates.
+ */
+export const createTemplateFromContent = async (content, userId, rules = []) => {
+    return withTransaction(async (client) => {
+        const template = await TemplateModel.createTemplate({
+            name: content.name,
+            description: content.description,
+            category: content.category,
+            phaseCompletionMode: content.phaseCompletionMode,
+            status: content.status,
+            createdBy: userId
+        }, client);
+
+        await insertPhases(template.id, (content.phases || []).map(phase => ({
+            ...phase,
+            deliverables: (phase.deliverables || []).map(d => ({ ...d, isAiGeneratable: d.isAiGeneratable || false }))
+        })), client);
+        await insertRules(template.id, rules, client);
+
+        return template;
+    });
+};
+
+/**
+ * Create the next draft version of a template family.
+ *
+ * Without content the draft is a copy of the source version. With content
+ * (same shape as POST /api/templates) the draft uses it instead; phases and
+ * deliverables are matched to the source by id, or else by name, so
+ * unchanged items keep their identity across versions. Workflow rules are
+ * copied from the source unless replacement rules are given.
+ */
+export const createDraftVersion = async (sourceId, userId, content = null, rules = null) => {
+    const source = await getTemplateContent(sourceId);
+    const phases = content?.phases ? matchContentToSource(content.phases, source) : copySourcePhases(source);
+
+    return withTransaction(async (client) => {
+        const draft = await TemplateModel.createTemplate({
+            name: content?.name || source.name,
+            description: content?.description !== undefined ? content.description : source.description,
+            category: content?.category || source.category,
+            phaseCompletionMode: content?.phaseCompletionMode || source.phase_completion_mode,
+            createdBy: userId,
+            familyId: source.family_id,
+            version: await TemplateModel.getNextVersionNumber(source.family_id, client),
+            status: 'draft'
+        }, client);
+
+        await insertPhases(draft.id, phases, client);
+
+        // Workflow rules belong to a version too, so projects on older versions keep their behaviour
+        if (rules) {
+            await insertRules(draft.id, rules, client);
+        } else {
+            await copyRules(source.id, draft.id, client);
+        }
+
+        return draft;
+    });
+};
+
+/**
+ * Copy a template version into a brand new template (version 1, draft)
+ */
+export const cloneTemplate = async (sourceId, userId, name) => {
+    const source = await getTemplateContent(sourceId);
+
+    return withTransaction(async (client) => {
+        const clone = await TemplateModel.createTemplate({
+            name,
+            description: source.description,
+            category: source.category,
+            phaseCompletionMode: source.phase_completion_mode,
+            createdBy: userId,
+            status: 'draft'
+        }, client);
+
+        // A new template starts new lineages, so origins are not carried over
+        const phases = copySourcePhases(source).map(phase => ({
+            ...phase,
+            originPhaseId: null,
+            deliverables: phase.deliverables.map(d => ({ ...d, originDeliverableId: null }))
+        }));
+
+        await insertPhases(clone.id, phases, client);
+        await copyRules(source.id, clone.id, client);
+
+        return clone;
+    });
+};
+
+/**
+ * Replace the content of a draft version (same shape as POST /api/templates).
+ * Phases and deliverables with an id are updated in place (a deliverable may
+ * move to another phase), ones without are added, and anything left out is
+ * deleted. Drafts are never used by projects, so deleting is safe.
+ */
+export const updateDraftContent = async (templateId, content) => {
+    const draft = await getTemplateContent(templateId);
+    const existingDeliverables = draft.phases.flatMap(phase => phase.deliverables);
+
+    return withTransaction(async (client) => {
+        const template = await TemplateModel.updateTemplate(templateId, {
+            name: content.name,
+            description: content.description,
+            category: content.category,
+            phase_completion_mode: content.phaseCompletionMode
+        }, client);
+
+        const keptPhaseIds = new Set();
+        const keptDeliverableIds = new Set();
+
+        for (const phaseData of content.phases || []) {
+            const existingPhase = draft.phases.find(p => p.id === phaseData.id);
+            let phase;
+
+            if (existingPhase) {
+                phase = await TemplateModel.updateTemplatePhase(existingPhase.id, {
+                    name: phaseData.name,
+                    description: phaseData.description,
+                    phase_order: phaseData.phaseOrder,
+                    default_duration_days: phaseData.defaultDurationDays ?? null
+                }, client);
+            } else {
+                phase = await TemplateModel.createTemplatePhase({
+                    templateId,
+                    name: phaseData.name,
+                    description: phaseData.description,
+                    phaseOrder: phaseData.phaseOrder,
+                    defaultDurationDays: phaseData.defaultDurationDays
+                }, client);
+            }
+            keptPhaseIds.add(phase.id);
+
+            for (const deliverableData of phaseData.deliverables || []) {
+                const existingDeliverable = existingDeliverables.find(d => d.id === deliverableData.id);
+                let deliverable;
+
+                if (existingDeliverable) {
+                    deliverable = await TemplateModel.updateTemplateDeliverable(existingDeliverable.id, {
+                        phase_id: phase.id,
+                        name: deliverableData.name,
+                        description: deliverableData.description,
+                        deliverable_type: deliverableData.deliverableType,
+                        is_ai_generatable: deliverableData.isAiGeneratable || false,
+                        template_content: deliverableData.templateContent,
+                        approval_chain: deliverableData.approvalChain
+                    }, client);
+                } else {
+                    deliverable = await TemplateModel.createTemplateDeliverable({
+                        phaseId: phase.id,
+                        name: deliverableData.name,
+                        description: deliverableData.description,
+                        deliverableType: deliverableData.deliverableType,
+                        isAiGeneratable: deliverableData.isAiGeneratable || false,
+                        templateContent: deliverableData.templateContent,
+                        approvalChain: deliverableData.approvalChain
+                    }, client);
+                }
+                keptDeliverableIds.add(deliverable.id);
+            }
+        }
+
+        for (const deliverable of existingDeliverables) {
+            if (!keptDeliverableIds.has(deliverable.id)) {
+                await TemplateModel.deleteTemplateDeliverable(deliverable.id, client);
+            }
+        }
+
+        for (const phase of draft.phases) {
+            if (!keptPhaseIds.has(phase.id)) {
+                await TemplateModel.deleteTemplatePhase(phase.id, client);
+            }
+        }
+
+        return template;
+    });
+};
+
+/**
+ * Compare two versions of the same template
+ * @returns {Object} - { from, to, template: { field: { from, to } }, phases: { added, removed, changed } }
+ */
+export const diffTemplateVersions = async (fromId, toId) => {
+    const [from, to] = await Promise.all([getTemplateContent(fromId), getTemplateContent(toId)]);
+
+    const phases = { added: [], removed: [], changed: [] };
+
+    for (const phase of to.phases) {
+        const previous = from.phases.find(p => p.origin_phase_id === phase.origin_phase_id);
+
+        if (!previous) {
+            phases.added.push(summarizePhase(phase));
+            continue;
+        }
+
+        const changes = diffFields(previous, phase, PHASE_FIELDS);
+        const deliverables = diffDeliverables(previous.deliverables, phase.deliverables);
+        const hasDeliverableChanges = deliverables.added.length > 0
+            || deliverables.removed.length > 0
+            || deliverables.changed.length > 0;
+
+        if (Object.keys(changes).length > 0 || hasDeliverableChanges) {
+            phases.changed.push({ origin_phase_id: phase.origin_phase_id, name: phase.name, changes, deliverables });
+        }
+    }
+
+    for (const phase of from.phases) {
+        if (!to.phases.some(p => p.origin_phase_id === phase.origin_phase_id)) {
+            phases.removed.push(summarizePhase(phase));
+        }
+    }
+
+    return {
+        from: { id: from.id, version: from.version, status: from.status },
+        to: { id: to.id, version: to.version, status: to.status },
+        template: diffFields(from, to, TEMPLATE_FIELDS),
+        phases
+    };
+};
+
+/**
+ * Move a project to the latest published version of its template, adding
+ * phases and deliverables that version introduced. Nothing is removed:
+ * items the new version dropped stay on the project as they are.
+ * @returns {Object} - { fromVersion, toVersion, addedPhases, addedDeliverables } or null when already current
+ */
+export const upgradeProjectTemplate = async (projectId) => {
+    const projectResult = await query(
+        `SELECT p.id, p.template_id, pt.family_id, pt.version
+     FROM projects p
+     JOIN project_templates pt ON p.template_id = pt.id
+     WHERE p.id = $1`,
+        [projectId]
+    );
+    const project = projectResult.rows[0];
+
+    if (!project) {
+        return null;
+    }
+
+    const latest = await TemplateModel.getLatestPublishedVersion(project.family_id);
+    if (!latest || latest.id === project.template_id) {
+        return null;
+    }
+
+    const target = await getTemplateContent(latest.id);
+
+    return withTransaction(async (client) => {
+        const run = queryWith(client);
+
+        const phasesResult = await run(
+            `SELECT pp.id, tp.origin_phase_id
+         FROM project_phases pp
+         LEFT JOIN template_phases tp ON pp.template_phase_id = tp.id
+         WHERE pp.project_id = $1`,
+            [projectId]
+        );
+        const deliverablesResult = await run(
+            `SELECT d.id, td.origin_deliverable_id
+         FROM deliverables d
+         LEFT JOIN template_deliverables td ON d.template_deliverable_id = td.id
+         WHERE d.project_id = $1`,
+            [projectId]
+        );
+
+        const addedPhases = [];
+        const addedDeliverables = [];
+
+        for (const templatePhase of target.phases) {
+            let projectPhase = phasesResult.rows.find(p => p.origin_phase_id === templatePhase.origin_phase_id);
+
+            if (projectPhase) {
+                await run('UPDATE project_phases SET template_phase_id = $1 WHERE id = $2', [templatePhase.id, projectPhase.id]);
+            } else {
+                const inserted = await run(
+                    `INSERT INTO project_phases (project_id, template_phase_id, name, description, phase_order, status)
+             VALUES ($1, $2, $3, $4, $5, 'pending')
+             RETURNING *`,
+                    [projectId, templatePhase.id, templatePhase.name, templatePhase.description, templatePhase.phase_order]
+                );
+                projectPhase = inserted.rows[0];
+                addedPhases.push(projectPhase);
+            }
+
+            for (const templateDeliverable of templatePhase.deliverables) {
+                const existing = deliverablesResult.rows.find(
+                    d => d.origin_deliverable_id === templateDeliverable.origin_deliverable_id
+                );
+
+                if (existing) {
+                    await run('UPDATE deliverables SET template_deliverable_id = $1 WHERE id = $2', [templateDeliverable.id, existing.id]);
+                    continue;
+                }
+
+                const inserted = await run(
+                    `INSERT INTO deliverables (project_id, phase_id, template_deliverable_id, name, description, deliverable_type, approval_chain, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+             RETURNING *`,
+                    [projectId, projectPhase.id, templateDeliverable.id, templateDeliverable.name,
+                        templateDeliverable.description, templateDeliverable.deliverable_type,
+                        templateDeliverable.approval_chain ? JSON.stringify(templateDeliverable.approval_chain) : null]
+                );
+                addedDeliverables.push(inserted.rows[0]);
+            }
+        }
+
+        await run(
+            'UPDATE projects SET template_id = $1, template_version = $2 WHERE id = $3',
+            [latest.id, latest.version, projectId]
+        );
+
+        return {
+            fromVersion: project.version,
+            toVersion: latest.version,
+            addedPhases,
+            addedDeliverables
+        };
+    });
+};
+
+const copySourcePhases = (source) => {
+    return source.phases.map(phase => ({
+        name: phase.name,
+        description: phase.description,
+        phaseOrder: phase.phase_order,
+        defaultDurationDays: phase.default_duration_days,
+        originPhaseId: phase.origin_phase_id,
+        deliverables: phase.deliverables.map(deliverable => ({
+            name: deliverable.name,
+            description: deliverable.description,
+            deliverableType: deliverable.deliverable_type,
+            isAiGeneratable: deliverable.is_ai_generatable,
+            templateContent: deliverable.template_content,
+            approvalChain: deliverable.approval_chain,
+            originDeliverableId: deliverable.origin_deliverable_id
+        }))
+    }));
+};
+
+const matchContentToSource = (contentPhases, source) => {
+    const sourceDeliverables = source.phases.flatMap(phase => phase.deliverables);
+
+    return contentPhases.map(phase => {
+        const sourcePhase = source.phases.find(p => p.id === phase.id) || findByName(source.phases, phase.name);
+
+        return {
+            name: phase.name,
+            description: phase.description,
+            phaseOrder: phase.phaseOrder,
+            defaultDurationDays: phase.defaultDurationDays,
+            originPhaseId: sourcePhase?.origin_phase_id,
+            deliverables: (phase.deliverables || []).map(deliverable => {
+                const sourceDeliverable = sourceDeliverables.find(d => d.id === deliverable.id)
+                    || findByName(sourcePhase?.deliverables || [], deliverable.name);
+
+                return {
+                    name: deliverable.name,
+                    description: deliverable.description,
+                    deliverableType: deliverable.deliverableType,
+                    isAiGeneratable: deliverable.isAiGeneratable || false,
+                    templateContent: deliverable.templateContent,
+                    approvalChain: deliverable.approvalChain,
+                    originDeliverableId: sourceDeliverable?.origin_deliverable_id
+                };
+            })
+        };
+    });
+};
+
+const insertPhases = async (templateId, phases, client) => {
+    for (const phaseData of phases) {
+        const phase = await TemplateModel.createTemplatePhase({ ...phaseData, templateId }, client);
+
+        for (const deliverableData of phaseData.deliverables) {
+            await TemplateModel.createTemplateDeliverable({ ...deliverableData, phaseId: phase.id }, client);
+        }
+    }
+};
+
+const copyRules = async (sourceId, targetId, client) => {
+    const rules = await WorkflowRuleModel.getRulesByTemplate(sourceId);
+
+    await insertRules(targetId, rules.map(rule => ({
+        triggerEvent: rule.trigger_event,
+        condition: rule.condition_json,
+        actionType: rule.action_type,
+        actionConfig: rule.action_config,
+        isActive: rule.is_active
+    })), client);
+};
+
+const insertRules = async (templateId, rules, client) => {
+    for (const rule of rules) {
+        await WorkflowRuleModel.createRule({ ...rule, templateId }, client);
+    }
+};
+
+const findByName = (items, name) => {
+    return items.find(item => item.name.trim().toLowerCase() === name.trim().toLowerCase());
+};
+
+// JSON fields (approval_chain) are compared by value
+const sameValue = (a, b) => (typeof a === 'object' || typeof b === 'object'
+    ? JSON.stringify(a) === JSON.stringify(b)
+    : a === b);
+
+const diffFields = (before, after, fields) => {
+    const changes = {};
+    for (const field of fields) {
+        if (!sameValue(before[field] ?? null, after[field] ?? null)) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+};
+
+const diffDeliverables = (before, after) => {
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const deliverable of after) {
+        const previous = before.find(d => d.origin_deliverable_id === deliverable.origin_deliverable_id);
+
+        if (!previous) {
+            result.added.push(summarizeDeliverable(deliverable));
+            continue;
+        }
+
+        const changes = diffFields(previous, deliverable, DELIVERABLE_FIELDS);
+        if (Object.keys(changes).length > 0) {
+            result.changed.push({ origin_deliverable_id: deliverable.origin_deliverable_id, name: deliverable.name, changes });
+        }
+    }
+
+    for (const deliverable of before) {
+        if (!after.some(d => d.origin_deliverable_id === deliverable.origin_deliverable_id)) {
+            result.removed.push(summarizeDeliverable(deliverable));
+        }
+    }
+
+    return result;
+};
+
+const summarizePhase = (phase) => ({
+    origin_phase_id: phase.origin_phase_id,
+    name: phase.name,
+    phase_order: phase.phase_order,
+    deliverables: phase.deliverables.map(summarizeDeliverable)
+});
+
+const summarizeDeliverable = (deliverable) => ({
+    origin_deliverable_id: deliverable.origin_deliverable_id,
+    name: deliverable.name,
+    deliverable_type: deliverable.deliverable_type
+});
+
+export default {
+    getTemplateContent,
+    createTemplateFromContent,
+    createDraftVersion,
+    cloneTemplate,
+    updateDraftContent,
+    diffTemplateVersions,
+    upgradeProjectTemplate
+};
@@ -0,0 +1,50 @@
+import { query, getClient } from '../config/database.js';
+
+/**
+ * Transaction Service - Runs multi-step writes atomically.
+ *
+ * Model functions that take part in multi-step writes accept an optional
+ * client as their last argument. Inside withTransaction, pass the client
+ * along so every statement runs on the same connection; without one they
+ * fall back to the pool.
+ */
+
+/**
+ * Run work(client) inside BEGIN/COMMIT. Any error rolls the whole
+ * transaction back and is rethrown; the client is always released.
+ */
+export const withTransaction = async (work) => {
+    const client = await getClient();
+    // A connection that failed to roll back may still hold the transaction,
+    // so it is destroyed instead of going back to the pool
+    let releaseError;
+
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            console.error('Transaction rollback failed:', rollbackError);
+            releaseError = rollbackError;
+        }
+        throw error;
+    } finally {
+        client.release(releaseError);
+    }
+};
+
+/**
+ * Query function for an optional transaction client
+ */
+export const queryWith = (client) => {
+    return client ? (text, params) => client.query(text, params) : query;
+};
+
+export default {
+    withTransaction,
+    queryWith
+};
@@ -0,0 +1,103 @@
+import { addDays, format } from 'date-fns';
+
+/**
+ * Work Calendar - Working-day arithmetic for project scheduling.
+ *
+ * A calendar is { workingDays: [1, 2, 3, 4, 5], holidays: ['2026-12-25'] }
+ * with days numbered like Date.getDay() (0 = Sunday). Without a calendar
+ * every day is a working day.
+ */
+
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Guards against calendars with no working days at all
+const MAX_SEARCH_DAYS = 366;
+
+export const isWorkingDay = (date, calendar) => {
+    if (!calendar) {
+        return true;
+    }
+
+    const workingDays = calendar.workingDays || WEEKDAYS;
+    const holidays = calendar.holidays || [];
+
+    return workingDays.includes(date.getDay()) && !holidays.includes(format(date, 'yyyy-MM-dd'));
+};
+
+/**
+ * The date itself if it is a working day, otherwise the next one
+ */
+export const nextWorkingDay = (date, calendar) => {
+    let current = new Date(date);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        if (isWorkingDay(current, calendar)) {
+            return current;
+        }
+        current = addDays(current, 1);
+    }
+
+    throw new Error('Work calendar has no working days');
+};
+
+/**
+ * Move forward by a number of working days (0 returns the next working day)
+ */
+export const addWorkingDays = (date, days, calendar) => {
+    let current = nextWorkingDay(date, calendar);
+
+    for (let i = 0; i < days; i++) {
+        current = nextWorkingDay(addDays(current, 1), calendar);
+    }
+
+    return current;
+};
+
+/**
+ * Number of working days between two dates, both included
+ */
+export const countWorkingDays = (startDate, endDate, calendar) => {
+    let count = 0;
+
+    for (let current = new Date(startDate); current <= endDate; current = addDays(current, 1)) {
+        if (isWorkingDay(current, calendar)) {
+            count++;
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Lay template phases end to end from the project start date.
+ * Phases without a default duration are left unscheduled.
+ * @returns {Map} - template phase id -> { startDate, endDate }
+ */
+export const planPhaseDates = (templatePhases, projectStartDate, calendar) => {
+    const dates = new Map();
+    let cursor = new Date(projectStartDate);
+
+    const ordered = [...templatePhases].sort((a, b) => a.phase_order - b.phase_order);
+
+    for (const phase of ordered) {
+        if (!phase.default_duration_days) {
+            continue;
+        }
+
+        const startDate = nextWorkingDay(cursor, calendar);
+        const endDate = addWorkingDays(startDate, phase.default_duration_days - 1, calendar);
+
+        dates.set(phase.id, { startDate, endDate });
+        cursor = addDays(endDate, 1);
+    }
+
+    return dates;
+};
+
+export default {
+    isWorkingDay,
+    nextWorkingDay,
+    addWorkingDays,
+    countWorkingDays,
+    planPhaseDates
+};
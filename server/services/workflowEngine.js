@@ -1,6 +1,14 @@
 import { query } from '../config/database.js';
-import { updatePhaseStatus } from '../models/Project.js';
-import { sendNotification } from './notificationService.js';
+import { updatePhaseStatus, getProjectById, getProjectPhases } from '../models/Project.js';
+import * as DeliverableModel from '../models/Deliverable.js';
+import { format, differenceInCalendarDays } from 'date-fns';
+import { sendNotification, sendNotificationOnce } from './notificationService.js';
+import { generateDeliverable } from './aiService.js';
+import { runWorkflowRules } from './ruleEngine.js';
+import { publishToProject } from './realtimeService.js';
+import { withTransaction } from './transactionService.js';
+import { notifyPendingApprovers } from './approvalService.js';
+import { getBlockingPredecessors } from './scheduleService.js';
 
 /**
  * Workflow Engine - Manages project lifecycle automation
@@ -23,10 +31,108 @@ const PHASE_STATES = {
     completed: []
 };
 
+// Deliverable state transitions. Approvals and rejections come from the
+// deliverable's approval chain; reopening an approved deliverable needs
+// manage access to the project.
+export const DELIVERABLE_STATES = {
+    pending: ['in_progress'],
+    in_progress: ['review'],
+    review: ['approved', 'rejected', 'in_progress'],
+    approved: ['in_progress'],
+    rejected: ['in_progress']
+};
+
+const DECISION_STATES = ['approved', 'rejected'];
+
+// Approvers sign off on what they reviewed, so it cannot change under them
+const FROZEN_CONTENT_STATES = ['review', 'approved'];
+
+const transitionError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Check a deliverable status change against DELIVERABLE_STATES and who is making it
+ * @param {Object} options - { canManage, viaApproval }: viaApproval only for the approval chain's decisions
+ * @throws {Error} - With status 409 for a transition the state machine does not allow, 403 for one the user may not make
+ */
+export const assertDeliverableTransition = (currentStatus, newStatus, options = {}) => {
+    const { canManage = false, viaApproval = false } = options;
+    const allowedTransitions = DELIVERABLE_STATES[currentStatus];
+
+    if (!allowedTransitions || !allowedTransitions.includes(newStatus)) {
+        throw transitionError(`Invalid deliverable transition from ${currentStatus} to ${newStatus}`, 409);
+    }
+
+    if (DECISION_STATES.includes(newStatus) && !viaApproval) {
+        throw transitionError('Deliverables are approved or rejected through their approval chain', 403);
+    }
+
+    if (currentStatus === 'approved' && !canManage) {
+        throw transitionError('Only a project manager can reopen an approved deliverable', 403);
+    }
+};
+
+/**
+ * Refuse content and file changes while a deliverable is in review or approved.
+ * Moving it back to in_progress first starts a new review round for the new content.
+ * @throws {Error} - With status 409
+ */
+export const assertContentEditable = (status) => {
+    if (FROZEN_CONTENT_STATES.includes(status)) {
+        throw transitionError(`Deliverable is ${status === 'review' ? 'in review' : status}; move it back to in_progress to change it`, 409);
+    }
+};
+
+/**
+ * Check that a deliverable may start: finish-to-start predecessors must be
+ * approved and start-to-start ones started. Project managers can override.
+ * Every path that moves a deliverable to in_progress goes through this.
+ * @param {Object} options - { override, canManage }
+ * @returns {Array} - Ids of the predecessors that were overridden
+ * @throws {Error} - With status 409 and details { blockedBy, canOverride } while predecessors block it
+ */
+export const assertPredecessorsFinished = async (deliverable, newStatus, options = {}) => {
+    const { override = false, canManage = false } = options;
+
+    if (newStatus !== 'in_progress' || deliverable.status === 'in_progress') {
+        return [];
+    }
+
+    const blocking = await getBlockingPredecessors(deliverable.id);
+    if (blocking.length === 0) {
+        return [];
+    }
+
+    if (override && canManage) {
+        return blocking.map(dep => dep.predecessor_id);
+    }
+
+    throw Object.assign(transitionError('Deliverable has unfinished predecessors', 409), {
+        details: {
+            blockedBy: blocking.map(dep => ({
+                id: dep.predecessor_id,
+                name: dep.predecessor_name,
+                status: dep.predecessor_status,
+                dependencyType: dep.dependency_type
+            })),
+            canOverride: canManage
+        }
+    });
+};
+
+/**
+ * The statuses a user can move a deliverable to by hand
+ */
+export const getDeliverableTransitions = (currentStatus, { canManage = false } = {}) => {
+    if (currentStatus === 'approved' && !canManage) {
+        return [];
+    }
+    return (DELIVERABLE_STATES[currentStatus] || []).filter(status => !DECISION_STATES.includes(status));
+};
+
 /**
  * Validate and execute project status transition
  */
-export const transitionProjectStatus = async (projectId, newStatus, userId) => {
+export const transitionProjectStatus = async (projectId, newStatus, userId, options = {}) => {
     const projectResult = await query('SELECT * FROM projects WHERE id = $1', [projectId]);
     const project = projectResult.rows[0];
 
@@ -54,44 +160,70 @@ export const transitionProjectStatus = async (projectId, newStatus, userId) => {
     // Handle post-transition actions
     await handleProjectStatusChange(project, newStatus, userId);
 
+    await runWorkflowRules('project_status_change', {
+        projectId,
+        previousStatus: currentStatus,
+        newStatus,
+        userId,
+        depth: options.depth
+    });
+
     return updateResult.rows[0];
 };
 
 /**
  * Handle phase progression and automation
  */
-export const progressPhase = async (phaseId, newStatus, userId) => {
+export const progressPhase = async (phaseId, newStatus, userId, options = {}) => {
     const phaseResult = await query('SELECT * FROM project_phases WHERE id = $1', [phaseId]);
     const phase = phaseResult.rows[0];
 
     if (!phase) {
-        throw new Error('Phase not found');
+        throw transitionError('Phase not found', 404);
     }
 
     const currentStatus = phase.status;
     const allowedTransitions = PHASE_STATES[currentStatus];
 
     if (!allowedTransitions || !allowedTransitions.includes(newStatus)) {
-        throw new Error(`Invalid phase transition from ${currentStatus} to ${newStatus}`);
+        throw transitionError(`Invalid phase transition from ${currentStatus} to ${newStatus}`, 409);
     }
 
+    // Resuming a blocked phase keeps its original start date
+    const actualDates = currentStatus === 'blocked' ? { actualStartDate: phase.actual_start_date } : {};
+
     // Update phase status
-    const updatedPhase = await updatePhaseStatus(phaseId, newStatus);
+    const updatedPhase = await updatePhaseStatus(phaseId, newStatus, actualDates, options.reason);
 
     // Log activity
     await logActivity(phase.project_id, userId, 'phase_status_change',
-        `Phase "${phase.name}" status changed to ${newStatus}`);
+        `Phase "${phase.name}" status changed to ${newStatus}${options.reason ? `: ${options.reason}` : ''}`,
+        { previousStatus: currentStatus, newStatus, ...(options.reason && { reason: options.reason }) });
+
+    publishToProject(phase.project_id, 'phase_updated', updatedPhase);
 
     // Handle post-transition actions
-    await handlePhaseStatusChange(phase, newStatus, userId);
+    await handlePhaseStatusChange(phase, newStatus, userId, options);
+
+    await runWorkflowRules('phase_status_change', {
+        projectId: phase.project_id,
+        phaseId,
+        previousStatus: currentStatus,
+        newStatus,
+        userId,
+        depth: options.depth
+    });
 
     return updatedPhase;
 };
 
 /**
- * Auto-progress to next phase when current phase is completed
+ * Auto-progress to next phase when current phase is completed.
+ * The next phase starts through progressPhase, so its stakeholders are
+ * notified and its realtime event and workflow rules fire like any other start.
+ * @param {Object} options - { depth } of the rule chain that completed the current phase
  */
-export const autoProgressToNextPhase = async (projectId, currentPhaseOrder) => {
+export const autoProgressToNextPhase = async (projectId, currentPhaseOrder, options = {}) => {
     // Get next phase
     const nextPhaseResult = await query(
         `SELECT * FROM project_phases 
@@ -102,29 +234,10 @@ export const autoProgressToNextPhase = async (projectId, currentPhaseOrder) => {
     if (nextPhaseResult.rows.length > 0) {
         const nextPhase = nextPhaseResult.rows[0];
 
-        // Auto-start next phase
-        await updatePhaseStatus(nextPhase.id, 'in_progress');
-
-        // Notify stakeholders
-        const stakeholdersResult = await query(
-            'SELECT user_id FROM phase_stakeholders WHERE phase_id = $1',
-            [nextPhase.id]
-        );
-
-        for (const stakeholder of stakeholdersResult.rows) {
-            await sendNotification(
-                stakeholder.user_id,
-                'Phase Started',
-                `Phase "${nextPhase.name}" has automatically started`,
-                'phase_start',
-                projectId
-            );
-        }
-
         await logActivity(projectId, null, 'phase_auto_start',
             `Phase "${nextPhase.name}" automatically started`);
 
-        return nextPhase;
+        return progressPhase(nextPhase.id, 'in_progress', null, { depth: options.depth });
     }
 
     return null;
@@ -147,6 +260,51 @@ export const checkPhaseCompletion = async (phaseId) => {
     return parseInt(total) === parseInt(approved) && parseInt(total) > 0;
 };
 
+/**
+ * Complete a phase once all of its deliverables are approved. Templates in
+ * 'signoff' mode notify the PM instead and leave completion to them.
+ */
+export const completePhaseIfReady = async (phaseId, userId, options = {}) => {
+    const phaseResult = await query(
+        `SELECT pp.*, p.name as project_name, p.pm_id,
+            COALESCE(pt.phase_completion_mode, 'auto') as phase_completion_mode
+     FROM project_phases pp
+     JOIN projects p ON pp.project_id = p.id
+     LEFT JOIN project_templates pt ON p.template_id = pt.id
+     WHERE pp.id = $1`,
+        [phaseId]
+    );
+    const phase = phaseResult.rows[0];
+
+    if (!phase || phase.status !== 'in_progress') {
+        return null;
+    }
+
+    const isComplete = await checkPhaseCompletion(phaseId);
+    if (!isComplete) {
+        return null;
+    }
+
+    if (phase.phase_completion_mode === 'signoff') {
+        if (phase.pm_id) {
+            await sendNotification(
+                phase.pm_id,
+                'Phase Ready for Sign-off',
+                `All deliverables in phase "${phase.name}" of project "${phase.project_name}" are approved and awaiting your sign-off`,
+                'phase_signoff',
+                phase.project_id
+            );
+        }
+
+        await logActivity(phase.project_id, userId, 'phase_ready_for_signoff',
+            `Phase "${phase.name}" is ready for PM sign-off`);
+
+        return null;
+    }
+
+    return progressPhase(phaseId, 'completed', userId, options);
+};
+
 /**
  * Handle automatic actions when project status changes
  */
@@ -205,11 +363,11 @@ const handleProjectStatusChange = async (project, newStatus, userId) => {
 /**
  * Handle automatic actions when phase status changes
  */
-const handlePhaseStatusChange = async (phase, newStatus, userId) => {
+const handlePhaseStatusChange = async (phase, newStatus, userId, options = {}) => {
     switch (newStatus) {
         case 'completed':
             // Check if this triggers next phase
-            const nextPhase = await autoProgressToNextPhase(phase.project_id, phase.phase_order);
+            await autoProgressToNextPhase(phase.project_id, phase.phase_order, options);
 
             // Check if all phases are completed -> complete project
             const allPhasesResult = await query(
@@ -224,7 +382,7 @@ const handlePhaseStatusChange = async (phase, newStatus, userId) => {
             const { total, completed } = allPhasesResult.rows[0];
             if (parseInt(total) === parseInt(completed)) {
                 // Auto-complete project
-                await transitionProjectStatus(phase.project_id, 'completed', userId);
+                await transitionProjectStatus(phase.project_id, 'completed', userId, options);
             }
             break;
 
@@ -252,9 +410,106 @@ const handlePhaseStatusChange = async (phase, newStatus, userId) => {
 };
 
 /**
- * Check for upcoming deadlines and send notifications
+ * Generate a deliverable's content with AI, store it as a new version and move it to review
+ * @param {Object} options - { depth, canManage, override }: canManage allows regenerating an approved
+ *   deliverable, override (managers only) generating one whose predecessors are unfinished
+ */
+export const generateDeliverableContent = async (deliverableId, userId, options = {}) => {
+    const deliverable = await DeliverableModel.getDeliverableById(deliverableId);
+
+    if (!deliverable) {
+        throw new Error('Deliverable not found');
+    }
+
+    // Regenerating an approved deliverable starts a new review round; one in review has to leave it first
+    if (deliverable.status === 'review') {
+        assertContentEditable(deliverable.status);
+    }
+
+    // Generating does the work in one go: the deliverable passes through in_progress on its way to review
+    if (deliverable.status !== 'in_progress') {
+        assertDeliverableTransition(deliverable.status, 'in_progress', { canManage: options.canManage });
+    }
+    const overriddenPredecessors = await assertPredecessorsFinished(deliverable, 'in_progress', options);
+
+    // Get project and phase data for context
+    const project = await getProjectById(deliverable.project_id);
+    const phases = await getProjectPhases(deliverable.project_id);
+    const currentPhase = phases.find(p => p.id === deliverable.phase_id);
+
+    // Get template content
+    const { template_content, deliverable_type } = deliverable;
+
+    // Generate content using AI
+    const generatedContent = await generateDeliverable({
+        deliverableName: deliverable.name,
+        deliverableType: deliverable_type || deliverable.deliverable_type,
+        templateContent: template_content,
+        projectData: {
+            name: project.name,
+            description: project.description
+        },
+        phaseData: currentPhase ? {
+            name: currentPhase.name,
+            description: currentPhase.description,
+            startDate: currentPhase.start_date,
+            endDate: currentPhase.end_date
+        } : null
+    });
+
+    // Update deliverable with generated content and record it as a new version
+    const updatedDeliverable = await withTransaction(async (client) => {
+        // Serializes version numbering with edits, uploads and restores of this deliverable
+        await DeliverableModel.lockDeliverable(deliverable.id, client);
+
+        const updated = await DeliverableModel.updateDeliverable(deliverable.id, {
+            content: generatedContent,
+            is_ai_generated: true,
+            status: 'review'
+        }, client);
+
+        const latestVersion = await DeliverableModel.getLatestVersionNumber(deliverable.id, client);
+        await DeliverableModel.createDeliverableVersion({
+            deliverableId: deliverable.id,
+            versionNumber: latestVersion + 1,
+            content: generatedContent,
+            createdBy: userId,
+            changeNotes: 'AI-generated content'
+        }, client);
+
+        return updated;
+    });
+
+    await logActivity(project.id, userId, 'deliverable_generated',
+        `Deliverable "${deliverable.name}" generated using AI`
+        + (overriddenPredecessors.length > 0 ? ' (dependency override)' : ''),
+        {
+            previousStatus: deliverable.status,
+            newStatus: 'review',
+            ...(overriddenPredecessors.length > 0 && { overriddenPredecessors })
+        });
+
+    await notifyPendingApprovers({ ...deliverable, ...updatedDeliverable });
+
+    await runWorkflowRules('deliverable_generated', {
+        projectId: project.id,
+        deliverableId: deliverable.id,
+        previousStatus: deliverable.status,
+        newStatus: 'review',
+        userId,
+        depth: options.depth
+    });
+
+    return updatedDeliverable;
+};
+
+/**
+ * Check for upcoming deadlines and send notifications.
+ * Each warning is sent once per item and due date, however often this runs.
  */
 export const checkDeadlines = async () => {
+    let sent = 0;
+
     // Check phase deadlines (3 days before)
     const upcomingPhaseDeadlines = await query(
         `SELECT pp.*, p.name as project_name, p.pm_id
@@ -266,13 +521,17 @@ export const checkDeadlines = async () => {
     );
 
     for (const phase of upcomingPhaseDeadlines.rows) {
-        await sendNotification(
+        if (!phase.pm_id) continue;
+
+        const wasSent = await sendNotificationOnce(
+            `deadline_warning:phase:${phase.id}:${formatDateKey(phase.end_date)}:${phase.pm_id}`,
             phase.pm_id,
             'Phase Deadline Approaching',
-            `Phase "${phase.name}" in project "${phase.project_name}" is due in 3 days`,
+            `Phase "${phase.name}" in project "${phase.project_name}" is due ${describeDueIn(phase.end_date)}`,
             'deadline_warning',
             phase.project_id
         );
+        if (wasSent) sent++;
     }
 
     // Check deliverable deadlines
@@ -287,26 +546,101 @@ export const checkDeadlines = async () => {
 
     for (const deliverable of upcomingDeliverableDeadlines.rows) {
         if (deliverable.assigned_to) {
-            await sendNotification(
+            const wasSent = await sendNotificationOnce(
+                `deadline_warning:deliverable:${deliverable.id}:${formatDateKey(deliverable.due_date)}:${deliverable.assigned_to}`,
                 deliverable.assigned_to,
                 'Deliverable Deadline Approaching',
-                `Deliverable "${deliverable.name}" is due in 3 days`,
+                `Deliverable "${deliverable.name}" is due ${describeDueIn(deliverable.due_date)}`,
                 'deadline_warning',
                 deliverable.project_id
             );
+            if (wasSent) sent++;
         }
     }
+
+    return { sent };
+};
+
+/**
+ * Escalate overdue phases and deliverables to the project PM (and the deliverable assignee)
+ */
+export const checkOverdueItems = async () => {
+    let sent = 0;
+
+    const overduePhases = await query(
+        `SELECT pp.*, p.name as project_name, p.pm_id
+     FROM project_phases pp
+     JOIN projects p ON pp.project_id = p.id
+     WHERE pp.status IN ('in_progress', 'blocked')
+       AND p.status = 'active'
+       AND pp.end_date < CURRENT_DATE`,
+        []
+    );
+
+    for (const phase of overduePhases.rows) {
+        if (!phase.pm_id) continue;
+
+        const wasSent = await sendNotificationOnce(
+            `overdue:phase:${phase.id}:${formatDateKey(phase.end_date)}:${phase.pm_id}`,
+            phase.pm_id,
+            'Phase Overdue',
+            `Phase "${phase.name}" in project "${phase.project_name}" was due on ${formatDateKey(phase.end_date)} and is still ${phase.status.replace('_', ' ')}`,
+            'overdue_escalation',
+            phase.project_id
+        );
+        if (wasSent) sent++;
+    }
+
+    const overdueDeliverables = await query(
+        `SELECT d.*, p.name as project_name, p.pm_id
+     FROM deliverables d
+     JOIN projects p ON d.project_id = p.id
+     WHERE d.status NOT IN ('approved', 'rejected')
+       AND p.status = 'active'
+       AND d.due_date < CURRENT_DATE`,
+        []
+    );
+
+    for (const deliverable of overdueDeliverables.rows) {
+        const recipients = new Set([deliverable.assigned_to, deliverable.pm_id].filter(Boolean));
+
+        for (const userId of recipients) {
+            const wasSent = await sendNotificationOnce(
+                `overdue:deliverable:${deliverable.id}:${formatDateKey(deliverable.due_date)}:${userId}`,
+                userId,
+                'Deliverable Overdue',
+                `Deliverable "${deliverable.name}" in project "${deliverable.project_name}" was due on ${formatDateKey(deliverable.due_date)}`,
+                'overdue_escalation',
+                deliverable.project_id
+            );
+            if (wasSent) sent++;
+        }
+    }
+
+    return { sent };
+};
+
+const formatDateKey = (date) => format(new Date(date), 'yyyy-MM-dd');
+
+const describeDueIn = (date) => {
+    const days = differenceInCalendarDays(new Date(date), new Date());
+    if (days <= 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
 };
 
 /**
  * Log activity to activity log
  */
 export const logActivity = async (projectId, userId, activityType, description, metadata = {}) => {
-    await query(
+    const result = await query(
         `INSERT INTO activity_logs (project_id, user_id, activity_type, description, metadata)
-     VALUES ($1, $2, $3, $4, $5)`,
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
         [projectId, userId, activityType, description, JSON.stringify(metadata)]
     );
+
+    publishToProject(projectId, 'activity', result.rows[0]);
 };
 
 /**
@@ -329,9 +663,14 @@ export const getActivityLog = async (projectId, limit = 50) => {
 export default {
     transitionProjectStatus,
     progressPhase,
+    assertDeliverableTransition,
+    getDeliverableTransitions,
     autoProgressToNextPhase,
     checkPhaseCompletion,
+    completePhaseIfReady,
+    generateDeliverableContent,
     checkDeadlines,
+    checkOverdueItems,
     logActivity,
     getActivityLog
 };